@@ -0,0 +1,106 @@
+// __tests__/adaptive-limiter.test.js
+const {
+  getRetryAfterMs,
+  isTransientError,
+  percentile,
+  createMemoryStore,
+  createAdaptiveController,
+} = require("../adaptive-limiter");
+
+const CONFIG = {
+  minConcurrent: 1,
+  maxConcurrent: 4,
+  startConcurrent: 2,
+  startMinTime: 1000,
+  minTimeFloor: 100,
+  minTimeCeiling: 5000,
+  targetP95Ms: 1000,
+  windowSize: 5,
+};
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, headers },
+  });
+
+const setup = (store = createMemoryStore()) => {
+  const limiter = { updateSettings: jest.fn() };
+  return { limiter, store, controller: createAdaptiveController({ limiter, store, config: CONFIG }) };
+};
+
+const recordWindow = async (controller, latencyMs) => {
+  for (let i = 0; i < CONFIG.windowSize; i++) await controller.recordSuccess(latencyMs);
+};
+
+describe("adaptive-limiter.js - latency / 429 driven Woo limiter", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("helpers read Retry-After, p95 and transient errors", () => {
+    expect(getRetryAfterMs(httpError(429, { "retry-after": "7" }))).toBe(7000);
+    expect(getRetryAfterMs(httpError(429))).toBeNull();
+    expect(percentile([100, 200, 300, 400, 5000], 0.95)).toBe(5000);
+    expect(isTransientError(httpError(504))).toBe(true);
+    expect(isTransientError(new Error("socket hang up"))).toBe(true);
+    expect(isTransientError(httpError(400))).toBe(false);
+    expect(isTransientError(Object.assign(new Error("read failed"), { code: "ECONNRESET" }))).toBe(true);
+    expect(isTransientError(new Error("Request failed with status code 499"))).toBe(true);
+    // Status-like digits elsewhere in a message are not a status
+    expect(
+      isTransientError(Object.assign(new Error("Invalid SKU LM5040 for product 4299"), { response: { status: 400 } }))
+    ).toBe(false);
+    expect(isTransientError(new Error("woocommerce_rest_product_invalid_id: product 50312"))).toBe(false);
+  });
+
+  test("healthy windows raise concurrency up to the maximum", async () => {
+    const { limiter, controller } = setup();
+
+    await recordWindow(controller, 200);
+    expect(limiter.updateSettings).toHaveBeenLastCalledWith({ maxConcurrent: 3, minTime: 800 });
+
+    await recordWindow(controller, 200);
+    await recordWindow(controller, 200);
+    await recordWindow(controller, 200);
+    expect((await controller.getState()).maxConcurrent).toBe(4);
+  });
+
+  test("slow or rising p95 lowers concurrency", async () => {
+    const { limiter, controller } = setup();
+
+    await recordWindow(controller, 1500); // over the 1000ms target
+    expect(limiter.updateSettings).toHaveBeenLastCalledWith({ maxConcurrent: 1, minTime: 1500 });
+
+    await recordWindow(controller, 100);
+    await recordWindow(controller, 400); // under target, but 4× the last window
+    expect((await controller.getState()).lastP95).toBe(400);
+    expect(limiter.updateSettings).toHaveBeenLastCalledWith({ maxConcurrent: 1, minTime: 1800 });
+  });
+
+  test("a 429 halves concurrency and Retry-After pauses every controller sharing the store", async () => {
+    jest.useFakeTimers({ now: 1_000_000 });
+    const store = createMemoryStore();
+    const first = setup(store);
+    const second = setup(store); // another worker process
+
+    await recordWindow(first.controller, 200); // → 3
+    await first.controller.recordFailure(httpError(429, { "retry-after": "5" }));
+
+    expect(first.limiter.updateSettings).toHaveBeenLastCalledWith({ maxConcurrent: 1, minTime: 1600 });
+    expect((await second.controller.getState()).pausedUntil).toBe(1_005_000);
+
+    let resumed = false;
+    second.controller.beforeRequest().then(() => (resumed = true));
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(resumed).toBe(false);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(resumed).toBe(true);
+  });
+
+  test("other errors leave the settings alone", async () => {
+    const { limiter, controller } = setup();
+
+    await controller.recordFailure(httpError(400));
+    expect(limiter.updateSettings).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,101 @@
+// __tests__/batch-update.test.js
+
+// Mock Woo, the limiter, Redis and the history file BEFORE requiring handlers
+jest.mock("../woo-helpers", () => ({
+  wooApi: { put: jest.fn() },
+}));
+jest.mock("../job-manager", () => ({
+  scheduleApiRequest: (task) => task(),
+}));
+jest.mock("../queue", () => ({
+  appRedis: { incrBy: jest.fn() },
+}));
+jest.mock("../src/batch/change-history", () => ({
+  recordChangeHistory: jest.fn(),
+}));
+
+const { wooApi } = require("../woo-helpers");
+const { appRedis } = require("../queue");
+const { parseBatchResponse, executeBatchUpdate } = require("../src/batch/handlers");
+
+const itemError = (id, code, status) => ({
+  id,
+  error: { code, message: `${code} message`, data: { status } },
+});
+
+const httpError = (status) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+
+describe("handlers.js - per-item products/batch results", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const run = async (promise) => {
+    await jest.runAllTimersAsync();
+    return promise;
+  };
+
+  test("error entries inside a 200 response are failures, not updates", () => {
+    const sent = [{ id: 1 }, { id: 2 }, { id: 3 }];
+    const result = parseBatchResponse(sent, {
+      update: [{ id: 1, name: "A" }, itemError(2, "woocommerce_rest_product_invalid_id", 400)],
+    });
+
+    expect(result.succeeded).toEqual([1]);
+    expect(result.failed).toEqual([
+      { id: 2, code: "woocommerce_rest_product_invalid_id", message: "woocommerce_rest_product_invalid_id message", status: 400 },
+      { id: 3, code: "missing_from_response", message: "Not in the products/batch response", status: null },
+    ]);
+  });
+
+  test("only failed items are retried and the counters match Woo's answer", async () => {
+    wooApi.put
+      .mockResolvedValueOnce({
+        data: {
+          update: [
+            { id: 1 },
+            itemError(2, "db_update_error", 500),
+            itemError(3, "woocommerce_rest_product_invalid_id", 400),
+          ],
+        },
+      })
+      .mockResolvedValueOnce({ data: { update: [{ id: 2 }] } });
+
+    const result = await run(executeBatchUpdate([{ id: 1 }, { id: 2 }, { id: 3 }], "stock.csv", 3));
+
+    expect(wooApi.put).toHaveBeenCalledTimes(2);
+    expect(wooApi.put).toHaveBeenLastCalledWith("products/batch", { update: [{ id: 2 }] });
+    expect(result.updated).toEqual([1, 2]);
+    expect(result.failed.map((f) => [f.id, f.code])).toEqual([[3, "woocommerce_rest_product_invalid_id"]]);
+    expect(appRedis.incrBy).toHaveBeenCalledWith("updated-products:stock.csv", 2);
+    expect(appRedis.incrBy).toHaveBeenCalledWith("failed-products:stock.csv", 1);
+  });
+
+  test("a request failing as a whole is split until the bad item is isolated", async () => {
+    wooApi.put.mockImplementation(async (endpoint, { update }) => {
+      if (update.some((item) => item.id === 3)) throw httpError(500);
+      return { data: { update: update.map(({ id }) => ({ id })) } };
+    });
+
+    const result = await run(executeBatchUpdate([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }], "stock.csv", 1));
+
+    expect(result.updated).toEqual([1, 2, 4]);
+    expect(result.failed).toEqual([
+      { id: 3, code: "http_500", message: "Request failed with status code 500", status: 500 },
+    ]);
+  });
+
+  test("a transient error is surfaced without touching the counters", async () => {
+    wooApi.put.mockRejectedValue(httpError(504));
+
+    await expect(executeBatchUpdate([{ id: 1 }], "stock.csv", 3)).rejects.toThrow("transient error, job will be retried");
+    expect(wooApi.put).toHaveBeenCalledTimes(1);
+    expect(appRedis.incrBy).not.toHaveBeenCalled();
+  });
+});
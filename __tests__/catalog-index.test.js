@@ -0,0 +1,128 @@
+// __tests__/catalog-index.test.js
+
+// In-memory stand-in for the node-redis calls the index uses
+const mockStore = new Map();
+const mockHash = (key) => {
+  if (!mockStore.has(key)) mockStore.set(key, new Map());
+  return mockStore.get(key);
+};
+const mockGet = jest.fn();
+
+jest.mock("woocommerce-rest-ts-api", () => ({
+  __esModule: true,
+  default: jest.fn().mockImplementation(() => ({ get: mockGet })),
+}));
+jest.mock("../queue", () => ({
+  appRedis: {
+    get: async (key) => mockStore.get(key) ?? null,
+    set: async (key, value, options = {}) => {
+      if (options.NX && mockStore.has(key)) return null;
+      mockStore.set(key, String(value));
+      return "OK";
+    },
+    del: async (keys) => [].concat(keys).forEach((key) => mockStore.delete(key)),
+    rename: async (from, to) => {
+      mockStore.set(to, mockStore.get(from));
+      mockStore.delete(from);
+    },
+    hGet: async (key, field) => mockStore.get(key)?.get(field) ?? null,
+    hSet: async (key, fieldOrObject, value) => {
+      const entries = typeof fieldOrObject === "object" ? Object.entries(fieldOrObject) : [[fieldOrObject, value]];
+      entries.forEach(([field, v]) => mockHash(key).set(String(field), String(v)));
+    },
+    hSetNX: async (key, field, value) => {
+      if (mockHash(key).has(field)) return false;
+      mockHash(key).set(field, String(value));
+      return true;
+    },
+    hDel: async (key, field) => mockStore.get(key)?.delete(field),
+    // Only the lock release script is ever evaluated
+    eval: async (script, { keys: [key], arguments: [token] }) =>
+      mockStore.get(key) === token ? Number(mockStore.delete(key)) : 0,
+  },
+}));
+jest.mock("../job-manager", () => ({
+  scheduleApiRequest: (task) => task(),
+  limiter: { on: jest.fn() },
+}));
+
+const { syncCatalogIndex } = require("../catalog-index");
+const { CATALOG_INDEX_KEYS, getProductIdByPartNumber } = require("../woo-helpers");
+
+const product = (id, partNumber, manufacturer) => ({
+  id,
+  name: partNumber,
+  meta_data: [
+    { key: "part_number", value: partNumber },
+    { key: "manufacturer", value: manufacturer },
+  ],
+});
+
+const page = (products, totalPages = 1) => ({
+  data: products,
+  headers: { "x-wp-totalpages": String(totalPages) },
+});
+
+describe("catalog-index.js - local part-number index", () => {
+  beforeEach(() => {
+    mockStore.clear();
+    mockGet.mockReset();
+  });
+
+  test("a full build indexes every page by part number + canonical manufacturer", async () => {
+    mockGet
+      .mockResolvedValueOnce(page([product(1, "LM317", "Texas Instruments"), product(2, "LM317T", "TI")], 2))
+      .mockResolvedValueOnce(page([product(3, "LM317", "Texas Instruments")], 2));
+
+    const result = await syncCatalogIndex();
+
+    expect(result).toMatchObject({ mode: "full", scanned: 3, indexed: 2 });
+    // Duplicate part + manufacturer: the lowest id wins
+    expect(mockStore.get(CATALOG_INDEX_KEYS.products).get("lm317|texas instruments")).toBe("1");
+    expect(mockStore.has(CATALOG_INDEX_KEYS.syncedAt)).toBe(true);
+    expect(mockStore.has(CATALOG_INDEX_KEYS.lock)).toBe(false);
+  });
+
+  test("getProductIdByPartNumber uses an exact index hit and never searches", async () => {
+    mockGet.mockResolvedValueOnce(page([product(7, "LM317T", "Texas Instruments")]));
+    await syncCatalogIndex();
+    mockGet.mockClear();
+
+    await expect(getProductIdByPartNumber("lm317t", "Texas Instruments", 0, 1, "stock.csv")).resolves.toBe(7);
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  test("an incremental sync moves changed products and drops trashed ones", async () => {
+    mockGet.mockResolvedValueOnce(page([product(1, "OLD-1", "Acme"), product(2, "GONE-2", "Acme")]));
+    await syncCatalogIndex();
+
+    mockGet
+      .mockResolvedValueOnce(page([product(1, "NEW-1", "Acme")])) // modified
+      .mockResolvedValueOnce(page([product(2, "GONE-2", "Acme")])); // trashed
+    const result = await syncCatalogIndex();
+
+    expect(result).toMatchObject({ mode: "incremental", indexed: 1, removed: 1 });
+    expect(mockGet.mock.calls[1][1]).toMatchObject({ modified_after: expect.any(String), dates_are_gmt: true });
+    expect(mockGet.mock.calls[2][1]).toMatchObject({ status: "trash" });
+    expect([...mockStore.get(CATALOG_INDEX_KEYS.products).entries()]).toEqual([["new-1|acme", "1"]]);
+  });
+
+  test("a sync already holding the lock is not run twice", async () => {
+    mockStore.set(CATALOG_INDEX_KEYS.lock, "123");
+
+    await expect(syncCatalogIndex()).resolves.toBeNull();
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  test("a sync whose lock expired and was taken over leaves the new lock alone", async () => {
+    mockGet.mockImplementation(async () => {
+      // Our TTL ran out mid-sync and another worker took the lock
+      mockStore.set(CATALOG_INDEX_KEYS.lock, "other-worker-token");
+      return page([product(1, "ABC-1", "Acme")]);
+    });
+
+    await syncCatalogIndex({ full: true });
+
+    expect(mockStore.get(CATALOG_INDEX_KEYS.lock)).toBe("other-worker-token");
+  });
+});
@@ -0,0 +1,73 @@
+// __tests__/change-history.test.js
+const {
+  buildRollbackSnapshot,
+  buildRollbackUpdates,
+} = require("../src/batch/change-history");
+
+describe("change-history.js - rollback snapshots", () => {
+  const currentData = {
+    id: 123,
+    sku: "ABC123_Acme",
+    description: "Small widget",
+    categories: [{ id: 7, name: "ICs", slug: "ics" }],
+    meta_data: [
+      { id: 1, key: "quantity", value: "10" },
+      { id: 2, key: "voltage", value: "5V" },
+    ],
+  };
+
+  afterEach(() => {
+    process.env.UPDATE_MODE = "full";
+  });
+
+  test("captures only the prior values of fields that change", () => {
+    process.env.UPDATE_MODE = "full";
+
+    const newData = {
+      id: 123,
+      part_number: "ABC123",
+      sku: "ABC123_Acme",
+      description: "Small widget v2",
+      categories: [{ id: 7 }, { id: 9 }],
+      meta_data: [
+        { key: "quantity", value: "25" },
+        { key: "voltage", value: "5V" },
+        { key: "series", value: "W-100" },
+      ],
+    };
+
+    expect(buildRollbackSnapshot(currentData, newData)).toEqual({
+      id: 123,
+      description: "Small widget",
+      categories: [{ id: 7 }],
+      meta_data: [
+        { key: "quantity", value: "10" },
+        { key: "series", value: "" },
+      ],
+    });
+  });
+
+  test("returns null when nothing changes", () => {
+    process.env.UPDATE_MODE = "quantity";
+
+    const newData = { id: 123, manufacturer: "Acme", meta_data: [{ key: "quantity", value: "10" }] };
+
+    expect(buildRollbackSnapshot(currentData, newData)).toBeNull();
+  });
+
+  test("buildRollbackUpdates turns history into products/batch update items", () => {
+    const history = {
+      fileKey: "vendor/test.csv",
+      products: {
+        123: { partNumber: "ABC123", row: 1, previous: { id: 123, meta_data: [{ key: "quantity", value: "10" }] } },
+        456: { partNumber: "XYZ9", row: 2, previous: { id: 456, sku: "XYZ9_Acme", meta_data: [] } },
+      },
+    };
+
+    expect(buildRollbackUpdates(history)).toEqual([
+      { id: 123, meta_data: [{ key: "quantity", value: "10" }] },
+      { id: 456, sku: "XYZ9_Acme" },
+    ]);
+    expect(buildRollbackUpdates(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+// __tests__/compare.test.js
+const { getFieldChanges, isUpdateNeeded } = require("../src/batch/compare");
+
+describe("compare.js - getFieldChanges", () => {
+  const currentData = {
+    id: 123,
+    sku: "ABC123_Acme",
+    description: "Small widget",
+    meta_data: [
+      { key: "quantity", value: "10" },
+      { key: "voltage", value: "5V" },
+      { key: "datasheet", value: "https://suntsu-products-s3-bucket.s3.amazonaws.com/abc.pdf" },
+    ],
+  };
+
+  afterEach(() => {
+    process.env.UPDATE_MODE = "full";
+  });
+
+  test("returns one entry per changed field with current and new values", () => {
+    process.env.UPDATE_MODE = "full";
+
+    const newData = {
+      id: 123,
+      part_number: "ABC123",
+      sku: "ABC123_Acme",
+      description: "Small widget v2",
+      meta_data: [
+        { key: "quantity", value: "25" },
+        { key: "voltage", value: "5V" },
+        { key: "series", value: "W-100" },
+      ],
+    };
+
+    expect(getFieldChanges(currentData, newData)).toEqual([
+      { field: "description", currentValue: "Small widget", newValue: "Small widget v2" },
+      { field: "meta_data.quantity", currentValue: "10", newValue: "25" },
+      { field: "meta_data.series", currentValue: "", newValue: "W-100" },
+    ]);
+    expect(isUpdateNeeded(currentData, newData, 0, 1, "ABC123", "test.csv")).toBe(true);
+  });
+
+  test("applies the datasheet skip rules (no change reported)", () => {
+    process.env.UPDATE_MODE = "full";
+
+    const newData = {
+      id: 123,
+      sku: "ABC123_Acme",
+      description: "Small widget",
+      meta_data: [
+        { key: "datasheet", value: "https://vendor.example.com/abc.pdf" },
+        { key: "datasheet_url", value: "https://www.digikey.com/abc.pdf" },
+      ],
+    };
+
+    expect(getFieldChanges(currentData, newData)).toEqual([]);
+    expect(isUpdateNeeded(currentData, newData, 0, 1, "ABC123", "test.csv")).toBe(false);
+  });
+
+  test("compares prices numerically", () => {
+    process.env.UPDATE_MODE = "full";
+
+    const current = { ...currentData, regular_price: "12.50", sale_price: "" };
+
+    expect(getFieldChanges(current, { id: 123, regular_price: "12.5" })).toEqual([]);
+    expect(getFieldChanges(current, { id: 123, regular_price: "11.9", sale_price: "" })).toEqual([
+      { field: "regular_price", currentValue: "12.50", newValue: "11.9" },
+    ]);
+  });
+
+  test("UPDATE_MODE=quantity only reports the quantity meta", () => {
+    process.env.UPDATE_MODE = "quantity";
+
+    const newData = {
+      id: 123,
+      manufacturer: "Acme",
+      meta_data: [{ key: "quantity", value: "0" }],
+    };
+
+    expect(getFieldChanges(currentData, newData)).toEqual([
+      { field: "meta_data.quantity", currentValue: "10", newValue: "0" },
+    ]);
+  });
+
+  test("UPDATE_MODE=quantity also reports native stock fields when sent", () => {
+    process.env.UPDATE_MODE = "quantity";
+
+    const current = { ...currentData, manage_stock: false, stock_quantity: null, stock_status: "instock" };
+    const newData = {
+      id: 123,
+      manage_stock: true,
+      stock_quantity: 10,
+      backorders: "no",
+      stock_status: "instock",
+      meta_data: [{ key: "quantity", value: "10" }],
+    };
+
+    expect(getFieldChanges(current, newData)).toEqual([
+      { field: "manage_stock", currentValue: false, newValue: true },
+      { field: "stock_quantity", currentValue: "", newValue: 10 },
+      { field: "backorders", currentValue: "", newValue: "no" },
+    ]);
+  });
+
+  test("a file's own updateMode wins over UPDATE_MODE", () => {
+    process.env.UPDATE_MODE = "full";
+
+    const newData = {
+      id: 123,
+      manufacturer: "Acme",
+      meta_data: [{ key: "quantity", value: "0" }],
+    };
+
+    expect(getFieldChanges(currentData, newData, "quantity")).toEqual([
+      { field: "meta_data.quantity", currentValue: "10", newValue: "0" },
+    ]);
+  });
+});
@@ -0,0 +1,88 @@
+// __tests__/csv-mapping-store.test.js
+const {
+  validateColumnMapping,
+  resolveIdentityColumns,
+  headerFingerprint,
+  applyTemplateToHeaders,
+} = require("../csv-mapping-store");
+
+describe("csv-mapping-store.js - column mapping profiles", () => {
+  test("accepts known targets, custom meta keys and ignore", () => {
+    expect(
+      validateColumnMapping({
+        "Manufacturer Part Number*": "part_number",
+        "Unit Price (USD)": "regular_price",
+        "Lens Color": "meta:lens_color",
+        "Internal Notes": "ignore",
+      })
+    ).toEqual([]);
+    expect(validateColumnMapping(undefined)).toEqual([]);
+  });
+
+  test("rejects unknown targets, empty meta keys and duplicate targets", () => {
+    expect(
+      validateColumnMapping({
+        "A": "not_a_field",
+        "B": "meta:",
+        "Qty": "quantity",
+        "Stock": "quantity",
+      })
+    ).toEqual([
+      'Column "A": unknown target "not_a_field"',
+      'Column "B": custom meta target needs a key (e.g. "meta:lens_color")',
+      'Columns "Qty" and "Stock" both map to "quantity"',
+    ]);
+  });
+
+  test("resolveIdentityColumns prefers legacy keys, then the column profile", () => {
+    expect(
+      resolveIdentityColumns({
+        partNumber: "MPN",
+        columns: { "Part #": "part_number", "Brand": "manufacturer" },
+      })
+    ).toEqual({ partNumber: "MPN", category: undefined, manufacturer: "Brand" });
+    expect(resolveIdentityColumns(null)).toEqual({});
+  });
+});
+
+describe("csv-mapping-store.js - vendor templates", () => {
+  test("headerFingerprint ignores case, spacing, BOM and punctuation", () => {
+    expect(headerFingerprint(["\uFEFFManufacturer Part Number*", "Mfr", "Datasheet URL*"])).toEqual(
+      headerFingerprint(["datasheet url", "MFR", "Manufacturer Part Number"])
+    );
+  });
+
+  test("applyTemplateToHeaders re-keys the mapping onto the new file's headers", () => {
+    const template = {
+      name: "LedTech",
+      mapping: {
+        partNumber: "\uFEFFManufacturer Part Number*",
+        manufacturer: "Mfr",
+        category: "Category",
+        columns: {
+          "\uFEFFManufacturer Part Number*": "part_number",
+          "Mfr": "manufacturer",
+          "Lens Color": "meta:lens_color",
+          "Old Column": "ignore",
+        },
+      },
+    };
+
+    const mapping = applyTemplateToHeaders(template, [
+      "Manufacturer Part Number",
+      "MFR",
+      "Lens color",
+      "New Column",
+    ]);
+
+    expect(mapping).toEqual({
+      partNumber: "Manufacturer Part Number",
+      manufacturer: "MFR",
+      columns: {
+        "Manufacturer Part Number": "part_number",
+        "MFR": "manufacturer",
+        "Lens color": "meta:lens_color",
+      },
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// __tests__/dead-letter.test.js
+
+// In-memory dead-letter queue + Redis counters, mocked BEFORE requiring dead-letter.js
+const mockJobs = new Map();
+const mockJob = (id, name, data) => ({
+  id,
+  name,
+  data,
+  updateData: async (next) => {
+    mockJobs.get(id).data = next;
+  },
+  remove: async () => {
+    mockJobs.delete(id);
+  },
+});
+
+jest.mock("../queue", () => ({
+  deadLetterQueue: {
+    add: async (name, data, { jobId }) => {
+      mockJobs.set(jobId, mockJob(jobId, name, data));
+      return mockJobs.get(jobId);
+    },
+    getJob: async (id) => mockJobs.get(id),
+    getJobs: async () => [...mockJobs.values()],
+  },
+  appRedis: { incrBy: jest.fn(), decrBy: jest.fn(), sAdd: jest.fn(), sRem: jest.fn() },
+}));
+jest.mock("../job-manager", () => ({
+  addBatchJob: jest.fn(async (data, jobId) => ({ id: jobId, data })),
+}));
+
+const { appRedis } = require("../queue");
+const { addBatchJob } = require("../job-manager");
+const {
+  moveToDeadLetter,
+  listDeadLetters,
+  updateDeadLetterRows,
+  replayDeadLetter,
+} = require("../dead-letter");
+
+const rows = [
+  { part_number: "ABC-1", manufacturer: "Acme", quantity: "5" },
+  { part_number: "XYZ-2", manufacturer: "Acme", quantity: "oops" },
+  { part_number: "QRS-3", manufacturer: "Acme", quantity: "7" },
+];
+
+const failedJob = (attemptsMade) => ({
+  id: "job_stock.csv_40",
+  attemptsMade,
+  opts: { attempts: 5 },
+  data: { batch: rows, fileKey: "stock.csv", totalProductsInFile: 100, batchSize: 20, startIndex: 40 },
+});
+
+describe("dead-letter.js - jobs that exhausted their retries", () => {
+  beforeEach(() => {
+    mockJobs.clear();
+    jest.clearAllMocks();
+  });
+
+  test("only the last failed attempt is dead-lettered, and its rows count as failed", async () => {
+    await expect(moveToDeadLetter(failedJob(3), new Error("504"))).resolves.toBeNull();
+    expect(mockJobs.size).toBe(0);
+
+    const entry = await moveToDeadLetter(failedJob(5), new Error("Woo is down"));
+
+    expect(entry).toMatchObject({ id: "dlq_job_stock.csv_40", attemptsMade: 5, error: { message: "Woo is down" } });
+    expect(appRedis.incrBy).toHaveBeenCalledWith("failed-products:stock.csv", 3);
+    expect(appRedis.sAdd).toHaveBeenCalledWith("failed-rows:stock.csv", ["abc-1|acme", "xyz-2|acme", "qrs-3|acme"]);
+
+    // A second "failed" event for the same job is ignored
+    await expect(moveToDeadLetter(failedJob(5), new Error("again"))).resolves.toBeNull();
+    expect(await listDeadLetters()).toEqual([
+      expect.objectContaining({ id: "dlq_job_stock.csv_40", fileKey: "stock.csv", rows: 3, pendingRows: 3 }),
+    ]);
+  });
+
+  test("edited rows are replayed one job per row, keeping their row numbers", async () => {
+    await moveToDeadLetter(failedJob(5), new Error("bad quantity"));
+    const fixed = rows.map((row, i) => (i === 1 ? { ...row, quantity: "6" } : row));
+    await updateDeadLetterRows("dlq_job_stock.csv_40", fixed);
+
+    const result = await replayDeadLetter("dlq_job_stock.csv_40", { rows: [1] });
+
+    expect(result).toMatchObject({ replayed: [1], remaining: 2 });
+    expect(addBatchJob).toHaveBeenCalledTimes(1);
+    expect(addBatchJob.mock.calls[0][0]).toMatchObject({ batch: [fixed[1]], startIndex: 41, fileKey: "stock.csv" });
+    expect(appRedis.decrBy).toHaveBeenCalledWith("failed-products:stock.csv", 1);
+    expect(appRedis.sRem).toHaveBeenCalledWith("failed-rows:stock.csv", ["xyz-2|acme"]);
+
+    // Already replayed rows can't be replayed twice
+    await expect(replayDeadLetter("dlq_job_stock.csv_40", { rows: [1] })).rejects.toThrow("not pending");
+  });
+
+  test("rows carrying their own file index keep it through edits and replays", async () => {
+    // Row 41 was rejected at ingestion - the job's rows are 40, 42, 43
+    const indexed = rows.map((row, i) => ({ ...row, __rowIndex: [40, 42, 43][i] }));
+    await moveToDeadLetter({ ...failedJob(5), data: { ...failedJob(5).data, batch: indexed } }, new Error("timeout"));
+    expect(await listDeadLetters()).toEqual([expect.objectContaining({ startIndex: 40, endIndex: 44 })]);
+
+    // The UI may drop the index while editing - it is put back
+    const { __rowIndex: _index, ...edited } = { ...indexed[2], quantity: "8" };
+    await updateDeadLetterRows("dlq_job_stock.csv_40", [indexed[0], indexed[1], edited]);
+    await replayDeadLetter("dlq_job_stock.csv_40", { rows: [2] });
+
+    expect(addBatchJob.mock.calls[0][0]).toMatchObject({ batch: [{ ...edited, __rowIndex: 43 }], startIndex: 43 });
+  });
+
+  test("replaying a whole entry enqueues one job and removes the entry", async () => {
+    await moveToDeadLetter(failedJob(5), new Error("timeout"));
+
+    const result = await replayDeadLetter("dlq_job_stock.csv_40");
+
+    expect(result).toMatchObject({ replayed: [0, 1, 2], remaining: 0 });
+    expect(addBatchJob).toHaveBeenCalledTimes(1);
+    expect(addBatchJob.mock.calls[0][0]).toMatchObject({ batch: rows, startIndex: 40 });
+    expect(mockJobs.size).toBe(0);
+  });
+
+  test("a row edit can't change the number of rows", async () => {
+    await moveToDeadLetter(failedJob(5), new Error("timeout"));
+
+    await expect(updateDeadLetterRows("dlq_job_stock.csv_40", rows.slice(1))).rejects.toThrow("Expected 3 rows");
+    await expect(updateDeadLetterRows("dlq_missing", rows)).rejects.toThrow("not found");
+  });
+});
@@ -0,0 +1,192 @@
+// __tests__/discontinued.test.js
+
+// Mock everything that talks to Woo or writes files BEFORE requiring the module
+jest.mock("../woo-helpers", () => ({
+  wooApi: { get: jest.fn(), put: jest.fn() },
+}));
+jest.mock("../job-manager", () => ({
+  scheduleApiRequest: (task) => task(),
+}));
+jest.mock("../csv-mapping-store", () => ({
+  setFileDiscontinued: jest.fn(),
+  isDryRunFile: jest.requireActual("../csv-mapping-store").isDryRunFile,
+}));
+jest.mock("../src/batch/change-history", () => ({
+  recordChangeHistory: jest.fn(),
+}));
+jest.mock("../src/batch/row-hashes", () => ({
+  loadRowHashes: jest.fn(),
+}));
+
+const fs = require("fs");
+const path = require("path");
+const { wooApi } = require("../woo-helpers");
+const { setFileDiscontinued } = require("../csv-mapping-store");
+const { recordChangeHistory } = require("../src/batch/change-history");
+const { loadRowHashes } = require("../src/batch/row-hashes");
+const {
+  getDiscontinuedPolicy,
+  getDiscontinuedReportPath,
+  findDiscontinuedProducts,
+  buildDiscontinuedUpdate,
+  reconcileDiscontinuedProducts,
+} = require("../src/batch/discontinued");
+
+const FILE_KEY = "__discontinued-test__/stock.csv";
+
+const product = (id, partNumber, manufacturer, extra = {}) => ({
+  id,
+  sku: `${partNumber}_${manufacturer}`,
+  status: "publish",
+  meta_data: [
+    { key: "part_number", value: partNumber },
+    { key: "manufacturer", value: manufacturer },
+    { key: "quantity", value: "25" },
+  ],
+  ...extra,
+});
+
+describe("discontinued.js - products missing from a vendor feed", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    delete process.env.DISCONTINUED_POLICY;
+    delete process.env.DISCONTINUED_MAX_SHARE;
+    delete process.env.STOCK_MODE;
+    delete process.env.DRY_RUN;
+  });
+
+  afterAll(() => {
+    // batch_status/__discontinued-test__/stock/discontinued_products.csv
+    const testDir = path.dirname(path.dirname(getDiscontinuedReportPath(FILE_KEY)));
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test("policy comes from the entry, then DISCONTINUED_POLICY, default off", () => {
+    expect(getDiscontinuedPolicy({})).toBe("off");
+    process.env.DISCONTINUED_POLICY = "draft";
+    expect(getDiscontinuedPolicy({})).toBe("draft");
+    expect(getDiscontinuedPolicy({ discontinuedPolicy: "Obsolete" })).toBe("obsolete");
+    expect(getDiscontinuedPolicy({ discontinuedPolicy: "delete" })).toBe("report");
+  });
+
+  test("only products of the file's manufacturers that the file lacks are missing", () => {
+    const { missing, totals } = findDiscontinuedProducts(
+      [product(1, "ABC-1", "Acme"), product(2, "OLD-9", "ACME"), product(3, "ZZZ-1", "Other")],
+      { seenKeys: new Set(["abc-1|acme"]), manufacturers: new Set(["acme"]) }
+    );
+
+    expect(missing.map((p) => p.id)).toEqual([2]);
+    expect(totals.get("acme")).toBe(2);
+  });
+
+  test("each policy builds its update, and nothing for products already in that state", () => {
+    expect(buildDiscontinuedUpdate(product(1, "A", "Acme"), "draft")).toEqual({ id: 1, status: "draft" });
+    expect(buildDiscontinuedUpdate(product(1, "A", "Acme", { status: "draft" }), "draft")).toBeNull();
+    expect(buildDiscontinuedUpdate(product(1, "A", "Acme"), "obsolete")).toEqual({
+      id: 1,
+      meta_data: [{ key: "product_status", value: "Obsolete" }],
+    });
+
+    process.env.STOCK_MODE = "native";
+    expect(buildDiscontinuedUpdate(product(1, "A", "Acme"), "zero_quantity")).toEqual({
+      id: 1,
+      manage_stock: true,
+      stock_quantity: 0,
+      backorders: "no",
+      stock_status: "outofstock",
+      meta_data: [{ key: "quantity", value: "0" }],
+    });
+  });
+
+  test("reconciliation scans every page, applies the policy and records rollback snapshots", async () => {
+    process.env.DISCONTINUED_POLICY = "draft";
+    process.env.DISCONTINUED_MAX_SHARE = "0.5";
+    loadRowHashes.mockReturnValue({
+      rows: {
+        "abc-1|acme": { hash: "h", part_number: "ABC-1", manufacturer: "Acme" },
+        "xyz-2|acme": { hash: "h", part_number: "XYZ-2", manufacturer: "Acme" },
+      },
+      rejectedKeys: ["bad-3|acme"],
+    });
+    wooApi.get
+      .mockResolvedValueOnce({
+        data: [product(1, "ABC-1", "Acme"), product(2, "XYZ-2", "Acme")],
+        headers: { "x-wp-totalpages": "2" },
+      })
+      .mockResolvedValueOnce({
+        data: [product(3, "BAD-3", "Acme"), product(4, "OLD-4", "Acme")],
+        headers: { "x-wp-totalpages": "2" },
+      });
+    wooApi.put.mockResolvedValue({ data: { update: [{ id: 4 }] } });
+
+    const summary = await reconcileDiscontinuedProducts({ fileKey: FILE_KEY });
+
+    expect(wooApi.get).toHaveBeenCalledTimes(2);
+    expect(wooApi.put).toHaveBeenCalledWith("products/batch", { update: [{ id: 4, status: "draft" }] });
+    expect(recordChangeHistory).toHaveBeenCalledWith(FILE_KEY, [
+      { row: null, partNumber: "OLD-4", snapshot: { id: 4, status: "publish", meta_data: [] } },
+    ]);
+    expect(summary).toMatchObject({ policy: "draft", missingProducts: 1, updatedProducts: 1, heldManufacturers: [] });
+    expect(setFileDiscontinued).toHaveBeenCalledWith(FILE_KEY, summary);
+    expect(fs.readFileSync(summary.reportPath, "utf-8")).toContain("OLD-4");
+  });
+
+  test("items Woo rejects inside a 200 response are reported as failed, not updated", async () => {
+    process.env.DISCONTINUED_POLICY = "draft";
+    process.env.DISCONTINUED_MAX_SHARE = "1";
+    loadRowHashes.mockReturnValue({
+      rows: { "abc-1|acme": { hash: "h", part_number: "ABC-1", manufacturer: "Acme" } },
+    });
+    wooApi.get.mockResolvedValueOnce({
+      data: [product(1, "ABC-1", "Acme"), product(2, "OLD-2", "Acme"), product(3, "OLD-3", "Acme")],
+      headers: {},
+    });
+    wooApi.put.mockResolvedValue({
+      data: { update: [{ id: 2 }, { id: 3, error: { code: "woocommerce_rest_invalid_id", message: "Invalid ID." } }] },
+    });
+
+    const summary = await reconcileDiscontinuedProducts({ fileKey: FILE_KEY });
+
+    expect(summary).toMatchObject({ missingProducts: 2, updatedProducts: 1 });
+    const report = fs.readFileSync(summary.reportPath, "utf-8");
+    expect(report).toContain('"OLD-2","Acme","publish","updated"');
+    expect(report).toContain('"OLD-3","Acme","publish","failed: woocommerce_rest_invalid_id: Invalid ID."');
+  });
+
+  test("a manufacturer missing too much of its catalog is only reported", async () => {
+    process.env.DISCONTINUED_POLICY = "zero_quantity";
+    loadRowHashes.mockReturnValue({
+      rows: { "abc-1|acme": { hash: "h", part_number: "ABC-1", manufacturer: "Acme" } },
+    });
+    wooApi.get.mockResolvedValueOnce({
+      data: [product(1, "ABC-1", "Acme"), product(2, "B", "Acme"), product(3, "C", "Acme")],
+      headers: {},
+    });
+
+    const summary = await reconcileDiscontinuedProducts({ fileKey: FILE_KEY });
+
+    expect(wooApi.put).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ missingProducts: 2, updatedProducts: 0, heldManufacturers: ["acme"] });
+  });
+
+  test("DRY_RUN=true only reports, even without a dryRun flag on the entry", async () => {
+    process.env.DISCONTINUED_POLICY = "draft";
+    process.env.DISCONTINUED_MAX_SHARE = "1";
+    process.env.DRY_RUN = "true";
+    loadRowHashes.mockReturnValue({
+      rows: { "abc-1|acme": { hash: "h", part_number: "ABC-1", manufacturer: "Acme" } },
+    });
+    wooApi.get.mockResolvedValueOnce({
+      data: [product(1, "ABC-1", "Acme"), product(2, "OLD-2", "Acme")],
+      headers: {},
+    });
+
+    const summary = await reconcileDiscontinuedProducts({ fileKey: FILE_KEY });
+
+    expect(wooApi.put).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ policy: "report", missingProducts: 1, updatedProducts: 0 });
+  });
+});
@@ -0,0 +1,78 @@
+// __tests__/encoding.test.js
+const { Readable } = require("stream");
+const iconv = require("iconv-lite");
+
+const { detectEncoding, decodeStream } = require("../src/formats/encoding");
+const { detectFormat, readAllRows, readLayout } = require("../src/formats");
+
+const BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+const CSV = "Manufacturer Part Number*,Operating Temperature,Capacitance\nABC-1,-40°C ~ 85°C,10µF\n";
+const EXPECTED_ROWS = [
+  { "Manufacturer Part Number*": "ABC-1", "Operating Temperature": "-40°C ~ 85°C", Capacitance: "10µF" },
+];
+
+const collect = async (iterable) => {
+  let text = "";
+  for await (const chunk of iterable) text += chunk;
+  return text;
+};
+
+describe("src/formats/encoding - BOMs and legacy encodings", () => {
+  beforeEach(() => {
+    process.env.CSV_HEADER_ROW = "1";
+  });
+
+  afterEach(() => {
+    delete process.env.CSV_HEADER_ROW;
+    delete process.env.CSV_FALLBACK_ENCODING;
+  });
+
+  test("detects BOMs, UTF-16 without a BOM and falls back for non-UTF-8 bytes", () => {
+    expect(detectEncoding(Buffer.concat([BOM, Buffer.from("a,b")]))).toEqual({ encoding: "utf-8", bom: true });
+    expect(detectEncoding(Buffer.from("\uFEFFa,b", "utf16le"))).toEqual({ encoding: "utf-16le", bom: true });
+    expect(detectEncoding(Buffer.from("a,b\n1,2", "utf16le"))).toEqual({ encoding: "utf-16le", bom: false });
+    expect(detectEncoding(Buffer.from("25°C", "utf8"))).toEqual({ encoding: "utf-8", bom: false });
+    expect(detectEncoding(Buffer.from("25°C", "latin1"))).toEqual({ encoding: "windows-1252", bom: false });
+
+    process.env.CSV_FALLBACK_ENCODING = "iso-8859-2";
+    expect(detectEncoding(Buffer.from("25°C", "latin1")).encoding).toBe("iso-8859-2");
+  });
+
+  test("a UTF-8 BOM never reaches header names or rows", async () => {
+    const content = Buffer.concat([BOM, Buffer.from(CSV)]);
+
+    await expect(readLayout(content, { type: "csv" })).resolves.toEqual({
+      headers: ["Manufacturer Part Number*", "Operating Temperature", "Capacitance"],
+    });
+    await expect(readAllRows(content, { type: "csv" })).resolves.toEqual(EXPECTED_ROWS);
+  });
+
+  test("Windows-1252 and UTF-16 files are transcoded to UTF-8", async () => {
+    const cp1252 = iconv.encode(CSV, "windows-1252");
+    const utf16 = iconv.encode(CSV, "utf-16le", { addBOM: true });
+
+    // Detected...
+    await expect(readAllRows(cp1252, { type: "csv" })).resolves.toEqual(EXPECTED_ROWS);
+    await expect(readAllRows(utf16, { type: "csv" })).resolves.toEqual(EXPECTED_ROWS);
+    // ...or pinned on the entry
+    await expect(readAllRows(cp1252, { type: "csv", encoding: "windows-1252" })).resolves.toEqual(EXPECTED_ROWS);
+  });
+
+  test("detectFormat records the encoding next to the delimiter", () => {
+    const semicolon = iconv.encode(CSV.replace(/,/g, ";"), "windows-1252");
+
+    expect(detectFormat("eu.csv", semicolon)).toEqual({ type: "csv", delimiter: ";", encoding: "windows-1252" });
+    expect(detectFormat("stock.csv", Buffer.concat([BOM, Buffer.from(CSV)]))).toEqual({ type: "csv", encoding: "utf-8" });
+    expect(detectFormat("stock.tsv", Buffer.from("a\tb\n"))).toEqual({ type: "tsv", encoding: "utf-8" });
+  });
+
+  test("decodeStream reassembles characters split across chunks and reports the encoding once", async () => {
+    const bytes = Buffer.concat([BOM, Buffer.from(CSV)]);
+    const chunks = Array.from(bytes, (byte) => Buffer.from([byte])); // one byte per chunk
+    const onDetect = jest.fn();
+
+    await expect(collect(decodeStream(Readable.from(chunks), { onDetect }))).resolves.toBe(CSV);
+    expect(onDetect).toHaveBeenCalledTimes(1);
+    expect(onDetect).toHaveBeenCalledWith({ encoding: "utf-8", bom: true });
+  });
+});
@@ -0,0 +1,69 @@
+// __tests__/field-schema.test.js
+const {
+  FIELD_SCHEMA,
+  FIELD_ALIASES,
+  TRACKED_META_KEYS,
+  MAPPING_TARGETS,
+  normalizeFieldKey,
+  resolveFieldKey,
+  canonicalizeRow,
+  validateFieldValue,
+} = require("../src/batch/field-schema");
+
+describe("field-schema.js - shared field definitions", () => {
+  test("normalizeFieldKey collapses punctuation the same way for every flow", () => {
+    expect(normalizeFieldKey("Manufacturer Part Number*")).toBe("manufacturer_part_number");
+    expect(normalizeFieldKey("Voltage - Input (Max)")).toBe("voltage_input_max");
+    expect(normalizeFieldKey(" Package / Case ")).toBe("package_case");
+    expect(normalizeFieldKey("Price @ 10")).toBe("price_10");
+  });
+
+  test("resolveFieldKey maps vendor headers to canonical keys", () => {
+    expect(resolveFieldKey("MPN")).toBe("part_number");
+    expect(resolveFieldKey("Brand")).toBe("manufacturer");
+    expect(resolveFieldKey("Qty")).toBe("quantity");
+    expect(resolveFieldKey("Datasheet URL*")).toBe("datasheet");
+    expect(resolveFieldKey("Lead Time")).toBe("manufacturer_lead_weeks");
+    expect(resolveFieldKey("Lens Color")).toBe("lens_color");
+  });
+
+  test("no alias is claimed by two fields", () => {
+    const seen = {};
+    FIELD_SCHEMA.forEach((field) => {
+      [field.key, ...field.aliases].forEach((alias) => {
+        expect(seen[alias]).toBeUndefined();
+        seen[alias] = field.key;
+      });
+    });
+    expect(Object.keys(FIELD_ALIASES)).toHaveLength(Object.keys(seen).length);
+  });
+
+  test("canonicalizeRow keeps the non-empty value when columns collide", () => {
+    expect(canonicalizeRow({ "Stock Quantity": "25", "Qty": "" })).toEqual({ quantity: "25" });
+  });
+
+  test("derived lists come from the schema", () => {
+    expect(TRACKED_META_KEYS).toEqual(expect.arrayContaining(["quantity", "datasheet_url", "price_breaks"]));
+    expect(TRACKED_META_KEYS).not.toContain("packaging");
+
+    const values = MAPPING_TARGETS.map((t) => t.value);
+    expect(values).toEqual(expect.arrayContaining(["part_number", "regular_price", "voltage"]));
+    expect(values).not.toContain("price_breaks");
+  });
+
+  test("validateFieldValue checks types and required fields", () => {
+    expect(validateFieldValue("part_number", "")).toBe("Part Number is required");
+    expect(validateFieldValue("quantity", "2,500")).toBeNull();
+    expect(validateFieldValue("quantity", "12.00")).toBeNull();
+    expect(validateFieldValue("quantity", "5.0")).toBeNull();
+    expect(validateFieldValue("quantity", "1000+")).toBeNull();
+    expect(validateFieldValue("quantity", ">500")).toBeNull();
+    expect(validateFieldValue("quantity", "> 500")).toBeNull();
+    expect(validateFieldValue("quantity", "3.5")).toBe('Quantity: "3.5" is not a whole number');
+    expect(validateFieldValue("quantity", "12a")).toBe('Quantity: "12a" is not a whole number');
+    expect(validateFieldValue("regular_price", "$1.20")).toBeNull();
+    expect(validateFieldValue("regular_price", "call")).toBe('Regular Price: "call" is not a valid price');
+    expect(validateFieldValue("datasheet", "www.example.com/a.pdf")).toMatch(/is not a URL/);
+    expect(validateFieldValue("lens_color", "anything")).toBeNull();
+  });
+});
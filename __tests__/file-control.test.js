@@ -0,0 +1,112 @@
+// __tests__/file-control.test.js
+
+// In-memory queue jobs, Redis and csv-mappings.json, mocked BEFORE requiring file-control.js
+const mockJobs = [];
+const mockRedis = new Map();
+const mockFiles = [];
+
+const mockJob = (id, fileKey, state) => ({
+  id,
+  state,
+  data: { fileKey },
+  promote: jest.fn(async () => {}),
+  remove: jest.fn(async () => {
+    mockJobs.splice(mockJobs.findIndex((job) => job.id === id), 1);
+  }),
+});
+
+jest.mock("../queue", () => ({
+  getBatchJobs: async (states) => mockJobs.filter((job) => states.includes(job.state)),
+  appRedis: {
+    get: async (key) => mockRedis.get(key) ?? null,
+    set: async (key, value) => mockRedis.set(key, value),
+    del: async (keys) => [].concat(keys).forEach((key) => mockRedis.delete(key)),
+  },
+}));
+jest.mock("../csv-mapping-store", () => ({
+  loadMappings: () => ({ files: mockFiles }),
+  setFileStatus: (fileKey, status, extra = {}) => {
+    const file = mockFiles.find((f) => f.fileKey === fileKey);
+    file.status = status;
+    Object.entries(extra).forEach(([key, value]) => {
+      if (value === undefined) delete file[key];
+      else file[key] = value;
+    });
+    return file;
+  },
+}));
+jest.mock("../checkpoint", () => ({
+  clearCheckpoint: jest.fn(async () => {}),
+  getLastProcessedRow: jest.fn(() => 40),
+}));
+
+const { clearCheckpoint } = require("../checkpoint");
+const {
+  FILE_CONTROL,
+  getFileControl,
+  clearCancelledControl,
+  pauseFile,
+  resumeFile,
+  cancelFile,
+} = require("../file-control");
+
+describe("file-control.js - per-file pause / resume / cancel", () => {
+  beforeEach(() => {
+    mockJobs.length = 0;
+    mockRedis.clear();
+    mockFiles.length = 0;
+    mockFiles.push({ fileKey: "stock.csv", status: "ready" }, { fileKey: "other.csv", status: "ready" });
+    jest.clearAllMocks();
+  });
+
+  test("pause only holds the paused file, resume releases its parked jobs", async () => {
+    mockJobs.push(mockJob("a1", "stock.csv", "waiting"), mockJob("b1", "other.csv", "waiting"));
+
+    await expect(pauseFile("stock.csv")).resolves.toMatchObject({ status: "paused", pendingJobs: 1 });
+    expect(await getFileControl("stock.csv")).toBe(FILE_CONTROL.PAUSED);
+    expect(await getFileControl("other.csv")).toBeNull();
+    expect(mockFiles[0]).toMatchObject({ status: "paused", pausedFrom: "ready" });
+
+    // The worker parked the file's job
+    mockJobs[0].state = "delayed";
+    const result = await resumeFile("stock.csv");
+
+    expect(result).toMatchObject({ status: "ready", resumedJobs: 1, checkpoint: 40 });
+    expect(mockJobs[0].promote).toHaveBeenCalled();
+    expect(await getFileControl("stock.csv")).toBeNull();
+    expect(mockFiles[0]).toEqual({ fileKey: "stock.csv", status: "ready" });
+  });
+
+  test("cancel removes the file's jobs, counters and checkpoint", async () => {
+    mockJobs.push(
+      mockJob("a1", "stock.csv", "waiting"),
+      mockJob("a2", "stock.csv", "completed"),
+      mockJob("a3", "stock.csv", "active"),
+      mockJob("b1", "other.csv", "waiting")
+    );
+    mockRedis.set("updated-products:stock.csv", "12");
+    mockRedis.set("total-rows:stock.csv", "100");
+    mockRedis.set("updated-products:other.csv", "3");
+
+    const result = await cancelFile("stock.csv");
+
+    expect(result).toMatchObject({ status: "cancelled", removedJobs: 2, runningJobs: 1 });
+    expect(mockJobs.map((job) => job.id)).toEqual(["a3", "b1"]);
+    expect(mockRedis.has("updated-products:stock.csv")).toBe(false);
+    expect(mockRedis.has("total-rows:stock.csv")).toBe(false);
+    expect(mockRedis.get("updated-products:other.csv")).toBe("3");
+    expect(clearCheckpoint).toHaveBeenCalledWith("stock.csv");
+
+    // A new run of the file clears the cancel marker
+    await clearCancelledControl("stock.csv");
+    expect(await getFileControl("stock.csv")).toBeNull();
+  });
+
+  test("invalid transitions are refused", async () => {
+    await expect(resumeFile("stock.csv")).rejects.toThrow("is not paused");
+    await expect(pauseFile("missing.csv")).rejects.toThrow("File not found");
+
+    mockFiles[0].status = "completed";
+    await expect(pauseFile("stock.csv")).rejects.toThrow("Cannot pause a completed file");
+  });
+});
@@ -0,0 +1,76 @@
+// __tests__/formats.test.js
+const ExcelJS = require("exceljs");
+
+const {
+  detectFormat,
+  resolveFormatConfig,
+  readAllRows,
+  readLayout,
+} = require("../src/formats");
+
+const EXPECTED_ROWS = [
+  { "Part Number": "ABC-1", Manufacturer: "Acme", Qty: "5" },
+  { "Part Number": "XYZ-2", Manufacturer: "Acme", Qty: "2" },
+];
+
+const buildWorkbook = async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet("Notes").addRow(["Exported by vendor portal"]);
+  const stock = workbook.addWorksheet("Stock");
+  stock.addRow(["Part Number", "Manufacturer", "Qty"]);
+  stock.addRow(["ABC-1", "Acme", 5]);
+  stock.addRow(["XYZ-2", "Acme", { formula: "1+1", result: 2 }]);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+describe("src/formats - vendor file formats", () => {
+  beforeEach(() => {
+    process.env.CSV_HEADER_ROW = "1";
+  });
+
+  afterEach(() => {
+    delete process.env.CSV_HEADER_ROW;
+  });
+
+  test("detects xlsx / tsv by extension and semicolons from the header line", () => {
+    expect(detectFormat("vendor/stock.XLSX")).toEqual({ type: "xlsx" });
+    expect(detectFormat("stock.tsv")).toEqual({ type: "tsv" });
+    expect(detectFormat("stock.csv", "Part Number;Manufacturer;Qty\nA;B;1")).toEqual({ type: "csv", delimiter: ";" });
+    expect(detectFormat("stock.csv", "Part Number,Description\n\"A;B\",x")).toEqual({ type: "csv" });
+  });
+
+  test("entries without a format read as their extension says", () => {
+    expect(resolveFormatConfig({ fileKey: "a.csv" })).toEqual({ type: "csv" });
+    expect(resolveFormatConfig({ fileKey: "a.csv", format: "TSV" })).toEqual({ type: "tsv" });
+    expect(() => resolveFormatConfig({ fileKey: "a.csv", format: { type: "ods" } })).toThrow(/Unknown file format "ods"/);
+    expect(() => resolveFormatConfig({ fileKey: "a.csv", format: { type: "csv", delimiter: "|" } })).toThrow(/delimiter/);
+  });
+
+  test("semicolon CSV and TSV parse into the same rows as comma CSV", async () => {
+    const comma = "Part Number,Manufacturer,Qty\nABC-1,Acme,5\nXYZ-2,Acme,2\n";
+
+    await expect(readAllRows(Buffer.from(comma), { type: "csv" })).resolves.toEqual(EXPECTED_ROWS);
+    await expect(readAllRows(Buffer.from(comma.replace(/,/g, ";")), { type: "csv", delimiter: ";" }))
+      .resolves.toEqual(EXPECTED_ROWS);
+    await expect(readAllRows(Buffer.from(comma.replace(/,/g, "\t")), { type: "tsv" }))
+      .resolves.toEqual(EXPECTED_ROWS);
+  });
+
+  test("xlsx rows come from the selected sheet, as text", async () => {
+    const workbook = await buildWorkbook();
+
+    await expect(readAllRows(workbook, { type: "xlsx", sheet: "Stock" })).resolves.toEqual(EXPECTED_ROWS);
+    await expect(readAllRows(workbook, { type: "xlsx", sheet: 2 })).resolves.toEqual(EXPECTED_ROWS);
+    await expect(readLayout(workbook, { type: "xlsx", sheet: "Stock" })).resolves.toEqual({
+      sheets: ["Notes", "Stock"],
+      headers: ["Part Number", "Manufacturer", "Qty"],
+    });
+  });
+
+  test("a missing sheet is an error naming the sheets that exist", async () => {
+    const workbook = await buildWorkbook();
+
+    await expect(readAllRows(workbook, { type: "xlsx", sheet: "Prices" }))
+      .rejects.toThrow(/Sheet "Prices" not found \(sheets: Notes, Stock\)/);
+  });
+});
@@ -0,0 +1,35 @@
+// __tests__/io-status.test.js
+const fs = require("fs");
+const path = require("path");
+
+jest.mock("../queue", () => ({ appRedis: {} }));
+jest.mock("../logger", () => ({ logInfoToFile: jest.fn(), logErrorToFile: jest.fn() }));
+
+const { resetDryRunDiff, recordDryRunDiff } = require("../src/batch/io-status");
+
+// batch_status/ is git-ignored; the test file gets its own folder
+const fileKey = `io-status-test-${process.pid}/stock.csv`;
+const statusDir = path.join(__dirname, "../batch_status", path.dirname(fileKey));
+const readDiff = () =>
+  JSON.parse(fs.readFileSync(path.join(statusDir, "stock", "dry_run_diff.json"), "utf8")).changes;
+
+const change = (row, field, newValue) => ({ row, productId: row, partNumber: `PN-${row}`, field, currentValue: 1, newValue });
+
+describe("io-status.js - dry-run diff report", () => {
+  afterAll(() => fs.rmSync(statusDir, { recursive: true, force: true }));
+
+  test("a fresh pass starts a new report, a retried row replaces its changes", () => {
+    recordDryRunDiff(fileKey, [change(1, "regular_price", 5)]);
+
+    // Second dry run of the same file
+    resetDryRunDiff(fileKey);
+    recordDryRunDiff(fileKey, [change(1, "regular_price", 6), change(2, "regular_price", 7)]);
+    // Job retry of the same batch
+    recordDryRunDiff(fileKey, [change(1, "regular_price", 6), change(2, "regular_price", 7)]);
+
+    expect(readDiff().map(({ row, newValue }) => [row, newValue])).toEqual([
+      [1, 6],
+      [2, 7],
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+// __tests__/job-scheduling.test.js
+
+// Fake lanes + sorted-set Redis, mocked BEFORE requiring job-manager.js / file-control.js
+const mockSlots = new Map();
+
+jest.mock("../queue", () => {
+  const lane = (name) => ({ name, add: jest.fn(async (id, data, opts) => ({ id, data, opts })) });
+  const main = lane("batchQueue");
+  const fast = lane("batchQueue-fast");
+  const zset = (key) => (mockSlots.has(key) ? mockSlots : mockSlots.set(key, new Map())).get(key);
+  const ranked = (key) => [...zset(key).entries()].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+
+  return {
+    batchQueue: main,
+    BATCH_LANES: { main, fast },
+    bullmqConnection: {},
+    getBatchJobs: async () => [],
+    appRedis: {
+      zRemRangeByScore: async (key, _min, max) =>
+        [...zset(key).entries()].filter(([, score]) => score <= max).forEach(([m]) => zset(key).delete(m)),
+      zAdd: async (key, { score, value }) => zset(key).set(value, score),
+      zRank: async (key, member) => (zset(key).has(member) ? ranked(key).indexOf(member) : null),
+      zRem: async (key, member) => zset(key).delete(member),
+    },
+  };
+});
+jest.mock("../logger", () => ({ logInfoToFile: jest.fn(), logErrorToFile: jest.fn() }));
+
+const { BATCH_LANES } = require("../queue");
+const { addBatchJob, JOB_PRIORITIES } = require("../job-manager");
+const { isQuantityOnlyFile } = require("../csv-mapping-store");
+const { acquireFileSlot, releaseFileSlot } = require("../file-control");
+
+const stockFile = {
+  fileKey: "stock.csv",
+  headers: ["Part Number", "Manufacturer", "Qty", "Notes"],
+  mapping: { columns: { "Part Number": "part_number", Manufacturer: "manufacturer", Qty: "quantity", Notes: "ignore" } },
+};
+
+describe("job scheduling - priorities, fast lane and per-file caps", () => {
+  beforeEach(() => {
+    mockSlots.clear();
+    jest.clearAllMocks();
+  });
+
+  test("only files that update nothing but quantity qualify for the fast lane", () => {
+    expect(isQuantityOnlyFile(stockFile)).toBe(true);
+    expect(isQuantityOnlyFile({ ...stockFile, headers: [...stockFile.headers, "Price"] })).toBe(false);
+    expect(
+      isQuantityOnlyFile({
+        ...stockFile,
+        mapping: { columns: { ...stockFile.mapping.columns, Notes: "meta:notes" } },
+      })
+    ).toBe(false);
+    // Identity columns alone don't make a stock update
+    expect(isQuantityOnlyFile({ ...stockFile, headers: ["Part Number", "Manufacturer"] })).toBe(false);
+  });
+
+  test("addBatchJob puts jobs on their lane with the file's priority", async () => {
+    const jobData = { batch: [{ part_number: "A" }], fileKey: "stock.csv", batchSize: 1, startIndex: 0 };
+
+    await addBatchJob({ ...jobData, priority: "high", lane: "fast" }, "job_fast");
+    await addBatchJob(jobData, "job_main");
+
+    expect(BATCH_LANES.fast.add).toHaveBeenCalledWith(
+      "job_fast",
+      expect.objectContaining({ priority: "high", lane: "fast" }),
+      expect.objectContaining({ priority: JOB_PRIORITIES.high })
+    );
+    // No priority still gets one, or BullMQ would run it before every prioritized job
+    expect(BATCH_LANES.main.add).toHaveBeenCalledWith(
+      "job_main",
+      expect.not.objectContaining({ lane: expect.anything() }),
+      expect.objectContaining({ priority: JOB_PRIORITIES.normal })
+    );
+  });
+
+  test("a file can't run more jobs at once than its cap", async () => {
+    await expect(acquireFileSlot("big.csv", "j1", 2)).resolves.toBe(true);
+    await expect(acquireFileSlot("big.csv", "j2", 2)).resolves.toBe(true);
+    await expect(acquireFileSlot("big.csv", "j3", 2)).resolves.toBe(false);
+
+    // Other files have their own slots, and no cap means no tracking
+    await expect(acquireFileSlot("small.csv", "k1", 2)).resolves.toBe(true);
+    await expect(acquireFileSlot("big.csv", "j4", 0)).resolves.toBe(true);
+
+    await releaseFileSlot("big.csv", "j1");
+    await expect(acquireFileSlot("big.csv", "j3", 2)).resolves.toBe(true);
+  });
+});
@@ -61,6 +61,65 @@ describe("map-new-data.js - createNewData", () => {
     expect(meta.additional_key_information).toBeDefined();
   });
 
+  test("maps prices and price breaks with currency normalization", () => {
+    const item = {
+      "Manufacturer Part Number": "ABC123",
+      "Manufacturer": "Acme",
+      "Sale Price": "1.099,00 €",
+      "Price Break 1": "$1,234.50",
+      "Price Break 100": "$1,100.00",
+      "Price @ 10": "$1,200.00",
+    };
+
+    process.env.UPDATE_MODE = "full";
+
+    const payload = createNewData(item, 789, "ABC123");
+    const meta = metaToObject(payload.meta_data);
+
+    // No plain price column -> regular_price comes from the qty-1 break
+    expect(payload.regular_price).toBe("1234.5");
+    expect(payload.sale_price).toBe("1099");
+    expect(JSON.parse(meta.price_breaks)).toEqual([
+      { qty: 1, price: "1234.5" },
+      { qty: 10, price: "1200" },
+      { qty: 100, price: "1100" },
+    ]);
+
+    // Price columns never leak into additional_key_information
+    expect(meta.additional_key_information).not.toMatch(/Price/);
+  });
+
+  test("honors a per-file column mapping profile", () => {
+    const item = {
+      "Manufacturer Part Number": "ABC123",
+      "Mfr": "Acme",
+      "Avail": "77",
+      "Spec Sheet*": "https://vendor.example.com/abc.pdf",
+      "Lens Color": "Red",
+      "Internal Notes": "do not publish",
+      "Voltage": "5V",
+    };
+    const columns = {
+      "Avail": "quantity",
+      "Spec Sheet*": "datasheet",
+      "Lens Color": "meta:lens_color",
+      "Internal Notes": "ignore",
+    };
+
+    process.env.UPDATE_MODE = "full";
+
+    const payload = createNewData(item, 321, "ABC123", { columns });
+    const meta = metaToObject(payload.meta_data);
+
+    expect(meta.quantity).toBe("77");
+    expect(meta.datasheet).toBe("https://vendor.example.com/abc.pdf");
+    expect(meta.lens_color).toBe("Red");
+    // Unmapped columns still go through the built-in aliases
+    expect(meta.voltage).toBe("5V");
+    // Mapped and ignored columns never leak into additional_key_information
+    expect(meta.additional_key_information).not.toMatch(/Lens Color|Internal Notes|Avail/);
+  });
+
   test("UPDATE_MODE=quantity uses row.quantity (stock_quantity / quantity_available)", () => {
     const item = {
       "Manufacturer Part Number": "ABC123",
@@ -77,4 +136,26 @@ describe("map-new-data.js - createNewData", () => {
     expect(meta.quantity).toBe("999");
     expect(payload.part_number).toBe("ABC123");
   });
+
+  test("STOCK_MODE=native adds native stock fields and keeps the quantity meta", () => {
+    const item = {
+      "Manufacturer Part Number": "ABC123",
+      "Stock Quantity": "0",
+      "LeadTime": "12 weeks"
+    };
+
+    process.env.UPDATE_MODE = "quantity";
+    process.env.STOCK_MODE = "native";
+
+    const payload = createNewData(item, 456, "ABC123");
+    delete process.env.STOCK_MODE;
+
+    expect(payload).toMatchObject({
+      manage_stock: true,
+      stock_quantity: 0,
+      backorders: "notify",
+      stock_status: "onbackorder",
+    });
+    expect(metaToObject(payload.meta_data).quantity).toBe("0");
+  });
 });
@@ -0,0 +1,71 @@
+// __tests__/price-utils.test.js
+const {
+  normalizePrice,
+  isAmbiguousPrice,
+  isPriceDifferent,
+  extractPriceBreaks,
+  serializePriceBreaks,
+} = require("../src/batch/price-utils");
+
+describe("price-utils.js - normalizePrice", () => {
+  test.each([
+    ["$1,234.50", "1234.5"],
+    ["1.234,50 €", "1234.5"],
+    ["USD 0.0450", "0.045"],
+    ["0,45", "0.45"],
+    ["1,234,567", "1234567"],
+    ["0,450", "0.45"],
+    ["1 234,50", "1234.5"],
+    ["1.234.567", "1234567"],
+    [12.5, "12.5"],
+  ])("%p → %p", (raw, expected) => {
+    expect(normalizePrice(raw)).toBe(expected);
+  });
+
+  test("returns empty string for non-prices", () => {
+    expect(normalizePrice("N/A")).toBe("");
+    expect(normalizePrice("")).toBe("");
+    expect(normalizePrice(undefined)).toBe("");
+    expect(normalizePrice("-5.00")).toBe("");
+  });
+
+  test("a single separator followed by exactly 3 digits is ambiguous", () => {
+    expect(normalizePrice("1,234")).toBe("");
+    expect(normalizePrice("1.234 €")).toBe("");
+    expect(isAmbiguousPrice("$12,500")).toBe(true);
+    expect(isAmbiguousPrice("12,50")).toBe(false);
+    expect(isAmbiguousPrice("0.045")).toBe(false);
+  });
+
+  test("isPriceDifferent compares numerically", () => {
+    expect(isPriceDifferent("$12.50", "12.5")).toBe(false);
+    expect(isPriceDifferent("12,49", "12.5")).toBe(true);
+    expect(isPriceDifferent("", "")).toBe(false);
+  });
+});
+
+describe("price-utils.js - extractPriceBreaks", () => {
+  test("picks up tier columns in any common naming and sorts by qty", () => {
+    const row = {
+      part_number: "ABC123",
+      price_break_100: "$0.42",
+      price__10: "$0.47", // "Price @ 10" after normalizeCsvHeaders()
+      unit_price_1: "$0.50",
+      price_break_1000: "",
+      regular_price: "$0.50",
+    };
+
+    const { breaks, keys } = extractPriceBreaks(row);
+
+    expect(breaks).toEqual([
+      { qty: 1, price: "0.5" },
+      { qty: 10, price: "0.47" },
+      { qty: 100, price: "0.42" },
+    ]);
+    expect(keys.sort()).toEqual(["price__10", "price_break_100", "price_break_1000", "unit_price_1"]);
+    expect(serializePriceBreaks(breaks)).toBe(
+      '[{"qty":1,"price":"0.5"},{"qty":10,"price":"0.47"},{"qty":100,"price":"0.42"}]'
+    );
+    expect(serializePriceBreaks([])).toBe("");
+  });
+});
@@ -0,0 +1,56 @@
+// __tests__/process-batch.test.js
+
+// Woo, Redis, the product lookup and the report files are mocked BEFORE requiring processBatch
+jest.mock("../queue", () => ({ appRedis: { incrBy: jest.fn(), sAdd: jest.fn() } }));
+jest.mock("../logger", () => ({ logInfoToFile: jest.fn(), logErrorToFile: jest.fn() }));
+jest.mock("../woo-helpers", () => ({ wooApi: { put: jest.fn() } }));
+jest.mock("../job-manager", () => ({ scheduleApiRequest: (task) => task() }));
+jest.mock("../category-map", () => ({ resolveCategory: jest.fn() }));
+jest.mock("../category-woo", () => ({ ensureCategoryHierarchy: jest.fn() }));
+jest.mock("../src/batch/change-history", () => ({
+  recordChangeHistory: jest.fn(),
+  buildRollbackSnapshot: () => null,
+}));
+jest.mock("../src/batch/fetch-validate", () => ({
+  prefetchBatchProducts: async () => new Map(),
+  // Every row resolves to product 7 (e.g. the same part listed twice)
+  fetchProductData: async () => ({
+    productId: 7,
+    currentData: { id: 7, meta_data: [{ key: "quantity", value: "1" }] },
+  }),
+  validateProductMatch: () => true,
+}));
+jest.mock("../src/batch/io-status", () => ({
+  ...jest.requireActual("../src/batch/io-status"),
+  recordBatchStatus: jest.fn(),
+  recordDryRunDiff: jest.fn(),
+  recordUpdateResults: jest.fn(),
+  recordRowOutcomes: jest.fn(),
+}));
+
+const { wooApi } = require("../woo-helpers");
+const { recordRowOutcomes } = require("../src/batch/io-status");
+const { processBatch } = require("../src/batch/process-batch");
+
+describe("process-batch.js - per-row results of the bulk update", () => {
+  test("two rows resolving to the same product each get their own outcome", async () => {
+    wooApi.put.mockResolvedValue({ data: { update: [{ id: 7 }, { id: 7 }] } });
+
+    await processBatch(
+      [
+        { part_number: "ABC-1", manufacturer: "Acme", quantity: "5", __rowIndex: 3 },
+        { part_number: "abc-1", manufacturer: "ACME", quantity: "6", __rowIndex: 5 },
+      ],
+      3,
+      10,
+      "process-batch-test.csv",
+      { updateMode: "quantity", dryRun: false, runId: "run_a" }
+    );
+
+    expect(wooApi.put.mock.calls[0][1].update).toHaveLength(2);
+    expect(recordRowOutcomes.mock.calls[0][1].map(({ row, partNumber, outcome }) => [row, partNumber, outcome])).toEqual([
+      [4, "ABC-1", "updated"],
+      [6, "abc-1", "updated"],
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+// __tests__/product-lookup.test.js
+
+// Mock the Woo client, Redis and the limiter BEFORE requiring woo-helpers
+const mockGet = jest.fn();
+jest.mock("woocommerce-rest-ts-api", () => ({
+  __esModule: true,
+  default: jest.fn().mockImplementation(() => ({ get: mockGet })),
+}));
+jest.mock("../queue", () => ({
+  appRedis: { mGet: jest.fn(), hmGet: jest.fn(), set: jest.fn() },
+}));
+jest.mock("../job-manager", () => ({
+  scheduleApiRequest: (task) => task(),
+  limiter: { on: jest.fn() },
+}));
+
+const { appRedis } = require("../queue");
+const { getProductsByPartNumbers, lookupKey } = require("../woo-helpers");
+
+const product = (id, partNumber, manufacturer) => ({
+  id,
+  sku: `${partNumber}_${manufacturer}`,
+  meta_data: [
+    { key: "part_number", value: partNumber },
+    { key: "manufacturer", value: manufacturer },
+  ],
+});
+
+describe("woo-helpers.js - getProductsByPartNumbers", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    appRedis.mGet.mockResolvedValue([]);
+    appRedis.hmGet.mockResolvedValue([]);
+  });
+
+  test("cached ids are fetched with include=, the rest with one sku= request", async () => {
+    appRedis.mGet.mockResolvedValue(["11", null]);
+    mockGet
+      .mockResolvedValueOnce({ data: [product(11, "ABC-1", "Acme")] })
+      .mockResolvedValueOnce({ data: [product(12, "XYZ-2", "Acme")] });
+
+    const found = await getProductsByPartNumbers(
+      [
+        { partNumber: "ABC-1", manufacturer: "Acme" },
+        { partNumber: "XYZ-2", manufacturer: "Acme", rawManufacturer: "ACME Inc" },
+      ],
+      "stock.csv",
+      0
+    );
+
+    expect(mockGet).toHaveBeenCalledTimes(2);
+    expect(mockGet).toHaveBeenNthCalledWith(1, "products", { include: "11", per_page: 100 });
+    expect(mockGet).toHaveBeenNthCalledWith(2, "products", {
+      sku: "XYZ-2_ACME Inc,XYZ-2_Acme,XYZ-2",
+      per_page: 100,
+    });
+    expect(found.get(lookupKey("ABC-1", "Acme")).id).toBe(11);
+    expect(found.get(lookupKey("xyz-2", " acme ")).id).toBe(12);
+    // Only the newly found id is cached
+    expect(appRedis.set).toHaveBeenCalledTimes(1);
+    expect(appRedis.set).toHaveBeenCalledWith("productId:XYZ-2:acme", 12, { EX: 86400 });
+  });
+
+  test("a product is only matched on its part_number + manufacturer meta", async () => {
+    mockGet.mockResolvedValueOnce({ data: [product(13, "ABC-1", "Other")] });
+
+    const found = await getProductsByPartNumbers(
+      [{ partNumber: "ABC-1", manufacturer: "Acme", sku: "ABC-1_Other" }],
+      "stock.csv",
+      0
+    );
+
+    expect(found.size).toBe(0);
+  });
+
+  test("rows are looked up in chunks, and a failed request leaves its rows unresolved", async () => {
+    const lookups = Array.from({ length: 30 }, (_, i) => ({ partNumber: `P-${i}`, manufacturer: "Acme" }));
+    mockGet
+      .mockRejectedValueOnce(new Error("504 Gateway Timeout"))
+      .mockResolvedValueOnce({ data: [product(99, "P-29", "Acme")] });
+
+    const found = await getProductsByPartNumbers(lookups, "stock.csv", 0);
+
+    expect(mockGet).toHaveBeenCalledTimes(2);
+    expect([...found.keys()]).toEqual([lookupKey("P-29", "Acme")]);
+  });
+});
@@ -0,0 +1,84 @@
+// __tests__/row-hashes.test.js
+const fs = require("fs");
+const path = require("path");
+
+const {
+  isDeltaEnabled,
+  getVendorKey,
+  rowIdentity,
+  hashRow,
+  writeRowHashes,
+  loadVendorBaseline,
+  promoteRowHashes,
+  findDisappearedRows,
+  getVendorBaselinePath,
+} = require("../src/batch/row-hashes");
+
+const TEST_VENDOR = "__row-hashes-test__";
+const BATCH_STATUS_DIR = path.join(__dirname, "../batch_status");
+
+describe("row-hashes.js - delta ingestion", () => {
+  afterEach(() => {
+    delete process.env.DELTA_INGESTION;
+  });
+
+  afterAll(() => {
+    fs.rmSync(path.join(BATCH_STATUS_DIR, TEST_VENDOR), { recursive: true, force: true });
+    fs.rmSync(getVendorBaselinePath(TEST_VENDOR), { force: true });
+    try {
+      fs.rmdirSync(path.dirname(getVendorBaselinePath(TEST_VENDOR))); // only if empty
+    } catch {}
+  });
+
+  test("delta mode is per entry, defaulting to DELTA_INGESTION", () => {
+    expect(isDeltaEnabled({ fileKey: "a.csv" })).toBe(false);
+    process.env.DELTA_INGESTION = "true";
+    expect(isDeltaEnabled({ fileKey: "a.csv" })).toBe(true);
+    expect(isDeltaEnabled({ fileKey: "a.csv", delta: false })).toBe(false);
+  });
+
+  test("the vendor is the entry's vendor field, else the top folder", () => {
+    expect(getVendorKey({ fileKey: "vendor-x/2025-06/parts.csv" })).toBe("vendor-x");
+    expect(getVendorKey({ fileKey: "parts.csv", vendor: "Acme" })).toBe("Acme");
+    expect(getVendorKey({ fileKey: "parts.csv" })).toBe("parts.csv");
+  });
+
+  test("rows are keyed by part number + manufacturer, case-insensitively", () => {
+    expect(rowIdentity({ part_number: " ABC-1 ", manufacturer: "Acme" })).toEqual({
+      key: "abc-1|acme",
+      part_number: "ABC-1",
+      manufacturer: "Acme",
+    });
+    // Column profile is applied like createNewData() does
+    expect(rowIdentity({ mpn: "XYZ-2" }, { MPN: "part_number" })?.key).toBe("xyz-2|");
+    expect(rowIdentity({ part_number: "" })).toBeNull();
+  });
+
+  test("hashes ignore column order and padding but not values", () => {
+    const row = { part_number: "ABC-1", manufacturer: "Acme", quantity: "5" };
+
+    expect(hashRow({ quantity: " 5", manufacturer: "Acme", part_number: "ABC-1" })).toBe(hashRow(row));
+    expect(hashRow({ ...row, quantity: "6" })).not.toBe(hashRow(row));
+  });
+
+  test("a completed file becomes the baseline, minus failed rows", () => {
+    const fileKey = `${TEST_VENDOR}/2025-06.csv`;
+    const rows = new Map([
+      ["abc-1|acme", { hash: "h1", part_number: "ABC-1", manufacturer: "Acme" }],
+      ["xyz-2|acme", { hash: "h2", part_number: "XYZ-2", manufacturer: "Acme" }],
+      ["old-3|acme", { hash: "h3", part_number: "OLD-3", manufacturer: "Acme" }],
+    ]);
+
+    writeRowHashes(fileKey, { vendor: TEST_VENDOR, rows });
+    expect(loadVendorBaseline(TEST_VENDOR)).toBeNull(); // not completed yet
+
+    promoteRowHashes(fileKey, { excludeKeys: ["xyz-2|acme"] });
+    const baseline = loadVendorBaseline(TEST_VENDOR);
+
+    expect(baseline.fileKey).toBe(fileKey);
+    expect(Object.keys(baseline.rows)).toEqual(["abc-1|acme", "old-3|acme"]);
+    expect(findDisappearedRows(baseline, new Set(["abc-1|acme", "new-4|acme"]))).toEqual([
+      { part_number: "OLD-3", manufacturer: "Acme" },
+    ]);
+  });
+});
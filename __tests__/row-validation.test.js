@@ -0,0 +1,152 @@
+// __tests__/row-validation.test.js
+const {
+  createRowValidator,
+  validateRows,
+  buildRejectedRowsCsv,
+  buildRowWarningsCsv,
+  buildValidationSummary,
+} = require("../src/batch/row-validation");
+
+describe("row-validation.js - pre-enqueue row checks", () => {
+  afterEach(() => {
+    delete process.env.UNKNOWN_MANUFACTURER_POLICY;
+    delete process.env.UPDATE_MODE;
+  });
+
+  test("accepts a complete, well-formed row", () => {
+    const { validate } = createRowValidator();
+
+    expect(
+      validate(
+        {
+          part_number: "STM32F103C8T6",
+          manufacturer: "STMicroelectronics",
+          "quantity_available": "2,500",
+          "datasheet_url*": "https://example.com/ds.pdf",
+          rohs_compliance: "RoHS3 Compliant",
+          reach_compliance: "REACH Unaffected",
+        },
+        1
+      )
+    ).toEqual({ errors: [], warnings: [] });
+  });
+
+  test("reports every problem on a bad row", () => {
+    process.env.UNKNOWN_MANUFACTURER_POLICY = "reject";
+    const { validate } = createRowValidator();
+
+    expect(
+      validate(
+        {
+          part_number: "",
+          manufacturer: "Totally Unknown Widgets Ltd",
+          quantity: "ten",
+          image_url: "not-a-url",
+          rohs_status: "maybe",
+        },
+        3
+      )
+    ).toEqual({
+      errors: [
+        "Part Number is required",
+        'Quantity: "ten" is not a whole number',
+        'Unknown manufacturer "Totally Unknown Widgets Ltd"',
+      ],
+      warnings: ['Image URL: "not-a-url" is not a URL', 'RoHS status "maybe" is not an allowed value'],
+    });
+  });
+
+  test("bad optional values are dropped from the row with a warning", () => {
+    const { validate } = createRowValidator({ columns: { "Spec Sheet": "datasheet" } });
+    const jobRow = {
+      part_number: "X1",
+      quantity: "1000+",
+      spec_sheet: "see website",
+      image_url: "https://example.com/x1.png",
+      reach_compliance: "probably",
+    };
+
+    expect(validate(jobRow, 1)).toEqual({
+      errors: [],
+      warnings: ['Datasheet URL: "see website" is not a URL', 'REACH status "probably" is not an allowed value'],
+    });
+    expect(jobRow).toEqual({ part_number: "X1", quantity: "1000+", image_url: "https://example.com/x1.png" });
+  });
+
+  test("quantity mode only checks the identity and the quantity", () => {
+    process.env.UPDATE_MODE = "quantity";
+    const row = { part_number: "X1", quantity: ">500", regular_price: "1,234", image_url: "n/a", rohs_status: "maybe" };
+
+    expect(createRowValidator().validate({ ...row }, 1)).toEqual({ errors: [], warnings: [] });
+    expect(createRowValidator({ updateMode: "full" }).validate({ ...row }, 1).errors).toEqual([
+      'Regular Price: "1,234" is ambiguous (thousands or decimals?) - write it as e.g. "1234.00" or "1,234.00"',
+    ]);
+    expect(createRowValidator().validate({ part_number: "X2", quantity: "lots" }, 2).errors).toEqual([
+      'Quantity: "lots" is not a whole number',
+    ]);
+  });
+
+  test("rejects a price that could be thousands or decimals", () => {
+    const { validate } = createRowValidator();
+
+    expect(validate({ part_number: "X1", regular_price: "1.234 €", sale_price: "1.234,50 €" }, 1).errors).toEqual([
+      'Regular Price: "1.234 €" is ambiguous (thousands or decimals?) - write it as e.g. "1234.00" or "1,234.00"',
+    ]);
+  });
+
+  test("UNKNOWN_MANUFACTURER_POLICY=allow skips the manufacturer check", () => {
+    process.env.UNKNOWN_MANUFACTURER_POLICY = "allow";
+    const { validate } = createRowValidator();
+
+    expect(validate({ part_number: "X1", manufacturer: "Totally Unknown Widgets Ltd" }, 1).errors).toEqual([]);
+  });
+
+  test("without a policy unknown manufacturers are listed, not rejected", () => {
+    const rows = [
+      { MPN: "X1", Brand: "Totally Unknown Widgets Ltd", Qty: "12.00" },
+      { MPN: "X2", Brand: "NXP", Qty: "5" },
+    ];
+    const mapping = { partNumber: "MPN", manufacturer: "Brand", columns: { Qty: "quantity" } };
+
+    const result = validateRows(rows, mapping);
+
+    expect(result.rejected).toEqual([]);
+    expect(result.unknownManufacturers).toEqual(["Totally Unknown Widgets Ltd"]);
+    expect(buildValidationSummary(result, null)).toMatchObject({
+      invalidRows: 0,
+      warningRows: 0,
+      unknownManufacturers: ["Totally Unknown Widgets Ltd"],
+    });
+  });
+
+  test("validateRows applies the mapping and flags duplicate part numbers", () => {
+    const rows = [
+      { MPN: "ABC-1", Brand: "NXP", Avail: "10" },
+      { MPN: "abc-1", Brand: "NXP", Avail: "5" },
+      { MPN: "ABC-1", Brand: "Intel", Avail: "7" },
+    ];
+    const mapping = { partNumber: "MPN", manufacturer: "Brand", columns: { Avail: "quantity" } };
+
+    const result = validateRows(rows, mapping);
+
+    expect(result.totalRows).toBe(3);
+    expect(result.rejected).toEqual([
+      { row: 2, errors: ['Duplicate part number "abc-1" (first seen in row 1)'], data: rows[1] },
+    ]);
+  });
+
+  test("buildRejectedRowsCsv keeps the original columns after the reasons", () => {
+    const csv = buildRejectedRowsCsv([
+      { row: 4, errors: ["Part Number is required", "bad qty"], data: { MPN: "", Qty: "x" } },
+    ]);
+
+    expect(csv.split("\n")).toEqual([
+      '"Row","Errors","MPN","Qty"',
+      '4,"Part Number is required; bad qty","","x"',
+    ]);
+    expect(buildRowWarningsCsv([{ row: 2, warnings: ["bad url"], data: { MPN: "A" } }]).split("\n")).toEqual([
+      '"Row","Warnings","MPN"',
+      '2,"bad url","A"',
+    ]);
+  });
+});
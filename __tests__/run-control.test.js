@@ -0,0 +1,183 @@
+// __tests__/run-control.test.js
+
+// In-memory csv-mappings.json + fake run queue, mocked BEFORE requiring run-control.js
+const mockStore = { files: [] };
+const mockRuns = new Map();
+const mockRecords = new Map();
+const mockQueuedFiles = new Set(); // files with batch jobs still in the queue
+
+jest.mock("../queue", () => ({
+  runQueue: {
+    // Mirrors BullMQ deduplication: a pending job with the same id wins
+    add: jest.fn(async (name, data, opts) => {
+      const dedupeId = opts.deduplication?.id;
+      const pending = dedupeId && [...mockRuns.values()].find((job) => job.dedupeId === dedupeId);
+      if (pending) return pending;
+      const job = { id: opts.jobId, name, data, dedupeId };
+      mockRuns.set(job.id, job);
+      return job;
+    }),
+    getJob: jest.fn(async (id) => mockRuns.get(id)),
+  },
+  RUN_QUEUE_NAME: "batchQueue-runs",
+  bullmqConnection: {},
+}));
+jest.mock("../csv-mapping-store", () => ({
+  loadMappings: () => mockStore,
+  getReadyCsvFiles: () => mockStore.files.filter((f) => f.status === "ready"),
+  setFileStatus: (fileKey, status, extra = {}) => {
+    Object.assign(mockStore.files.find((f) => f.fileKey === fileKey), { status, ...extra });
+  },
+  resolveFileLane: () => "main",
+  isDryRunFile: jest.requireActual("../csv-mapping-store").isDryRunFile,
+}));
+jest.mock("../s3-helpers", () => ({
+  ENQUEUE_RESULTS: { ENQUEUED: "enqueued", ALREADY_QUEUED: "already-queued", ALREADY_PROCESSED: "already-processed" },
+  readCSVAndEnqueueJobs: jest.fn(async (bucket, key) => {
+    if (key === "broken.csv") throw new Error("stream error");
+    return { status: key === "done.csv" ? "already-processed" : "enqueued", totalRows: 10 };
+  }),
+  checkExistingJobs: jest.fn(async (key) => mockQueuedFiles.has(key)),
+}));
+jest.mock("../file-control", () => ({ clearFileRun: jest.fn(async () => ({})) }));
+jest.mock("../run-history", () => ({
+  RUN_STATUSES: {
+    ENQUEUING: "enqueuing",
+    PROCESSING: "processing",
+    COMPLETED: "completed",
+    FAILED: "failed",
+    SUPERSEDED: "superseded",
+  },
+  OPEN_STATUSES: ["queued", "enqueuing", "processing"],
+  createRunRecord: jest.fn(),
+  updateRunRecord: jest.fn(),
+  finishRunRecord: jest.fn(async () => null),
+  readRunCounts: jest.fn(async () => ({ totalRows: 0, updated: 0, skipped: 0, failed: 0 })),
+  snapshotRunConfig: jest.fn(() => ({ batchSize: 20 })),
+  loadRunRecord: jest.fn((id) => mockRecords.get(id) || null),
+  withLiveCounts: jest.fn(async (record) => record),
+}));
+jest.mock("../logger", () => ({ logInfoToFile: jest.fn(), logErrorToFile: jest.fn() }));
+
+const { runQueue } = require("../queue");
+const { readCSVAndEnqueueJobs } = require("../s3-helpers");
+const { clearFileRun } = require("../file-control");
+const { createRunRecord, updateRunRecord, finishRunRecord } = require("../run-history");
+const { requestRun, executeRun } = require("../run-control");
+
+const mapping = { columns: { "Part Number": "part_number", Qty: "quantity" } };
+const options = { bucketName: "bucket", batchSize: 20 };
+
+describe("run-control.js - in-process run requests", () => {
+  beforeEach(() => {
+    mockStore.files = [];
+    mockRuns.clear();
+    mockRecords.clear();
+    mockQueuedFiles.clear();
+    jest.clearAllMocks();
+  });
+
+  test("a file run is queued under its run id with a record, held files are refused", async () => {
+    mockStore.files.push(
+      { fileKey: "stock.csv", status: "pending", mapping },
+      { fileKey: "held.csv", status: "paused", mapping },
+      { fileKey: "new.csv", status: "pending" }
+    );
+
+    const run = await requestRun({ fileKey: "stock.csv", trigger: "ui" });
+    expect(run).toMatchObject({ fileKey: "stock.csv", trigger: "ui", deduplicated: false });
+    expect(run.runId).toMatch(/^run_/);
+    expect(runQueue.add).toHaveBeenCalledWith(
+      "enqueue-file",
+      expect.objectContaining({ runId: run.runId, fileKey: "stock.csv" }),
+      { jobId: run.runId, deduplication: { id: "file:stock.csv" } }
+    );
+    expect(createRunRecord).toHaveBeenCalledWith(expect.objectContaining({ id: run.runId, trigger: "ui" }));
+
+    // A file has one pending run at a time
+    await expect(requestRun({ fileKey: "stock.csv" })).resolves.toMatchObject({ runId: run.runId, deduplicated: true });
+    expect(createRunRecord).toHaveBeenCalledTimes(1);
+
+    await expect(requestRun({ fileKey: "held.csv" })).rejects.toThrow("held.csv is paused");
+    await expect(requestRun({ fileKey: "new.csv" })).rejects.toThrow("no column mapping");
+    await expect(requestRun({ fileKey: "nope.csv" })).rejects.toThrow("File not found");
+  });
+
+  test("worker pickups share the pending run instead of piling up", async () => {
+    const first = await requestRun({ trigger: "worker", dedupeId: "auto-pickup" });
+    const second = await requestRun({ trigger: "worker", dedupeId: "auto-pickup" });
+
+    expect(second).toMatchObject({ runId: first.runId, deduplicated: true });
+    expect(mockRuns.size).toBe(1);
+  });
+
+  test("executing a file run starts a finished file again from row 0", async () => {
+    mockStore.files.push({ fileKey: "stock.csv", status: "completed", mapping, runId: "run_0" });
+
+    await expect(executeRun({ runId: "run_1", fileKey: "stock.csv" }, options)).resolves.toEqual({
+      runs: [{ fileKey: "stock.csv", runId: "run_1" }],
+      failed: [],
+    });
+    expect(clearFileRun).toHaveBeenCalledWith("stock.csv");
+    expect(mockStore.files[0]).toMatchObject({ status: "ready", runId: "run_1" });
+    expect(readCSVAndEnqueueJobs).toHaveBeenCalledWith("bucket", "stock.csv", 20);
+    expect(finishRunRecord).toHaveBeenCalledWith("run_0", "superseded", expect.anything());
+    expect(updateRunRecord).toHaveBeenLastCalledWith("run_1", expect.objectContaining({ status: "processing" }));
+  });
+
+  test("a file that can't be read fails its run record", async () => {
+    mockStore.files.push({ fileKey: "broken.csv", status: "ready", mapping });
+
+    await expect(executeRun({ runId: "run_3", fileKey: "broken.csv" }, options)).rejects.toThrow("stream error");
+    expect(finishRunRecord).toHaveBeenCalledWith("run_3", "failed", { error: "stream error" });
+  });
+
+  test("a file whose batch jobs are still queued keeps its running run", async () => {
+    mockStore.files.push(
+      { fileKey: "busy.csv", status: "ready", mapping, runId: "run_live" },
+      { fileKey: "orphan.csv", status: "ready", mapping }
+    );
+    mockRecords.set("run_live", { id: "run_live", status: "processing" });
+    mockQueuedFiles.add("busy.csv").add("orphan.csv");
+
+    await expect(requestRun({ fileKey: "busy.csv", trigger: "ui" })).resolves.toMatchObject({
+      runId: "run_live",
+      deduplicated: true,
+    });
+    expect(runQueue.add).not.toHaveBeenCalled();
+    await expect(requestRun({ fileKey: "orphan.csv" })).rejects.toThrow("still has batch jobs");
+
+    // A request that got in before the jobs were queued fails on its own
+    await expect(executeRun({ runId: "run_late", fileKey: "busy.csv" }, options)).rejects.toThrow("still has batch jobs");
+    expect(finishRunRecord).toHaveBeenCalledTimes(1);
+    expect(finishRunRecord).toHaveBeenCalledWith("run_late", "failed", expect.anything());
+    expect(readCSVAndEnqueueJobs).not.toHaveBeenCalled();
+  });
+
+  test("a file with nothing left to process completes its run", async () => {
+    mockStore.files.push({ fileKey: "done.csv", status: "ready", mapping });
+
+    await executeRun({ runId: "run_4", fileKey: "done.csv" }, options);
+    expect(finishRunRecord).toHaveBeenCalledWith("run_4", "completed");
+    expect(updateRunRecord).not.toHaveBeenCalledWith("run_4", expect.objectContaining({ status: "processing" }));
+  });
+
+  test("an all-ready run requests one file run per mapped ready file", async () => {
+    mockStore.files.push(
+      { fileKey: "a.csv", status: "ready", mapping },
+      { fileKey: "b.csv", status: "ready", mapping },
+      { fileKey: "unmapped.csv", status: "ready" },
+      { fileKey: "done.csv", status: "completed", mapping }
+    );
+
+    const { runs, failed } = await executeRun({ runId: "run_2", fileKey: null, trigger: "startup" }, options);
+    expect(runs.map((run) => run.fileKey)).toEqual(["a.csv", "b.csv"]);
+    expect(failed).toEqual([]);
+    expect(runQueue.add).toHaveBeenCalledWith(
+      "enqueue-file",
+      expect.objectContaining({ fileKey: "a.csv", trigger: "startup", parentRunId: "run_2" }),
+      expect.anything()
+    );
+    expect(readCSVAndEnqueueJobs).not.toHaveBeenCalled();
+  });
+});
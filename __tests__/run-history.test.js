@@ -0,0 +1,93 @@
+// __tests__/run-history.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Run records go to a temp dir; Redis counters are an in-memory map
+const mockCounters = new Map();
+
+jest.mock("../queue", () => ({
+  appRedis: { get: async (key) => mockCounters.get(key) ?? null },
+}));
+jest.mock("../logger", () => ({ logInfoToFile: jest.fn(), logErrorToFile: jest.fn() }));
+
+process.env.RUN_HISTORY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "run-history-"));
+
+const {
+  RUN_HISTORY_DIR,
+  createRunRecord,
+  updateRunRecord,
+  finishRunRecord,
+  interruptOpenRuns,
+  listRunRecords,
+  loadRunRecord,
+  snapshotRunConfig,
+} = require("../run-history");
+
+const setCounts = (fileKey, { totalRows, updated, skipped, failed }) => {
+  mockCounters.set(`total-rows:${fileKey}`, String(totalRows));
+  mockCounters.set(`updated-products:${fileKey}`, String(updated));
+  mockCounters.set(`skipped-products:${fileKey}`, String(skipped));
+  mockCounters.set(`failed-products:${fileKey}`, String(failed));
+};
+
+describe("run-history.js - persistent run records", () => {
+  beforeEach(() => {
+    mockCounters.clear();
+    fs.rmSync(RUN_HISTORY_DIR, { recursive: true, force: true });
+  });
+
+  afterAll(() => fs.rmSync(RUN_HISTORY_DIR, { recursive: true, force: true }));
+
+  test("a run keeps its final counts after Redis forgets them", async () => {
+    createRunRecord({ id: "run_a", fileKey: "stock.csv", trigger: "ui", requestedAt: "2026-10-18T08:00:00Z" });
+    updateRunRecord("run_a", { status: "processing" });
+    setCounts("stock.csv", { totalRows: 10, updated: 6, skipped: 3, failed: 1 });
+
+    // Open runs show live counts
+    const [live] = await listRunRecords();
+    expect(live.counts).toEqual({ totalRows: 10, updated: 6, skipped: 3, failed: 1 });
+
+    await finishRunRecord("run_a", "completed");
+    mockCounters.clear(); // flush / the next run of the file
+
+    expect(loadRunRecord("run_a")).toMatchObject({
+      status: "completed",
+      counts: { totalRows: 10, updated: 6, skipped: 3, failed: 1 },
+    });
+    // A finished run doesn't change again
+    await expect(finishRunRecord("run_a", "cancelled")).resolves.toBeNull();
+    expect(loadRunRecord("run_a").status).toBe("completed");
+  });
+
+  test("a flush interrupts open runs only, history is listed newest first", async () => {
+    createRunRecord({ id: "run_old", fileKey: "a.csv", trigger: "ui", requestedAt: "2026-10-17T08:00:00Z" });
+    await finishRunRecord("run_old", "completed", { counts: { totalRows: 1, updated: 1, skipped: 0, failed: 0 } });
+    createRunRecord({ id: "run_new", fileKey: "b.csv", trigger: "schedule", requestedAt: "2026-10-18T08:00:00Z" });
+    updateRunRecord("run_new", { status: "processing" });
+    setCounts("b.csv", { totalRows: 50, updated: 20, skipped: 0, failed: 0 });
+
+    await expect(interruptOpenRuns("Redis flushed")).resolves.toBe(1);
+
+    const runs = await listRunRecords();
+    expect(runs.map((r) => r.id)).toEqual(["run_new", "run_old"]);
+    expect(runs[0]).toMatchObject({ status: "interrupted", error: "Redis flushed", counts: { updated: 20 } });
+    expect(await listRunRecords({ fileKey: "a.csv" })).toHaveLength(1);
+    expect(await listRunRecords({ status: "interrupted" })).toHaveLength(1);
+  });
+
+  test("the config snapshot resolves file flags against their defaults", () => {
+    const file = { fileKey: "stock.csv", updateMode: "quantity", dryRun: true, mapping: { columns: {} } };
+    expect(snapshotRunConfig(file, { batchSize: 20, lane: "fast" })).toMatchObject({
+      batchSize: 20,
+      updateMode: "quantity",
+      dryRun: true,
+      priority: "normal",
+      lane: "fast",
+      mapping: { columns: {} },
+    });
+    // Only run ids are ever turned into paths
+    expect(loadRunRecord("../csv-mappings")).toBeNull();
+  });
+});
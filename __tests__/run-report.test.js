@@ -0,0 +1,157 @@
+// __tests__/run-report.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+
+// Run records + row results go to a temp dir; Redis, the batch queues and
+// the file entry are in memory (ingestion → jobs → dead letters)
+const mockEntry = {};
+const mockJobs = [];
+const mockDeadLetters = new Map();
+
+jest.mock("../queue", () => {
+  const noop = async () => {};
+  return {
+    appRedis: { get: async () => null, mSet: noop, set: noop, del: noop, expire: noop, incrBy: noop, sAdd: noop },
+    getBatchJobs: async () => [],
+    deadLetterQueue: {
+      getJob: async (id) => mockDeadLetters.get(id),
+      add: async (name, data, { jobId }) => mockDeadLetters.set(jobId, { id: jobId, data }),
+    },
+  };
+});
+jest.mock("../logger", () => ({ logInfoToFile: jest.fn(), logErrorToFile: jest.fn(), logUpdatesToFile: jest.fn() }));
+jest.mock("../job-manager", () => ({
+  addBatchJob: jest.fn(async (data, jobId) => {
+    mockJobs.push({ id: jobId, data, attemptsMade: 3, opts: { attempts: 3 } });
+    return { id: jobId };
+  }),
+}));
+jest.mock("../file-control", () => ({
+  FILE_CONTROL: { CANCELLED: "cancelled" },
+  getFileControl: async () => null,
+  clearCancelledControl: async () => {},
+}));
+jest.mock("../checkpoint", () => ({ saveCheckpoint: jest.fn() }));
+jest.mock("../csv-mapping-store", () => ({
+  ...jest.requireActual("../csv-mapping-store"),
+  getMappingForFile: () => mockEntry,
+  markFileAsCompleted: jest.fn(),
+  setFileValidation: jest.fn(),
+  setFileEncoding: jest.fn(),
+  setFileDelta: jest.fn(),
+  resolveFileLane: () => "main",
+}));
+
+process.env.RUN_HISTORY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "run-report-"));
+process.env.CSV_HEADER_ROW = "1";
+
+const { RUN_HISTORY_DIR, createRunRecord, loadRunResults } = require("../run-history");
+const { ROW_OUTCOMES, recordRowOutcomes } = require("../src/batch/io-status");
+const { exportRunResults } = require("../run-report");
+const { readCSVAndEnqueueJobs } = require("../s3-helpers");
+const { moveToDeadLetter } = require("../dead-letter");
+
+const outcome = (row, outcome, details = {}) => ({
+  row,
+  partNumber: `PN-${row}`,
+  manufacturer: "NXP",
+  productId: null,
+  outcome,
+  fieldsChanged: [],
+  error: null,
+  ...details,
+});
+
+describe("run-report.js - per-row run results", () => {
+  beforeEach(() => {
+    fs.rmSync(RUN_HISTORY_DIR, { recursive: true, force: true });
+    createRunRecord({ id: "run_a", fileKey: "vendor-x/stock.csv", trigger: "ui" });
+  });
+
+  afterAll(() => fs.rmSync(RUN_HISTORY_DIR, { recursive: true, force: true }));
+
+  test("batches append outcomes, a retried row keeps its latest one", () => {
+    recordRowOutcomes("run_a", [
+      outcome(2, ROW_OUTCOMES.NOT_FOUND),
+      outcome(1, ROW_OUTCOMES.FAILED, { productId: 7, error: "woocommerce_rest_invalid: bad price" }),
+    ]);
+    // Job retry of the second batch
+    recordRowOutcomes("run_a", [outcome(1, ROW_OUTCOMES.UPDATED, { productId: 7, fieldsChanged: ["regular_price"] })]);
+
+    expect(loadRunResults("run_a")).toEqual([
+      expect.objectContaining({ row: 1, outcome: "updated", fieldsChanged: ["regular_price"], error: null }),
+      expect.objectContaining({ row: 2, outcome: "not_found" }),
+    ]);
+    expect(loadRunResults("run_none")).toEqual([]);
+  });
+
+  test("a run exports as CSV and XLSX", async () => {
+    recordRowOutcomes("run_a", [
+      outcome(1, ROW_OUTCOMES.UPDATED, { productId: 7, fieldsChanged: ["regular_price", "meta_data.quantity"] }),
+      outcome(2, ROW_OUTCOMES.FAILED, { error: "Missing part_number", partNumber: null }),
+    ]);
+
+    const csv = await exportRunResults("run_a", "csv");
+    expect(csv).toMatchObject({ filename: "stock_run_a.csv", contentType: expect.stringMatching(/^text\/csv/), rows: 2 });
+    const lines = csv.body.split("\n");
+    expect(lines[0]).toBe(
+      '"Row","Part Number","Manufacturer","Product ID","Outcome","Fields Changed","Error","Recorded At"'
+    );
+    expect(lines[1]).toMatch(/^1,"PN-1","NXP",7,"updated","regular_price; meta_data.quantity","",/);
+
+    const xlsx = await exportRunResults("run_a", "xlsx");
+    expect(xlsx.filename).toBe("stock_run_a.xlsx");
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(xlsx.body);
+    const sheet = workbook.getWorksheet("Results");
+    expect(sheet.rowCount).toBe(3);
+    expect(sheet.getRow(3).values.slice(1, 8)).toEqual([2, "", "NXP", "", "failed", "", "Missing part_number"]);
+  });
+
+  test("every row of the file gets a line, rejected and dead-lettered rows included", async () => {
+    const csvPath = path.join(RUN_HISTORY_DIR, "stock.csv");
+    fs.writeFileSync(
+      csvPath,
+      ["Part Number,Manufacturer,Quantity", "PN-1,NXP,5", ",NXP,5", "PN-3,NXP,5", "PN-4,NXP,7", "PN-5,NXP,1"].join("\n")
+    );
+    Object.assign(mockEntry, {
+      fileKey: "stock-report-test.csv",
+      source: { type: "local", path: csvPath },
+      mapping: { columns: {} },
+      runId: "run_a",
+    });
+
+    await expect(readCSVAndEnqueueJobs("bucket", "stock-report-test.csv", 2)).resolves.toEqual({
+      status: "enqueued",
+      totalRows: 5,
+    });
+    // The rejected row leaves a gap instead of cutting a job short
+    expect(mockJobs.map((job) => [job.data.startIndex, job.data.batch.map((row) => row.__rowIndex)])).toEqual([
+      [0, [0, 2]],
+      [3, [3, 4]],
+    ]);
+    // Every batch job exhausts its retries
+    for (const job of mockJobs) await moveToDeadLetter(job, new Error("Woo down"));
+
+    const results = loadRunResults("run_a");
+    expect(results.map(({ row, outcome }) => [row, outcome])).toEqual([
+      [1, "failed"],
+      [2, "rejected"],
+      [3, "failed"],
+      [4, "failed"],
+      [5, "failed"],
+    ]);
+    expect(results[1].error).toBe("Part Number is required");
+    expect(results[0].error).toMatch(/Dead-lettered after 3 attempts: Woo down/);
+    await expect(exportRunResults("run_a", "csv")).resolves.toMatchObject({ rows: 5 });
+
+    fs.rmSync(path.join(__dirname, "../batch_status/stock-report-test"), { recursive: true, force: true });
+  });
+
+  test("unknown runs and formats are refused", async () => {
+    await expect(exportRunResults("run_missing", "csv")).rejects.toThrow("not found");
+    await expect(exportRunResults("run_a", "pdf")).rejects.toThrow("Unsupported report format");
+  });
+});
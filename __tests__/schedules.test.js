@@ -0,0 +1,130 @@
+// __tests__/schedules.test.js
+
+// In-memory csv-mappings.json + fake schedule queue, mocked BEFORE requiring schedules.js
+const mockStore = { files: [], schedules: [] };
+
+jest.mock("../queue", () => ({
+  scheduleQueue: {
+    add: jest.fn(async (name, data) => ({ id: "schedule-job-1", name, data })),
+    upsertJobScheduler: jest.fn(async () => {}),
+    removeJobScheduler: jest.fn(async () => true),
+    getJobSchedulers: jest.fn(async () => []),
+  },
+  SCHEDULE_QUEUE_NAME: "batchQueue-schedules",
+  bullmqConnection: {},
+}));
+jest.mock("../csv-mapping-store", () => ({
+  loadMappings: () => mockStore,
+  saveMappings: jest.fn(),
+  loadSchedules: () => mockStore.schedules,
+  saveSchedule: (schedule) => {
+    mockStore.schedules = mockStore.schedules.filter((s) => s.id !== schedule.id).concat(schedule);
+    return schedule;
+  },
+  deleteSchedule: (id) => {
+    const before = mockStore.schedules.length;
+    mockStore.schedules = mockStore.schedules.filter((s) => s.id !== id);
+    return mockStore.schedules.length < before;
+  },
+  setScheduleLastRun: (id, lastRun) => {
+    mockStore.schedules.find((s) => s.id === id).lastRun = lastRun;
+  },
+}));
+jest.mock("../s3-helpers", () => ({ getNewestFileKey: jest.fn() }));
+jest.mock("../file-control", () => ({ clearFileRun: jest.fn(async () => ({})) }));
+jest.mock("../run-control", () => ({
+  requestRun: jest.fn(async ({ fileKey }) => ({ runId: "run_1", fileKey })),
+}));
+jest.mock("../job-manager", () => ({
+  JOB_PRIORITIES: { high: 1, normal: 5, low: 10 },
+  UPDATE_MODES: ["full", "quantity"],
+}));
+jest.mock("../logger", () => ({ logInfoToFile: jest.fn(), logErrorToFile: jest.fn() }));
+
+const { scheduleQueue } = require("../queue");
+const { getNewestFileKey } = require("../s3-helpers");
+const { requestRun } = require("../run-control");
+const { clearFileRun } = require("../file-control");
+const { getNextRun, validateSchedule, upsertSchedule, runSchedule } = require("../schedules");
+
+const weekdayStock = {
+  name: "Vendor X stock",
+  cron: "0 6 * * 1-5",
+  timezone: "America/Los_Angeles",
+  prefix: "vendor-x/",
+  updateMode: "quantity",
+};
+const run = (id) => runSchedule(id, { bucketName: "bucket" });
+
+describe("schedules.js - cron-scheduled imports", () => {
+  beforeEach(() => {
+    mockStore.files = [];
+    mockStore.schedules = [];
+    jest.clearAllMocks();
+  });
+
+  test("schedules are validated and the next run honours the timezone", () => {
+    // Friday evening UTC → Monday 06:00 Pacific (PDT = UTC-7)
+    expect(getNextRun(weekdayStock, new Date("2026-10-16T20:00:00Z"))).toBe("2026-10-19T13:00:00.000Z");
+
+    expect(validateSchedule(weekdayStock)).toMatchObject({ id: "vendor-x-stock", enabled: true });
+    expect(() => validateSchedule({ ...weekdayStock, cron: "61 * * * *" })).toThrow("Invalid cron");
+    expect(() => validateSchedule({ ...weekdayStock, fileKey: "x.csv" })).toThrow("either a prefix or a fileKey");
+    expect(() => validateSchedule({ ...weekdayStock, updateMode: "turbo" })).toThrow("updateMode");
+  });
+
+  test("saving syncs the BullMQ job scheduler, disabling removes it", async () => {
+    const saved = await upsertSchedule(weekdayStock);
+    expect(scheduleQueue.upsertJobScheduler).toHaveBeenCalledWith(
+      "vendor-x-stock",
+      { pattern: "0 6 * * 1-5", tz: "America/Los_Angeles" },
+      expect.objectContaining({ data: { scheduleId: "vendor-x-stock" } })
+    );
+
+    await upsertSchedule({ ...saved, enabled: false });
+    expect(scheduleQueue.removeJobScheduler).toHaveBeenCalledWith("vendor-x-stock");
+    expect(mockStore.schedules).toHaveLength(1);
+  });
+
+  test("a prefix schedule enqueues the newest file once, with the vendor's mapping", async () => {
+    const mapping = { partNumber: "MPN", columns: { Stock: "quantity" } };
+    mockStore.files.push({ fileKey: "vendor-x/2026-10-15.csv", status: "completed", mapping, completedAt: "2026-10-15" });
+    await upsertSchedule(weekdayStock);
+    getNewestFileKey.mockResolvedValue("vendor-x/2026-10-16.csv");
+
+    await expect(run("vendor-x-stock")).resolves.toMatchObject({ status: "enqueued", runId: "run_1" });
+    expect(requestRun).toHaveBeenCalledWith({
+      fileKey: "vendor-x/2026-10-16.csv",
+      trigger: "schedule",
+      scheduleId: "vendor-x-stock",
+    });
+    expect(mockStore.files[1]).toMatchObject({
+      status: "ready",
+      mapping,
+      updateMode: "quantity",
+      scheduleId: "vendor-x-stock",
+    });
+
+    // Next tick, same newest file already done → nothing new to import
+    mockStore.files[1].status = "completed";
+    await expect(run("vendor-x-stock")).resolves.toMatchObject({ status: "skipped" });
+    expect(requestRun).toHaveBeenCalledTimes(1);
+    expect(mockStore.schedules[0].lastRun).toMatchObject({ status: "skipped", fileKey: "vendor-x/2026-10-16.csv" });
+  });
+
+  test("a fixed-file schedule re-runs its completed file from the start", async () => {
+    mockStore.files.push({ fileKey: "acme-stock.csv", status: "completed", dryRun: true, priority: "low" });
+    await upsertSchedule({ name: "Acme feed", cron: "*/30 * * * *", fileKey: "acme-stock.csv" });
+
+    await expect(run("acme-feed")).resolves.toMatchObject({ status: "enqueued" });
+    expect(clearFileRun).toHaveBeenCalledWith("acme-stock.csv");
+    expect(mockStore.files[0].status).toBe("ready");
+    // Flags the schedule doesn't set don't linger from earlier runs
+    expect(mockStore.files[0]).not.toHaveProperty("dryRun");
+    expect(mockStore.files[0]).not.toHaveProperty("priority");
+
+    // A paused file is left alone
+    mockStore.files[0].status = "paused";
+    await expect(run("acme-feed")).resolves.toMatchObject({ status: "skipped", message: "File is paused" });
+  });
+});
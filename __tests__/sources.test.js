@@ -0,0 +1,75 @@
+// __tests__/sources.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createSource, resolveSourceConfig } = require("../src/sources");
+
+describe("src/sources - pluggable CSV sources", () => {
+  afterEach(() => {
+    delete process.env.CSV_SOURCE;
+    delete process.env.LOCAL_SOURCE_DIR;
+  });
+
+  test("entries without a source use CSV_SOURCE (default s3)", () => {
+    expect(resolveSourceConfig({ fileKey: "a.csv" })).toEqual({ type: "s3" });
+
+    process.env.CSV_SOURCE = "local";
+    expect(resolveSourceConfig({ fileKey: "a.csv" })).toEqual({ type: "local" });
+    expect(resolveSourceConfig({ fileKey: "a.csv", source: "SFTP" })).toEqual({ type: "sftp" });
+  });
+
+  test("local source reads <LOCAL_SOURCE_DIR>/<fileKey>", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-source-"));
+    fs.mkdirSync(path.join(dir, "vendor"));
+    fs.writeFileSync(path.join(dir, "vendor", "parts.csv"), "part_number\nABC\n");
+    process.env.LOCAL_SOURCE_DIR = dir;
+
+    const source = createSource({ fileKey: "vendor/parts.csv", source: { type: "local" } });
+
+    expect(source.type).toBe("local");
+    await expect(source.readText()).resolves.toBe("part_number\nABC\n");
+  });
+
+  test("local source streams the file for single-pass ingestion", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-source-"));
+    fs.writeFileSync(path.join(dir, "parts.csv"), "part_number\nABC\nDEF\n");
+    process.env.LOCAL_SOURCE_DIR = dir;
+
+    const stream = await createSource({ fileKey: "parts.csv", source: "local" }).createReadStream();
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+
+    expect(Buffer.concat(chunks).toString("utf-8")).toBe("part_number\nABC\nDEF\n");
+  });
+
+  test("local source stream fails up front when the file is missing", async () => {
+    process.env.LOCAL_SOURCE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "csv-source-"));
+
+    await expect(createSource({ fileKey: "missing.csv", source: "local" }).createReadStream())
+      .rejects.toThrow(/ENOENT/);
+  });
+
+  test("local source refuses fileKeys that escape the directory", () => {
+    process.env.LOCAL_SOURCE_DIR = os.tmpdir();
+
+    expect(() => createSource({ fileKey: "../etc/passwd", source: "local" })).toThrow(/escapes/);
+  });
+
+  test("http source requires an https URL", () => {
+    expect(() => createSource({ fileKey: "a.csv", source: { type: "http", url: "http://x.test/a.csv" } }))
+      .toThrow(/https/);
+    expect(createSource({ fileKey: "a.csv", source: { type: "http", url: "https://x.test/a.csv" } }).describe())
+      .toBe("https://x.test/a.csv");
+  });
+
+  test("s3 source defaults to the run's bucket and the fileKey", () => {
+    const source = createSource({ fileKey: "vendor/a.csv" }, { bucketName: "bucket-1", s3Client: {} });
+
+    expect(source.describe()).toBe("s3://bucket-1/vendor/a.csv");
+  });
+
+  test("unknown source types are rejected", () => {
+    expect(() => createSource({ fileKey: "a.csv", source: "ftp" })).toThrow(/Unknown CSV source type "ftp"/);
+  });
+});
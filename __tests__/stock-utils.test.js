@@ -0,0 +1,43 @@
+// __tests__/stock-utils.test.js
+const {
+  parseStockQuantity,
+  parseLeadWeeks,
+  deriveStockFields,
+} = require("../src/batch/stock-utils");
+
+describe("stock-utils.js", () => {
+  test("parseStockQuantity handles formatted and missing values", () => {
+    expect(parseStockQuantity("2,500")).toBe(2500);
+    expect(parseStockQuantity("12.00")).toBe(12);
+    expect(parseStockQuantity("1,000.00")).toBe(1000);
+    expect(parseStockQuantity("3.5")).toBe(3);
+    expect(parseStockQuantity(" 40 pcs")).toBe(40);
+    expect(parseStockQuantity("1000+")).toBe(1000);
+    expect(parseStockQuantity(">500")).toBe(500);
+    expect(parseStockQuantity("N/A")).toBe(0);
+    expect(parseStockQuantity(undefined)).toBe(0);
+  });
+
+  test("parseLeadWeeks reads weeks, ranges and days", () => {
+    expect(parseLeadWeeks("12")).toBe(12);
+    expect(parseLeadWeeks("8-10 weeks")).toBe(8);
+    expect(parseLeadWeeks("14 days")).toBe(2);
+    expect(parseLeadWeeks("")).toBe(0);
+  });
+
+  test("deriveStockFields picks instock / onbackorder / outofstock", () => {
+    expect(deriveStockFields("25", "")).toEqual({
+      manage_stock: true,
+      stock_quantity: 25,
+      backorders: "no",
+      stock_status: "instock",
+    });
+    expect(deriveStockFields("0", "12 weeks")).toEqual({
+      manage_stock: true,
+      stock_quantity: 0,
+      backorders: "notify",
+      stock_status: "onbackorder",
+    });
+    expect(deriveStockFields("0", "")).toMatchObject({ stock_status: "outofstock", backorders: "no" });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * =============================================================================
+ * FILE: adaptive-limiter.js
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Tunes the shared Bottleneck limiter (job-manager.js) from what WooCommerce
+ * actually tells us, instead of a fixed `maxConcurrent: 2, minTime: 1000`.
+ *
+ * HOW IT WORKS (AIMD - additive increase, multiplicative decrease):
+ *   - Every request's latency is recorded. After each window of
+ *     WOO_LIMITER_WINDOW successful requests the p95 is computed:
+ *       p95 <= WOO_TARGET_P95_MS          → +1 concurrency, minTime × 0.8
+ *       p95 >  target, or 1.5× the last   → -1 concurrency, minTime × 1.5
+ *       window's p95 (rising latency)
+ *   - A 429 / 502 / 503 / 504 halves concurrency and doubles minTime at once.
+ *   - A `Retry-After` header pauses ALL requests (every worker) until it
+ *     has passed.
+ *   Concurrency stays within WOO_MIN_CONCURRENT..WOO_MAX_CONCURRENT, minTime
+ *   within WOO_MIN_TIME_FLOOR_MS..WOO_MIN_TIME_CEILING_MS.
+ *
+ * SHARED STATE:
+ * The settings and the pause live in a store. job-manager.js uses Redis
+ * (`woo-limiter:state`) and a clustered Bottleneck, so all PM2 workers share
+ * ONE budget and adjust the same numbers - they never each think they own it.
+ * Tests (and WOO_LIMITER_SHARED=false) use the in-memory store.
+ *
+ * NOTE: No logger import - job-manager.js passes its log function in.
+ *
+ * =============================================================================
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * @returns {{minConcurrent:number, maxConcurrent:number, startConcurrent:number,
+ *   startMinTime:number, minTimeFloor:number, minTimeCeiling:number,
+ *   targetP95Ms:number, windowSize:number}}
+ */
+const getLimiterConfig = () => {
+  const minConcurrent = envInt("WOO_MIN_CONCURRENT", 1);
+  const maxConcurrent = Math.max(minConcurrent, envInt("WOO_MAX_CONCURRENT", 8));
+  return {
+    minConcurrent,
+    maxConcurrent,
+    startConcurrent: Math.min(maxConcurrent, Math.max(minConcurrent, envInt("WOO_START_CONCURRENT", 2))),
+    startMinTime: envInt("WOO_START_MIN_TIME_MS", 1000),
+    minTimeFloor: envInt("WOO_MIN_TIME_FLOOR_MS", 100),
+    minTimeCeiling: envInt("WOO_MIN_TIME_CEILING_MS", 5000),
+    targetP95Ms: envInt("WOO_TARGET_P95_MS", 3000),
+    windowSize: envInt("WOO_LIMITER_WINDOW", 20),
+  };
+};
+
+/** Statuses that mean "slow down" (rate limited / gateway overloaded). */
+const THROTTLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Errors worth retrying: throttling / gateway statuses (plus 499, a client
+ * closed request behind some proxies) and dropped connections. Matched on
+ * the HTTP status and the error code - never on digits somewhere in a
+ * message, which would catch "Invalid SKU 5040" or a product id.
+ */
+const TRANSIENT_STATUSES = [...THROTTLE_STATUSES, 499];
+const TRANSIENT_ERROR_CODES = ["ECONNRESET"];
+const TRANSIENT_ERROR_PATTERN = /\b(ECONNRESET|socket hang up)\b/i;
+
+/** How long a read of the shared pause is trusted before asking the store again. */
+const PAUSE_CHECK_INTERVAL_MS = 1000;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function getErrorStatus
+ * @param {Error} error - Error thrown by wooApi (axios).
+ * @returns {number|null} HTTP status, also recognised in the message
+ *   ("Request failed with status code 504").
+ */
+const getErrorStatus = (error) => {
+  const status = error?.response?.status;
+  if (status) return Number(status);
+  const match = /status code (\d{3})/i.exec(error?.message || "");
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * @function getRetryAfterMs
+ * @param {Error} error - Error thrown by wooApi (axios).
+ * @returns {number|null} The `Retry-After` header in ms (seconds or HTTP date).
+ */
+const getRetryAfterMs = (error) => {
+  const header = error?.response?.headers?.["retry-after"];
+  if (header === undefined || header === null || header === "") return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+};
+
+/**
+ * @function isTransientError
+ * @description The errors the limiter retries itself (see the "failed" handler
+ * in woo-helpers.js) - callers shouldn't retry them a second time.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isTransientError = (error) =>
+  TRANSIENT_STATUSES.includes(getErrorStatus(error)) ||
+  TRANSIENT_ERROR_CODES.includes(error?.code) ||
+  TRANSIENT_ERROR_PATTERN.test(error?.message || "");
+
+/**
+ * @function percentile
+ * @param {number[]} values
+ * @param {number} p - 0..1
+ * @returns {number}
+ */
+const percentile = (values, p) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+};
+
+/**
+ * @function createMemoryStore
+ * @description Store for one process (tests, WOO_LIMITER_SHARED=false).
+ * @returns {{load:function():Promise<Object|null>, save:function(Object):Promise<void>}}
+ */
+const createMemoryStore = () => {
+  let state = null;
+  return {
+    load: async () => (state ? { ...state } : null),
+    save: async (next) => {
+      state = { ...next };
+    },
+  };
+};
+
+/**
+ * @function createRedisStore
+ * @description Store shared by every process through a node-redis hash.
+ * @param {Object} redis - Connected node-redis v4 client (appRedis).
+ * @param {string} [key="woo-limiter:state"]
+ * @returns {{load:function():Promise<Object|null>, save:function(Object):Promise<void>}}
+ */
+const createRedisStore = (redis, key = "woo-limiter:state") => ({
+  load: async () => {
+    const hash = await redis.hGetAll(key);
+    if (!hash || !hash.maxConcurrent) return null;
+    return {
+      maxConcurrent: Number(hash.maxConcurrent),
+      minTime: Number(hash.minTime),
+      pausedUntil: Number(hash.pausedUntil) || 0,
+      lastP95: Number(hash.lastP95) || 0,
+    };
+  },
+  save: async (state) => {
+    await redis.hSet(key, {
+      maxConcurrent: String(state.maxConcurrent),
+      minTime: String(state.minTime),
+      pausedUntil: String(state.pausedUntil || 0),
+      lastP95: String(state.lastP95 || 0),
+    });
+  },
+});
+
+// =============================================================================
+// CONTROLLER
+// =============================================================================
+
+/**
+ * @function createAdaptiveController
+ * @param {Object} options
+ * @param {Object} options.limiter - Bottleneck instance (updateSettings()).
+ * @param {Object} [options.store] - createRedisStore() / createMemoryStore().
+ * @param {Object} [options.config] - Defaults to getLimiterConfig().
+ * @param {function(string):void} [options.log] - Called on every change.
+ * @returns {{
+ *   beforeRequest: function():Promise<void>,
+ *   recordSuccess: function(number):Promise<void>,
+ *   recordFailure: function(Error):Promise<void>,
+ *   getState: function():Promise<Object>
+ * }}
+ *
+ * @example
+ * const controller = createAdaptiveController({ limiter });
+ * await controller.beforeRequest();       // waits out a shared Retry-After
+ * await controller.recordSuccess(850);    // latency in ms
+ * await controller.recordFailure(error);  // 429 → back off
+ */
+const createAdaptiveController = ({
+  limiter,
+  store = createMemoryStore(),
+  config = getLimiterConfig(),
+  log = () => {},
+}) => {
+  let samples = [];
+  let pauseCheckedAt = 0;
+  let pausedUntil = 0;
+
+  const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+  // Keeps a proposed state within the configured bounds
+  const bounded = (state) => ({
+    ...state,
+    maxConcurrent: clamp(Math.round(state.maxConcurrent), config.minConcurrent, config.maxConcurrent),
+    minTime: clamp(Math.round(state.minTime), config.minTimeFloor, config.minTimeCeiling),
+  });
+
+  const loadState = async () =>
+    (await store.load()) || {
+      maxConcurrent: config.startConcurrent,
+      minTime: config.startMinTime,
+      pausedUntil: 0,
+      lastP95: 0,
+    };
+
+  // Persist + push to Bottleneck (clustered: every worker sees it)
+  const apply = async (state, reason) => {
+    await store.save(state);
+    await limiter.updateSettings({ maxConcurrent: state.maxConcurrent, minTime: state.minTime });
+    log(
+      `🎚️ Woo limiter: ${reason} → maxConcurrent=${state.maxConcurrent}, minTime=${state.minTime}ms`
+    );
+  };
+
+  /**
+   * Wait while a Retry-After pause (from any worker) is in effect.
+   */
+  const beforeRequest = async () => {
+    if (Date.now() - pauseCheckedAt > PAUSE_CHECK_INTERVAL_MS) {
+      pauseCheckedAt = Date.now();
+      pausedUntil = (await store.load())?.pausedUntil || 0;
+    }
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+  };
+
+  /**
+   * @param {number} latencyMs - Duration of a successful request.
+   */
+  const recordSuccess = async (latencyMs) => {
+    samples.push(latencyMs);
+    if (samples.length < config.windowSize) return;
+
+    const p95 = percentile(samples, 0.95);
+    samples = [];
+
+    const state = await loadState();
+    const rising = state.lastP95 > 0 && p95 > state.lastP95 * 1.5;
+    const slow = p95 > config.targetP95Ms || rising;
+    const next = bounded({
+      ...state,
+      maxConcurrent: state.maxConcurrent + (slow ? -1 : 1),
+      minTime: state.minTime * (slow ? 1.5 : 0.8),
+      lastP95: p95,
+    });
+
+    if (next.maxConcurrent === state.maxConcurrent && next.minTime === state.minTime) {
+      await store.save(next); // already at the bound - only remember the p95
+      return;
+    }
+    await apply(
+      next,
+      p95 > config.targetP95Ms ? `p95 ${p95}ms over target` : rising ? `p95 rising to ${p95}ms` : `p95 ${p95}ms healthy`
+    );
+  };
+
+  /**
+   * @param {Error} error - Error thrown by the request.
+   */
+  const recordFailure = async (error) => {
+    const status = getErrorStatus(error);
+    const retryAfterMs = getRetryAfterMs(error);
+    if (!THROTTLE_STATUSES.includes(status) && retryAfterMs === null) return;
+
+    const state = await loadState();
+    const next = bounded({
+      ...state,
+      maxConcurrent: Math.floor(state.maxConcurrent / 2),
+      minTime: state.minTime * 2,
+    });
+    samples = [];
+
+    if (retryAfterMs !== null) {
+      next.pausedUntil = Math.max(state.pausedUntil || 0, Date.now() + retryAfterMs);
+      pausedUntil = next.pausedUntil;
+      pauseCheckedAt = Date.now();
+    }
+
+    await apply(
+      next,
+      `HTTP ${status ?? "error"}` + (retryAfterMs !== null ? `, Retry-After ${Math.round(retryAfterMs / 1000)}s` : "")
+    );
+  };
+
+  return { beforeRequest, recordSuccess, recordFailure, getState: loadState };
+};
+
+module.exports = {
+  THROTTLE_STATUSES,
+  getLimiterConfig,
+  getErrorStatus,
+  getRetryAfterMs,
+  isTransientError,
+  percentile,
+  createMemoryStore,
+  createRedisStore,
+  createAdaptiveController,
+};
@@ -0,0 +1,305 @@
+/**
+ * catalog-index.js
+ *
+ * PURPOSE (high-level overview):
+ * --------------------------------
+ * getProductIdByPartNumber() used to find products through Woo's full-text
+ * `search`, which is slow and fuzzy (searching "LM317" returns "LM317T",
+ * "LM317LZ", ...). This script keeps a local index of the whole catalog in
+ * Redis instead:
+ *
+ *   catalog-index:products   "part|manufacturer" → product id
+ *   catalog-index:ids        product id → "part|manufacturer"
+ *
+ * (keys and the field format live in woo-helpers.js: CATALOG_INDEX_KEYS,
+ * catalogIndexField). Part numbers are matched exactly apart from case and
+ * whitespace; manufacturers by their canonical name.
+ *
+ *   1) FULL build: pages through every product once, into temporary hashes
+ *      that replace the live ones only when the walk completes.
+ *   2) INCREMENTAL sync: only products with `modified_after` the last sync
+ *      (plus trashed ones, which are removed). A product whose part number or
+ *      manufacturer changed is moved to its new field.
+ *   3) A full rebuild happens when there is no index yet, on --full, or when
+ *      the last one is older than CATALOG_INDEX_FULL_SYNC_HOURS (default 24) -
+ *      that also drops products deleted permanently, which `modified_after`
+ *      never reports.
+ *
+ * A Redis lock (catalog-index:lock) keeps several workers from syncing at once.
+ * It holds a random token and is only released by the sync that owns it - a
+ * sync outliving the TTL must not delete the lock of the one that took over.
+ * worker.js syncs every CATALOG_INDEX_SYNC_MINUTES (0 / unset = off).
+ *
+ * Typical usage (from CLI):
+ *
+ *   node catalog-index.js [--full]
+ */
+
+const crypto = require("crypto");
+const { wooApi, CATALOG_INDEX_KEYS, catalogIndexField } = require("./woo-helpers");
+const { scheduleApiRequest } = require("./job-manager");
+const { appRedis } = require("./queue");
+const { logInfoToFile, logErrorToFile } = require("./logger");
+const { createUniqueJobId } = require("./utils");
+const { matchKnownManufacturer } = require("./manufacturer-resolver");
+
+// Woo's maximum page size
+const CATALOG_PAGE_SIZE = 100;
+
+// Only what the index needs - keeps catalog pages small
+const INDEX_FIELDS = "id,name,meta_data";
+
+// Longest a sync may hold the lock (a crashed sync must not block forever)
+const LOCK_TTL_SECONDS = 60 * 60;
+
+// Deletes the lock only while it still holds our token (atomic compare-and-delete)
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * @returns {number} Hours after which a sync rebuilds the whole index.
+ */
+const getFullSyncHours = () => {
+  const hours = parseFloat(process.env.CATALOG_INDEX_FULL_SYNC_HOURS || "24");
+  return Number.isFinite(hours) && hours > 0 ? hours : 24;
+};
+
+const getMeta = (product, key) =>
+  product.meta_data?.find((m) => m.key?.toLowerCase() === key)?.value;
+
+/**
+ * Index field of a Woo product, or null if it has no part number.
+ * Part number as validateProductMatch() reads it (meta, else the name);
+ * manufacturer canonicalized WITHOUT adding unknown names to
+ * custom-manufacturers.json.
+ *
+ * @param {Object} product - Woo product (id, name, meta_data)
+ * @param {Map<string, string>} canonicalCache - raw → canonical, per sync
+ * @returns {string|null}
+ */
+function productIndexField(product, canonicalCache) {
+  const partNumber = String(getMeta(product, "part_number") || product.name || "").trim();
+  if (!partNumber) return null;
+
+  const rawManufacturer = String(getMeta(product, "manufacturer") || "").trim();
+  if (!canonicalCache.has(rawManufacturer)) {
+    canonicalCache.set(
+      rawManufacturer,
+      matchKnownManufacturer(rawManufacturer)?.canonical || rawManufacturer
+    );
+  }
+  return catalogIndexField(partNumber, canonicalCache.get(rawManufacturer));
+}
+
+/**
+ * Walk every page of a product listing through the shared limiter.
+ *
+ * @param {Object} params - Extra list params (modified_after, status, ...)
+ * @param {function(Object[]):Promise<void>} onPage
+ * @returns {Promise<number>} Products seen.
+ */
+async function forEachProductPage(params, onPage) {
+  let totalPages = 1;
+  let seen = 0;
+
+  for (let page = 1; page <= totalPages; page++) {
+    const response = await scheduleApiRequest(
+      () => wooApi.get("products", {
+        ...params,
+        per_page: CATALOG_PAGE_SIZE,
+        page,
+        orderby: "id",
+        order: "asc",
+        _fields: INDEX_FIELDS,
+      }),
+      {
+        id: createUniqueJobId("catalog-index", "syncCatalogIndex", page, 0),
+        context: { file: "catalog-index.js", functionName: "syncCatalogIndex", part: `page ${page}` },
+      }
+    );
+    const products = response.data || [];
+    seen += products.length;
+    await onPage(products);
+    totalPages = parseInt(response.headers?.["x-wp-totalpages"] || "1", 10) || 1;
+  }
+
+  return seen;
+}
+
+/**
+ * Rebuild the whole index into temporary hashes, then swap them in.
+ *
+ * @returns {Promise<{indexed:number, scanned:number}>}
+ */
+async function buildFullIndex() {
+  const building = {
+    products: `${CATALOG_INDEX_KEYS.products}:building`,
+    ids: `${CATALOG_INDEX_KEYS.ids}:building`,
+  };
+  const canonicalCache = new Map();
+  let indexed = 0;
+
+  await appRedis.del([building.products, building.ids]);
+
+  const scanned = await forEachProductPage({}, async (products) => {
+    const byField = {};
+    const byId = {};
+    for (const product of products) {
+      const field = productIndexField(product, canonicalCache);
+      if (!field) continue;
+      // Duplicates (same part + manufacturer): the lowest id wins, like the
+      // first search result used to
+      if (!byField[field]) byField[field] = String(product.id);
+      byId[product.id] = field;
+    }
+    if (Object.keys(byField).length === 0) return;
+
+    // hSetNX keeps an earlier page's (lower) id for a duplicate field
+    const added = await Promise.all(
+      Object.entries(byField).map(([field, id]) => appRedis.hSetNX(building.products, field, id))
+    );
+    await appRedis.hSet(building.ids, byId);
+    indexed += added.filter(Boolean).length;
+  });
+
+  if (indexed === 0) {
+    // Renaming a missing key fails - an empty catalog is an empty index
+    await appRedis.del([CATALOG_INDEX_KEYS.products, CATALOG_INDEX_KEYS.ids]);
+  } else {
+    await appRedis.rename(building.products, CATALOG_INDEX_KEYS.products);
+    await appRedis.rename(building.ids, CATALOG_INDEX_KEYS.ids);
+  }
+
+  return { indexed, scanned };
+}
+
+/**
+ * Apply products modified since `since` (and trashed ones) to the live index.
+ *
+ * @param {string} since - ISO time of the previous sync
+ * @returns {Promise<{indexed:number, removed:number, scanned:number}>}
+ */
+async function applyIncrementalChanges(since) {
+  const canonicalCache = new Map();
+  let indexed = 0;
+  let removed = 0;
+
+  // Remove a product's old field - unless another product took it over since
+  const unindex = async (id) => {
+    const oldField = await appRedis.hGet(CATALOG_INDEX_KEYS.ids, String(id));
+    if (!oldField) return false;
+    if ((await appRedis.hGet(CATALOG_INDEX_KEYS.products, oldField)) === String(id)) {
+      await appRedis.hDel(CATALOG_INDEX_KEYS.products, oldField);
+    }
+    await appRedis.hDel(CATALOG_INDEX_KEYS.ids, String(id));
+    return true;
+  };
+
+  const modifiedSince = { modified_after: since, dates_are_gmt: true };
+
+  let scanned = await forEachProductPage(modifiedSince, async (products) => {
+    for (const product of products) {
+      const field = productIndexField(product, canonicalCache);
+      const oldField = await appRedis.hGet(CATALOG_INDEX_KEYS.ids, String(product.id));
+      if (oldField === field) continue;
+
+      await unindex(product.id);
+      if (!field) continue;
+      // Like the full build, a duplicate doesn't take over an indexed field
+      if (await appRedis.hSetNX(CATALOG_INDEX_KEYS.products, field, String(product.id))) indexed++;
+      await appRedis.hSet(CATALOG_INDEX_KEYS.ids, String(product.id), field);
+    }
+  });
+
+  scanned += await forEachProductPage({ ...modifiedSince, status: "trash" }, async (products) => {
+    for (const product of products) {
+      if (await unindex(product.id)) removed++;
+    }
+  });
+
+  return { indexed, removed, scanned };
+}
+
+/**
+ * Bring the catalog index up to date (full or incremental, see header).
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Force a full rebuild
+ * @returns {Promise<{mode:"full"|"incremental", indexed:number, removed?:number,
+ *   scanned:number, syncedAt:string}|null>} null when another sync holds the lock.
+ * @throws {Error} when a Woo or Redis call fails (the previous index stays in use)
+ */
+async function syncCatalogIndex({ full = false } = {}) {
+  const lockToken = `${process.pid}:${crypto.randomUUID()}`;
+  const locked = await appRedis.set(CATALOG_INDEX_KEYS.lock, lockToken, {
+    NX: true,
+    EX: LOCK_TTL_SECONDS,
+  });
+  if (!locked) {
+    logInfoToFile("🗂️ Catalog index sync already running elsewhere - skipping");
+    return null;
+  }
+
+  try {
+    const startedAt = new Date().toISOString();
+    const syncedAt = await appRedis.get(CATALOG_INDEX_KEYS.syncedAt);
+    const builtAt = await appRedis.get(CATALOG_INDEX_KEYS.builtAt);
+    const stale = !builtAt || Date.now() - Date.parse(builtAt) > getFullSyncHours() * 3600 * 1000;
+    const mode = full || !syncedAt || stale ? "full" : "incremental";
+
+    logInfoToFile(
+      `🗂️ Catalog index: ${mode} sync` + (mode === "incremental" ? ` (modified after ${syncedAt})` : "")
+    );
+
+    const result = mode === "full"
+      ? await buildFullIndex()
+      : await applyIncrementalChanges(syncedAt);
+
+    // Only a completed sync moves the watermark - a failed one is redone
+    await appRedis.set(CATALOG_INDEX_KEYS.syncedAt, startedAt);
+    if (mode === "full") await appRedis.set(CATALOG_INDEX_KEYS.builtAt, startedAt);
+
+    logInfoToFile(
+      `🗂️ Catalog index: ${mode} sync done - scanned=${result.scanned}, indexed=${result.indexed}` +
+      (mode === "incremental" ? `, removed=${result.removed}` : "")
+    );
+    return { mode, ...result, syncedAt: startedAt };
+  } catch (error) {
+    logErrorToFile(`❌ Catalog index sync failed: ${error.message}`);
+    throw error;
+  } finally {
+    await appRedis.eval(RELEASE_LOCK_SCRIPT, { keys: [CATALOG_INDEX_KEYS.lock], arguments: [lockToken] });
+  }
+}
+
+module.exports = { syncCatalogIndex, productIndexField };
+
+// =============================================================================
+// CLI
+// =============================================================================
+
+if (require.main === module) {
+  const full = process.argv.includes("--full");
+
+  (async () => {
+    try {
+      const result = await syncCatalogIndex({ full });
+      if (!result) {
+        console.log("[catalog-index] ⏳ Another sync is running - nothing to do.");
+      } else {
+        console.log(
+          `[catalog-index] ✅ ${result.mode} sync: scanned=${result.scanned}, indexed=${result.indexed}` +
+          (result.mode === "incremental" ? `, removed=${result.removed}` : "")
+        );
+      }
+      process.exit(0);
+    } catch (err) {
+      console.error(`[catalog-index] ❌ ${err.message}`);
+      process.exit(1);
+    }
+  })();
+}
@@ -45,7 +45,7 @@ const path = require("path");
 const { logErrorToFile, logInfoToFile } = require("./logger");
 
 // Redis and queue access
-const { batchQueue, appRedis } = require("./queue");
+const { BATCH_LANES, appRedis } = require("./queue");
 
 // =============================================================================
 // CONFIGURATION
@@ -91,7 +91,7 @@ if (!fs.existsSync(checkpointFilePath)) {
  * 
  * @param {string} fileKey - The S3 key or filename being processed
  * @param {number} lastProcessedRow - The last row number that was processed
- * @param {number} totalRows - Total rows in the file
+ * @param {number|null} totalRows - Total rows in the file (null while still streaming)
  * @returns {Promise<void>}
  * 
  * @example
@@ -117,8 +117,8 @@ async function saveCheckpoint(fileKey, lastProcessedRow, totalRows) {
     return;
   }
 
-  // Validate totalRows
-  if (!Number.isInteger(totalRows) || totalRows < 0) {
+  // Validate totalRows (null = file still streaming, total not known yet)
+  if (totalRows !== null && (!Number.isInteger(totalRows) || totalRows < 0)) {
     logErrorToFile(
       `❌ saveCheckpoint: Invalid totalRows: ${JSON.stringify(totalRows)}`
     );
@@ -167,7 +167,9 @@ async function saveCheckpoint(fileKey, lastProcessedRow, totalRows) {
 
   // Calculate derived values
   const completedRows = updated + skipped + failed;
-  const remainingRows = Math.max(0, totalRows - completedRows);
+  // Unknown (null) while the file is still streaming - never 0, or
+  // isFileFullyProcessed() would treat a half-read file as done
+  const remainingRows = totalRows === null ? null : Math.max(0, totalRows - completedRows);
 
   // ===========================================================================
   // STEP 4: Fetch queue-level statistics from BullMQ
@@ -177,6 +179,7 @@ async function saveCheckpoint(fileKey, lastProcessedRow, totalRows) {
    *   - waiting: Jobs waiting to be picked up
    *   - active: Jobs currently being processed
    *   - delayed: Jobs scheduled for later retry
+   * Summed over both lanes (batchQueue + the quantity fast lane).
    */
   
   let waiting = 0;
@@ -184,9 +187,11 @@ async function saveCheckpoint(fileKey, lastProcessedRow, totalRows) {
   let delayed = 0;
 
   try {
-    waiting = await batchQueue.getWaitingCount();
-    active = await batchQueue.getActiveCount();
-    delayed = await batchQueue.getDelayedCount();
+    for (const queue of Object.values(BATCH_LANES)) {
+      waiting += await queue.getWaitingCount();
+      active += await queue.getActiveCount();
+      delayed += await queue.getDelayedCount();
+    }
   } catch (queueError) {
     logErrorToFile(`⚠️ Queue stats error in saveCheckpoint: ${queueError.message}`);
     // Continue with zeros
@@ -286,7 +291,7 @@ async function saveCheckpoint(fileKey, lastProcessedRow, totalRows) {
  * 
  * @param {string} fileKey - The S3 key or filename being processed
  * @param {number} newLastProcessedRow - The row number this worker completed up to
- * @param {number} totalRows - Total rows in the file
+ * @param {number|null} totalRows - Total rows in the file (null while still streaming)
  * @returns {Promise<void>}
  * 
  * @example
@@ -311,7 +316,7 @@ async function saveCheckpointAtomic(fileKey, newLastProcessedRow, totalRows) {
     return;
   }
 
-  if (!Number.isInteger(totalRows) || totalRows < 0) {
+  if (totalRows !== null && (!Number.isInteger(totalRows) || totalRows < 0)) {
     logErrorToFile(
       `❌ saveCheckpointAtomic: Invalid totalRows: ${totalRows}`
     );
@@ -37,6 +37,24 @@ const { resolveCategorySmart } = require("./category-resolver");
 const { resolveManufacturerSmart } = require("./manufacturer-resolver");
 const { ensureCategoryHierarchyIds } = require("./category-woo");
 
+// Currency normalization + price-break tiers
+const {
+  normalizePrice,
+  extractPriceBreaks,
+  serializePriceBreaks,
+} = require("./src/batch/price-utils");
+
+// Native Woo stock fields (STOCK_MODE=native)
+const { isNativeStockEnabled, deriveStockFields } = require("./src/batch/stock-utils");
+
+// Shared field schema: header rule, aliases and meta keys (same as the update flow)
+const {
+  FIELD_SCHEMA,
+  FIELD_ALIASES,
+  normalizeFieldKey,
+  resolveFieldKey,
+} = require("./src/batch/field-schema");
+
 // Execution mode
 const EXECUTION_MODE = process.env.EXECUTION_MODE || "production";
 
@@ -48,226 +66,16 @@ function getCleanFileKey(fileKey) {
   return fileKey.replace(/\.csv$/i, "").replace(/\//g, "_");
 }
 
-/**
- * FIELD_ALIASES - Maps CSV column names to ACF field names
- * 
- * Keys are lowercase with spaces converted to underscores.
- * Values are the canonical ACF field names.
- */
-const FIELD_ALIASES = {
-  // ========== PART NUMBER VARIANTS ==========
-  "manufacturer_part_number": "part_number",
-  "mfr_part_number": "part_number",
-  "mpn": "part_number",
-  "partnumber": "part_number",
-  "part_no": "part_number",
-  "part#": "part_number",
-  "part_#": "part_number",
-  "pn": "part_number",
-  "sku": "part_number",  // Some vendors use SKU as part number
-  
-  // ========== MANUFACTURER VARIANTS ==========
-  "mfr": "manufacturer",
-  "mfg": "manufacturer",
-  "brand": "manufacturer",
-  "vendor": "manufacturer",
-  "supplier": "manufacturer",
-  "make": "manufacturer",
-  
-  // ========== CATEGORY VARIANTS ==========
-  "cat": "category",
-  "product_category": "category",
-  "categorypath": "category",
-  "category_path": "category",
-  "categories": "category",
-  "prod_category": "category",
-  
-  // ========== DESCRIPTION VARIANTS ==========
-  "product_description": "part_description",
-  "description": "part_description",
-  "desc": "part_description",
-  "part_desc": "part_description",
-  "short_product_description": "short_description",
-  "brief_description": "short_description",
-  "summary": "short_description",
-  "detailed_product_description": "detail_description",
-  "long_description": "detail_description",
-  "full_description": "detail_description",
-  "extended_description": "detail_description",
-  
-  // ========== QUANTITY VARIANTS ==========
-  "stock_quantity": "quantity",
-  "quantity_available": "quantity",
-  "qty": "quantity",
-  "stock": "quantity",
-  "available_qty": "quantity",
-  "avail_qty": "quantity",
-  "inventory": "quantity",
-  "in_stock": "quantity",
-  "qty_available": "quantity",
-  
-  // ========== COMPLIANCE FIELDS ==========
-  // RoHS variants
-  "rohs_compliance": "rohs_status",
-  "rohs": "rohs_status",
-  "rohscompliant": "rohs_status",
-  "rohs_compliant": "rohs_status",
-  "rohsstatus": "rohs_status",
-  "rohs_certified": "rohs_status",
-  
-  // REACH variants
-  "reach_compliance": "reach_status",
-  "reach": "reach_status",
-  "reachstatus": "reach_status",
-  "reach_compliant": "reach_status",
-  "reachcompliant": "reach_status",
-  
-  // ========== EXPORT/CUSTOMS FIELDS ==========
-  // HTS/HTSUS variants
-  "hts_code": "htsus_code",
-  "hts": "htsus_code",
-  "htsuscode": "htsus_code",
-  "tariff_code": "htsus_code",
-  "harmonized_code": "htsus_code",
-  "hs_code": "htsus_code",
-  "customs_code": "htsus_code",
-  
-  // ECCN variants
-  "eccn": "export_control_class_number",
-  "eccn_code": "export_control_class_number",
-  "exportcontrolclassnumber": "export_control_class_number",
-  "export_class": "export_control_class_number",
-  "export_control": "export_control_class_number",
-  
-  // ========== URL FIELDS (including wildcard variants) ==========
-  // Datasheet variants
-  "datasheet_url": "datasheet",
-  "datasheet_url*": "datasheet",
-  "datasheeturl": "datasheet",
-  "datasheeturl*": "datasheet",
-  "pdf_url": "datasheet",
-  "spec_sheet": "datasheet",
-  "specsheet": "datasheet",
-  "spec_url": "datasheet",
-  "documentation_url": "datasheet",
-  "doc_url": "datasheet",
-  
-  // Image variants
-  "image_attachment_url": "image_url",
-  "imageurl": "image_url",
-  "product_image": "image_url",
-  "image": "image_url",
-  "photo_url": "image_url",
-  "picture_url": "image_url",
-  "img_url": "image_url",
-  "thumbnail": "image_url",
-  "product_image_url": "image_url",
-  
-  // ========== PHYSICAL SPECS ==========
-  // Dimensions variants
-  "size_/_dimension": "dimensions",
-  "size_/_dimensions": "dimensions",
-  "size": "dimensions",
-  "package_size": "dimensions",
-  "dim": "dimensions",
-  "dimension": "dimensions",
-  "physical_dimensions": "dimensions",
-  "case_size": "dimensions",
-  
-  // Voltage variants
-  "voltage_-_input_(max)": "voltage",
-  "voltage_-_input": "voltage",
-  "voltage_max": "voltage",
-  "operating_voltage": "voltage",
-  "supply_voltage": "voltage",
-  "voltage___supply": "voltage",
-  "input_voltage": "voltage",
-  "vcc": "voltage",
-  "v_supply": "voltage",
-  
-  // Capacitance variants
-  "capacitance_@_frequency": "capacitance",
-  "capacitance": "capacitance",
-  "cap_value": "capacitance",
-  "cap": "capacitance",
-  
-  // Temperature variants
-  "operating_temperature": "operating_temperature",
-  "temp_range": "operating_temperature",
-  "temperature": "operating_temperature",
-  "temp": "operating_temperature",
-  "operating_temp": "operating_temperature",
-  "op_temp": "operating_temperature",
-  "temperature_range": "operating_temperature",
-  
-  // MSL variants
-  "moisture_sensitivity_level": "moisture_sensitivity_level",
-  "msl": "moisture_sensitivity_level",
-  "moisturesensitivitylevel": "moisture_sensitivity_level",
-  "moisture_level": "moisture_sensitivity_level",
-  
-  // Mounting variants
-  "mounting_type": "mounting_type",
-  "mount_type": "mounting_type",
-  "mount": "mounting_type",
-  "mounting": "mounting_type",
-  "mounting_style": "mounting_type",
-  
-  // Package variants
-  "package": "packaging",
-  "package_type": "packaging",
-  "packaging": "packaging",
-  "pkg": "packaging",
-  "case_package": "packaging",
-  "package___case": "packaging",
-  
-  // Termination variants
-  "termination_style": "termination_style",
-  "termination": "termination_style",
-  "lead_style": "termination_style",
-  "lead_type": "termination_style",
-  "terminal_type": "termination_style",
-  
-  // ========== OTHER FIELDS ==========
-  // Series variants
-  "series": "series",
-  "product_series": "series",
-  "product_line": "series",
-  "family": "series",
-  
-  // Title variants
-  "part_title": "part_title",
-  "product_name": "part_title",
-  "title": "part_title",
-  "name": "part_title",
-  "product_title": "part_title",
-  
-  // Lead time variants
-  "leadtime": "manufacturer_lead_weeks",
-  "lead_time": "manufacturer_lead_weeks",
-  "lead_weeks": "manufacturer_lead_weeks",
-  
-  // SPQ variants
-  "spq": "spq",
-  "standard_package_qty": "spq",
-  "standard_pack_qty": "spq",
-  "min_qty": "spq",
-  
-  // Supplier device package
-  "supplier_device_package": "supplier_device_package",
-  "supplier_package": "supplier_device_package",
-};
-
 /**
  * normalizeProductData(productData)
  * 
  * Normalizes field names from CSV format to ACF format.
  * 
  * Steps:
- * 1. Remove asterisks from column names (e.g., "Datasheet URL*" → "Datasheet URL")
- * 2. Convert to lowercase
- * 3. Replace spaces with underscores
- * 4. Apply field aliases to get canonical ACF names
+ * 1. Normalize the header with the shared rule from src/batch/field-schema.js
+ *    (e.g., "Datasheet URL*" → "datasheet_url", "Voltage - Input (Max)" → "voltage_input_max")
+ * 2. Apply the schema aliases to get canonical ACF names
+ * 3. Blank out null-like values ("N/A", "-", "—")
  * 
  * @param {Object} productData - Raw CSV row object
  * @returns {Object} - Normalized object with ACF field names
@@ -279,22 +87,8 @@ function normalizeProductData(productData) {
     // Skip null/undefined keys
     if (!key) continue;
     
-    // Clean the key:
-    // 1. Remove asterisks (wildcards in CSV headers)
-    // 2. Trim whitespace
-    // 3. Convert to lowercase
-    // 4. Replace spaces and special chars with underscores
-    let cleanKey = key
-      .replace(/\*/g, "")        // Remove asterisks
-      .trim()
-      .toLowerCase()
-      .replace(/\s+/g, "_")      // Spaces to underscores
-      .replace(/[()]/g, "")      // Remove parentheses
-      .replace(/-/g, "_")        // Dashes to underscores
-      .replace(/__+/g, "_");     // Multiple underscores to single
-    
-    // Apply alias to get canonical ACF field name
-    const acfKey = FIELD_ALIASES[cleanKey] || cleanKey;
+    const acfKey = resolveFieldKey(key);
+    if (!acfKey) continue;
     
     // Clean the value
     let cleanValue = value;
@@ -306,6 +100,9 @@ function normalizeProductData(productData) {
       }
     }
     
+    // Several columns may alias to the same field: don't let an empty one win
+    if (cleanValue === "" && normalized[acfKey]) continue;
+    
     normalized[acfKey] = cleanValue;
   }
   
@@ -325,30 +122,29 @@ function normalizeProductData(productData) {
  * @returns {Array} - WooCommerce meta_data array
  */
 function buildMetaData(data, partNumber, manufacturer, additionalInfo) {
+  // Create-flow fallbacks for fields the vendor didn't send
+  const fallbacks = {
+    quantity: "0",
+    short_description: data.part_description,
+    detail_description: data.part_description,
+    mounting_type: data.termination_style,
+  };
+
+  // Plain meta fields straight from the schema (same keys the update flow writes)
+  const schemaFields = FIELD_SCHEMA
+    .filter((field) => field.meta && !field.special && field.key !== "manufacturer")
+    .map((field) => ({
+      key: field.meta,
+      value: data[field.key] || fallbacks[field.key] || "",
+    }));
+
   const metaFields = [
     { key: "part_number", value: partNumber },
     { key: "manufacturer", value: manufacturer },
-    { key: "series", value: data.series || "" },
-    { key: "quantity", value: data.quantity || "0" },
-    { key: "short_description", value: data.short_description || data.part_description || "" },
-    { key: "detail_description", value: data.detail_description || data.part_description || "" },
-    { key: "reach_status", value: data.reach_status || "" },
-    { key: "rohs_status", value: data.rohs_status || "" },
-    { key: "moisture_sensitivity_level", value: data.moisture_sensitivity_level || "" },
-    { key: "export_control_class_number", value: data.export_control_class_number || "" },
-    { key: "htsus_code", value: data.htsus_code || "" },
+    ...schemaFields,
     { key: "datasheet", value: data.datasheet || "" },
     { key: "datasheet_url", value: data.datasheet || "" },
-    { key: "image_url", value: data.image_url || "" },
-    { key: "operating_temperature", value: data.operating_temperature || "" },
-    { key: "voltage", value: data.voltage || "" },
-    { key: "dimensions", value: data.dimensions || "" },
-    { key: "mounting_type", value: data.mounting_type || data.termination_style || "" },
-    { key: "packaging", value: data.packaging || "" },
-    { key: "capacitance", value: data.capacitance || "" },
-    { key: "spq", value: data.spq || "" },
-    { key: "manufacturer_lead_weeks", value: data.manufacturer_lead_weeks || "" },
-    { key: "supplier_device_package", value: data.supplier_device_package || "" },
+    { key: "price_breaks", value: serializePriceBreaks(extractPriceBreaks(data).breaks) },
     { key: "additional_key_information", value: additionalInfo || "" },
   ]; 
   // Filter out empty values (optional - keeps payload smaller)
@@ -373,15 +169,7 @@ function debugFieldMapping(productData) {
   console.log("----------------------------------------");
   
   for (const [key, value] of Object.entries(productData)) {
-    let cleanKey = key
-      .replace(/\*/g, "")
-      .trim()
-      .toLowerCase()
-      .replace(/\s+/g, "_")
-      .replace(/[()]/g, "")
-      .replace(/-/g, "_")
-      .replace(/__+/g, "_");
-    
+    const cleanKey = normalizeFieldKey(key);
     const acfKey = FIELD_ALIASES[cleanKey] || cleanKey;
     const mapped = FIELD_ALIASES[cleanKey] ? "✅" : "⚠️ ";
     
@@ -491,7 +279,8 @@ const processMissingProducts = async (categorySlug, fileKey) => {
         // Normalize field names from CSV to ACF format
         const data = normalizeProductData(productData);
         
-        const partNumber = data.part_number || "";
+        // Some vendors only send a SKU column as the part number
+        const partNumber = data.part_number || data.sku || "";
         const rawManufacturer = data.manufacturer || "";
         const manufacturerResolved = resolveManufacturerSmart(rawManufacturer);
         const canonicalManufacturer = manufacturerResolved?.canonical || rawManufacturer || "";
@@ -531,11 +320,13 @@ const processMissingProducts = async (categorySlug, fileKey) => {
         }
 
         // 3c) Build additional_key_information from unmapped fields
+        const { breaks: priceBreaks, keys: priceBreakKeys } = extractPriceBreaks(data);
         const excludeKeys = [
           "part_number", "manufacturer", "category", "short_description",
           "part_description", "detail_description", "datasheet", "image_url",
           "rohs_status", "reach_status", "htsus_code", "export_control_class_number",
-          "moisture_sensitivity_level", "quantity", "series"
+          "moisture_sensitivity_level", "quantity", "series",
+          "regular_price", "sale_price", ...priceBreakKeys
         ];
         const additionalInfo = buildAdditionalKeyInfo(data, excludeKeys);
 
@@ -553,6 +344,18 @@ const processMissingProducts = async (categorySlug, fileKey) => {
           short_description: data.short_description || data.part_description || "",
           categories: categoryIds.map((id) => ({ id })),
           
+          // Prices: fall back to the qty-1 break when there's no price column
+          regular_price:
+            normalizePrice(data.regular_price) ||
+            priceBreaks.find((tier) => tier.qty === 1)?.price ||
+            "",
+          sale_price: normalizePrice(data.sale_price),
+          
+          // Native stock (STOCK_MODE=native); the quantity meta is still written below
+          ...(isNativeStockEnabled()
+            ? deriveStockFields(data.quantity, data.manufacturer_lead_weeks)
+            : {}),
+          
           // USE the buildMetaData() function instead of manual construction!
           meta_data: buildMetaData(data, partNumber, canonicalManufacturer, additionalInfo),
         };
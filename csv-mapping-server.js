@@ -14,9 +14,38 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 const { exec } = require("child_process");
+const {
+  MAPPING_TARGETS,
+  validateColumnMapping,
+  loadTemplates,
+  saveTemplate,
+  deleteTemplate,
+  findMatchingTemplate,
+  applyTemplateToHeaders,
+  resolveFileLane,
+} = require("./csv-mapping-store");
+const { FIELDS_BY_KEY, resolveFieldKey } = require("./src/batch/field-schema");
+const {
+  validateRows,
+  writeRejectedRowsReport,
+  writeRowWarningsReport,
+  buildValidationSummary,
+  getRejectedRowsPath,
+  getRowWarningsPath,
+} = require("./src/batch/row-validation");
+const { getDisappearedRowsPath } = require("./src/batch/row-hashes");
 
 // S3 Client setup
 const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
+const { createSource } = require("./src/sources");
+const {
+  detectFormat,
+  detectEncoding,
+  resolveFormatConfig,
+  readAllRows,
+  readLayout,
+  getContentType,
+} = require("./src/formats");
 const s3Client = new S3Client({ 
   region: process.env.AWS_REGION || process.env.AWS_REGION_NAME || "us-west-1" 
 });
@@ -79,6 +108,66 @@ function writeMappings(data) {
   fs.writeFileSync(MAPPINGS_PATH, JSON.stringify(data, null, 2));
 }
 
+/**
+ * Read the header row of an uploaded file so the mapping UI can offer every
+ * column (and, for workbooks, list the sheets). Uses the same CSV_HEADER_ROW
+ * and format parsers as ingestion (src/formats).
+ * Returns no headers if the file can't be parsed - mapping then falls back
+ * to normalized headers, exactly as before.
+ * 
+ * @returns {Promise<{headers: string[], sheets?: string[]}>}
+ */
+async function extractFileLayout(fileContent, format) {
+  try {
+    return await readLayout(fileContent, format);
+  } catch (err) {
+    console.error(`[upload] Could not read headers: ${err.message}`);
+    return { headers: [] };
+  }
+}
+
+/**
+ * Validate a file's rows with its current mapping and write rejected_rows.csv
+ * (+ row_warnings.csv). See src/batch/row-validation.js. Ingestion re-runs the
+ * same checks while it streams the file, so this is the preview the UI shows
+ * ("N rows invalid").
+ * 
+ * @param {string} [updateMode] - The file entry's updateMode (quantity mode checks less)
+ * @returns {Promise<Object|null>} Validation summary, or null if the file can't be parsed
+ */
+async function runRowValidation(fileKey, fileContent, mapping, format, updateMode) {
+  try {
+    const result = validateRows(await readAllRows(fileContent, format), mapping, { updateMode });
+    return buildValidationSummary(
+      result,
+      writeRejectedRowsReport(fileKey, result.rejected),
+      writeRowWarningsReport(fileKey, result.warned)
+    );
+  } catch (err) {
+    console.error(`[validation] Could not validate ${fileKey}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Format for an upload: detected from the name and content (including the
+ * character encoding), with the uploader's sheet / delimiter / encoding choice
+ * (form fields) on top. A re-upload keeps the sheet chosen for the previous
+ * version of the file.
+ */
+function resolveUploadFormat(fileKey, fileContent, body = {}, previous = null) {
+  const format = detectFormat(fileKey, fileContent);
+  const sheet = body.sheet || (previous?.type === "xlsx" ? previous.sheet : undefined);
+  if (format.type === "xlsx" && sheet) format.sheet = sheet;
+  if (format.type === "csv" && body.delimiter) {
+    if (body.delimiter === ",") delete format.delimiter;
+    else format.delimiter = body.delimiter;
+  }
+  if (format.type !== "xlsx" && body.encoding) format.encoding = body.encoding;
+  // Throws on an unsupported delimiter or encoding
+  return resolveFormatConfig({ fileKey, format });
+}
+
 // =============================================================================
 // ENVIRONMENT ENDPOINT
 // =============================================================================
@@ -296,6 +385,10 @@ app.post("/api/admin/flush-redis", async (req, res) => {
   try {
     console.log(`[admin] [${ENV_LABEL}] Flushing Redis...`);
     
+    // Run records keep the counts the flush is about to delete
+    const { interruptOpenRuns } = require("./run-history");
+    await interruptOpenRuns("Redis flushed");
+    
     const { createClient } = require("redis");
     const redis = createClient({ url: "redis://127.0.0.1:6379/1" });
     await redis.connect();
@@ -329,7 +422,9 @@ app.post("/api/admin/full-reset", async (req, res) => {
       exec("pm2 stop woo-update-app woo-worker 2>/dev/null", () => resolve());
     });
     
-    // Step 2: Flush Redis
+    // Step 2: Close open run records, then flush Redis
+    const { interruptOpenRuns } = require("./run-history");
+    await interruptOpenRuns("Full reset");
     const { createClient } = require("redis");
     const redis = createClient({ url: "redis://127.0.0.1:6379/1" });
     await redis.connect();
@@ -439,15 +534,43 @@ app.post("/api/admin/clear-logs", (req, res) => {
 app.get("/api/csv-mappings", (req, res) => {
   try {
     const mappings = readMappings();
-    res.json(mappings);
+    // `lane` is derived (not stored): quantity-only files use the fast lane
+    res.json({ ...mappings, files: mappings.files.map((f) => ({ ...f, lane: resolveFileLane(f) })) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * GET /api/mapping-targets[?fileKey=...]
+ * Fields a vendor column can be mapped to (plus "ignore" / "meta:<key>").
+ * With a fileKey, `auto` tells the UI which field each header resolves to
+ * when left on "Auto" (field-schema.js aliases).
+ */
+app.get("/api/mapping-targets", (req, res) => {
+  const file = req.query.fileKey
+    ? readMappings().files.find((f) => f.fileKey === req.query.fileKey)
+    : null;
+
+  const auto = {};
+  (file?.headers || []).forEach((header) => {
+    const key = resolveFieldKey(header);
+    if (FIELDS_BY_KEY[key]) auto[header] = key;
+  });
+
+  res.json({ targets: MAPPING_TARGETS, ignore: "ignore", metaPrefix: "meta:", auto });
+});
+
 app.post("/api/csv-mappings", (req, res) => {
   try {
     const { fileKey, mapping, status } = req.body;
+    
+    // Reject broken column profiles before they reach the workers
+    const mappingErrors = validateColumnMapping(mapping?.columns);
+    if (mappingErrors.length) {
+      return res.status(400).json({ error: "Invalid column mapping", details: mappingErrors });
+    }
+    
     const mappings = readMappings();
     
     const existingIndex = mappings.files.findIndex(f => f.fileKey === fileKey);
@@ -455,7 +578,8 @@ app.post("/api/csv-mappings", (req, res) => {
     if (existingIndex >= 0) {
       mappings.files[existingIndex] = { 
         ...mappings.files[existingIndex], 
-        mapping, 
+        // A status-only change (e.g. "Ready" button) keeps the saved mapping
+        mapping: mapping !== undefined ? mapping : mappings.files[existingIndex].mapping, 
         status,
         updatedAt: new Date().toISOString(),
       };
@@ -489,6 +613,55 @@ app.delete("/api/csv-mappings/:fileKey", (req, res) => {
   }
 });
 
+// =============================================================================
+// VENDOR TEMPLATE ENDPOINTS
+// =============================================================================
+
+/**
+ * GET /api/templates
+ * List saved vendor mapping templates
+ */
+app.get("/api/templates", (req, res) => {
+  try {
+    res.json({ templates: loadTemplates() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/templates
+ * Body: { name, fileKey }            → save that file's headers + mapping
+ *    or { name, headers, mapping }   → save explicitly
+ */
+app.post("/api/templates", (req, res) => {
+  try {
+    let { name, fileKey, headers, mapping } = req.body;
+    
+    if (fileKey) {
+      const file = readMappings().files.find(f => f.fileKey === fileKey);
+      if (!file) return res.status(404).json({ error: `File not found: ${fileKey}` });
+      headers = file.headers;
+      mapping = file.mapping;
+    }
+    
+    const template = saveTemplate(name, headers, mapping);
+    res.json({ success: true, template });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/templates/:name", (req, res) => {
+  try {
+    const name = decodeURIComponent(req.params.name);
+    if (!deleteTemplate(name)) return res.status(404).json({ error: `Template not found: ${name}` });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // =============================================================================
 // FILE UPLOAD ENDPOINT
 // =============================================================================
@@ -502,38 +675,75 @@ app.post("/api/upload", upload.single("file"), async (req, res) => {
     const folder = req.body.folder || "";
     const fileKey = folder ? `${folder}/${req.file.originalname}` : req.file.originalname;
     
-    // Read file and upload to S3
+    const mappings = readMappings();
+    const existing = mappings.files.find(f => f.fileKey === fileKey);
+    
+    // Read file, detect its format (csv / semicolon csv / tsv / xlsx sheet)
     const fileContent = fs.readFileSync(req.file.path);
+    let format;
+    try {
+      format = resolveUploadFormat(fileKey, fileContent, req.body, existing?.format);
+    } catch (err) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ error: err.message });
+    }
+    const { headers, sheets } = await extractFileLayout(fileContent, format);
     
     await s3Client.send(new PutObjectCommand({
       Bucket: S3_BUCKET_NAME,
       Key: fileKey,
       Body: fileContent,
-      ContentType: "text/csv",
+      ContentType: getContentType(format),
     }));
     
     // Clean up temp file
     fs.unlinkSync(req.file.path);
     
+    // Known vendor layout? Pre-apply its template and queue the file for review
+    const match = findMatchingTemplate(headers);
+    const templateMatch = match
+      ? { name: match.template.name, score: Number(match.score.toFixed(3)), exact: match.exact }
+      : null;
+    
     // Add to mappings
-    const mappings = readMappings();
-    if (!mappings.files.find(f => f.fileKey === fileKey)) {
+    const mapping = existing ? existing.mapping : (match ? applyTemplateToHeaders(match.template, headers) : null);
+    
+    // Validate rows up front so the UI can show "N rows invalid" before processing
+    const validation = await runRowValidation(fileKey, fileContent, mapping, format, existing?.updateMode);
+    
+    if (!existing) {
       mappings.files.push({
         fileKey,
-        status: "pending",
-        mapping: null,
+        status: match ? "review" : "pending",
+        format,
+        ...(sheets ? { sheets } : {}),
+        headers,
+        mapping,
+        ...(templateMatch ? { templateMatch } : {}),
+        ...(validation ? { validation } : {}),
         createdAt: new Date().toISOString(),
       });
-      writeMappings(mappings);
+    } else {
+      existing.format = format;
+      if (sheets) existing.sheets = sheets;
+      if (validation) existing.validation = validation;
     }
+    writeMappings(mappings);
     
-    console.log(`[upload] [${ENV_LABEL}] Uploaded: ${fileKey} to ${S3_BUCKET_NAME}`);
+    console.log(
+      `[upload] [${ENV_LABEL}] Uploaded: ${fileKey} (${format.type}) to ${S3_BUCKET_NAME}` +
+      (templateMatch ? ` | template "${templateMatch.name}" applied (score=${templateMatch.score})` : "") +
+      (validation ? ` | ${validation.invalidRows}/${validation.totalRows} rows invalid` : "")
+    );
     
     res.json({ 
       success: true, 
       fileKey,
       bucket: S3_BUCKET_NAME,
       environment: ENV_LABEL,
+      format,
+      templateMatch,
+      validation,
     });
   } catch (err) {
     console.error(`[upload] Error: ${err.message}`);
@@ -542,24 +752,511 @@ app.post("/api/upload", upload.single("file"), async (req, res) => {
 });
 
 // =============================================================================
-// TRIGGER PROCESSING ENDPOINT
+// ROW VALIDATION ENDPOINTS
 // =============================================================================
 
-app.post("/api/trigger-processing", (req, res) => {
-  console.log(`[trigger] [${ENV_LABEL}] Triggering processing...`);
-  
-  exec("pm2 restart woo-update-app", (error, stdout, stderr) => {
-    if (error) {
-      console.error(`[trigger] Error: ${error.message}`);
-      return res.status(500).json({ error: error.message });
+/**
+ * POST /api/validation/:fileKey
+ * Re-validate a file from its source with its current mapping (e.g. after the
+ * mapping was edited) and store the summary on the file entry.
+ */
+app.post("/api/validation/:fileKey", async (req, res) => {
+  try {
+    const fileKey = decodeURIComponent(req.params.fileKey);
+    const mappings = readMappings();
+    const file = mappings.files.find(f => f.fileKey === fileKey);
+    if (!file) {
+      return res.status(404).json({ error: `Unknown file: ${fileKey}` });
     }
     
-    res.json({ 
-      success: true, 
-      message: "Processing triggered",
-      environment: ENV_LABEL,
+    // Same source and format ingestion will read with
+    const source = createSource(file, { bucketName: S3_BUCKET_NAME, s3Client });
+    const validation = await runRowValidation(
+      fileKey, await source.readBuffer(), file.mapping, resolveFormatConfig(file), file.updateMode
+    );
+    if (!validation) {
+      return res.status(422).json({ error: "File could not be parsed" });
+    }
+    
+    file.validation = validation;
+    writeMappings(mappings);
+    res.json({ success: true, fileKey, validation });
+  } catch (err) {
+    console.error(`[validation] Error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/validation/:fileKey/rejected-rows
+ * Download batch_status/<file>/rejected_rows.csv
+ */
+app.get("/api/validation/:fileKey/rejected-rows", (req, res) => {
+  const fileKey = decodeURIComponent(req.params.fileKey);
+  const reportPath = getRejectedRowsPath(fileKey);
+  if (!fs.existsSync(reportPath)) {
+    return res.status(404).json({ error: "No rejected rows for this file" });
+  }
+  const downloadName = `${path.basename(fileKey).replace(/\.(csv|tsv|tab|xlsx)$/i, "")}_rejected_rows.csv`;
+  res.download(reportPath, downloadName);
+});
+
+/**
+ * GET /api/validation/:fileKey/row-warnings
+ * Download batch_status/<file>/row_warnings.csv - rows whose bad optional
+ * values (URLs, RoHS/REACH) were dropped before enqueueing
+ */
+app.get("/api/validation/:fileKey/row-warnings", (req, res) => {
+  const fileKey = decodeURIComponent(req.params.fileKey);
+  const reportPath = getRowWarningsPath(fileKey);
+  if (!fs.existsSync(reportPath)) {
+    return res.status(404).json({ error: "No row warnings for this file" });
+  }
+  const downloadName = `${path.basename(fileKey).replace(/\.(csv|tsv|tab|xlsx)$/i, "")}_row_warnings.csv`;
+  res.download(reportPath, downloadName);
+});
+
+// =============================================================================
+// DELTA INGESTION ENDPOINT
+// =============================================================================
+
+/**
+ * GET /api/delta/:fileKey/disappeared-rows
+ * Download batch_status/<file>/disappeared_rows.csv - rows of the vendor's
+ * previous file that this file no longer contains (see src/batch/row-hashes.js)
+ */
+app.get("/api/delta/:fileKey/disappeared-rows", (req, res) => {
+  const fileKey = decodeURIComponent(req.params.fileKey);
+  const reportPath = getDisappearedRowsPath(fileKey);
+  if (!fs.existsSync(reportPath)) {
+    return res.status(404).json({ error: "No disappeared rows for this file" });
+  }
+  const downloadName = `${path.basename(fileKey).replace(/\.(csv|tsv|tab|xlsx)$/i, "")}_disappeared_rows.csv`;
+  res.download(reportPath, downloadName);
+});
+
+/**
+ * GET /api/delta/:fileKey/discontinued
+ * Download batch_status/<file>/discontinued_products.csv - Woo products of
+ * the file's manufacturers that the file no longer lists, and what was done
+ * to them (see src/batch/discontinued.js)
+ */
+app.get("/api/delta/:fileKey/discontinued", (req, res) => {
+  const fileKey = decodeURIComponent(req.params.fileKey);
+  // Path comes from the summary - discontinued.js talks to Woo, so the UI
+  // server doesn't load it
+  const file = readMappings().files.find(f => f.fileKey === fileKey);
+  const reportPath = file?.discontinued?.reportPath;
+  if (!reportPath || !fs.existsSync(reportPath)) {
+    return res.status(404).json({ error: "No discontinued products for this file" });
+  }
+  const downloadName = `${path.basename(fileKey).replace(/\.(csv|tsv|tab|xlsx)$/i, "")}_discontinued_products.csv`;
+  res.download(reportPath, downloadName);
+});
+
+// =============================================================================
+// FILE FORMAT ENDPOINT
+// =============================================================================
+
+/**
+ * POST /api/format/:fileKey
+ * Change how a file is parsed - e.g. pick another sheet of a workbook or
+ * switch a CSV to semicolons. Body: { type?, sheet?, delimiter?, encoding? }.
+ * Without an encoding the file keeps its current one (or it is detected).
+ * Headers are re-read with the new format and the rows re-validated.
+ */
+app.post("/api/format/:fileKey", async (req, res) => {
+  try {
+    const fileKey = decodeURIComponent(req.params.fileKey);
+    const mappings = readMappings();
+    const file = mappings.files.find(f => f.fileKey === fileKey);
+    if (!file) {
+      return res.status(404).json({ error: `Unknown file: ${fileKey}` });
+    }
+    
+    const { type, sheet, delimiter, encoding } = req.body || {};
+    let format;
+    try {
+      format = resolveFormatConfig({
+        fileKey,
+        format: {
+          type: type || resolveFormatConfig(file).type,
+          ...(sheet ? { sheet } : {}),
+          ...(delimiter && delimiter !== "," ? { delimiter } : {}),
+          ...(encoding ? { encoding } : {}),
+        },
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
+    const source = createSource(file, { bucketName: S3_BUCKET_NAME, s3Client });
+    const fileContent = await source.readBuffer();
+    if (format.type !== "xlsx" && !format.encoding) {
+      format.encoding = file.format?.encoding || detectEncoding(fileContent).encoding;
+    }
+    const { headers, sheets } = await extractFileLayout(fileContent, format);
+    if (!headers.length) {
+      return res.status(422).json({ error: `No header row found with format ${JSON.stringify(format)}` });
+    }
+    
+    file.format = format;
+    file.headers = headers;
+    if (sheets) file.sheets = sheets;
+    const validation = await runRowValidation(fileKey, fileContent, file.mapping, format, file.updateMode);
+    if (validation) file.validation = validation;
+    file.updatedAt = new Date().toISOString();
+    writeMappings(mappings);
+    
+    console.log(`[format] [${ENV_LABEL}] ${fileKey} → ${JSON.stringify(format)}`);
+    res.json({ success: true, file });
+  } catch (err) {
+    console.error(`[format] Error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// RUN ENDPOINTS
+// =============================================================================
+
+/**
+ * POST /api/trigger-processing → run every ready file ("Start Processing")
+ * POST /api/runs               → body { fileKey? }: run one file, or all ready
+ * GET  /api/runs               → run history (?fileKey=&status=&limit=)
+ * GET  /api/runs/:runId        → state + outcome of a run
+ * GET  /api/runs/:runId/results → per-row results as a download (?format=csv|xlsx)
+ *
+ * index.js executes the runs in-process (see run-control.js) - no PM2
+ * restart. Every file run keeps a record (run-history.js). Both modules are
+ * required lazily (BullMQ + Redis).
+ */
+const runStatus = (err) => (/not found/i.test(err.message) ? 404 : 400);
+
+app.post("/api/trigger-processing", async (req, res) => {
+  try {
+    const { requestRun } = require("./run-control");
+    const run = await requestRun({ trigger: "ui" });
+    console.log(`[trigger] [${ENV_LABEL}] Run ${run.runId} requested for all ready files`);
+    res.json({ success: true, ...run, message: `Processing triggered (run ${run.runId})`, environment: ENV_LABEL });
+  } catch (err) {
+    console.error(`[trigger] Error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/runs", async (req, res) => {
+  try {
+    const { requestRun } = require("./run-control");
+    const run = await requestRun({ fileKey: req.body?.fileKey || undefined, trigger: "ui" });
+    console.log(`[runs] [${ENV_LABEL}] Run ${run.runId} requested: ${run.fileKey || "all ready files"}`);
+    res.status(202).json({ success: true, ...run });
+  } catch (err) {
+    console.error(`[runs] Error: ${err.message}`);
+    res.status(runStatus(err)).json({ error: err.message });
+  }
+});
+
+app.get("/api/runs", async (req, res) => {
+  try {
+    const { listRunRecords } = require("./run-history");
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json({
+      runs: await listRunRecords({ fileKey: req.query.fileKey, status: req.query.status, limit }),
     });
-  });
+  } catch (err) {
+    console.error(`[runs] Error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/runs/:runId", async (req, res) => {
+  try {
+    const { getRun } = require("./run-control");
+    res.json(await getRun(req.params.runId));
+  } catch (err) {
+    res.status(runStatus(err)).json({ error: err.message });
+  }
+});
+
+app.get("/api/runs/:runId/results", async (req, res) => {
+  try {
+    const { exportRunResults } = require("./run-report");
+    const report = await exportRunResults(req.params.runId, req.query.format || "csv");
+    console.log(`[runs] [${ENV_LABEL}] Exported ${report.rows} row result(s) of run ${req.params.runId}`);
+    res.setHeader("Content-Type", report.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${report.filename}"`);
+    res.send(report.body);
+  } catch (err) {
+    console.error(`[runs] Error: ${err.message}`);
+    res.status(runStatus(err)).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// IMPORT SCHEDULE ENDPOINTS
+// =============================================================================
+
+/**
+ * GET    /api/schedules          → schedules with nextRun / lastRun
+ * POST   /api/schedules          → create, or update when the body has an id
+ * DELETE /api/schedules/:id
+ * POST   /api/schedules/:id/run  → run once now
+ *
+ * Stored in csv-mappings.json (`schedules`), run by index.js through a
+ * BullMQ job scheduler. schedules.js is required lazily (BullMQ + Redis).
+ */
+const scheduleStatus = (err) => (/not found/i.test(err.message) ? 404 : 400);
+
+app.get("/api/schedules", async (req, res) => {
+  try {
+    const { listSchedules, DEFAULT_SCHEDULE_TIMEZONE } = require("./schedules");
+    res.json({ schedules: await listSchedules(), defaultTimezone: DEFAULT_SCHEDULE_TIMEZONE });
+  } catch (err) {
+    console.error(`[schedules] Error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/api/schedules", async (req, res) => {
+  try {
+    const { upsertSchedule } = require("./schedules");
+    const schedule = await upsertSchedule(req.body || {});
+    console.log(`[schedules] [${ENV_LABEL}] Saved ${schedule.id}: ${schedule.cron} (${schedule.timezone})`);
+    res.json({ success: true, schedule });
+  } catch (err) {
+    console.error(`[schedules] Error: ${err.message}`);
+    res.status(scheduleStatus(err)).json({ error: err.message });
+  }
+});
+
+app.delete("/api/schedules/:id", async (req, res) => {
+  try {
+    const { removeSchedule } = require("./schedules");
+    await removeSchedule(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[schedules] Error: ${err.message}`);
+    res.status(scheduleStatus(err)).json({ error: err.message });
+  }
+});
+
+app.post("/api/schedules/:id/run", async (req, res) => {
+  try {
+    const { triggerSchedule } = require("./schedules");
+    const result = await triggerSchedule(req.params.id);
+    console.log(`[schedules] [${ENV_LABEL}] Run now: ${req.params.id}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error(`[schedules] Error: ${err.message}`);
+    res.status(scheduleStatus(err)).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// FILE CONTROL ENDPOINTS
+// =============================================================================
+
+/**
+ * POST /api/file-control/:fileKey/pause  → hold the file's queued jobs
+ * POST /api/file-control/:fileKey/resume → release them, continue from the checkpoint
+ * POST /api/file-control/:fileKey/cancel → drop its jobs, counters and checkpoint
+ *
+ * Other files keep running. file-control.js is required lazily (BullMQ + Redis).
+ */
+const FILE_CONTROL_ACTIONS = { pause: "pauseFile", resume: "resumeFile", cancel: "cancelFile" };
+
+app.post("/api/file-control/:fileKey/:action", async (req, res) => {
+  const fileKey = decodeURIComponent(req.params.fileKey);
+  const handler = FILE_CONTROL_ACTIONS[req.params.action];
+  if (!handler) {
+    return res.status(404).json({ error: `Unknown action: ${req.params.action}` });
+  }
+  console.log(`[file-control] [${ENV_LABEL}] ${req.params.action} ${fileKey}...`);
+
+  try {
+    const fileControl = require("./file-control");
+    const result = await fileControl[handler](fileKey);
+    res.json({ success: true, ...result, environment: ENV_LABEL });
+  } catch (err) {
+    console.error(`[file-control] Error: ${err.message}`);
+    res.status(/not found/i.test(err.message) ? 404 : 409).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// SCHEDULING ENDPOINT
+// =============================================================================
+
+/**
+ * POST /api/scheduling/:fileKey
+ * Body: { priority?: "high" | "normal" | "low", maxActiveJobs?: number }
+ * Saves the file's queue priority and its cap on concurrently running jobs
+ * (0 = back to the FILE_MAX_ACTIVE_JOBS default). Jobs of the file that are
+ * still queued get the new priority right away.
+ */
+app.post("/api/scheduling/:fileKey", async (req, res) => {
+  const fileKey = decodeURIComponent(req.params.fileKey);
+  const { priority, maxActiveJobs } = req.body || {};
+
+  try {
+    const { JOB_PRIORITIES, resolveJobPriority } = require("./job-manager");
+    if (priority !== undefined && !JOB_PRIORITIES[priority]) {
+      return res.status(400).json({ error: `priority must be one of: ${Object.keys(JOB_PRIORITIES).join(", ")}` });
+    }
+    if (maxActiveJobs !== undefined && !(Number.isInteger(maxActiveJobs) && maxActiveJobs >= 0)) {
+      return res.status(400).json({ error: "maxActiveJobs must be a whole number >= 0" });
+    }
+
+    const mappings = readMappings();
+    const file = mappings.files.find(f => f.fileKey === fileKey);
+    if (!file) {
+      return res.status(404).json({ error: `Unknown file: ${fileKey}` });
+    }
+
+    if (priority !== undefined) file.priority = priority;
+    if (maxActiveJobs === 0) delete file.maxActiveJobs;
+    else if (maxActiveJobs !== undefined) file.maxActiveJobs = maxActiveJobs;
+    file.updatedAt = new Date().toISOString();
+    writeMappings(mappings);
+
+    let reprioritizedJobs = 0;
+    if (priority !== undefined) {
+      const { getBatchJobs } = require("./queue");
+      const queued = await getBatchJobs(["waiting", "prioritized", "delayed"]);
+      for (const job of queued.filter((j) => j?.data?.fileKey === fileKey)) {
+        try {
+          await job.changePriority({ priority: resolveJobPriority(priority) });
+          reprioritizedJobs++;
+        } catch {
+          // Picked up by a worker in the meantime
+        }
+      }
+    }
+
+    console.log(
+      `[scheduling] [${ENV_LABEL}] ${fileKey} → priority=${file.priority || "normal"}, ` +
+        `maxActiveJobs=${file.maxActiveJobs || "default"} (${reprioritizedJobs} queued job(s) updated)`
+    );
+    res.json({ success: true, file, reprioritizedJobs, environment: ENV_LABEL });
+  } catch (err) {
+    console.error(`[scheduling] Error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// ROLLBACK ENDPOINTS
+// =============================================================================
+
+/**
+ * GET  /api/rollback/:fileKey → preview what a rollback would restore
+ * POST /api/rollback/:fileKey → replay change_history.json as a reverse update
+ *
+ * rollback-file.js is required lazily: it pulls in the Woo client and the
+ * shared limiter, which this server doesn't otherwise need.
+ */
+app.get("/api/rollback/:fileKey", async (req, res) => {
+  try {
+    const fileKey = decodeURIComponent(req.params.fileKey);
+    const { rollbackFile } = require("./rollback-file");
+
+    const result = await rollbackFile(fileKey, { preview: true });
+    res.json(result);
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+app.post("/api/rollback/:fileKey", async (req, res) => {
+  const fileKey = decodeURIComponent(req.params.fileKey);
+  console.log(`[rollback] [${ENV_LABEL}] Rolling back ${fileKey}...`);
+
+  try {
+    const { loadChangeHistory } = require("./src/batch/change-history");
+    if (!loadChangeHistory(fileKey)) {
+      return res.status(404).json({ error: `No change history found for "${fileKey}"` });
+    }
+
+    const { rollbackFile } = require("./rollback-file");
+    const result = await rollbackFile(fileKey);
+
+    res.json({ success: result.failed === 0, ...result, environment: ENV_LABEL });
+  } catch (err) {
+    console.error(`[rollback] Error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// DEAD-LETTER ENDPOINTS
+// =============================================================================
+
+/**
+ * GET    /api/dead-letter             → list entries (?fileKey= to filter)
+ * GET    /api/dead-letter/:id         → one entry, including its rows
+ * PUT    /api/dead-letter/:id         → replace its rows   (body: { rows })
+ * POST   /api/dead-letter/:id/replay  → re-enqueue it      (body: { rows?: [positions] })
+ * DELETE /api/dead-letter/:id         → discard it
+ *
+ * dead-letter.js is required lazily, like rollback-file.js: it pulls in the
+ * BullMQ queues and the job manager.
+ */
+const deadLetterStatus = (err) => (/not found/i.test(err.message) ? 404 : 400);
+
+app.get("/api/dead-letter", async (req, res) => {
+  try {
+    const { listDeadLetters } = require("./dead-letter");
+    const entries = await listDeadLetters({ fileKey: req.query.fileKey || undefined });
+    res.json({ entries, environment: ENV_LABEL });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get("/api/dead-letter/:id", async (req, res) => {
+  try {
+    const { getDeadLetter } = require("./dead-letter");
+    res.json(await getDeadLetter(req.params.id));
+  } catch (err) {
+    res.status(deadLetterStatus(err)).json({ error: err.message });
+  }
+});
+
+app.put("/api/dead-letter/:id", async (req, res) => {
+  try {
+    const { updateDeadLetterRows } = require("./dead-letter");
+    res.json(await updateDeadLetterRows(req.params.id, req.body?.rows));
+  } catch (err) {
+    res.status(deadLetterStatus(err)).json({ error: err.message });
+  }
+});
+
+app.post("/api/dead-letter/:id/replay", async (req, res) => {
+  const rows = req.body?.rows;
+  if (rows !== undefined && (!Array.isArray(rows) || rows.some((index) => !Number.isInteger(index)))) {
+    return res.status(400).json({ error: "rows must be an array of row positions" });
+  }
+  console.log(`[dead-letter] [${ENV_LABEL}] Replaying ${req.params.id}${rows ? ` (rows ${rows.join(", ")})` : ""}...`);
+
+  try {
+    const { replayDeadLetter } = require("./dead-letter");
+    const result = await replayDeadLetter(req.params.id, { rows });
+    res.json({ success: true, ...result, environment: ENV_LABEL });
+  } catch (err) {
+    console.error(`[dead-letter] Replay error: ${err.message}`);
+    res.status(deadLetterStatus(err)).json({ error: err.message });
+  }
+});
+
+app.delete("/api/dead-letter/:id", async (req, res) => {
+  try {
+    const { discardDeadLetter } = require("./dead-letter");
+    await discardDeadLetter(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(deadLetterStatus(err)).json({ error: err.message });
+  }
 });
 
 // =============================================================================
@@ -19,14 +19,273 @@
  * Wrap JSON.parse() in try-catch and return a safe default on error.
  * Also log the error so admins know the config file needs fixing.
  * 
+ * MAPPING PROFILES:
+ * Besides the identity columns (partNumber / category / manufacturer), a file's
+ * `mapping` can carry a `columns` profile that maps ANY vendor column to a
+ * target field, or tells us to ignore it:
+ * 
+ *   "mapping": {
+ *     "partNumber": "Manufacturer Part Number*",
+ *     "category": "Category",
+ *     "manufacturer": "Mfr",
+ *     "columns": {
+ *       "Datasheet URL*": "datasheet",
+ *       "Unit Price (USD)": "regular_price",
+ *       "Lens Color": "meta:lens_color",
+ *       "Internal Notes": "ignore"
+ *     }
+ *   }
+ * 
+ * Targets are either a field from src/batch/field-schema.js (MAPPING_TARGETS,
+ * or one of its aliases), "meta:<acf_key>" for a custom
+ * meta key, or "ignore". createNewData() applies the profile per row.
+ * 
+ * VENDOR TEMPLATES:
+ * A mapping can be saved as a named template (top-level `templates` array in
+ * csv-mappings.json). When a new upload's header set matches a template -
+ * exactly, or with a Jaccard similarity >= TEMPLATE_MATCH_THRESHOLD - the
+ * template is re-applied to the new headers and the file is put in "review"
+ * status, so next month's file from the same vendor only needs a confirm.
+ * 
+ * IMPORT SCHEDULES:
+ * Recurring imports live in a top-level `schedules` array (see schedules.js
+ * for the fields and how they run). This module only stores them.
+ * 
  * =============================================================================
  */
 
 const fs = require("fs");
 const path = require("path");
 
+const {
+  MAPPING_TARGETS: SCHEMA_MAPPING_TARGETS,
+  FIELD_ALIASES,
+  IGNORE_TARGET,
+  META_TARGET_PREFIX,
+  resolveFieldKey,
+} = require("./src/batch/field-schema");
+
 const MAPPINGS_PATH = path.join(__dirname, "csv-mappings.json");
 
+// =============================================================================
+// MAPPING TARGETS
+// =============================================================================
+
+// IGNORE_TARGET / META_TARGET_PREFIX: defined in field-schema.js, re-exported
+
+/**
+ * Fields a vendor column can be mapped to (shown in the mapping UI).
+ * Derived from the shared field schema (src/batch/field-schema.js); `value`
+ * is the canonical row key createNewData() understands.
+ */
+const MAPPING_TARGETS = SCHEMA_MAPPING_TARGETS;
+
+/**
+ * Check a `columns` profile before it is saved.
+ * 
+ * @param {Object} columns - { "<vendor header>": "<target>" }
+ * @returns {string[]} Error messages (empty when valid)
+ * 
+ * @example
+ * validateColumnMapping({ "MPN": "part_number", "Foo": "meta:" });
+ * // ['Column "Foo": custom meta target needs a key (e.g. "meta:lens_color")']
+ */
+function validateColumnMapping(columns) {
+  if (columns === undefined || columns === null) return [];
+  if (typeof columns !== "object" || Array.isArray(columns)) {
+    return ["mapping.columns must be an object of { header: target }"];
+  }
+
+  const known = new Set(MAPPING_TARGETS.map((t) => t.value));
+  const errors = [];
+  const seen = {};
+
+  Object.entries(columns).forEach(([header, target]) => {
+    if (typeof target !== "string" || !target) {
+      errors.push(`Column "${header}": target must be a non-empty string`);
+      return;
+    }
+    if (target === IGNORE_TARGET) return;
+
+    if (target.startsWith(META_TARGET_PREFIX)) {
+      const metaKey = target.slice(META_TARGET_PREFIX.length);
+      if (!/^[a-z0-9_]+$/i.test(metaKey)) {
+        errors.push(`Column "${header}": custom meta target needs a key (e.g. "meta:lens_color")`);
+        return;
+      }
+    } else if (!known.has(target) && !FIELD_ALIASES[target]) {
+      errors.push(`Column "${header}": unknown target "${target}"`);
+      return;
+    }
+
+    // One column per target - two columns feeding "quantity" is always a mistake
+    const canonical = FIELD_ALIASES[target] || target;
+    if (seen[canonical]) {
+      errors.push(`Columns "${seen[canonical]}" and "${header}" both map to "${canonical}"`);
+    }
+    seen[canonical] = header;
+  });
+
+  return errors;
+}
+
+/**
+ * Resolve the identity columns (part number / category / manufacturer).
+ * The legacy top-level keys win; otherwise they're taken from `columns`.
+ * 
+ * @param {Object|null} mapping - A file's mapping object
+ * @returns {{partNumber?:string, category?:string, manufacturer?:string}}
+ */
+function resolveIdentityColumns(mapping) {
+  if (!mapping) return {};
+
+  const fromColumns = (target) =>
+    Object.keys(mapping.columns || {}).find((header) => mapping.columns[header] === target);
+
+  return {
+    partNumber: mapping.partNumber || fromColumns("part_number"),
+    category: mapping.category || fromColumns("category"),
+    manufacturer: mapping.manufacturer || fromColumns("manufacturer"),
+  };
+}
+
+/** Fields a file may carry and still go to the quantity fast lane. */
+const QUANTITY_LANE_FIELDS = new Set(["part_number", "manufacturer", "category", "sku", "quantity"]);
+
+/**
+ * Does the file only update stock? Then its jobs go to the fast lane
+ * (addBatchJob in job-manager.js). Every column must be an identity column,
+ * ignored, or resolve to quantity - and one must be quantity.
+ * 
+ * @param {Object} entry - A csv-mappings.json file entry (headers + mapping)
+ * @returns {boolean}
+ */
+function isQuantityOnlyFile(entry) {
+  const headers = entry?.headers || [];
+  const mapping = entry?.mapping || {};
+  const columns = mapping.columns || {};
+  const identityHeaders = new Set(Object.values(resolveIdentityColumns(mapping)).filter(Boolean));
+
+  let hasQuantity = false;
+  for (const header of headers) {
+    if (identityHeaders.has(header)) continue;
+
+    const target = columns[header];
+    if (target === IGNORE_TARGET) continue;
+    if (target && target.startsWith(META_TARGET_PREFIX)) return false;
+
+    const field = target ? FIELD_ALIASES[target] || target : resolveFieldKey(header);
+    if (!QUANTITY_LANE_FIELDS.has(field)) return false;
+    if (field === "quantity") hasQuantity = true;
+  }
+  return hasQuantity;
+}
+
+/**
+ * Queue lane for a file's jobs: "fast" when it only updates stock - by its
+ * columns, or because the entry runs in `"updateMode": "quantity"`.
+ * 
+ * @param {Object} entry - A csv-mappings.json file entry
+ * @returns {"fast"|"main"}
+ */
+function resolveFileLane(entry) {
+  return entry?.updateMode === "quantity" || isQuantityOnlyFile(entry) ? "fast" : "main";
+}
+
+/**
+ * Whether a file is processed as a dry run: its `"dryRun"` flag when set,
+ * else the DRY_RUN env var - the same fallback processBatch() uses, so
+ * ingestion, workers and post-completion steps all agree.
+ * 
+ * @param {Object} entry - A csv-mappings.json file entry
+ * @returns {boolean}
+ */
+function isDryRunFile(entry) {
+  return typeof entry?.dryRun === "boolean" ? entry.dryRun : process.env.DRY_RUN === "true";
+}
+
+/**
+ * Normalize a CSV header key the way ingestion does (s3-helpers.js):
+ *   "Part Number" → "part_number", " MANUFACTURER " → "manufacturer"
+ * 
+ * @param {string} rawKey
+ * @returns {string}
+ */
+function normalizeHeaderKey(rawKey) {
+  return String(rawKey || "")
+    .trim()                      // Remove leading/trailing whitespace
+    .toLowerCase()               // Convert to lowercase
+    .replace(/\s+/g, "_");       // Replace spaces with underscores
+}
+
+/**
+ * Shape a raw CSV row exactly as it is put into a batch job: normalized
+ * header keys, plus the identity columns copied to part_number / category /
+ * manufacturer. Shared by ingestion and upload-time row validation so both
+ * see the same row.
+ * 
+ * @param {Object} rawRow - Row keyed by the vendor's headers
+ * @param {{partNumber?:string, category?:string, manufacturer?:string}} identity
+ * @returns {Object}
+ */
+function buildJobRow(rawRow, identity = {}) {
+  const row = Object.keys(rawRow || {}).reduce((acc, rawKey) => {
+    acc[normalizeHeaderKey(rawKey)] = rawRow[rawKey];
+    return acc;
+  }, {});
+
+  if (identity.partNumber) row.part_number = row[normalizeHeaderKey(identity.partNumber)];
+  if (identity.category) row.category = row[normalizeHeaderKey(identity.category)];
+  if (identity.manufacturer) row.manufacturer = row[normalizeHeaderKey(identity.manufacturer)];
+
+  return row;
+}
+
+/**
+ * Job-row key holding the row's 0-based index in the file. Ingestion drops
+ * rejected and delta-unchanged rows without cutting the batch short, so a
+ * job's rows aren't always contiguous - each row carries its own index.
+ * Mixed case, so no normalized header can collide with it.
+ */
+const JOB_ROW_INDEX_KEY = "__rowIndex";
+
+/**
+ * 0-based file index of a job row: its own index, or startIndex + position
+ * for rows enqueued before rows carried one.
+ * 
+ * @param {Object} jobRow
+ * @param {number} startIndex - The job's startIndex
+ * @param {number} position - Position of the row in the job's batch
+ * @returns {number}
+ */
+function getJobRowIndex(jobRow, startIndex, position) {
+  return Number.isInteger(jobRow?.[JOB_ROW_INDEX_KEY]) ? jobRow[JOB_ROW_INDEX_KEY] : startIndex + position;
+}
+
+/**
+ * The job row without its index - what processBatch() maps and sends.
+ * 
+ * @param {Object} jobRow
+ * @returns {Object}
+ */
+function withoutJobRowIndex(jobRow) {
+  const { [JOB_ROW_INDEX_KEY]: _index, ...row } = jobRow || {};
+  return row;
+}
+
+/**
+ * Exclusive end of a job's rows in the file (its last row's index + 1) -
+ * where the next job starts, for checkpoints and resume.
+ * 
+ * @param {Object[]} batch
+ * @param {number} startIndex
+ * @returns {number}
+ */
+function getBatchEndIndex(batch, startIndex) {
+  if (!batch?.length) return startIndex;
+  return getJobRowIndex(batch[batch.length - 1], startIndex, batch.length - 1) + 1;
+}
+
 /**
  * Load the csv-mappings.json configuration file.
  * 
@@ -81,6 +340,15 @@ function loadMappings() {
   }
 }
 
+/**
+ * Write csv-mappings.json (pretty-printed, like the UI server does).
+ * 
+ * @param {Object} data - Full store object ({ files, templates? })
+ */
+function saveMappings(data) {
+  fs.writeFileSync(MAPPINGS_PATH, JSON.stringify(data, null, 2));
+}
+
 function markFileAsCompleted(fileKey) {
   const mappingsPath = path.join(__dirname, "csv-mappings.json");
   if (!fs.existsSync(mappingsPath)) return;
@@ -102,6 +370,116 @@ function markFileAsCompleted(fileKey) {
   }
 }
 
+/**
+ * Store the latest row-validation summary on a file entry
+ * (see src/batch/row-validation.js). The UI shows it as "N rows invalid".
+ * 
+ * @param {string} fileKey
+ * @param {{totalRows:number, invalidRows:number, validatedAt:string, reportPath:string|null}} summary
+ */
+function setFileValidation(fileKey, summary) {
+  try {
+    const data = loadMappings();
+    const file = (data.files || []).find((f) => f.fileKey === fileKey);
+    if (!file) return;
+
+    file.validation = summary;
+    saveMappings(data);
+  } catch (error) {
+    console.error(`Error saving validation summary: ${error.message}`);
+  }
+}
+
+/**
+ * Record the character encoding ingestion detected for a file entry
+ * (see src/formats/encoding.js), so later runs and the UI use the same one.
+ *
+ * @param {string} fileKey
+ * @param {string} encoding - e.g. "utf-8", "windows-1252"
+ */
+function setFileEncoding(fileKey, encoding) {
+  try {
+    const data = loadMappings();
+    const file = (data.files || []).find((f) => f.fileKey === fileKey);
+    if (!file) return;
+
+    const format = typeof file.format === "string" ? { type: file.format } : (file.format || {});
+    file.format = { ...format, encoding };
+    saveMappings(data);
+  } catch (error) {
+    console.error(`Error saving file encoding: ${error.message}`);
+  }
+}
+
+/**
+ * Store the latest delta comparison on a file entry (see
+ * src/batch/row-hashes.js). The UI shows it as "N unchanged, M disappeared".
+ *
+ * @param {string} fileKey
+ * @param {{baselineFileKey:string, changedRows:number, unchangedRows:number, disappearedRows:number, comparedAt:string, reportPath:string|null}} summary
+ */
+function setFileDelta(fileKey, summary) {
+  try {
+    const data = loadMappings();
+    const file = (data.files || []).find((f) => f.fileKey === fileKey);
+    if (!file) return;
+
+    file.deltaSummary = summary;
+    saveMappings(data);
+  } catch (error) {
+    console.error(`Error saving delta summary: ${error.message}`);
+  }
+}
+
+/**
+ * Store the latest discontinued-product reconciliation on a file entry
+ * (see src/batch/discontinued.js). The UI shows it as "N not in feed".
+ *
+ * @param {string} fileKey
+ * @param {{policy:string, missingProducts:number, updatedProducts:number, heldManufacturers:string[], reconciledAt:string, reportPath:string|null}} summary
+ */
+function setFileDiscontinued(fileKey, summary) {
+  try {
+    const data = loadMappings();
+    const file = (data.files || []).find((f) => f.fileKey === fileKey);
+    if (!file) return;
+
+    file.discontinued = summary;
+    saveMappings(data);
+  } catch (error) {
+    console.error(`Error saving discontinued summary: ${error.message}`);
+  }
+}
+
+/**
+ * Set a file entry's status outside the mapping editor (pause / resume /
+ * cancel, see file-control.js), with optional extra fields such as
+ * `pausedAt`. Fields set to undefined are removed.
+ *
+ * @param {string} fileKey
+ * @param {string} status
+ * @param {Object} [extra]
+ * @returns {Object|null} The updated entry, or null when the file is unknown.
+ */
+function setFileStatus(fileKey, status, extra = {}) {
+  try {
+    const data = loadMappings();
+    const file = (data.files || []).find((f) => f.fileKey === fileKey);
+    if (!file) return null;
+
+    file.status = status;
+    Object.entries(extra).forEach(([key, value]) => {
+      if (value === undefined) delete file[key];
+      else file[key] = value;
+    });
+    saveMappings(data);
+    return file;
+  } catch (error) {
+    console.error(`Error saving file status: ${error.message}`);
+    return null;
+  }
+}
+
 // Add to module.exports
 
 /**
@@ -123,9 +501,252 @@ function getMappingForFile(fileKey) {
   );
 }
 
+// =============================================================================
+// VENDOR TEMPLATES
+// =============================================================================
+
+/**
+ * Minimum header-set similarity (0..1) for a fuzzy template match.
+ * Set via .env: TEMPLATE_MATCH_THRESHOLD=0.8
+ */
+const TEMPLATE_MATCH_THRESHOLD = Number(process.env.TEMPLATE_MATCH_THRESHOLD || "0.8");
+
+/**
+ * Header key used for fingerprints: case, spacing, BOM and punctuation
+ * ("Datasheet URL*" vs "datasheet url") must not break a match.
+ */
+function normalizeTemplateHeader(header) {
+  return String(header || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+/**
+ * Fingerprint of a header row: sorted, de-duplicated normalized headers.
+ * 
+ * @param {string[]} headers
+ * @returns {string[]}
+ */
+function headerFingerprint(headers) {
+  return [...new Set((headers || []).map(normalizeTemplateHeader).filter(Boolean))].sort();
+}
+
+/**
+ * Jaccard similarity of two fingerprints (1 = identical header sets).
+ */
+function fingerprintSimilarity(a, b) {
+  if (!a.length && !b.length) return 0;
+  const setB = new Set(b);
+  const shared = a.filter((h) => setB.has(h)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+/**
+ * @returns {Array<{name:string, headers:string[], fingerprint:string[], mapping:Object}>}
+ */
+function loadTemplates() {
+  const store = loadMappings();
+  return Array.isArray(store.templates) ? store.templates : [];
+}
+
+/**
+ * Create or replace a named vendor template.
+ * 
+ * @param {string} name - Template name (e.g. "LedTech monthly")
+ * @param {string[]} headers - Header row the mapping was built for
+ * @param {Object} mapping - Full mapping (identity keys + columns)
+ * @returns {Object} The saved template
+ * @throws {Error} on a missing name/headers or an invalid column profile
+ */
+function saveTemplate(name, headers, mapping) {
+  const templateName = String(name || "").trim();
+  if (!templateName) throw new Error("Template name is required");
+  if (!Array.isArray(headers) || headers.length === 0) {
+    throw new Error("Template needs the file's headers");
+  }
+
+  const errors = validateColumnMapping(mapping?.columns);
+  if (errors.length) throw new Error(`Invalid column mapping: ${errors.join("; ")}`);
+
+  const store = loadMappings();
+  store.templates = Array.isArray(store.templates) ? store.templates : [];
+
+  const now = new Date().toISOString();
+  const existing = store.templates.find((t) => t.name === templateName);
+  const template = {
+    name: templateName,
+    headers,
+    fingerprint: headerFingerprint(headers),
+    mapping: mapping || {},
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  store.templates = store.templates.filter((t) => t.name !== templateName).concat(template);
+  saveMappings(store);
+  console.log(`[csv-mapping-store] Saved vendor template "${templateName}" (${headers.length} columns)`);
+  return template;
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} true if a template was removed
+ */
+function deleteTemplate(name) {
+  const store = loadMappings();
+  const before = (store.templates || []).length;
+  store.templates = (store.templates || []).filter((t) => t.name !== name);
+  if (store.templates.length === before) return false;
+  saveMappings(store);
+  return true;
+}
+
+/**
+ * Find the template whose header set best matches `headers`.
+ * 
+ * @param {string[]} headers - Header row of the new file
+ * @param {number} [threshold=TEMPLATE_MATCH_THRESHOLD]
+ * @returns {{template:Object, score:number, exact:boolean}|null}
+ */
+function findMatchingTemplate(headers, threshold = TEMPLATE_MATCH_THRESHOLD) {
+  const fingerprint = headerFingerprint(headers);
+  if (!fingerprint.length) return null;
+
+  let best = null;
+  loadTemplates().forEach((template) => {
+    const score = fingerprintSimilarity(fingerprint, template.fingerprint || headerFingerprint(template.headers));
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { template, score, exact: score === 1 };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Re-key a template's mapping onto a new file's headers.
+ * Columns are matched by normalized header, so "Mfr*" in the template still
+ * maps "MFR" in the new file; columns the template doesn't know stay on Auto.
+ * 
+ * @param {Object} template
+ * @param {string[]} headers - Header row of the new file
+ * @returns {Object} Mapping for the new file
+ */
+function applyTemplateToHeaders(template, headers) {
+  const byNormalized = {};
+  (headers || []).forEach((h) => {
+    byNormalized[normalizeTemplateHeader(h)] = h;
+  });
+  const rekey = (header) => (header ? byNormalized[normalizeTemplateHeader(header)] : undefined);
+
+  const { columns = {}, ...rest } = template.mapping || {};
+  const mapping = { ...rest, columns: {} };
+
+  Object.entries(columns).forEach(([header, target]) => {
+    const newHeader = rekey(header);
+    if (newHeader) mapping.columns[newHeader] = target;
+  });
+
+  ["partNumber", "category", "manufacturer"].forEach((legacyKey) => {
+    if (!rest[legacyKey]) return;
+    const newHeader = rekey(rest[legacyKey]);
+    if (newHeader) mapping[legacyKey] = newHeader;
+    else delete mapping[legacyKey];
+  });
+
+  return mapping;
+}
+
+// =============================================================================
+// IMPORT SCHEDULES
+// =============================================================================
+
+/**
+ * @returns {Object[]} Schedules from csv-mappings.json (see schedules.js)
+ */
+function loadSchedules() {
+  const store = loadMappings();
+  return Array.isArray(store.schedules) ? store.schedules : [];
+}
+
+/**
+ * Create or replace a schedule (matched by id). Validation is up to the
+ * caller (validateSchedule in schedules.js).
+ * 
+ * @param {Object} schedule - Must carry an `id`
+ * @returns {Object} The saved schedule
+ */
+function saveSchedule(schedule) {
+  const store = loadMappings();
+  store.schedules = Array.isArray(store.schedules) ? store.schedules : [];
+
+  const index = store.schedules.findIndex((s) => s.id === schedule.id);
+  if (index >= 0) store.schedules[index] = schedule;
+  else store.schedules.push(schedule);
+
+  saveMappings(store);
+  return schedule;
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} true if a schedule was removed
+ */
+function deleteSchedule(id) {
+  const store = loadMappings();
+  const before = (store.schedules || []).length;
+  store.schedules = (store.schedules || []).filter((s) => s.id !== id);
+  if (store.schedules.length === before) return false;
+  saveMappings(store);
+  return true;
+}
+
+/**
+ * Record the outcome of a schedule's latest run.
+ * 
+ * @param {string} id
+ * @param {{at:string, status:string, fileKey?:string, message?:string, trigger?:string}} lastRun
+ */
+function setScheduleLastRun(id, lastRun) {
+  const store = loadMappings();
+  const schedule = (store.schedules || []).find((s) => s.id === id);
+  if (!schedule) return;
+  schedule.lastRun = lastRun;
+  saveMappings(store);
+}
+
 module.exports = {
   loadMappings,
+  saveMappings,
   getReadyCsvFiles,
   getMappingForFile,
   markFileAsCompleted,
+  setFileValidation,
+  setFileEncoding,
+  setFileDelta,
+  setFileDiscontinued,
+  setFileStatus,
+  MAPPING_TARGETS,
+  IGNORE_TARGET,
+  META_TARGET_PREFIX,
+  validateColumnMapping,
+  resolveIdentityColumns,
+  isQuantityOnlyFile,
+  resolveFileLane,
+  isDryRunFile,
+  normalizeHeaderKey,
+  buildJobRow,
+  JOB_ROW_INDEX_KEY,
+  getJobRowIndex,
+  withoutJobRowIndex,
+  getBatchEndIndex,
+  TEMPLATE_MATCH_THRESHOLD,
+  headerFingerprint,
+  loadTemplates,
+  saveTemplate,
+  deleteTemplate,
+  findMatchingTemplate,
+  applyTemplateToHeaders,
+  loadSchedules,
+  saveSchedule,
+  deleteSchedule,
+  setScheduleLastRun,
 };
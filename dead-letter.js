@@ -0,0 +1,353 @@
+/**
+ * =============================================================================
+ * FILE: dead-letter.js
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Keeps the rows of batch jobs that exhausted their BullMQ retries, so they
+ * can be inspected, fixed and replayed instead of living only in the error log.
+ *
+ * FLOW:
+ *   1) worker.js "failed" handler → moveToDeadLetter(job, error) on the LAST
+ *      attempt. The entry (error, attempt count, rows, file, startIndex,
+ *      dryRun, column profile) is added to the dead-letter queue
+ *      (`${QUEUE_NAME}-dead-letter`, see queue.js). No worker consumes it.
+ *   2) The rows are counted as failed (failed-products:{fileKey} and
+ *      failed-rows:{fileKey}) so the file can still complete and they stay
+ *      out of the delta baseline.
+ *   3) The mapping UI server lists / inspects / edits entries and replays them:
+ *        - whole entry → one batch job with the same startIndex
+ *        - single rows → one job per row (startIndex = the row's file index)
+ *      Replayed rows are taken back out of the failed counter before they are
+ *      re-enqueued - processBatch() counts them again.
+ *
+ * NOTE: An attempt that failed part-way may already have counted some rows
+ * (e.g. skipped). The file's completion check uses >=, so that never blocks
+ * completion - the counters just over-count for that batch.
+ *
+ * API (mapping UI server):
+ *   GET    /api/dead-letter             → listDeadLetters()
+ *   GET    /api/dead-letter/:id         → getDeadLetter()
+ *   PUT    /api/dead-letter/:id         → updateDeadLetterRows()
+ *   POST   /api/dead-letter/:id/replay  → replayDeadLetter()
+ *   DELETE /api/dead-letter/:id         → discardDeadLetter()
+ *
+ * =============================================================================
+ */
+
+const { deadLetterQueue, appRedis } = require("./queue");
+const { addBatchJob } = require("./job-manager");
+const { logInfoToFile, logErrorToFile } = require("./logger");
+const { createUniqueJobId } = require("./utils");
+const { rowIdentity } = require("./src/batch/row-hashes");
+const { ROW_OUTCOMES, recordRowOutcomes } = require("./src/batch/io-status");
+const { JOB_ROW_INDEX_KEY, getJobRowIndex, getBatchEndIndex } = require("./csv-mapping-store");
+
+/**
+ * @typedef {Object} DeadLetterEntry
+ * @property {string} id - Dead-letter job id (`dlq_<original job id>`).
+ * @property {string} originalJobId
+ * @property {string} fileKey
+ * @property {number} startIndex - Row index of batch[0] in the file.
+ * @property {number} totalProductsInFile
+ * @property {number} batchSize
+ * @property {Object[]} batch - The job rows (editable; each keeps its file
+ *   index, JOB_ROW_INDEX_KEY, through edits).
+ * @property {number[]} replayedRows - Positions in batch already replayed.
+ * @property {boolean} [dryRun]
+ * @property {Object} [columns] - Column mapping profile.
+ * @property {string} [updateMode] - "full" | "quantity"
+ * @property {string} [priority] - "high" | "normal" | "low"
+ * @property {string} [lane] - "fast" for the quantity fast lane.
+ * @property {string} [runId] - Run the rows' outcomes are recorded for.
+ * @property {{message:string, stack:(string|null)}} error - Last attempt's error.
+ * @property {number} attemptsMade
+ * @property {string} failedAt - ISO timestamp.
+ * @property {string|null} editedAt - ISO timestamp of the last row edit.
+ */
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function isFinalAttempt
+ * @description BullMQ emits "failed" after EVERY attempt; only the last one
+ * should dead-letter the job.
+ * @param {Object} job - BullMQ job.
+ * @returns {boolean}
+ */
+const isFinalAttempt = (job) =>
+  Boolean(job) && job.attemptsMade >= (job.opts?.attempts || 1);
+
+// Positions still waiting to be replayed
+const pendingRows = (data) =>
+  data.batch.map((_, index) => index).filter((index) => !data.replayedRows.includes(index));
+
+// Row keys used by failed-rows:{fileKey} (see process-batch.js)
+const rowKeysOf = (rows, columns) =>
+  rows.map((row) => rowIdentity(row, columns)?.key).filter(Boolean);
+
+const toEntry = (job) => ({ id: job.id, ...job.data });
+
+const summarize = (entry) => ({
+  id: entry.id,
+  originalJobId: entry.originalJobId,
+  fileKey: entry.fileKey,
+  startIndex: entry.startIndex,
+  endIndex: getBatchEndIndex(entry.batch, entry.startIndex),
+  rows: entry.batch.length,
+  pendingRows: pendingRows(entry).length,
+  error: entry.error.message,
+  attemptsMade: entry.attemptsMade,
+  failedAt: entry.failedAt,
+  editedAt: entry.editedAt,
+  dryRun: entry.dryRun === true,
+});
+
+const loadJob = async (id) => {
+  const job = await deadLetterQueue.getJob(id);
+  if (!job) throw new Error(`Dead-letter entry "${id}" not found`);
+  return job;
+};
+
+// =============================================================================
+// DEAD-LETTERING (worker.js)
+// =============================================================================
+
+/**
+ * @function moveToDeadLetter
+ * @description Copies a job that exhausted its retries to the dead-letter
+ * queue and counts its rows as failed (also in the run's results).
+ * Re-running it for the same job is a no-op (the dead-letter job id is
+ * derived from the original id).
+ * @param {Object} job - BullMQ job (data as built by addBatchJob()).
+ * @param {Error} error - The last attempt's error.
+ * @returns {Promise<DeadLetterEntry|null>} null when the job isn't dead yet.
+ */
+const moveToDeadLetter = async (job, error) => {
+  if (!isFinalAttempt(job)) return null;
+
+  const id = `dlq_${job.id}`;
+  if (await deadLetterQueue.getJob(id)) return null;
+
+  const {
+    batch = [],
+    fileKey,
+    startIndex = 0,
+    totalProductsInFile = 0,
+    batchSize = 0,
+    dryRun,
+    columns,
+    updateMode,
+    priority,
+    lane,
+    runId,
+  } = job.data || {};
+
+  const data = {
+    originalJobId: String(job.id),
+    fileKey,
+    startIndex,
+    totalProductsInFile,
+    batchSize,
+    batch,
+    replayedRows: [],
+    ...(dryRun === true ? { dryRun: true } : {}),
+    ...(columns ? { columns } : {}),
+    ...(updateMode ? { updateMode } : {}),
+    ...(priority ? { priority } : {}),
+    ...(lane ? { lane } : {}),
+    ...(runId ? { runId } : {}),
+    error: { message: error?.message || String(error), stack: error?.stack || null },
+    attemptsMade: job.attemptsMade,
+    failedAt: new Date().toISOString(),
+    editedAt: null,
+  };
+
+  await deadLetterQueue.add(fileKey || "unknown-file", data, { jobId: id });
+
+  if (fileKey && batch.length > 0) {
+    await appRedis.incrBy(`failed-products:${fileKey}`, batch.length);
+    const rowKeys = rowKeysOf(batch, columns);
+    if (rowKeys.length > 0) await appRedis.sAdd(`failed-rows:${fileKey}`, rowKeys);
+  }
+
+  // Every row of the batch failed with the job (run result report)
+  if (runId && batch.length > 0) {
+    recordRowOutcomes(
+      runId,
+      batch.map((row, i) => ({
+        row: getJobRowIndex(row, startIndex, i) + 1,
+        partNumber: row.part_number || null,
+        manufacturer: row.manufacturer || null,
+        productId: null,
+        outcome: ROW_OUTCOMES.FAILED,
+        fieldsChanged: [],
+        error: `Dead-lettered after ${job.attemptsMade} attempts: ${data.error.message}`,
+      }))
+    );
+  }
+
+  logErrorToFile(
+    `🪦 Job ${job.id} dead-lettered as ${id} | File: ${fileKey} | ` +
+      `Rows ${startIndex}-${getBatchEndIndex(batch, startIndex) - 1} | ${job.attemptsMade} attempts | ${data.error.message}`
+  );
+  return { id, ...data };
+};
+
+// =============================================================================
+// INSPECTION / EDITING (mapping UI server)
+// =============================================================================
+
+/**
+ * @function listDeadLetters
+ * @param {Object} [options]
+ * @param {string} [options.fileKey] - Only this file's entries.
+ * @returns {Promise<Object[]>} Summaries (no rows), newest first.
+ */
+const listDeadLetters = async ({ fileKey } = {}) => {
+  const jobs = await deadLetterQueue.getJobs(["waiting", "paused", "delayed"]);
+  return jobs
+    .filter(Boolean)
+    .map(toEntry)
+    .filter((entry) => !fileKey || entry.fileKey === fileKey)
+    .sort((a, b) => String(b.failedAt).localeCompare(String(a.failedAt)))
+    .map(summarize);
+};
+
+/**
+ * @function getDeadLetter
+ * @param {string} id
+ * @returns {Promise<DeadLetterEntry>} Full entry, including rows.
+ */
+const getDeadLetter = async (id) => toEntry(await loadJob(id));
+
+/**
+ * @function updateDeadLetterRows
+ * @description Replaces the rows (e.g. to fix a bad value before replaying).
+ * The row count can't change - each row's position maps to its row number
+ * in the file, which the edited row keeps (JOB_ROW_INDEX_KEY).
+ * @param {string} id
+ * @param {Object[]} rows
+ * @returns {Promise<DeadLetterEntry>}
+ */
+const updateDeadLetterRows = async (id, rows) => {
+  const job = await loadJob(id);
+  const entry = toEntry(job);
+
+  if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+    throw new Error("rows must be an array of row objects");
+  }
+  if (rows.length !== entry.batch.length) {
+    throw new Error(`Expected ${entry.batch.length} rows, got ${rows.length}`);
+  }
+
+  const { id: _id, ...data } = entry;
+  const batch = rows.map((row, i) => {
+    const { [JOB_ROW_INDEX_KEY]: _index, ...edited } = row;
+    return JOB_ROW_INDEX_KEY in entry.batch[i] ? { ...edited, [JOB_ROW_INDEX_KEY]: entry.batch[i][JOB_ROW_INDEX_KEY] } : edited;
+  });
+  const next = { ...data, batch, editedAt: new Date().toISOString() };
+  await job.updateData(next);
+
+  logInfoToFile(`✏️ Dead-letter entry ${id} edited (${rows.length} rows) | File: ${entry.fileKey}`);
+  return { id, ...next };
+};
+
+// =============================================================================
+// REPLAY / DISCARD
+// =============================================================================
+
+/**
+ * @function replayDeadLetter
+ * @description Re-enqueues the entry's rows on the batch queue.
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {number[]} [options.rows] - Positions in the entry's batch. All
+ *   pending rows (as ONE job) when omitted.
+ * @returns {Promise<{id:string, jobIds:string[], replayed:number[], remaining:number}>}
+ */
+const replayDeadLetter = async (id, { rows } = {}) => {
+  const job = await loadJob(id);
+  const entry = toEntry(job);
+  const pending = pendingRows(entry);
+
+  const selected = rows === undefined ? pending : [...new Set(rows.map(Number))];
+  const invalid = selected.filter((index) => !pending.includes(index));
+  if (invalid.length > 0) {
+    throw new Error(`Rows not pending in ${id}: ${invalid.join(", ")}`);
+  }
+  if (selected.length === 0) throw new Error(`Nothing left to replay in ${id}`);
+
+  const base = {
+    fileKey: entry.fileKey,
+    totalProductsInFile: entry.totalProductsInFile,
+    batchSize: entry.batchSize,
+    ...(entry.dryRun === true ? { dryRun: true } : {}),
+    ...(entry.columns ? { columns: entry.columns } : {}),
+    ...(entry.updateMode ? { updateMode: entry.updateMode } : {}),
+    ...(entry.priority ? { priority: entry.priority } : {}),
+    ...(entry.lane ? { lane: entry.lane } : {}),
+    ...(entry.runId ? { runId: entry.runId } : {}),
+  };
+
+  // The whole untouched batch goes back as one job; a selection goes row by row
+  const jobs =
+    rows === undefined && pending.length === entry.batch.length
+      ? [{ ...base, batch: entry.batch, startIndex: entry.startIndex }]
+      : selected.map((index) => ({
+          ...base,
+          batch: [entry.batch[index]],
+          startIndex: getJobRowIndex(entry.batch[index], entry.startIndex, index),
+        }));
+
+  // Take the rows out of the failed counters first - processBatch() counts them again
+  const replayedBatch = selected.map((index) => entry.batch[index]);
+  await appRedis.decrBy(`failed-products:${entry.fileKey}`, replayedBatch.length);
+  const rowKeys = rowKeysOf(replayedBatch, entry.columns);
+  if (rowKeys.length > 0) await appRedis.sRem(`failed-rows:${entry.fileKey}`, rowKeys);
+
+  const jobIds = [];
+  for (const jobData of jobs) {
+    const added = await addBatchJob(jobData, createUniqueJobId(entry.fileKey, "replay", jobData.startIndex));
+    if (added) jobIds.push(added.id);
+  }
+
+  const replayedRows = [...entry.replayedRows, ...selected].sort((a, b) => a - b);
+  const remaining = entry.batch.length - replayedRows.length;
+  if (remaining === 0) {
+    await job.remove();
+  } else {
+    const { id: _id, ...data } = entry;
+    await job.updateData({ ...data, replayedRows });
+  }
+
+  logInfoToFile(
+    `🔁 Dead-letter entry ${id} replayed: ${selected.length} row(s) in ${jobIds.length} job(s), ` +
+      `${remaining} left | File: ${entry.fileKey}`
+  );
+  return { id, jobIds, replayed: selected, remaining };
+};
+
+/**
+ * @function discardDeadLetter
+ * @description Deletes an entry. Its rows stay counted as failed.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+const discardDeadLetter = async (id) => {
+  const job = await loadJob(id);
+  await job.remove();
+  logInfoToFile(`🗑️ Dead-letter entry ${id} discarded | File: ${job.data.fileKey}`);
+};
+
+module.exports = {
+  isFinalAttempt,
+  moveToDeadLetter,
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetterRows,
+  replayDeadLetter,
+  discardDeadLetter,
+};
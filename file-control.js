@@ -0,0 +1,293 @@
+/**
+ * =============================================================================
+ * FILE: file-control.js
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Pause, resume or cancel ONE file's processing while other files keep
+ * running. (Restart workers / flush Redis / full reset act on everything.)
+ *
+ * HOW IT WORKS:
+ * The control lives in Redis as `file-control:{fileKey}` = "paused" | "cancelled",
+ * and the file entry's status in csv-mappings.json follows it.
+ *
+ *   PAUSE   → worker.js parks each of the file's jobs it picks up: the job
+ *             is moved to "delayed" (not failed, no attempt used) and looks
+ *             again every FILE_PAUSE_RECHECK_SECONDS. A job already running
+ *             finishes its batch. Jobs still being enqueued by s3-helpers.js
+ *             are parked the same way.
+ *   RESUME  → the control is removed and the parked jobs are promoted, so
+ *             the file continues where it stopped: finished rows keep their
+ *             counters and the checkpoint, nothing is processed twice. If the
+ *             queue no longer holds the file's jobs (e.g. Redis was flushed),
+ *             the next processing run re-reads the file and skips the rows
+ *             finished jobs already covered.
+ *   CANCEL  → the file's queued jobs are removed (finished ones too, so a
+ *             later run starts from row 0), its run record is closed with
+ *             the counts so far, its Redis counters and checkpoint are
+ *             deleted, and s3-helpers.js stops reading the file if it is
+ *             still streaming. Setting the file "ready" again starts over.
+ *
+ * ACTIVE JOB CAP:
+ * A file may only have `maxActiveJobs` (csv-mappings.json, default
+ * FILE_MAX_ACTIVE_JOBS, 0 = no cap) jobs running at once across all workers,
+ * so one huge file can't take every worker slot. worker.js takes a slot
+ * (acquireFileSlot) before processing; a job over the cap is parked for
+ * FILE_SLOT_RETRY_MS like a paused one. Slots live in a sorted set
+ * `active-jobs:{fileKey}` scored by start time - a slot older than the job
+ * timeout (a crashed worker) no longer counts.
+ *
+ * =============================================================================
+ */
+
+const { getBatchJobs, appRedis } = require("./queue");
+const { logInfoToFile } = require("./logger");
+const { clearCheckpoint, getLastProcessedRow } = require("./checkpoint");
+const { loadMappings, setFileStatus } = require("./csv-mapping-store");
+const { RUN_STATUSES, finishRunRecord } = require("./run-history");
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const FILE_CONTROL = { PAUSED: "paused", CANCELLED: "cancelled" };
+
+// How often a parked job of a paused file checks whether it may run
+const FILE_PAUSE_RECHECK_MS =
+  (parseInt(process.env.FILE_PAUSE_RECHECK_SECONDS, 10) || 30) * 1000;
+
+// A cancel marker only has to outlive the file's in-flight jobs and stream
+const CANCEL_MARKER_TTL_SECONDS = 24 * 60 * 60;
+
+// Default per-file cap on running jobs (0 = no cap)
+const DEFAULT_MAX_ACTIVE_JOBS = Math.max(0, parseInt(process.env.FILE_MAX_ACTIVE_JOBS, 10) || 0);
+
+// How long a job over its file's cap waits before trying again
+const FILE_SLOT_RETRY_MS = 2000;
+
+// A slot older than the job timeout (job-manager.js) belongs to a dead worker
+const FILE_SLOT_STALE_MS = 300000;
+
+// Queue states whose jobs haven't started yet
+const PENDING_JOB_STATES = ["waiting", "delayed", "paused", "prioritized"];
+
+const controlKey = (fileKey) => `file-control:${fileKey}`;
+const slotsKey = (fileKey) => `active-jobs:${fileKey}`;
+
+// Redis keys tracking a file's run (see initializeFileTracking in s3-helpers.js)
+const trackingKeys = (fileKey) => [
+  `total-rows:${fileKey}`,
+  `updated-products:${fileKey}`,
+  `skipped-products:${fileKey}`,
+  `failed-products:${fileKey}`,
+  `failed-rows:${fileKey}`,
+  `ingesting:${fileKey}`,
+  slotsKey(fileKey),
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function getFileControl
+ * @param {string} fileKey
+ * @returns {Promise<"paused"|"cancelled"|null>}
+ */
+const getFileControl = async (fileKey) => (await appRedis.get(controlKey(fileKey))) || null;
+
+/**
+ * @function clearCancelledControl
+ * @description Called when a file starts a new run (s3-helpers.js), so an
+ * earlier cancel doesn't stop it. A pause is left alone.
+ * @param {string} fileKey
+ * @returns {Promise<void>}
+ */
+const clearCancelledControl = async (fileKey) => {
+  if ((await getFileControl(fileKey)) === FILE_CONTROL.CANCELLED) {
+    await appRedis.del(controlKey(fileKey));
+  }
+};
+
+const jobsOfFile = async (fileKey, states) =>
+  (await getBatchJobs(states)).filter((job) => job?.data?.fileKey === fileKey);
+
+const assertKnownFile = (fileKey) => {
+  const file = (loadMappings().files || []).find((f) => f.fileKey === fileKey);
+  if (!file) throw new Error(`File not found: ${fileKey}`);
+  return file;
+};
+
+// =============================================================================
+// ACTIVE JOB CAP
+// =============================================================================
+
+/**
+ * @function getFileMaxActiveJobs
+ * @param {string} fileKey
+ * @returns {number} The file's cap (0 = no cap).
+ */
+const getFileMaxActiveJobs = (fileKey) => {
+  const file = (loadMappings().files || []).find((f) => f.fileKey === fileKey);
+  const cap = parseInt(file?.maxActiveJobs, 10);
+  return Number.isInteger(cap) && cap >= 0 ? cap : DEFAULT_MAX_ACTIVE_JOBS;
+};
+
+/**
+ * @function acquireFileSlot
+ * @description Registers a job as running for its file. The earliest
+ * `maxActiveJobs` registrations win; a later one is withdrawn again.
+ * @param {string} fileKey
+ * @param {string} jobId
+ * @param {number} maxActiveJobs - 0 = no cap (always granted, not tracked).
+ * @returns {Promise<boolean>} false when the file is at its cap.
+ */
+const acquireFileSlot = async (fileKey, jobId, maxActiveJobs) => {
+  if (!maxActiveJobs) return true;
+
+  const key = slotsKey(fileKey);
+  const now = Date.now();
+  await appRedis.zRemRangeByScore(key, "-inf", now - FILE_SLOT_STALE_MS);
+  await appRedis.zAdd(key, { score: now, value: String(jobId) });
+
+  const rank = await appRedis.zRank(key, String(jobId));
+  if (rank !== null && rank < maxActiveJobs) return true;
+
+  await appRedis.zRem(key, String(jobId));
+  return false;
+};
+
+/**
+ * @function releaseFileSlot
+ * @param {string} fileKey
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+const releaseFileSlot = async (fileKey, jobId) => {
+  await appRedis.zRem(slotsKey(fileKey), String(jobId));
+};
+
+// =============================================================================
+// RUN RESET
+// =============================================================================
+
+/**
+ * @function clearFileRun
+ * @description Forgets a file's run: removes its queued AND finished jobs (a
+ * later run resumes after the highest finished row otherwise), its Redis
+ * counters and its checkpoint. Running jobs finish their batch.
+ * Used by cancelFile() and by schedules re-running the same file.
+ * @param {string} fileKey
+ * @returns {Promise<{removedJobs:number, runningJobs:number}>}
+ */
+const clearFileRun = async (fileKey) => {
+  let removedJobs = 0;
+  for (const job of await jobsOfFile(fileKey, [...PENDING_JOB_STATES, "completed", "failed"])) {
+    try {
+      await job.remove();
+      removedJobs++;
+    } catch {
+      // Locked: a worker just picked it up
+    }
+  }
+  const runningJobs = (await jobsOfFile(fileKey, ["active"])).length;
+
+  await appRedis.del(trackingKeys(fileKey));
+  await clearCheckpoint(fileKey);
+  return { removedJobs, runningJobs };
+};
+
+// =============================================================================
+// CONTROLS
+// =============================================================================
+
+/**
+ * @function pauseFile
+ * @param {string} fileKey
+ * @returns {Promise<{fileKey:string, status:string, pendingJobs:number}>}
+ */
+const pauseFile = async (fileKey) => {
+  const file = assertKnownFile(fileKey);
+  if (file.status === "completed" || file.status === "cancelled") {
+    throw new Error(`Cannot pause a ${file.status} file`);
+  }
+
+  await appRedis.set(controlKey(fileKey), FILE_CONTROL.PAUSED);
+  setFileStatus(fileKey, "paused", { pausedAt: new Date().toISOString(), pausedFrom: file.status });
+
+  const pendingJobs = (await jobsOfFile(fileKey, PENDING_JOB_STATES)).length;
+  logInfoToFile(`⏸️ Paused ${fileKey} (${pendingJobs} queued job(s) held)`);
+  return { fileKey, status: "paused", pendingJobs };
+};
+
+/**
+ * @function resumeFile
+ * @param {string} fileKey
+ * @returns {Promise<{fileKey:string, status:string, resumedJobs:number, checkpoint:number}>}
+ */
+const resumeFile = async (fileKey) => {
+  const file = assertKnownFile(fileKey);
+  if (file.status !== "paused") throw new Error(`${fileKey} is not paused`);
+
+  await appRedis.del(controlKey(fileKey));
+  const status = file.pausedFrom && file.pausedFrom !== "paused" ? file.pausedFrom : "ready";
+  setFileStatus(fileKey, status, { pausedAt: undefined, pausedFrom: undefined });
+
+  // Parked jobs would wake up on their own within FILE_PAUSE_RECHECK_MS
+  let resumedJobs = 0;
+  for (const job of await jobsOfFile(fileKey, ["delayed"])) {
+    try {
+      await job.promote();
+      resumedJobs++;
+    } catch {
+      // Already picked up by a worker
+    }
+  }
+
+  const checkpoint = getLastProcessedRow(fileKey);
+  logInfoToFile(`▶️ Resumed ${fileKey} from row ${checkpoint} (${resumedJobs} parked job(s) released)`);
+  return { fileKey, status, resumedJobs, checkpoint };
+};
+
+/**
+ * @function cancelFile
+ * @param {string} fileKey
+ * @returns {Promise<{fileKey:string, status:string, removedJobs:number, runningJobs:number}>}
+ */
+const cancelFile = async (fileKey) => {
+  const file = assertKnownFile(fileKey);
+
+  // Set first: a job a worker picks up meanwhile is dropped (cancelled)
+  await appRedis.set(controlKey(fileKey), FILE_CONTROL.CANCELLED, { EX: CANCEL_MARKER_TTL_SECONDS });
+
+  // Before clearFileRun() deletes the counters the record keeps
+  if (file.runId) await finishRunRecord(file.runId, RUN_STATUSES.CANCELLED);
+
+  const { removedJobs, runningJobs } = await clearFileRun(fileKey);
+  setFileStatus(fileKey, "cancelled", {
+    cancelledAt: new Date().toISOString(),
+    pausedAt: undefined,
+    pausedFrom: undefined,
+  });
+
+  logInfoToFile(
+    `⏹️ Cancelled ${fileKey}: ${removedJobs} job(s) removed, counters + checkpoint cleared` +
+      (runningJobs ? `, ${runningJobs} running job(s) finish their batch` : ``)
+  );
+  return { fileKey, status: "cancelled", removedJobs, runningJobs };
+};
+
+module.exports = {
+  FILE_CONTROL,
+  FILE_PAUSE_RECHECK_MS,
+  FILE_SLOT_RETRY_MS,
+  getFileControl,
+  clearCancelledControl,
+  pauseFile,
+  resumeFile,
+  cancelFile,
+  clearFileRun,
+  getFileMaxActiveJobs,
+  acquireFileSlot,
+  releaseFileSlot,
+};
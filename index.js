@@ -6,6 +6,9 @@
  * - Bull Board enabled for ALL environments (including production)
  * - Basic auth protection for Bull Board in production
  * - Environment-aware logging
+ * - Runs scheduled imports (schedules.js) - no PM2 restart needed
+ * - Executes run requests ("enqueue file X" / all ready files) from the
+ *   mapping UI, the worker and schedules (run-control.js)
  */
 
 const dotenv = require("dotenv");
@@ -14,8 +17,8 @@ dotenv.config();
 const express = require("express");
 const { performance } = require("perf_hooks");
 
-const { appRedis, batchQueue } = require("./queue");
-const { processReadyCsvFilesFromMappings } = require("./s3-helpers");
+const { appRedis, batchQueue, fastLaneQueue, deadLetterQueue, scheduleQueue, runQueue } = require("./queue");
+const { getDefaultSourceType } = require("./src/sources");
 const {
   logger,
   logErrorToFile,
@@ -26,6 +29,8 @@ const {
 } = require("./logger");
 const { createUniqueJobId } = require("./utils");
 const { addBatchJob } = require("./job-manager");
+const { startScheduleWorker } = require("./schedules");
+const { startRunWorker, requestRun } = require("./run-control");
 
 const { BullMQAdapter } = require("@bull-board/api/bullMQAdapter");
 const { createBullBoard } = require("@bull-board/api");
@@ -108,7 +113,13 @@ serverAdapter.setBasePath("/admin/queues");
 app.use("/admin/queues", basicAuthMiddleware, serverAdapter.getRouter());
 
 createBullBoard({
-  queues: [new BullMQAdapter(batchQueue)],
+  queues: [
+    new BullMQAdapter(batchQueue),
+    new BullMQAdapter(fastLaneQueue),
+    new BullMQAdapter(scheduleQueue),
+    new BullMQAdapter(runQueue),
+    new BullMQAdapter(deadLetterQueue, { readOnlyMode: true }),
+  ],
   serverAdapter: serverAdapter,
 });
 
@@ -154,27 +165,39 @@ const handleProcessError = (error, type = "Error") => {
 // MAIN PROCESS
 // =============================================================================
 
+// Run requests (see run-control.js) and scheduled imports (see
+// schedules.js); closed on shutdown
+let runWorker = null;
+let scheduleWorker = null;
+
 /**
- * Main process: Read CSV mappings and enqueue jobs
+ * Main process: start the run + schedule workers and enqueue the ready files
  */
 const mainProcess = async () => {
   try {
     const s3BucketName = getS3BucketName(executionMode);
 
-    if (!s3BucketName) {
+    // A bucket is only required when files default to the S3 source
+    // (CSV_SOURCE=local|sftp|http runs without AWS - see src/sources/)
+    if (!s3BucketName && getDefaultSourceType() === "s3") {
       logErrorToFile("Environment variable S3_BUCKET_NAME (or S3_BUCKET_NAME_TEST) is not set.");
       return;
     }
 
-    logInfoToFile(`📦 Using S3 bucket: ${s3BucketName}`);
+    logInfoToFile(`📦 Default CSV source: ${getDefaultSourceType()} | S3 bucket: ${s3BucketName || "(none)"}`);
 
     const batchSize = parseInt(process.env.BATCH_SIZE) || 20;
     logInfoToFile(`📊 Batch size: ${batchSize}`);
 
-    // Process CSV files that are marked as "ready"
-    await processReadyCsvFilesFromMappings(s3BucketName, batchSize);
+    // Files are read and enqueued from here whenever a run is requested
+    runWorker = startRunWorker({ bucketName: s3BucketName, batchSize });
+
+    // Pick up the files that were marked "ready" while we were down
+    const { runId } = await requestRun({ trigger: "startup" });
+    logInfoToFile(`✅ Startup run ${runId} requested. Workers will process the queue.`);
 
-    logInfoToFile("✅ Job enqueuing complete. Workers will process the queue.");
+    // Scheduled imports request their runs from here on each cron tick
+    scheduleWorker = await startScheduleWorker({ bucketName: s3BucketName });
     
   } catch (error) {
     handleProcessError(error, "Main process error");
@@ -189,6 +212,8 @@ const gracefulShutdown = async (signal) => {
   logInfoToFile(`${signal} received. Gracefully shutting down...`);
   
   try {
+    if (scheduleWorker) await scheduleWorker.close();
+    if (runWorker) await runWorker.close();
     await appRedis.quit();
     logInfoToFile("Redis connection closed.");
   } catch (error) {
@@ -7,8 +7,10 @@
  * Manages job creation for BullMQ queue and rate-limited API requests.
  * 
  * RESPONSIBILITIES:
- * 1. Add batch jobs to the BullMQ queue with proper configuration
- * 2. Schedule API requests through Bottleneck rate limiter
+ * 1. Add batch jobs to the BullMQ queue with proper configuration:
+ *    per-file priority, and the fast lane for quantity-only files
+ * 2. Schedule API requests through Bottleneck rate limiter, adapted to
+ *    WooCommerce latency / 429s and shared by all workers (adaptive-limiter.js)
  * 
  * BUG FIX (2025):
  * - Added `startIndex` to cleanedJobData which is CRITICAL for the race
@@ -18,35 +20,84 @@
  * =============================================================================
  */
 
-const { batchQueue } = require('./queue'); // Bull Queue instance
+const { batchQueue, BATCH_LANES, bullmqConnection, appRedis } = require('./queue'); // Bull Queue instances
 const Bottleneck = require("bottleneck");
 const { logErrorToFile, logInfoToFile } = require('./logger');
+const {
+    getLimiterConfig,
+    createAdaptiveController,
+    createMemoryStore,
+    createRedisStore,
+} = require('./adaptive-limiter');
+
+/**
+ * WOO_LIMITER_SHARED: One limiter for ALL processes (default), kept in Redis.
+ * Without it every PM2 worker would run its own limiter and each would think
+ * it owns the whole WooCommerce budget. Always off in Jest (no Redis).
+ */
+const sharedLimiter =
+    process.env.NODE_ENV !== 'test' && process.env.WOO_LIMITER_SHARED !== 'false';
+
+const limiterConfig = getLimiterConfig();
 
 /**
  * Bottleneck rate limiter instance.
  * 
  * CONFIGURATION:
- * - maxConcurrent: 2 - Only allow 2 concurrent API requests
- *   This prevents overwhelming the WooCommerce server
+ * - maxConcurrent / minTime START at WOO_START_CONCURRENT (2) and
+ *   WOO_START_MIN_TIME_MS (1000ms) and are then tuned at runtime by the
+ *   adaptive controller (adaptive-limiter.js): more concurrency while p95
+ *   latency is healthy, less on 429/502/504 or rising latency.
  * 
- * - minTime: 1000ms - At least 1 second between requests
- *   This helps avoid rate limiting (429 errors)
- * 
- * WHY THESE VALUES?
- * WooCommerce APIs have rate limits. With these settings:
- *   - Maximum 2 requests/second sustained
- *   - Maximum 2 parallel requests at any time
- *   - Burst capacity is limited
+ * - Clustered (datastore "ioredis", same Redis as BullMQ): the running count
+ *   and the settings are shared, so the limits hold across all workers.
+ *   Existing shared settings survive restarts (clearDatastore: false).
  * 
  * TUNING:
- * If you see 429 errors, increase minTime or decrease maxConcurrent.
- * If processing is too slow, try increasing maxConcurrent cautiously.
+ * Bounds via WOO_MIN_CONCURRENT / WOO_MAX_CONCURRENT, WOO_MIN_TIME_FLOOR_MS /
+ * WOO_MIN_TIME_CEILING_MS and the latency target WOO_TARGET_P95_MS.
  */
 const limiter = new Bottleneck({
-    maxConcurrent: 2,
-    minTime: 1000,
+    id: "woo-api",
+    maxConcurrent: limiterConfig.startConcurrent,
+    minTime: limiterConfig.startMinTime,
+    ...(sharedLimiter
+        ? { datastore: "ioredis", clearDatastore: false, clientOptions: bullmqConnection }
+        : {}),
+});
+
+limiter.on("error", (error) => {
+    logErrorToFile(`❌ Bottleneck limiter error: ${error.message}`);
 });
 
+/**
+ * Adaptive controller: watches every request scheduled below and retunes
+ * the limiter. Its state (and any Retry-After pause) is shared in Redis
+ * under woo-limiter:state when the limiter is shared.
+ */
+const adaptiveController = createAdaptiveController({
+    limiter,
+    store: sharedLimiter ? createRedisStore(appRedis) : createMemoryStore(),
+    config: limiterConfig,
+    log: logInfoToFile,
+});
+
+/**
+ * Per-file priority (csv-mappings.json → file.priority) as BullMQ job
+ * priority: lower runs first. Every job gets one - BullMQ would otherwise run
+ * unprioritized jobs ahead of all prioritized ones.
+ */
+const JOB_PRIORITIES = { high: 1, normal: 5, low: 10 };
+
+/**
+ * @param {string} [priority] - "high" | "normal" | "low"
+ * @returns {number} BullMQ priority (unknown values → normal)
+ */
+const resolveJobPriority = (priority) => JOB_PRIORITIES[priority] || JOB_PRIORITIES.normal;
+
+/** Per-file `updateMode` values (see UPDATE_MODE in .env). */
+const UPDATE_MODES = ['full', 'quantity'];
+
 /**
  * Add a batch job to the BullMQ Queue.
  * 
@@ -59,6 +110,11 @@ const limiter = new Bottleneck({
  * @param {number} jobData.totalProductsInFile - Total rows in the CSV file
  * @param {number} jobData.batchSize - Number of rows in this batch
  * @param {number} jobData.startIndex - Starting row index for this batch (CRITICAL for race-condition fix)
+ * @param {boolean} [jobData.dryRun] - Preview only: compute the diff, skip Woo writes
+ * @param {string} [jobData.priority] - "high" | "normal" (default) | "low"
+ * @param {string} [jobData.lane] - "fast" for quantity-only files, else the main batchQueue
+ * @param {string} [jobData.updateMode] - "full" | "quantity"; workers fall back to UPDATE_MODE
+ * @param {string} [jobData.runId] - Run whose results the rows are recorded in
  * @param {string} jobId - Unique identifier for this job
  * @returns {Promise<Object|undefined>} The created job, or undefined if skipped
  * 
@@ -114,10 +170,23 @@ const addBatchJob = async (jobData, jobId) => {
         const cleanedJobData = {
             batch: jobData.batch,
             fileKey: String(jobData.fileKey),
+            // 0 = not known yet (file still streaming) - worker.js reads total-rows from Redis
             totalProductsInFile: Number(jobData.totalProductsInFile) || 0,
             batchSize: Number(jobData.batchSize) || 0,
             // ⭐ CRITICAL FIX: Include startIndex for race-condition prevention
             startIndex: typeof jobData.startIndex === 'number' ? jobData.startIndex : 0,
+            // Only carried when set, so workers fall back to the DRY_RUN env var otherwise
+            // (an explicit false still overrides DRY_RUN=true - see isDryRunFile)
+            ...(typeof jobData.dryRun === 'boolean' ? { dryRun: jobData.dryRun } : {}),
+            // Per-file column mapping profile (csv-mappings.json → mapping.columns)
+            ...(jobData.columns && typeof jobData.columns === 'object' ? { columns: jobData.columns } : {}),
+            // Per-file update mode (csv-mappings.json → updateMode), else UPDATE_MODE
+            ...(UPDATE_MODES.includes(jobData.updateMode) ? { updateMode: jobData.updateMode } : {}),
+            // Kept on the job so a dead-letter replay goes back to the same lane / priority
+            ...(JOB_PRIORITIES[jobData.priority] ? { priority: jobData.priority } : {}),
+            ...(jobData.lane === 'fast' ? { lane: 'fast' } : {}),
+            // Per-row outcomes go to this run's results (run-history.js)
+            ...(jobData.runId ? { runId: String(jobData.runId) } : {}),
         };
 
         // Warn if startIndex wasn't provided (indicates old code path)
@@ -147,14 +216,16 @@ const addBatchJob = async (jobData, jobId) => {
          * 
          * SYNCED WITH: queue.js defaultJobOptions
          */
-        const job = await batchQueue.add(jobId, cleanedJobData, {
+        const lane = cleanedJobData.lane || 'main';
+        const job = await BATCH_LANES[lane].add(jobId, cleanedJobData, {
             removeOnComplete: 100,
             removeOnFail: 50,
             attempts: 5,
             backoff: { type: 'exponential', delay: 5000 },
             timeout: 300000, // 5 minutes
+            priority: resolveJobPriority(cleanedJobData.priority),
         }).catch(error => {
-            logErrorToFile(`❌ batchQueue.add() failed for job ${jobId}. Error: ${error.message}`, error.stack);
+            logErrorToFile(`❌ ${lane} lane add() failed for job ${jobId}. Error: ${error.message}`, error.stack);
         });
 
         if (!job) throw new Error(`Job creation returned null/undefined`);
@@ -167,14 +238,43 @@ const addBatchJob = async (jobData, jobId) => {
     }
 };
 
-// Schedule an API request using Bottleneck
+/**
+ * Run one request for the limiter: wait out a shared Retry-After pause, time
+ * it, and report the outcome to the adaptive controller. Controller errors
+ * (e.g. Redis briefly unavailable) never fail the request itself.
+ */
+const measureRequest = (task) => async () => {
+    try {
+        await adaptiveController.beforeRequest();
+    } catch (error) {
+        logErrorToFile(`⚠️ Woo limiter: pause check failed: ${error.message}`);
+    }
+
+    const startedAt = Date.now();
+    let response;
+    try {
+        response = await task();
+    } catch (requestError) {
+        await adaptiveController.recordFailure(requestError).catch((error) =>
+            logErrorToFile(`⚠️ Woo limiter: could not record failure: ${error.message}`)
+        );
+        throw requestError;
+    }
+
+    await adaptiveController.recordSuccess(Date.now() - startedAt).catch((error) =>
+        logErrorToFile(`⚠️ Woo limiter: could not record latency: ${error.message}`)
+    );
+    return response;
+};
+
+// Schedule an API request using Bottleneck (adaptive, see measureRequest)
 const scheduleApiRequest = async (task, options) => {
     if (!limiter) {
         throw new Error('Limiter is not initialized');
     }
 
     try {
-        const response = await limiter.schedule(options, task);
+        const response = await limiter.schedule(options, measureRequest(task));
         logInfoToFile(`Successfully scheduled API request: ${options.id}`);
         return response;
     } catch (error) {
@@ -184,7 +284,11 @@ const scheduleApiRequest = async (task, options) => {
 };
 
 module.exports = {
+    JOB_PRIORITIES,
+    resolveJobPriority,
+    UPDATE_MODES,
     limiter,
+    adaptiveController,
     addBatchJob,
     scheduleApiRequest
 };
\ No newline at end of file
@@ -112,19 +112,15 @@ function appendNewManufacturerAsCanonical(name) {
 }
 
 /**
- * resolveManufacturerSmart(rawName)
+ * matchKnownManufacturer(rawName)
  *
- * Input: raw manufacturer string from CSV.
- * Output: object describing how we resolved it:
+ * Same lookup as resolveManufacturerSmart() (alias → exact → fuzzy) but
+ * WITHOUT the "brand-new" fallback: unknown names return null and nothing
+ * is appended to custom-manufacturers.json. Used by row validation.
  *
- *  {
- *    canonical: "NXP",
- *    score: 1,
- *    matchedOn: "alias"|"exact"|"fuzzy"|"new",
- *    isNew: false|true
- *  }
+ * Output: { canonical, score, matchedOn, isNew: false } | null
  */
-function resolveManufacturerSmart(rawName) {
+function matchKnownManufacturer(rawName) {
   const original = String(rawName || "").trim();
   if (!original) return null;
 
@@ -175,6 +171,29 @@ function resolveManufacturerSmart(rawName) {
     }
   }
 
+  return null;
+}
+
+/**
+ * resolveManufacturerSmart(rawName)
+ *
+ * Input: raw manufacturer string from CSV.
+ * Output: object describing how we resolved it:
+ *
+ *  {
+ *    canonical: "NXP",
+ *    score: 1,
+ *    matchedOn: "alias"|"exact"|"fuzzy"|"new",
+ *    isNew: false|true
+ *  }
+ */
+function resolveManufacturerSmart(rawName) {
+  const original = String(rawName || "").trim();
+  if (!original) return null;
+
+  const known = matchKnownManufacturer(original);
+  if (known) return known;
+
   // 4) No confident match: treat as brand-new canonical.
   appendNewManufacturerAsCanonical(original);
 
@@ -188,6 +207,7 @@ function resolveManufacturerSmart(rawName) {
 
 module.exports = {
   resolveManufacturerSmart,
+  matchKnownManufacturer,
   appendNewManufacturerAsCanonical,
   normalizeForCompare, // mainly for unit tests if you add them later
 };
@@ -45,6 +45,10 @@ const {
   BULLMQ_PREFIX = "bull",
   APP_KEY_PREFIX = "woo_updater:",
   QUEUE_NAME = "batchQueue",
+  DEAD_LETTER_QUEUE_NAME = `${QUEUE_NAME}-dead-letter`,
+  FAST_LANE_QUEUE_NAME = `${QUEUE_NAME}-fast`,
+  SCHEDULE_QUEUE_NAME = `${QUEUE_NAME}-schedules`,
+  RUN_QUEUE_NAME = `${QUEUE_NAME}-runs`,
 } = process.env;
 
 const USE_TLS = String(REDIS_TLS).toLowerCase() === "true";
@@ -132,6 +136,10 @@ if (!isTestEnv) {
 
 let batchQueue;
 let batchQueueEvents;
+let deadLetterQueue;
+let fastLaneQueue;
+let scheduleQueue;
+let runQueue;
 
 /**
  * batchQueue is the main BullMQ queue used by our jobs.
@@ -178,6 +186,51 @@ if (!isTestEnv) {
     },
   });
 
+  /**
+   * Fast lane (non-test): quantity-only files are enqueued here instead of
+   * batchQueue and have their own worker (worker.js), so a small stock
+   * update never waits behind a big spec refresh. Same job options.
+   */
+  fastLaneQueue = new Queue(FAST_LANE_QUEUE_NAME, {
+    connection: bullmqConnection,
+    prefix: BULLMQ_PREFIX,
+    defaultJobOptions: batchQueue.defaultJobOptions,
+  });
+
+  /**
+   * Dead-letter queue (non-test): jobs that exhausted their retries are
+   * copied here by worker.js. No worker consumes it - entries wait until
+   * they are replayed or discarded (see dead-letter.js). Nothing is
+   * removed automatically, so no rows are dropped by removeOnFail.
+   */
+  deadLetterQueue = new Queue(DEAD_LETTER_QUEUE_NAME, {
+    connection: bullmqConnection,
+    prefix: BULLMQ_PREFIX,
+  });
+
+  /**
+   * Schedule queue (non-test): one BullMQ job scheduler per import schedule
+   * (csv-mappings.json → schedules) adds a job here on each cron tick;
+   * index.js runs them (see schedules.js).
+   */
+  scheduleQueue = new Queue(SCHEDULE_QUEUE_NAME, {
+    connection: bullmqConnection,
+    prefix: BULLMQ_PREFIX,
+    defaultJobOptions: { removeOnComplete: 50, removeOnFail: 50 },
+  });
+
+  /**
+   * Run queue (non-test): "enqueue file X" / "enqueue all ready files"
+   * requests from the mapping UI, the worker and schedules. index.js reads
+   * the files and enqueues their batch jobs; the job id is the run id
+   * (see run-control.js). Replaces restarting index.js through PM2.
+   */
+  runQueue = new Queue(RUN_QUEUE_NAME, {
+    connection: bullmqConnection,
+    prefix: BULLMQ_PREFIX,
+    defaultJobOptions: { removeOnComplete: 200, removeOnFail: 200 },
+  });
+
   /**
    * REAL QueueEvents (non-test) – to listen for "completed", "failed", etc.
    */
@@ -240,6 +293,41 @@ if (!isTestEnv) {
     client: Promise.resolve(),
   };
 
+  /**
+   * TEST MODE: Fake fast lane, same shape as the fake batchQueue.
+   */
+  fastLaneQueue = { ...batchQueue };
+
+  /**
+   * TEST MODE: Fake dead-letter queue (tests mock "../queue" to inspect it).
+   */
+  deadLetterQueue = {
+    add: async (name, data, opts) => ({ id: opts?.jobId || "fake-dead-letter-id", name, data, opts }),
+    getJobs: async () => [],
+    getJob: async () => undefined,
+    close: async () => {},
+  };
+
+  /**
+   * TEST MODE: Fake schedule queue (tests mock "../queue" to inspect it).
+   */
+  scheduleQueue = {
+    add: async (name, data, opts) => ({ id: opts?.jobId || "fake-schedule-job-id", name, data, opts }),
+    upsertJobScheduler: async (id, repeatOpts) => ({ id, repeatOpts }),
+    removeJobScheduler: async () => true,
+    getJobSchedulers: async () => [],
+    close: async () => {},
+  };
+
+  /**
+   * TEST MODE: Fake run queue (tests mock "../queue" to inspect it).
+   */
+  runQueue = {
+    add: async (name, data, opts) => ({ id: opts?.jobId || "fake-run-id", name, data, opts }),
+    getJob: async () => undefined,
+    close: async () => {},
+  };
+
   /**
    * TEST MODE: Fake QueueEvents – no real Redis connection.
    */
@@ -261,9 +349,26 @@ if (!isTestEnv) {
   console.log("[BullMQ] 🧪 Test mode: using fake batchQueue & QueueEvents (no Redis connections)");
 }
 // ---------------------------------------------
-// 5) Small helpers (namespacing our keys)
+// 5) Small helpers (lanes, namespacing our keys)
 // ---------------------------------------------
 
+/**
+ * Every queue batch jobs can live in: the main lane first, then the fast lane.
+ */
+const BATCH_LANES = { main: batchQueue, fast: fastLaneQueue };
+
+/**
+ * @function getBatchJobs
+ * @description batchQueue.getJobs() across both lanes - use it wherever
+ * "this file's jobs" are looked up (duplicate checks, pause, cancel).
+ * @param {string[]} states - e.g. ["waiting", "delayed"]
+ * @returns {Promise<Object[]>}
+ */
+async function getBatchJobs(states) {
+  const lists = await Promise.all(Object.values(BATCH_LANES).map((queue) => queue.getJobs(states)));
+  return lists.flat();
+}
+
 /**
  * @function appKey
  * @description Prefixes our application keys so all our Redis entries
@@ -280,6 +385,15 @@ module.exports = {
   // Job system
   batchQueue,
   batchQueueEvents,
+  fastLaneQueue,
+  BATCH_LANES,
+  FAST_LANE_QUEUE_NAME,
+  getBatchJobs,
+  deadLetterQueue,
+  scheduleQueue,
+  SCHEDULE_QUEUE_NAME,
+  runQueue,
+  RUN_QUEUE_NAME,
   bullmqConnection,
 
   // Our KV client + key helpers
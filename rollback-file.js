@@ -0,0 +1,142 @@
+/**
+ * rollback-file.js
+ *
+ * PURPOSE (high-level overview):
+ * --------------------------------
+ * Every live run saves the PRIOR value of each field it changes to:
+ *
+ *   ./batch_status/<fileKey no .csv>/change_history.json
+ *
+ * (see src/batch/change-history.js). This script replays that history as a
+ * reverse products/batch update, restoring every product the file touched.
+ *
+ *   1) Loads change_history.json for the file.
+ *   2) Builds one `update` item per product with its prior values.
+ *   3) Sends them in chunks of ROLLBACK_CHUNK_SIZE through the shared limiter.
+ *   4) If every chunk succeeded, archives the history so it can't be replayed twice.
+ *      (On partial failure the history is kept - re-running is safe, since
+ *      it only writes the old values back.)
+ *
+ * Typical usage (from CLI):
+ *
+ *   node rollback-file.js <fileKey> [--preview]
+ *
+ * Example:
+ *   node rollback-file.js product-microcontrollers-03112025_part4.csv
+ *
+ * The same logic is exposed by the mapping UI server as
+ *   GET  /api/rollback/:fileKey   (preview)
+ *   POST /api/rollback/:fileKey   (execute)
+ */
+
+const { wooApi } = require("./woo-helpers");
+const { scheduleApiRequest } = require("./job-manager");
+const { logInfoToFile, logErrorToFile } = require("./logger");
+const { createUniqueJobId } = require("./utils");
+const {
+  loadChangeHistory,
+  buildRollbackUpdates,
+  archiveChangeHistory,
+} = require("./src/batch/change-history");
+
+// WooCommerce accepts at most 100 items per products/batch request
+const ROLLBACK_CHUNK_SIZE = 100;
+
+/**
+ * Roll back every change a processed file made in WooCommerce.
+ *
+ * @param {string} fileKey - Source CSV key (e.g. "vendor-x/file.csv")
+ * @param {Object} [options]
+ * @param {boolean} [options.preview=false] - Only report what would be restored
+ * @returns {Promise<{fileKey:string, total:number, reverted:number, failed:number,
+ *   preview:boolean, updates?:Array, archivedTo?:string|null}>}
+ * @throws {Error} when the file has no change history
+ */
+async function rollbackFile(fileKey, { preview = false } = {}) {
+  const history = loadChangeHistory(fileKey);
+  const updates = buildRollbackUpdates(history);
+
+  if (!history || updates.length === 0) {
+    throw new Error(`No change history found for "${fileKey}" (never applied, or already rolled back)`);
+  }
+
+  if (preview) {
+    return { fileKey, total: updates.length, reverted: 0, failed: 0, preview: true, updates };
+  }
+
+  logInfoToFile(`[rollback] ↩️ Rolling back ${updates.length} product(s) for ${fileKey}`);
+
+  let reverted = 0;
+  let failed = 0;
+
+  for (let start = 0; start < updates.length; start += ROLLBACK_CHUNK_SIZE) {
+    const chunk = updates.slice(start, start + ROLLBACK_CHUNK_SIZE);
+
+    try {
+      const jobId = createUniqueJobId(fileKey, "rollback", start, 0);
+      const response = await scheduleApiRequest(
+        () => wooApi.put("products/batch", { update: chunk }),
+        { id: jobId }
+      );
+
+      // Woo reports per-item failures inside the batch response
+      const results = response.data?.update || [];
+      const itemErrors = results.filter((r) => r && r.error);
+      itemErrors.forEach((r) => {
+        logErrorToFile(`[rollback] Product ${r.id} not restored: ${r.error?.message || JSON.stringify(r.error)}`);
+      });
+
+      reverted += results.length - itemErrors.length;
+      failed += chunk.length - (results.length - itemErrors.length);
+    } catch (err) {
+      failed += chunk.length;
+      logErrorToFile(
+        `[rollback] Chunk starting at ${start} for "${fileKey}" failed: ${err.message}`,
+        err.stack
+      );
+    }
+  }
+
+  const archivedTo = failed === 0 ? archiveChangeHistory(fileKey) : null;
+
+  logInfoToFile(
+    `[rollback] ✅ Finished ${fileKey} | reverted=${reverted} | failed=${failed}` +
+    (archivedTo ? "" : " | history kept for retry")
+  );
+
+  return { fileKey, total: updates.length, reverted, failed, preview: false, archivedTo };
+}
+
+module.exports = { rollbackFile, ROLLBACK_CHUNK_SIZE };
+
+/**
+ * CLI entry point
+ */
+if (require.main === module) {
+  const fileKey = process.argv[2];
+  const preview = process.argv.includes("--preview");
+
+  if (!fileKey) {
+    console.error("[rollback-file] ❌ Usage: node rollback-file.js <fileKey> [--preview]");
+    console.error("Example: node rollback-file.js product-microcontrollers-03112025_part4.csv");
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const result = await rollbackFile(fileKey, { preview });
+      if (preview) {
+        console.log(`[rollback-file] 👀 ${result.total} product(s) would be restored:`);
+        console.log(JSON.stringify(result.updates, null, 2));
+      } else {
+        console.log(
+          `[rollback-file] ✅ ${fileKey}: reverted=${result.reverted}, failed=${result.failed}`
+        );
+      }
+      process.exit(result.failed > 0 ? 1 : 0);
+    } catch (err) {
+      console.error(`[rollback-file] ❌ ${err.message}`);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,314 @@
+/**
+ * =============================================================================
+ * FILE: run-control.js
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Asks index.js to read files and enqueue their batch jobs ("runs"), without
+ * restarting it. Before, the mapping UI ("Start Processing") and worker.js
+ * (auto-pickup) ran `pm2 restart woo-update-app` so index.js would pick up
+ * new ready files on start - racy, and throttled by a 30s cooldown.
+ *
+ * FLOW:
+ *   1) requestRun() adds a job to the run queue (`${QUEUE_NAME}-runs`, see
+ *      queue.js). The job id is the run id, returned to the caller at once.
+ *        { fileKey }  → enqueue that one file; a run record is created
+ *                       (run-history.js)
+ *        no fileKey   → enqueue every ready file (old "restart" behaviour):
+ *                       requests one file run per ready file
+ *   2) index.js' run worker (startRunWorker) executes requests one at a time,
+ *      so two runs never stream the same file at once. The file entry's
+ *      `runId` points at its current run; worker.js / file-control.js
+ *      finish that run's record.
+ *   3) getRun(runId) reports the run record and the request's queue state.
+ *
+ * A file has at most one pending run: requesting another while one is still
+ * waiting / reading returns the existing run id - and so does requesting one
+ * while the file's batch jobs are still queued (its current run). Requests
+ * from the same source can share a `dedupeId` the same way (worker.js
+ * auto-pickup).
+ *
+ * API (mapping UI server):
+ *   POST /api/runs              → requestRun()  body { fileKey? }
+ *   GET  /api/runs/:runId       → getRun()
+ *   POST /api/trigger-processing → requestRun() for all ready files
+ *
+ * =============================================================================
+ */
+
+const { Worker } = require("bullmq");
+const { runQueue, RUN_QUEUE_NAME, bullmqConnection } = require("./queue");
+const { logInfoToFile, logErrorToFile } = require("./logger");
+const { loadMappings, getReadyCsvFiles, setFileStatus, resolveFileLane } = require("./csv-mapping-store");
+const { readCSVAndEnqueueJobs, checkExistingJobs, ENQUEUE_RESULTS } = require("./s3-helpers");
+const { clearFileRun } = require("./file-control");
+const {
+  RUN_STATUSES,
+  OPEN_STATUSES,
+  loadRunRecord,
+  updateRunRecord,
+  readRunCounts,
+  snapshotRunConfig,
+  createRunRecord,
+  finishRunRecord,
+  withLiveCounts,
+} = require("./run-history");
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Job names on the run queue
+const FILE_RUN_JOB_NAME = "enqueue-file";
+const READY_RUN_JOB_NAME = "enqueue-ready";
+
+// File statuses a run must not start
+const BLOCKED_STATUSES = ["paused", "review"];
+
+// Statuses whose previous run is cleared so the file starts again at row 0
+const FINISHED_STATUSES = ["completed", "cancelled"];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * @function createRunId
+ * @returns {string} e.g. "run_mgx3k2a1_4f9c"
+ */
+const createRunId = () =>
+  `run_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+const findFile = (fileKey) => (loadMappings().files || []).find((f) => f.fileKey === fileKey) || null;
+
+/**
+ * @function assertRunnable
+ * @description A file can run once it has a mapping and isn't held.
+ * @param {string} fileKey
+ * @returns {Object} The file entry
+ * @throws {Error} when the file is unknown, unmapped, paused or in review
+ */
+const assertRunnable = (fileKey) => {
+  const file = findFile(fileKey);
+  if (!file) throw new Error(`File not found: ${fileKey}`);
+  if (!file.mapping) throw new Error(`${fileKey} has no column mapping yet`);
+  if (BLOCKED_STATUSES.includes(file.status)) throw new Error(`${fileKey} is ${file.status}`);
+  return file;
+};
+
+// =============================================================================
+// REQUESTS (mapping UI server, worker.js, schedules.js)
+// =============================================================================
+
+/**
+ * @function requestRun
+ * @description Queues a run for index.js and returns its id immediately.
+ * @param {Object} [request]
+ * @param {string} [request.fileKey] - One file; every ready file when omitted.
+ * @param {string} [request.trigger="api"] - Who asked: "ui" | "worker" | "schedule" | "startup" | "api"
+ * @param {string} [request.scheduleId] - Set by schedules.js
+ * @param {string} [request.parentRunId] - The all-ready request a file run came from
+ * @param {string} [request.dedupeId] - Reuse a pending run with the same id
+ *   (file runs default to one per file)
+ * @returns {Promise<{runId:string, fileKey:(string|null), trigger:string, deduplicated:boolean}>}
+ * @throws {Error} when the file can't run (see assertRunnable), or still has
+ *   queued batch jobs without a current run
+ */
+const requestRun = async ({ fileKey, trigger = "api", scheduleId, parentRunId, dedupeId } = {}) => {
+  if (fileKey) {
+    const file = assertRunnable(fileKey);
+
+    // Its batch jobs are still being processed: that run is the file's run
+    if (await checkExistingJobs(fileKey)) {
+      const current = file.runId ? loadRunRecord(file.runId) : null;
+      if (!current || !OPEN_STATUSES.includes(current.status)) {
+        throw new Error(`${fileKey} still has batch jobs in the queue`);
+      }
+      logInfoToFile(`🔁 Run request (${trigger}) joined running run ${current.id} of ${fileKey}`);
+      return { runId: current.id, fileKey, trigger, deduplicated: true };
+    }
+  }
+
+  const runId = createRunId();
+  const data = {
+    runId,
+    fileKey: fileKey || null,
+    trigger,
+    ...(scheduleId ? { scheduleId } : {}),
+    ...(parentRunId ? { parentRunId } : {}),
+    requestedAt: new Date().toISOString(),
+  };
+
+  const dedupe = dedupeId || (fileKey ? `file:${fileKey}` : null);
+  const job = await runQueue.add(fileKey ? FILE_RUN_JOB_NAME : READY_RUN_JOB_NAME, data, {
+    jobId: runId,
+    ...(dedupe ? { deduplication: { id: dedupe } } : {}),
+  });
+
+  const deduplicated = String(job.id) !== runId;
+  if (fileKey && !deduplicated) createRunRecord({ id: runId, ...data });
+
+  logInfoToFile(
+    deduplicated
+      ? `🔁 Run request (${trigger}) joined pending run ${job.id}`
+      : `📨 Run ${runId} requested (${trigger}): ${fileKey || "all ready files"}`
+  );
+  return { runId: String(job.id), fileKey: data.fileKey, trigger, deduplicated };
+};
+
+/**
+ * @function getRun
+ * @description A file run's record (run-history.js, with live counts while
+ * it is open), plus the request's run queue `state` ("waiting" | "active" |
+ * "completed" | "failed") while the queue still holds it. An all-ready
+ * request only has the queue part - its `result.runs` lists the file runs.
+ * @param {string} runId
+ * @returns {Promise<Object>}
+ * @throws {Error} when the run is unknown
+ */
+const getRun = async (runId) => {
+  const record = loadRunRecord(runId);
+  const job = await runQueue.getJob(runId);
+  if (!record && !job) throw new Error(`Run "${runId}" not found`);
+
+  const queue = job
+    ? {
+        ...job.data,
+        state: await job.getState(),
+        result: job.returnvalue || null,
+        error: job.failedReason || null,
+      }
+    : { state: null };
+
+  return record ? { ...queue, ...(await withLiveCounts(record)), state: queue.state } : { id: runId, ...queue };
+};
+
+// =============================================================================
+// EXECUTING RUNS (index.js)
+// =============================================================================
+
+/**
+ * @function executeRun
+ * @description Reads the requested file and enqueues its batch jobs, or
+ * requests a file run for every ready file. A finished file (completed /
+ * cancelled) is cleared and made ready again, so "run file X" always means
+ * "process X from the start". A file with nothing left to process completes
+ * its run right away.
+ * @param {Object} data - Run job data (see requestRun)
+ * @param {Object} options
+ * @param {string} options.bucketName
+ * @param {number} options.batchSize
+ * @returns {Promise<{runs:Array<{fileKey:string, runId:string}>, failed:Object[]}>}
+ * @throws {Error} when a file run fails (also recorded on its run record):
+ *   the file can't be read, or its batch jobs are still queued
+ */
+const executeRun = async (data, { bucketName, batchSize }) => {
+  const { runId, fileKey, trigger } = data;
+
+  if (!fileKey) return requestReadyFileRuns(data);
+
+  try {
+    const file = assertRunnable(fileKey);
+
+    // Checked before anything changes, so the run that owns the jobs stays open
+    if (await checkExistingJobs(fileKey)) {
+      throw new Error(`${fileKey} still has batch jobs in the queue (run ${file.runId || "unknown"})`);
+    }
+
+    // The file's previous run (e.g. interrupted by a restart) ends here
+    if (file.runId && file.runId !== runId) {
+      await finishRunRecord(file.runId, RUN_STATUSES.SUPERSEDED, { error: `Superseded by ${runId}` });
+    }
+    if (FINISHED_STATUSES.includes(file.status)) await clearFileRun(fileKey);
+    setFileStatus(fileKey, "ready", { runId });
+
+    updateRunRecord(runId, {
+      status: RUN_STATUSES.ENQUEUING,
+      startedAt: new Date().toISOString(),
+      config: snapshotRunConfig(file, { batchSize, lane: resolveFileLane(file) }),
+    });
+
+    logInfoToFile(`▶️ Run ${runId} (${trigger}): enqueuing ${fileKey}`);
+    const { status } = await readCSVAndEnqueueJobs(bucketName, fileKey, batchSize);
+
+    if (status === ENQUEUE_RESULTS.ALREADY_QUEUED) {
+      throw new Error(`${fileKey} still has batch jobs in the queue`);
+    }
+    if (status === ENQUEUE_RESULTS.ALREADY_PROCESSED) {
+      logInfoToFile(`✅ Run ${runId}: ${fileKey} has nothing left to process`);
+      await finishRunRecord(runId, RUN_STATUSES.COMPLETED);
+      return { runs: [{ fileKey, runId }], failed: [] };
+    }
+
+    updateRunRecord(runId, {
+      status: RUN_STATUSES.PROCESSING,
+      enqueuedAt: new Date().toISOString(),
+      counts: await readRunCounts(fileKey),
+    });
+    return { runs: [{ fileKey, runId }], failed: [] };
+  } catch (error) {
+    await finishRunRecord(runId, RUN_STATUSES.FAILED, { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * @function requestReadyFileRuns
+ * @description An all-ready request: one file run per mapped ready file.
+ * @param {Object} data - Run job data (see requestRun)
+ * @returns {Promise<{runs:Array<{fileKey:string, runId:string}>, failed:Object[]}>}
+ */
+const requestReadyFileRuns = async ({ runId, trigger }) => {
+  const readyFiles = getReadyCsvFiles().filter((file) => file.mapping);
+  logInfoToFile(`▶️ Run ${runId} (${trigger}): ${readyFiles.length} ready file(s)`);
+
+  const runs = [];
+  const failed = [];
+  for (const file of readyFiles) {
+    try {
+      const run = await requestRun({ fileKey: file.fileKey, trigger, parentRunId: runId });
+      runs.push({ fileKey: file.fileKey, runId: run.runId });
+    } catch (error) {
+      // Continue with the next file even if one fails
+      logErrorToFile(`❌ Run ${runId}: error requesting ${file.fileKey}: ${error.message}`, error.stack);
+      failed.push({ fileKey: file.fileKey, error: error.message });
+    }
+  }
+  return { runs, failed };
+};
+
+/**
+ * @function startRunWorker
+ * @description Executes run requests in this process (index.js), one at a time.
+ * @param {Object} options - { bucketName, batchSize } for executeRun()
+ * @returns {Worker}
+ */
+const startRunWorker = ({ bucketName, batchSize }) => {
+  const worker = new Worker(RUN_QUEUE_NAME, (job) => executeRun(job.data, { bucketName, batchSize }), {
+    connection: bullmqConnection,
+    concurrency: 1,
+  });
+
+  worker.on("completed", (job, result) => {
+    logInfoToFile(
+      job.data.fileKey
+        ? `✅ Run ${job.id}: ${job.data.fileKey} enqueued`
+        : `✅ Run ${job.id}: ${result.runs.length} file run(s) requested` +
+            (result.failed.length ? `, ${result.failed.length} failed` : ``)
+    );
+  });
+  worker.on("failed", (job, error) => {
+    logErrorToFile(`❌ Run ${job?.id} failed: ${error.message}`);
+  });
+
+  logInfoToFile(`📨 Run worker started (queue: ${RUN_QUEUE_NAME})`);
+  return worker;
+};
+
+module.exports = {
+  createRunId,
+  requestRun,
+  getRun,
+  executeRun,
+  startRunWorker,
+};
@@ -0,0 +1,330 @@
+/**
+ * =============================================================================
+ * FILE: run-history.js
+ * =============================================================================
+ *
+ * PURPOSE:
+ * A persistent record of every processing of a file ("run"). While a file
+ * runs, its progress lives in Redis (total-rows:{fileKey},
+ * updated-products:{fileKey}, ...) - wiped by a flush / reset and reused by
+ * the next run of the same file. The run record keeps the outcome.
+ *
+ * STORE:
+ *   RUN_HISTORY_DIR (default ./run-history/) → one <runId>.json per run, so
+ *   index.js and worker.js never rewrite the same file at the same time.
+ *
+ * RUN RECORD:
+ *   { "id": "run_mgx3k2a1_4f9c", "fileKey": "vendor-x/stock.csv",
+ *     "trigger": "schedule", "scheduleId": "vendor-x-stock",
+ *     "status": "completed",
+ *     "requestedAt": "...", "startedAt": "...", "enqueuedAt": "...", "finishedAt": "...",
+ *     "config": { batchSize, updateMode, dryRun, priority, lane, ... },   ← at start
+ *     "counts": { totalRows, updated, skipped, failed },
+ *     "error": null }
+ *
+ * LIFECYCLE (status):
+ *   queued      → requestRun() (run-control.js)
+ *   enqueuing   → index.js is reading the file (config snapshot taken)
+ *   processing  → all batch jobs enqueued, workers are on it
+ *   completed   → worker.js saw every row counted
+ *   failed      → the file couldn't be read / enqueued
+ *   cancelled   → cancelFile() (file-control.js)
+ *   superseded  → a newer run of the same file started before this one finished
+ *   interrupted → Redis was flushed / reset underneath it
+ *   Finished runs keep the counts of that moment. Open runs show live counts.
+ *
+ * ROW RESULTS:
+ *   <runId>.rows.jsonl → one line per processed CSV row, appended by
+ *   processBatch() (recordRowOutcomes in src/batch/io-status.js):
+ *   { row, partNumber, manufacturer, productId, outcome, fieldsChanged, error, at }
+ *   loadRunResults() reads them back; run-report.js exports them as CSV / XLSX.
+ *
+ * =============================================================================
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { appRedis } = require("./queue");
+const { logErrorToFile } = require("./logger");
+const { isDryRunFile } = require("./csv-mapping-store");
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const RUN_HISTORY_DIR = process.env.RUN_HISTORY_DIR || path.join(__dirname, "run-history");
+
+const RUN_STATUSES = {
+  QUEUED: "queued",
+  ENQUEUING: "enqueuing",
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+  SUPERSEDED: "superseded",
+  INTERRUPTED: "interrupted",
+};
+
+// Runs that may still change
+const OPEN_STATUSES = [RUN_STATUSES.QUEUED, RUN_STATUSES.ENQUEUING, RUN_STATUSES.PROCESSING];
+
+// Default page size of listRunRecords()
+const DEFAULT_LIST_LIMIT = 100;
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+// Run ids come from createRunId() (run-control.js); anything else is rejected
+const isValidRunId = (id) => /^run_[a-z0-9_]+$/i.test(String(id || ""));
+
+const runPath = (id) => path.join(RUN_HISTORY_DIR, `${id}.json`);
+
+/**
+ * @function getRunResultsPath
+ * @param {string} id
+ * @returns {string|null} Where the run's row outcomes go, null for a bad id.
+ */
+const getRunResultsPath = (id) => (isValidRunId(id) ? path.join(RUN_HISTORY_DIR, `${id}.rows.jsonl`) : null);
+
+/**
+ * @function loadRunRecord
+ * @param {string} id
+ * @returns {Object|null}
+ */
+const loadRunRecord = (id) => {
+  if (!isValidRunId(id)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(runPath(id), "utf8"));
+  } catch {
+    return null;
+  }
+};
+
+const saveRunRecord = (record) => {
+  fs.mkdirSync(RUN_HISTORY_DIR, { recursive: true });
+  fs.writeFileSync(runPath(record.id), JSON.stringify(record, null, 2));
+  return record;
+};
+
+/**
+ * @function updateRunRecord
+ * @description Merges `patch` into a run. A finished run is left alone
+ * (e.g. a late completion check after a cancel).
+ * @param {string} id
+ * @param {Object} patch
+ * @returns {Object|null} The updated record, null when unknown or finished.
+ */
+const updateRunRecord = (id, patch) => {
+  const record = loadRunRecord(id);
+  if (!record || !OPEN_STATUSES.includes(record.status)) return null;
+  try {
+    return saveRunRecord({ ...record, ...patch });
+  } catch (error) {
+    logErrorToFile(`Error saving run record ${id}: ${error.message}`);
+    return null;
+  }
+};
+
+// =============================================================================
+// COUNTS + CONFIG
+// =============================================================================
+
+/**
+ * @function readRunCounts
+ * @description The file's live counters from Redis.
+ * @param {string} fileKey
+ * @returns {Promise<{totalRows:number, updated:number, skipped:number, failed:number}>}
+ */
+const readRunCounts = async (fileKey) => {
+  const keys = ["total-rows", "updated-products", "skipped-products", "failed-products"];
+  const values = await Promise.all(keys.map((key) => appRedis.get(`${key}:${fileKey}`)));
+  const [totalRows, updated, skipped, failed] = values.map((value) => parseInt(value || "0", 10));
+  return { totalRows, updated, skipped, failed };
+};
+
+/**
+ * @function snapshotRunConfig
+ * @description What the run was processed with - the file entry's flags
+ * resolved against their .env defaults, plus its mapping.
+ * @param {Object} file - File entry from csv-mappings.json
+ * @param {Object} options
+ * @param {number} options.batchSize
+ * @param {string} [options.lane] - "main" | "fast"
+ * @returns {Object}
+ */
+const snapshotRunConfig = (file, { batchSize, lane }) => ({
+  batchSize,
+  updateMode: file.updateMode || process.env.UPDATE_MODE || "full",
+  dryRun: isDryRunFile(file),
+  delta: typeof file.delta === "boolean" ? file.delta : process.env.DELTA_INGESTION === "true",
+  priority: file.priority || "normal",
+  lane: lane || "main",
+  maxActiveJobs: file.maxActiveJobs ?? (parseInt(process.env.FILE_MAX_ACTIVE_JOBS, 10) || 0),
+  stockMode: process.env.STOCK_MODE || "meta",
+  discontinuedPolicy: file.discontinuedPolicy || process.env.DISCONTINUED_POLICY || "off",
+  source: file.source || process.env.CSV_SOURCE || "s3",
+  ...(file.format ? { format: file.format } : {}),
+  mapping: file.mapping || null,
+});
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+/**
+ * @function createRunRecord
+ * @param {Object} run - { id, fileKey, trigger, scheduleId?, parentRunId?, requestedAt }
+ * @returns {Object} The new "queued" record
+ */
+const createRunRecord = ({ id, fileKey, trigger, scheduleId, parentRunId, requestedAt }) =>
+  saveRunRecord({
+    id,
+    fileKey,
+    trigger,
+    ...(scheduleId ? { scheduleId } : {}),
+    ...(parentRunId ? { parentRunId } : {}),
+    status: RUN_STATUSES.QUEUED,
+    requestedAt: requestedAt || new Date().toISOString(),
+    startedAt: null,
+    enqueuedAt: null,
+    finishedAt: null,
+    config: null,
+    counts: null,
+    error: null,
+  });
+
+/**
+ * @function finishRunRecord
+ * @param {string} id
+ * @param {string} status - A finished status (see RUN_STATUSES)
+ * @param {Object} [details]
+ * @param {Object} [details.counts] - Read from Redis when omitted
+ * @param {string} [details.error]
+ * @returns {Promise<Object|null>}
+ */
+const finishRunRecord = async (id, status, { counts, error } = {}) => {
+  const record = loadRunRecord(id);
+  if (!record || !OPEN_STATUSES.includes(record.status)) return null;
+
+  let finalCounts = counts;
+  if (!finalCounts) {
+    finalCounts = await readRunCounts(record.fileKey).catch(() => record.counts);
+  }
+  return updateRunRecord(id, {
+    status,
+    finishedAt: new Date().toISOString(),
+    counts: finalCounts,
+    error: error || null,
+  });
+};
+
+/**
+ * @function interruptOpenRuns
+ * @description Closes every open run with its current counts - call it
+ * right BEFORE Redis is flushed, or they would never finish.
+ * @param {string} reason
+ * @returns {Promise<number>} Runs closed
+ */
+const interruptOpenRuns = async (reason) => {
+  const open = listRunRecordsSync().filter((record) => OPEN_STATUSES.includes(record.status));
+  for (const record of open) {
+    await finishRunRecord(record.id, RUN_STATUSES.INTERRUPTED, { error: reason });
+  }
+  return open.length;
+};
+
+// =============================================================================
+// LISTING (mapping UI server)
+// =============================================================================
+
+const listRunRecordsSync = () => {
+  if (!fs.existsSync(RUN_HISTORY_DIR)) return [];
+  return fs
+    .readdirSync(RUN_HISTORY_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => loadRunRecord(name.slice(0, -".json".length)))
+    .filter(Boolean);
+};
+
+/**
+ * @function listRunRecords
+ * @param {Object} [filters]
+ * @param {string} [filters.fileKey]
+ * @param {string} [filters.status]
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<Object[]>} Newest first. Open runs carry live counts.
+ */
+const listRunRecords = async ({ fileKey, status, limit = DEFAULT_LIST_LIMIT } = {}) => {
+  const records = listRunRecordsSync()
+    .filter((record) => !fileKey || record.fileKey === fileKey)
+    .filter((record) => !status || record.status === status)
+    .sort((a, b) => String(b.requestedAt).localeCompare(String(a.requestedAt)))
+    .slice(0, limit);
+
+  return Promise.all(records.map(withLiveCounts));
+};
+
+/**
+ * @function withLiveCounts
+ * @param {Object} record
+ * @returns {Promise<Object>} An open run with its current Redis counts.
+ */
+const withLiveCounts = async (record) => {
+  if (record.status !== RUN_STATUSES.PROCESSING && record.status !== RUN_STATUSES.ENQUEUING) return record;
+  try {
+    return { ...record, counts: await readRunCounts(record.fileKey) };
+  } catch {
+    return record;
+  }
+};
+
+// =============================================================================
+// ROW RESULTS
+// =============================================================================
+
+/**
+ * @function loadRunResults
+ * @description The run's row outcomes, one per CSV row in row order. A row
+ * recorded more than once (job retry, dead-letter replay) keeps its latest
+ * outcome; unreadable lines are skipped.
+ * @param {string} id
+ * @returns {Object[]} RowOutcome[] (see src/batch/io-status.js); empty when
+ *   the run has no results (yet).
+ */
+const loadRunResults = (id) => {
+  const resultsPath = getRunResultsPath(id);
+  if (!resultsPath || !fs.existsSync(resultsPath)) return [];
+
+  const byRow = new Map();
+  fs.readFileSync(resultsPath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .forEach((line) => {
+      try {
+        const outcome = JSON.parse(line);
+        byRow.set(outcome.row, outcome);
+      } catch {
+        // A line cut short by a crash mid-write
+      }
+    });
+
+  return [...byRow.values()].sort((a, b) => a.row - b.row);
+};
+
+module.exports = {
+  RUN_HISTORY_DIR,
+  RUN_STATUSES,
+  OPEN_STATUSES,
+  loadRunRecord,
+  getRunResultsPath,
+  loadRunResults,
+  updateRunRecord,
+  readRunCounts,
+  snapshotRunConfig,
+  createRunRecord,
+  finishRunRecord,
+  interruptOpenRuns,
+  listRunRecords,
+  withLiveCounts,
+};
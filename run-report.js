@@ -0,0 +1,113 @@
+/**
+ * =============================================================================
+ * FILE: run-report.js
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Exports a run's per-row results (run-history.js → loadRunResults) as a
+ * spreadsheet, so a run can be reviewed in Excel: which rows updated which
+ * product and fields, which were skipped and why, which failed with what
+ * error. batch_status.json only has free-text notes per file.
+ *
+ * FORMATS:
+ *   csv  → json2csv
+ *   xlsx → exceljs (one "Results" sheet, header row frozen, auto filter)
+ *
+ * COLUMNS:
+ *   Row | Part Number | Manufacturer | Product ID | Outcome | Fields Changed |
+ *   Error | Recorded At
+ *
+ * API (mapping UI server):
+ *   GET /api/runs/:runId/results?format=csv|xlsx → exportRunResults()
+ *
+ * =============================================================================
+ */
+
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { parse } = require("json2csv");
+const { loadRunRecord, loadRunResults } = require("./run-history");
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const REPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const REPORT_COLUMNS = [
+  { header: "Row", key: "row", width: 8 },
+  { header: "Part Number", key: "partNumber", width: 24 },
+  { header: "Manufacturer", key: "manufacturer", width: 20 },
+  { header: "Product ID", key: "productId", width: 12 },
+  { header: "Outcome", key: "outcome", width: 14 },
+  { header: "Fields Changed", key: "fieldsChanged", width: 40 },
+  { header: "Error", key: "error", width: 50 },
+  { header: "Recorded At", key: "at", width: 26 },
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// One flat spreadsheet row per outcome
+const toReportRow = (outcome) => ({
+  row: outcome.row,
+  partNumber: outcome.partNumber || "",
+  manufacturer: outcome.manufacturer || "",
+  productId: outcome.productId ?? "",
+  outcome: outcome.outcome,
+  fieldsChanged: (outcome.fieldsChanged || []).join("; "),
+  error: outcome.error || "",
+  at: outcome.at || "",
+});
+
+// e.g. "stock_run_mgx3k2a1_4f9c.xlsx" for "vendor-x/stock.csv"
+const reportFilename = (record, format) =>
+  `${path.basename(record.fileKey || "run", path.extname(record.fileKey || ""))}_${record.id}.${format}`;
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * @function exportRunResults
+ * @description Builds the run's result report.
+ * @param {string} runId
+ * @param {string} [format="csv"] - "csv" | "xlsx"
+ * @returns {Promise<{filename:string, contentType:string, body:(string|Buffer), rows:number}>}
+ * @throws {Error} when the format is unsupported or the run is unknown
+ */
+const exportRunResults = async (runId, format = "csv") => {
+  const type = String(format).toLowerCase();
+  if (!REPORT_FORMATS[type]) throw new Error(`Unsupported report format "${format}" (csv or xlsx)`);
+
+  const record = loadRunRecord(runId);
+  if (!record) throw new Error(`Run "${runId}" not found`);
+
+  const rows = loadRunResults(runId).map(toReportRow);
+
+  let body;
+  if (type === "csv") {
+    body = parse(rows, {
+      fields: REPORT_COLUMNS.map(({ header, key }) => ({ label: header, value: key })),
+    });
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("Results", { views: [{ state: "frozen", ySplit: 1 }] });
+    sheet.columns = REPORT_COLUMNS;
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: REPORT_COLUMNS.length } };
+    body = Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  return { filename: reportFilename(record, type), contentType: REPORT_FORMATS[type], body, rows: rows.length };
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  exportRunResults,
+};
@@ -10,8 +10,8 @@
  * 
  * KEY RESPONSIBILITIES:
  * 1. Discover and list CSV files in S3 bucket
- * 2. Count total rows in each CSV (for progress tracking)
- * 3. Stream CSV data and split into batches
+ * 2. Stream CSV data (single pass) and split into batches
+ * 3. Count total rows as they stream (for progress tracking)
  * 4. Create batch jobs with proper metadata (including startIndex for race-condition fix)
  * 5. Enqueue jobs to Redis/BullMQ queue
  * 
@@ -31,6 +31,31 @@
  *   - etc.
  * Workers use the startIndex from the job data, not from checkpoint file.
  * 
+ * SINGLE-PASS STREAMING:
+ * The source body is piped straight into csv-parser. Rows are validated,
+ * batched and enqueued as they arrive, and `total-rows:{fileKey}` is only
+ * written once the stream ends. Until then the file carries an
+ * `ingesting:{fileKey}` marker so worker.js never calls it complete (or
+ * restarts the main app) while rows are still being read. Jobs enqueued
+ * mid-stream can't know the file size - workers look it up in Redis.
+ * 
+ * CSV SOURCES:
+ * Despite the file name, readCSVAndEnqueueJobs() reads through the pluggable
+ * sources in src/sources/ (s3 by default; local / sftp / http per file entry
+ * via its `source` field in csv-mappings.json).
+ * 
+ * FILE FORMATS:
+ * Rows are parsed by src/formats/ according to the entry's `format`
+ * (csv, semicolon csv, tsv or an .xlsx sheet) - every format yields the
+ * same row objects, so everything after parsing is format-agnostic.
+ * Delimited files are transcoded to UTF-8 (BOM stripped) first; the
+ * detected encoding is recorded on the entry (`format.encoding`).
+ * 
+ * DELTA INGESTION:
+ * Every file stores per-row content hashes (src/batch/row-hashes.js). With
+ * delta mode on, rows unchanged since the vendor's last completed file are
+ * not enqueued, and rows that disappeared from the file are reported.
+ * 
  * =============================================================================
  */
 
@@ -41,7 +66,7 @@
 const fs = require("fs");
 
 // BullMQ queue instance for job management
-const { batchQueue } = require("./queue");
+const { getBatchJobs } = require("./queue");
 
 // AWS SDK v3 for S3 operations
 const {
@@ -52,7 +77,7 @@ const {
 
 // Node.js utilities for streaming
 const { promisify } = require("util");
-const { Readable, pipeline } = require("stream");
+const { pipeline } = require("stream");
 
 // Convert callback-based pipeline to Promise-based
 const streamPipeline = promisify(pipeline);
@@ -77,13 +102,56 @@ const { handleError, createUniqueJobId } = require("./utils");
 // Checkpoint management (for resume functionality)
 const { saveCheckpoint } = require("./checkpoint");
 
+// Per-file cancel from the mapping UI (stops the stream below)
+const { FILE_CONTROL, getFileControl, clearCancelledControl } = require("./file-control");
+
 // CSV mapping configuration
 const {
   getReadyCsvFiles,
   getMappingForFile,
   markFileAsCompleted,  // NEW: Mark files as completed to stop repeated processing
+  setFileValidation,
+  setFileEncoding,
+  setFileDelta,
+  resolveIdentityColumns,
+  normalizeHeaderKey,
+  buildJobRow,
+  resolveFileLane,
+  isDryRunFile,
+  JOB_ROW_INDEX_KEY,
+  getBatchEndIndex,
 } = require("./csv-mapping-store");
 
+// Pluggable CSV sources (s3 / local / sftp / http), chosen per file entry
+const { createSource } = require("./src/sources");
+
+// File formats (csv / semicolon csv / tsv / xlsx), chosen per file entry
+const { resolveFormatConfig, readRows } = require("./src/formats");
+
+// Inline row validation (rejected rows are never enqueued)
+const {
+  createRowValidator,
+  writeRejectedRowsReport,
+  writeRowWarningsReport,
+  buildValidationSummary,
+} = require("./src/batch/row-validation");
+
+// Dry-run preview report (reset for every fresh pass over a file) + the
+// run's row outcomes of rows that never reach a job
+const { resetDryRunDiff, ROW_OUTCOMES, recordRowOutcomes } = require("./src/batch/io-status");
+
+// Per-row content hashes (delta ingestion against the vendor's last file)
+const {
+  isDeltaEnabled,
+  getVendorKey,
+  rowIdentity,
+  hashRow,
+  writeRowHashes,
+  loadVendorBaseline,
+  findDisappearedRows,
+  writeDisappearedRowsReport,
+} = require("./src/batch/row-hashes");
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
@@ -117,6 +185,34 @@ const CSV_HEADER_ROW = Number(process.env.CSV_HEADER_ROW || "10");
  */
 const CSV_SKIP_LINES = CSV_HEADER_ROW > 0 ? CSV_HEADER_ROW - 1 : 0;
 
+/**
+ * INGEST_MARKER_TTL_SECONDS: Lifetime of the `ingesting:{fileKey}` marker.
+ * 
+ * Refreshed every time a batch is enqueued and deleted when the stream ends.
+ * The TTL only matters if this process dies mid-stream: the marker then
+ * expires instead of blocking completion detection forever.
+ */
+const INGEST_MARKER_TTL_SECONDS = Number(process.env.INGEST_MARKER_TTL_SECONDS || "3600");
+
+/**
+ * INGEST_OUTCOME_FLUSH_SIZE: Row outcomes decided during ingestion (rejected /
+ * unchanged rows) are appended to the run's results in chunks of this size.
+ */
+const INGEST_OUTCOME_FLUSH_SIZE = 500;
+
+/**
+ * ENQUEUE_RESULTS: What readCSVAndEnqueueJobs() did with a file when it
+ * didn't fail - run-control.js closes the file's run accordingly.
+ *   enqueued          → rows streamed into batch jobs
+ *   already-queued    → the file still has batch jobs waiting / running
+ *   already-processed → every row was processed before (file marked completed)
+ */
+const ENQUEUE_RESULTS = {
+  ENQUEUED: "enqueued",
+  ALREADY_QUEUED: "already-queued",
+  ALREADY_PROCESSED: "already-processed",
+};
+
 // =============================================================================
 // AWS S3 CLIENT SETUP
 // =============================================================================
@@ -155,20 +251,14 @@ const pattern =
  * Vendor CSVs often have inconsistent header names:
  *   "Part Number" vs "part_number" vs "PART NUMBER" vs " Part # "
  * 
- * This function normalizes all headers to lowercase_underscore format:
+ * normalizeHeaderKey() (csv-mapping-store.js) lowercases and underscores them:
  *   "Part Number" → "part_number"
  *   "MANUFACTURER" → "manufacturer"
  *   " Category " → "category"
  * 
- * @param {string} rawKey - The original header name from the CSV
- * @returns {string} - Normalized header name
+ * It lives in csv-mapping-store.js so the UI server's upload-time row
+ * validation shapes rows exactly like this file does (see buildJobRow()).
  */
-function normalizeHeaderKey(rawKey) {
-  return String(rawKey || "")
-    .trim()                      // Remove leading/trailing whitespace
-    .toLowerCase()               // Convert to lowercase
-    .replace(/\s+/g, "_");       // Replace spaces with underscores
-}
 
 /**
  * Get the correct S3 bucket name based on execution mode.
@@ -197,24 +287,43 @@ function normalizeHeaderKey(rawKey) {
  *   - updated-products:{fileKey} → Count of successfully updated products
  *   - skipped-products:{fileKey} → Count of skipped products (no changes)
  *   - failed-products:{fileKey}  → Count of failed products (errors)
+ *   - failed-rows:{fileKey}      → Set of "part|manufacturer" that failed
+ *                                  (kept out of the delta baseline)
  * 
  * These counters are incremented by workers as they process each row,
  * enabling real-time progress tracking and accurate completion detection.
  * 
+ * STREAMING: Called with totalRows = null before the stream starts. The
+ * counters are reset, any stale total-rows key is removed and the
+ * `ingesting:{fileKey}` marker is set; finalizeFileTracking() writes the
+ * real total when the stream ends.
+ * 
  * @param {string} fileKey - The S3 key or filename being processed
- * @param {number} totalRows - Total number of data rows in the CSV
+ * @param {number|null} totalRows - Total data rows, or null while streaming
  */
 const initializeFileTracking = async (fileKey, totalRows) => {
   try {
+    const streaming = totalRows === null || totalRows === undefined;
+
     await appRedis.mSet({
-      [`total-rows:${fileKey}`]: String(totalRows),
+      ...(streaming ? {} : { [`total-rows:${fileKey}`]: String(totalRows) }),
       [`updated-products:${fileKey}`]: "0",
       [`skipped-products:${fileKey}`]: "0",
       [`failed-products:${fileKey}`]: "0",
     });
 
+    await appRedis.del(`failed-rows:${fileKey}`);
+
+    if (streaming) {
+      await appRedis.del(`total-rows:${fileKey}`);
+      await appRedis.set(`ingesting:${fileKey}`, new Date().toISOString(), {
+        EX: INGEST_MARKER_TTL_SECONDS,
+      });
+    }
+
     logInfoToFile(
-      `✅ Initialized Redis tracking for ${fileKey} (${totalRows} total rows)`
+      `✅ Initialized Redis tracking for ${fileKey} ` +
+      (streaming ? `(total rows pending - streaming)` : `(${totalRows} total rows)`)
     );
   } catch (error) {
     logErrorToFile(
@@ -223,6 +332,26 @@ const initializeFileTracking = async (fileKey, totalRows) => {
   }
 };
 
+/**
+ * Record the final row count once the stream has ended and clear the
+ * `ingesting:{fileKey}` marker. From here on worker.js can detect completion.
+ * 
+ * @param {string} fileKey - The S3 key or filename being processed
+ * @param {number} totalRows - Data rows read from the stream
+ */
+const finalizeFileTracking = async (fileKey, totalRows) => {
+  try {
+    await appRedis.set(`total-rows:${fileKey}`, String(totalRows));
+    logInfoToFile(`✅ Finalized total-rows for ${fileKey}: ${totalRows}`);
+  } catch (error) {
+    logErrorToFile(
+      `❌ Redis set failed in finalizeFileTracking: ${error.message}`
+    );
+  } finally {
+    await appRedis.del(`ingesting:${fileKey}`).catch(() => {});
+  }
+};
+
 // =============================================================================
 // S3 FILE OPERATIONS
 // =============================================================================
@@ -264,14 +393,61 @@ const getLatestFolderKey = async (bucketName) => {
 };
 
 /**
- * Count the total number of data rows in a CSV file on S3.
+ * Get the most recently uploaded vendor file under a prefix (by LastModified).
  * 
- * This is important for:
- *   1. Progress tracking (X of Y rows processed)
- *   2. Completion detection (all rows processed?)
- *   3. Job creation (knowing when we've reached the end)
+ * Used by import schedules (schedules.js) to pick "the newest file under
+ * vendor-x/" on each run. Only files src/formats can read are considered.
  * 
- * Note: We subtract 1 from the line count to account for the header row.
+ * @param {string} bucketName - The S3 bucket to search
+ * @param {string} prefix - Folder prefix, e.g. "vendor-x/"
+ * @returns {Promise<string|null>} - The newest file key, or null if none found
+ */
+const getNewestFileKey = async (bucketName, prefix) => {
+  let newest = null;
+  let ContinuationToken;
+
+  do {
+    const data = await s3Client.send(
+      new ListObjectsV2Command({ Bucket: bucketName, Prefix: prefix, ContinuationToken })
+    );
+    (data.Contents || [])
+      .filter((object) => /\.(csv|tsv|tab|xlsx)$/i.test(object.Key))
+      .forEach((object) => {
+        if (!newest || object.LastModified > newest.LastModified) newest = object;
+      });
+    ContinuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return newest ? newest.Key : null;
+};
+
+/**
+ * Count the data rows in a CSV stream.
+ * 
+ * Uses csv-parser (same options as ingestion) rather than line counting:
+ * a description with bullet points spanning 5 lines is ONE row.
+ * 
+ * @param {import("stream").Readable} bodyStream - CSV byte stream
+ * @returns {Promise<number>} - Total data rows
+ */
+const countCsvRowsInStream = async (bodyStream) => {
+  let rowCount = 0;
+
+  await streamPipeline(
+    bodyStream,
+    csvParser({ skipLines: CSV_SKIP_LINES }),
+    async function* (rows) {
+      for await (const _row of rows) rowCount++;
+    }
+  );
+
+  return rowCount;
+};
+
+/**
+ * Count the total number of data rows in a CSV file on S3.
+ * (Kept for callers that only need a count; ingestion counts the rows
+ * while it streams them, so it never calls this.)
  * 
  * @param {string} bucketName - The S3 bucket
  * @param {string} key - The S3 object key (file path)
@@ -281,57 +457,15 @@ const getTotalRowsFromS3 = async (bucketName, key) => {
   try {
     const params = { Bucket: bucketName, Key: key };
     const data = await s3Client.send(new GetObjectCommand(params));
-    const bodyContent = await data.Body.transformToString();
-
-    // =========================================================================
-    // FIX: Use csv-parser for accurate row counting
-    // =========================================================================
-    // Simple line counting fails for CSVs with multiline quoted fields.
-    // Example: A description with bullet points spanning 5 lines is ONE row.
-    // csv-parser correctly handles this.
-    // =========================================================================
-    
-    return new Promise((resolve, reject) => {
-      let rowCount = 0;
-      
-      const stream = Readable.from(bodyContent);
-      
-      stream
-        .pipe(csvParser({ skipLines: CSV_SKIP_LINES }))
-        .on("data", () => {
-          rowCount++;
-        })
-        .on("end", () => {
-          logInfoToFile(`CSV ${key}: ${rowCount} data rows (csv-parser)`);
-          resolve(rowCount);
-        })
-        .on("error", (err) => {
-          logErrorToFile(`CSV parse error for ${key}: ${err.message}`);
-          
-          // Fallback to line counting if csv-parser fails
-          // Filter out: empty lines, BOM-only, whitespace-only, carriage returns
-          const lines = bodyContent.split("\n").filter(line => {
-            const trimmed = line.trim();
-            return trimmed !== "" && 
-                   trimmed !== "\ufeff" && 
-                   !/^[\s\r\n]*$/.test(trimmed);
-          });
-
-          // Account for header row(s)
-          // If CSV_HEADER_ROW is 1, we skip 1 line (the header)
-          // If CSV_HEADER_ROW is 10, we skip 10 lines (9 metadata + 1 header)
-          const dataRows = Math.max(0, lines.length - CSV_HEADER_ROW);
-          logInfoToFile(`CSV ${key}: ${dataRows} data rows (fallback line count)`);
-          resolve(dataRows);
-        });
-    });
+    const rowCount = await countCsvRowsInStream(data.Body);
+    logInfoToFile(`CSV ${key}: ${rowCount} data rows (csv-parser)`);
+    return rowCount;
   } catch (error) {
     logErrorToFile(`Error counting rows in ${key}: ${error.message}`);
     return null;
   }
 };
 
-
 // =============================================================================
 // JOB DUPLICATE DETECTION
 // =============================================================================
@@ -349,7 +483,7 @@ const getTotalRowsFromS3 = async (bucketName, key) => {
  */
 const checkExistingJobs = async (fileKey) => {
   try {
-    const jobs = await batchQueue.getJobs(["waiting", "active", "delayed"]);
+    const jobs = await getBatchJobs(["waiting", "active", "delayed", "prioritized"]);
     const hasExisting = jobs.some((job) => job.data?.fileKey === fileKey);
     
     if (hasExisting) {
@@ -431,6 +565,8 @@ const isFileFullyProcessed = (fileKey) => {
  *   Job Processing (in worker.js):
  *     - Worker reads startIndex FROM THE JOB DATA
  *     - Worker processes rows [startIndex, startIndex + batch.length)
+ *       (minus rejected / delta-unchanged rows - each job row carries its
+ *       own file index, see JOB_ROW_INDEX_KEY in csv-mapping-store.js)
  *     - Worker saves checkpoint using atomic "max" logic
  * 
  *   This means:
@@ -443,7 +579,9 @@ const isFileFullyProcessed = (fileKey) => {
  * @param {string} bucketName - The S3 bucket containing the CSV
  * @param {string} key - The S3 object key (file path)
  * @param {number} batchSize - Number of rows per batch job (default: 20)
- * @returns {Promise<void>}
+ * @returns {Promise<{status:string, totalRows:(number|null)}>} status: see ENQUEUE_RESULTS
+ * @throws {Error} when the file can't be read: unknown format, source not
+ *   reachable, stream error or empty file
  */
 const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
   logInfoToFile(
@@ -460,9 +598,83 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
    * The mapping tells us: { partNumber: "MPN", manufacturer: "Brand", ... }
    * 
    * We look this up from csv-mappings.json which is configured per-file.
+   * 
+   * Identity columns are applied here (workers need part_number/manufacturer
+   * to look the product up). The rest of the profile (`mapping.columns`) is
+   * passed along in each job and applied by createNewData().
    */
   const mappingEntry = getMappingForFile(key);
   const mapping = mappingEntry?.mapping || null;
+  const identity = resolveIdentityColumns(mapping);
+  const columns = mapping?.columns && typeof mapping.columns === "object" ? mapping.columns : null;
+
+  /**
+   * Dry run: a file entry with `"dryRun": true` (or DRY_RUN=true and no flag)
+   * is processed as a preview. Workers build a per-field diff report
+   * instead of writing to WooCommerce.
+   */
+  const dryRun = isDryRunFile(mappingEntry);
+  if (dryRun) {
+    logInfoToFile(`🧪 ${key} is marked as DRY RUN - no WooCommerce writes will be made.`);
+  }
+
+  /**
+   * Update mode: `"updateMode": "quantity" | "full"` on the file entry (set
+   * e.g. by a schedule) overrides the UPDATE_MODE env var for its jobs.
+   */
+  const updateMode = mappingEntry?.updateMode;
+
+  /**
+   * Run: the file's current run (set by run-control.js before reading it).
+   * Jobs carry it so their per-row outcomes land in that run's results.
+   */
+  const runId = mappingEntry?.runId;
+
+  /**
+   * Scheduling: `"priority": "high" | "normal" | "low"` on the file entry
+   * orders its jobs against other files; quantity-only files (by columns or
+   * by updateMode) go to the fast lane with its own worker (see addBatchJob
+   * in job-manager.js).
+   */
+  const priority = mappingEntry?.priority || "normal";
+  const lane = resolveFileLane(mappingEntry || { fileKey: key });
+  logInfoToFile(`🚦 ${key}: priority=${priority}, lane=${lane}`);
+
+  /**
+   * Delta mode: a file entry with `"delta": true` (or DELTA_INGESTION=true)
+   * only enqueues rows that changed since the vendor's last completed file.
+   * The baseline itself is loaded in STEP 6.
+   */
+  const vendor = getVendorKey(mappingEntry || { fileKey: key });
+  const deltaMode = isDeltaEnabled(mappingEntry);
+
+  /**
+   * File format: stored on the entry at upload (sheet / delimiter choice),
+   * otherwise taken from the file extension (plain CSV for .csv).
+   */
+  let format;
+  try {
+    format = resolveFormatConfig(mappingEntry || { fileKey: key });
+  } catch (error) {
+    logErrorToFile(`❌ Skipping ${key}: ${error.message}`);
+    throw new Error(`Can't read ${key}: ${error.message}`);
+  }
+  if (format.type !== "csv" || format.delimiter) {
+    logInfoToFile(`📄 Reading ${key} as ${JSON.stringify(format)}`);
+  }
+
+  /**
+   * Character encoding (delimited files): detected from the first bytes
+   * unless the entry pins one. Text is transcoded to UTF-8 and a BOM is
+   * stripped before parsing, so it never ends up in a header name.
+   */
+  let detectedEncoding = null;
+  const onEncoding = ({ encoding, bom }) => {
+    detectedEncoding = encoding;
+    if (bom || encoding !== "utf-8") {
+      logInfoToFile(`🔤 ${key}: encoding ${encoding}${bom ? " (BOM stripped)" : ""}`);
+    }
+  };
 
   if (!mapping) {
     logInfoToFile(
@@ -472,47 +684,30 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
   } else {
     logInfoToFile(
       `✅ Using column mapping for ${key}: ` +
-      `partNumber="${mapping.partNumber}", ` +
-      `category="${mapping.category}", ` +
-      `manufacturer="${mapping.manufacturer}"`
+      `partNumber="${identity.partNumber}", ` +
+      `category="${identity.category}", ` +
+      `manufacturer="${identity.manufacturer}"` +
+      (columns ? `, ${Object.keys(columns).length} column profile entries` : ``)
     );
   }
 
   // =========================================================================
-  // STEP 2: Count total rows in the CSV
-  // =========================================================================
-  /**
-   * We need to know the total row count for:
-   *   - Progress tracking (show "50 of 10000 rows processed")
-   *   - Completion detection (all rows done?)
-   *   - Passing to jobs so they know the file size
-   */
-  const totalRows = await getTotalRowsFromS3(bucketName, key);
-
-  if (totalRows === null || totalRows <= 0) {
-    logErrorToFile(`❌ Skipping ${key}: Could not count rows or file is empty.`);
-    return;
-  }
-
-  logInfoToFile(`📊 Total data rows in ${key}: ${totalRows}`);
-
-  // =========================================================================
-  // STEP 3: Check if we should skip this file
+  // STEP 2: Check if we should skip this file
   // =========================================================================
   
-  // 3a. Skip if jobs are already queued for this file
+  // 2a. Skip if jobs are already queued for this file
   try {
     const alreadyInQueue = await checkExistingJobs(key);
     if (alreadyInQueue) {
       logInfoToFile(`⚠️ Skipping ${key}: Jobs already in queue.`);
-      return;
+      return { status: ENQUEUE_RESULTS.ALREADY_QUEUED, totalRows: null };
     }
   } catch (error) {
     logErrorToFile(`❌ Error checking queue: ${error.message}`);
-    return;
+    throw error;
   }
 
-  // 3b. Skip if file was already fully processed
+  // 2b. Skip if file was already fully processed
   try {
     const fileProcessed = isFileFullyProcessed(key);
     if (fileProcessed) {
@@ -521,11 +716,29 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
       // NEW: Mark as completed to stop repeated checks
       markFileAsCompleted(key);
       
-      return;
+      return { status: ENQUEUE_RESULTS.ALREADY_PROCESSED, totalRows: null };
     }
   } catch (error) {
     logErrorToFile(`❌ Error checking processing status: ${error.message}`);
-    return;
+    throw error;
+  }
+
+  // =========================================================================
+  // STEP 3: Open the CSV stream from its source
+  // =========================================================================
+  /**
+   * The file entry picks the source (S3 by default, or local / sftp / http -
+   * see src/sources/index.js). The body is piped straight into the format's
+   * parser in STEP 7: the file is downloaded ONCE and never held in memory.
+   */
+  let bodyStream;
+  try {
+    const source = createSource(mappingEntry || { fileKey: key }, { bucketName, s3Client });
+    logInfoToFile(`📥 Streaming ${key} from ${source.type} source: ${source.describe()}`);
+    bodyStream = await source.createReadStream();
+  } catch (error) {
+    logErrorToFile(`❌ Failed to open ${key} from its source: ${error.message}`);
+    throw new Error(`Failed to open ${key} from its source: ${error.message}`);
   }
 
   // =========================================================================
@@ -533,12 +746,18 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
   // =========================================================================
   /**
    * Set up Redis keys to track progress:
-   *   - total-rows:{key} = totalRows
    *   - updated-products:{key} = 0
    *   - skipped-products:{key} = 0
    *   - failed-products:{key} = 0
+   *   - ingesting:{key}        = marker while the stream is open
+   * 
+   * total-rows:{key} is NOT known yet - it's written by
+   * finalizeFileTracking() in STEP 8, once every row has been read.
    */
-  await initializeFileTracking(key, totalRows);
+  await initializeFileTracking(key, null);
+
+  // A new run of a file cancelled earlier starts over (see file-control.js)
+  await clearCancelledControl(key).catch(() => {});
 
   // =========================================================================
   // STEP 5: Determine where to resume (if this is a restart)
@@ -553,8 +772,9 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
    * 
    * NOTE: This resumeFromRow is only used to SKIP creating jobs for
    * rows we've already processed. Each job still carries its own startIndex.
+   * Whether anything is left at all is only known after the stream (STEP 8).
    */
-  const completedJobs = await batchQueue.getJobs(["completed"]);
+  const completedJobs = await getBatchJobs(["completed"]);
   
   // Find the highest row number from completed jobs for this file
   const completedRowNumbers = completedJobs
@@ -563,7 +783,7 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
       // Jobs have startIndex in their data (after our fix)
       // Or we extract from job ID for legacy jobs
       if (typeof job.data?.startIndex === "number") {
-        return job.data.startIndex + (job.data.batch?.length || 0);
+        return getBatchEndIndex(job.data.batch, job.data.startIndex);
       }
       // Legacy: extract from job ID pattern "..._row-{number}"
       const match = job.id?.match(/row-(\d+)/);
@@ -581,33 +801,84 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
     resumeFromRow = 0;
   }
 
-  // Check if we've already processed everything
-  if (resumeFromRow >= totalRows) {
-    logInfoToFile(`✅ All rows in ${key} already processed. Nothing to enqueue.`);
-    
-    // NEW: Mark as completed to stop repeated checks
-    markFileAsCompleted(key);
-    
-    return;
-  }
+  logInfoToFile(`🚀 Processing ${key} | Resuming from row ${resumeFromRow}`);
 
-  logInfoToFile(
-    `🚀 Processing ${key} | Resuming from row ${resumeFromRow} | Total: ${totalRows}`
-  );
+  // A fresh pass starts a fresh dry-run preview; a resume keeps the changes
+  // of the rows already processed
+  if (resumeFromRow === 0) resetDryRunDiff(key);
 
   // =========================================================================
-  // STEP 6: Fetch CSV content from S3
+  // STEP 6: Prepare inline row validation
   // =========================================================================
-  const params = { Bucket: bucketName, Key: key };
-  let bodyContent;
-  
+  /**
+   * See src/batch/row-validation.js for the checks. Every row is validated
+   * as it streams past (including rows skipped on resume, so duplicate
+   * detection sees the whole file). Invalid rows:
+   *   - are written to batch_status/<file>/rejected_rows.csv (STEP 8)
+   *   - are never put in a job
+   *   - count as failed-products right away, so completion detection
+   *     (updated + skipped + failed >= total) still adds up
+   * Bad optional values (URLs, RoHS/REACH) are dropped from the row instead
+   * and listed in row_warnings.csv - the row itself is enqueued. The file's
+   * updateMode decides which checks run (quantity mode: identity + quantity).
+   * 
+   * No race with workers: total-rows doesn't exist until the stream ends,
+   * so nothing can look "complete" while rejected rows are uncounted.
+   */
+  let validator = null;
   try {
-    const data = await s3Client.send(new GetObjectCommand(params));
-    bodyContent = await data.Body.transformToString();
+    validator = createRowValidator({ columns, updateMode });
   } catch (error) {
-    logErrorToFile(`❌ Failed to fetch ${key} from S3: ${error.message}`);
-    return;
+    // Validation is a safety net - never block ingestion because it broke
+    logErrorToFile(`❌ Row validation unavailable for ${key}: ${error.message}`, error.stack);
   }
+  const rejected = [];
+  const warned = [];
+
+  /**
+   * Delta baseline: the row hashes of the vendor's last completed file.
+   * rowHashes / seenRowKeys collect this file's side of the comparison -
+   * every file's hashes are written in STEP 8, delta mode or not.
+   */
+  let baseline = null;
+  if (deltaMode) {
+    try {
+      baseline = loadVendorBaseline(vendor);
+    } catch (error) {
+      logErrorToFile(`❌ Delta baseline for ${vendor} unreadable: ${error.message}`);
+    }
+    logInfoToFile(
+      baseline
+        ? `🧮 ${key}: delta mode - comparing with ${baseline.fileKey} (completed ${baseline.completedAt})`
+        : `🧮 ${key}: delta mode, but ${vendor} has no completed file yet - enqueueing every row`
+    );
+  }
+  const rowHashes = new Map();
+  const seenRowKeys = new Set();
+  let unchangedRows = 0;
+
+  /**
+   * Run results: rows dropped here (rejected, unchanged since the baseline)
+   * never reach processBatch(), so their outcome is recorded here.
+   * `row` is the 1-based data row number, as in processBatch().
+   */
+  const ingestOutcomes = [];
+  const flushIngestOutcomes = () => {
+    if (runId && ingestOutcomes.length > 0) recordRowOutcomes(runId, ingestOutcomes.splice(0));
+  };
+  const recordIngestOutcome = (jobRow, row, outcome, error = null) => {
+    if (!runId) return;
+    ingestOutcomes.push({
+      row,
+      partNumber: jobRow?.part_number || null,
+      manufacturer: jobRow?.manufacturer || null,
+      productId: null,
+      outcome,
+      fieldsChanged: [],
+      error,
+    });
+    if (ingestOutcomes.length >= INGEST_OUTCOME_FLUSH_SIZE) flushIngestOutcomes();
+  };
 
   // =========================================================================
   // STEP 7: Stream and process the CSV
@@ -623,39 +894,170 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
    */
 
   // Track which row we're currently on (0-based index into DATA rows)
-  // This is the absolute position in the file, used to assign startIndex to jobs
+  // This is the absolute position in the file, used to assign startIndex to jobs.
+  // When the stream ends it equals the file's total data rows.
   let absoluteRowIndex = 0;
 
   // Accumulator for building batches
   let batch = [];
 
+  // Set by enqueueBatch() when the file is cancelled mid-stream
+  let cancelled = false;
+  const stopIfCancelled = () => {
+    if (cancelled) throw new Error(`${key} was cancelled - stopped reading`);
+  };
+
   // Track the starting row of the current batch being built
   let currentBatchStartIndex = 0;
 
   // Get list of existing jobs to avoid duplicates
-  const existingJobs = await batchQueue.getJobs([
+  const existingJobs = await getBatchJobs([
     "waiting",
+    "prioritized",
     "active",
     "delayed",
     "completed",
     "failed",
   ]);
 
-  // Create a readable stream from the CSV content
-  const dataStream = Readable.from(bodyContent);
+  /**
+   * Enqueue the current `batch` as one job.
+   * 
+   * @param {boolean} isFinal - Last (partial) batch of the file
+   */
+  const enqueueBatch = async (isFinal) => {
+    // Cancelled from the UI while still reading: enqueue nothing more and
+    // let the row loop stop the stream
+    if ((await getFileControl(key)) === FILE_CONTROL.CANCELLED) {
+      cancelled = true;
+      return;
+    }
+
+    // Create job data with startIndex for race-condition fix
+    const jobData = {
+      // The actual row data to process
+      batch: [...batch], // Clone to avoid mutation issues
+      
+      // Which file this batch belongs to
+      fileKey: key,
+      
+      // Total rows in the file: unknown while streaming. Workers read
+      // total-rows:{fileKey} from Redis instead (see worker.js).
+      totalProductsInFile: null,
+      
+      // ⭐ RACE CONDITION FIX: startIndex is assigned here at job creation
+      // Workers will use this value instead of reading from checkpoint
+      startIndex: currentBatchStartIndex,
+      
+      // How many rows are in this batch
+      batchSize: batch.length,
+
+      // Preview-only run (set per file in csv-mappings.json)
+      dryRun: dryRun,
+
+      // Column mapping profile, applied by createNewData()
+      columns: columns,
+
+      // Update mode + scheduling (see STEP 1)
+      updateMode: updateMode,
+      priority: priority,
+      lane: lane,
+
+      // Run the per-row outcomes are recorded for (run-history.js)
+      runId: runId,
+    };
+
+    // Generate unique job ID including the start index
+    const jobId = createUniqueJobId(
+      key,
+      isFinal ? "s3-helper_readCSVAndEnqueueJobs_FINAL" : "s3-helper_readCSVAndEnqueueJobs",
+      String(currentBatchStartIndex) // Use startIndex in job ID for uniqueness
+    );
+    const label = isFinal ? "FINAL job" : "Job";
+
+    // Check for duplicate job
+    const isDuplicate = existingJobs.some((job) => job.id === jobId);
+    if (isDuplicate) {
+      logInfoToFile(`⚠️ Duplicate ${isFinal ? "final job" : "job"} ${jobId}, skipping.`);
+      return;
+    }
+
+    // Enqueue the job
+    try {
+      const job = await addBatchJob(jobData, jobId);
+      
+      if (!job) {
+        throw new Error(`addBatchJob returned null for ${isFinal ? "final job " : ""}${jobId}`);
+      }
+      
+      logInfoToFile(
+        `✅ ${label} enqueued: ${job.id} | ` +
+        `Rows ${currentBatchStartIndex}-${currentBatchStartIndex + batch.length - 1} | ` +
+        `File: ${key}`
+      );
+    } catch (error) {
+      logErrorToFile(
+        `❌ Failed to enqueue ${isFinal ? "final job" : "job"} ${jobId}: ${error.message}`
+      );
+    }
+
+    // Still reading - keep the ingesting marker alive
+    await appRedis.expire(`ingesting:${key}`, INGEST_MARKER_TTL_SECONDS).catch(() => {});
+  };
 
   try {
     await streamPipeline(
-      dataStream,
-      // Skip metadata rows before the header (CSV_SKIP_LINES = CSV_HEADER_ROW - 1)
-      csvParser({ skipLines: CSV_SKIP_LINES }),
+      // Parse by format into row objects keyed by header - metadata rows
+      // before CSV_HEADER_ROW are skipped for every format
+      readRows(bodyStream, format, { headerRow: CSV_HEADER_ROW, onEncoding }),
       
       // Process each row as it arrives
       async function* (source) {
         for await (const chunk of source) {
+          stopIfCancelled();
           try {
             // =================================================================
-            // STEP 7a: Check if we should skip this row (resuming from crash)
+            // STEP 7a: Normalize column names + apply identity mapping
+            // =================================================================
+            /**
+             * buildJobRow() (csv-mapping-store.js):
+             *   "Part Number" → "part_number", "MANUFACTURER" → "manufacturer"
+             * and, with a mapping, copies the identity columns to the
+             * standard field names:
+             *   { partNumber: "MPN" } → normalizedData.part_number = normalizedData.mpn
+             * 
+             * Identity fields that aren't mapped keep their normalized column.
+             */
+            const normalizedData = buildJobRow(chunk, identity);
+
+            // =================================================================
+            // STEP 7b: Validate the row (data row numbers are 1-based)
+            // =================================================================
+            const { errors, warnings } = validator
+              ? validator.validate(normalizedData, absoluteRowIndex + 1)
+              : { errors: [], warnings: [] };
+            const isRejected = errors.length > 0;
+            if (isRejected) {
+              rejected.push({ row: absoluteRowIndex + 1, errors, data: chunk });
+            } else if (warnings.length) {
+              warned.push({ row: absoluteRowIndex + 1, warnings, data: chunk });
+            }
+
+            // Content hash per (part_number, manufacturer) - rejected rows
+            // never reach Woo, so they get no hash
+            const rowKey = rowIdentity(normalizedData, columns);
+            const rowHash = rowKey && !isRejected ? hashRow(normalizedData) : null;
+            if (rowKey) seenRowKeys.add(rowKey.key);
+            if (rowHash) {
+              rowHashes.set(rowKey.key, {
+                hash: rowHash,
+                part_number: rowKey.part_number,
+                manufacturer: rowKey.manufacturer,
+              });
+            }
+
+            // =================================================================
+            // STEP 7c: Check if we should skip this row (resuming from crash)
             // =================================================================
             if (absoluteRowIndex < resumeFromRow) {
               // This row was already processed before the crash
@@ -664,45 +1066,36 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
             }
 
             // =================================================================
-            // STEP 7b: Normalize the row's column names
+            // STEP 7d: Drop rejected rows
             // =================================================================
             /**
-             * Convert all column names to lowercase_underscore format:
-             *   "Part Number" → "part_number"
-             *   "MANUFACTURER" → "manufacturer"
+             * The batch keeps filling: every job row carries its own file
+             * index (STEP 7f), so a job's rows needn't be contiguous.
              */
-            const normalizedData = Object.keys(chunk).reduce(
-              (acc, rawKey) => {
-                const safeKey = normalizeHeaderKey(rawKey);
-                acc[safeKey] = chunk[rawKey];
-                return acc;
-              },
-              {} // Start with empty object
-            );
+            if (isRejected) {
+              await appRedis.incrBy(`failed-products:${key}`, 1);
+              recordIngestOutcome(normalizedData, absoluteRowIndex + 1, ROW_OUTCOMES.REJECTED, errors.join("; "));
+              absoluteRowIndex++;
+              continue;
+            }
 
             // =================================================================
-            // STEP 7c: Apply column mapping (if configured)
+            // STEP 7e: Delta mode - drop rows unchanged since the baseline
             // =================================================================
             /**
-             * If this file has a custom mapping, use it to standardize key fields.
-             * 
-             * Example mapping: { partNumber: "MPN", manufacturer: "Brand" }
-             * Result: normalizedData.part_number = normalizedData.mpn
+             * Same as rejected rows, but counted as skipped so completion
+             * still adds up.
              */
-            if (mapping) {
-              // Get the normalized key names from the mapping
-              const partKeySafe = normalizeHeaderKey(mapping.partNumber);
-              const categoryKeySafe = normalizeHeaderKey(mapping.category);
-              const manufacturerKeySafe = normalizeHeaderKey(mapping.manufacturer);
-
-              // Copy values to standard field names
-              normalizedData.part_number = normalizedData[partKeySafe];
-              normalizedData.category = normalizedData[categoryKeySafe];
-              normalizedData.manufacturer = normalizedData[manufacturerKeySafe];
+            if (baseline && rowHash && baseline.rows?.[rowKey.key]?.hash === rowHash) {
+              await appRedis.incrBy(`skipped-products:${key}`, 1);
+              recordIngestOutcome(normalizedData, absoluteRowIndex + 1, ROW_OUTCOMES.UNCHANGED);
+              unchangedRows++;
+              absoluteRowIndex++;
+              continue;
             }
 
             // =================================================================
-            // STEP 7d: Add row to current batch
+            // STEP 7f: Add row to current batch
             // =================================================================
             
             // If this is the first row of a new batch, record the start index
@@ -710,62 +1103,15 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
               currentBatchStartIndex = absoluteRowIndex;
             }
             
-            batch.push(normalizedData);
+            // The row's own file index - processBatch() numbers rows by it
+            // (rows dropped in 7d / 7e leave gaps in a job)
+            batch.push({ ...normalizedData, [JOB_ROW_INDEX_KEY]: absoluteRowIndex });
 
             // =================================================================
-            // STEP 7e: If batch is full, create a job
+            // STEP 7g: If batch is full, create a job
             // =================================================================
             if (batch.length >= batchSize) {
-              // Create job data with startIndex for race-condition fix
-              const jobData = {
-                // The actual row data to process
-                batch: [...batch], // Clone to avoid mutation issues
-                
-                // Which file this batch belongs to
-                fileKey: key,
-                
-                // Total rows in the file (for progress calculation)
-                totalProductsInFile: totalRows,
-                
-                // ⭐ RACE CONDITION FIX: startIndex is assigned here at job creation
-                // Workers will use this value instead of reading from checkpoint
-                startIndex: currentBatchStartIndex,
-                
-                // How many rows are in this batch
-                batchSize: batch.length,
-              };
-
-              // Generate unique job ID including the start index
-              const jobId = createUniqueJobId(
-                key,
-                "s3-helper_readCSVAndEnqueueJobs",
-                String(currentBatchStartIndex) // Use startIndex in job ID for uniqueness
-              );
-
-              // Check for duplicate job
-              const isDuplicate = existingJobs.some((job) => job.id === jobId);
-              if (isDuplicate) {
-                logInfoToFile(`⚠️ Duplicate job ${jobId}, skipping.`);
-              } else {
-                // Enqueue the job
-                try {
-                  const job = await addBatchJob(jobData, jobId);
-                  
-                  if (!job) {
-                    throw new Error(`addBatchJob returned null for ${jobId}`);
-                  }
-                  
-                  logInfoToFile(
-                    `✅ Job enqueued: ${job.id} | ` +
-                    `Rows ${currentBatchStartIndex}-${currentBatchStartIndex + batch.length - 1} | ` +
-                    `File: ${key}`
-                  );
-                } catch (error) {
-                  logErrorToFile(
-                    `❌ Failed to enqueue job ${jobId}: ${error.message}`
-                  );
-                }
-              }
+              await enqueueBatch(false);
 
               // Clear the batch for the next group of rows
               batch = [];
@@ -779,12 +1125,13 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
             logErrorToFile(
               `Error processing row ${absoluteRowIndex} in ${key}: ${error.message}`
             );
+            recordIngestOutcome(null, absoluteRowIndex + 1, ROW_OUTCOMES.FAILED, error.message);
             absoluteRowIndex++;
           }
         }
 
         // =====================================================================
-        // STEP 7f: Handle remaining rows (final partial batch)
+        // STEP 7h: Handle remaining rows (final partial batch)
         // =====================================================================
         /**
          * If the total rows isn't evenly divisible by batchSize,
@@ -795,59 +1142,125 @@ const readCSVAndEnqueueJobs = async (bucketName, key, batchSize) => {
          *   - 1 partial batch (rows 100-104) → handle here
          */
         if (batch.length > 0) {
-          const jobData = {
-            batch: [...batch],
-            fileKey: key,
-            totalProductsInFile: totalRows,
-            startIndex: currentBatchStartIndex, // ⭐ Race condition fix
-            batchSize: batch.length,
-          };
-
-          const jobId = createUniqueJobId(
-            key,
-            "s3-helper_readCSVAndEnqueueJobs_FINAL",
-            String(currentBatchStartIndex)
-          );
-
-          const isDuplicate = existingJobs.some((job) => job.id === jobId);
-          if (isDuplicate) {
-            logInfoToFile(`⚠️ Duplicate final job ${jobId}, skipping.`);
-          } else {
-            try {
-              const job = await addBatchJob(jobData, jobId);
-              
-              if (!job) {
-                throw new Error(`addBatchJob returned null for final job ${jobId}`);
-              }
-              
-              logInfoToFile(
-                `✅ FINAL job enqueued: ${job.id} | ` +
-                `Rows ${currentBatchStartIndex}-${currentBatchStartIndex + batch.length - 1} | ` +
-                `File: ${key}`
-              );
-            } catch (error) {
-              logErrorToFile(
-                `❌ Failed to enqueue final job ${jobId}: ${error.message}`
-              );
-            }
-          }
+          await enqueueBatch(true);
         }
+        stopIfCancelled();
       }
     );
-
-    // =========================================================================
-    // STEP 8: Log completion
-    // =========================================================================
-    logUpdatesToFile(
-      `✅ Completed reading ${key}: ${absoluteRowIndex} rows processed into jobs`
-    );
-
   } catch (error) {
     logErrorToFile(
       `❌ Error streaming CSV ${key}: ${error.message}`,
       error.stack
     );
+    /**
+     * Rows already enqueued keep processing. total-rows stays unset, so the
+     * file is never reported complete; the marker is cleared so the next
+     * run (which resumes from the completed jobs) isn't blocked.
+     */
+    await appRedis.del(`ingesting:${key}`).catch(() => {});
+    flushIngestOutcomes();
+    throw new Error(`Error streaming ${key}: ${error.message}`);
   }
+
+  flushIngestOutcomes();
+
+  // =========================================================================
+  // STEP 8: Finalize - total rows, validation + delta reports, completion
+  // =========================================================================
+  const totalRows = absoluteRowIndex;
+
+  // Remember the detected encoding on the entry (upload normally did already)
+  if (mappingEntry && detectedEncoding && detectedEncoding !== format.encoding) {
+    setFileEncoding(key, detectedEncoding);
+  }
+
+  if (totalRows === 0) {
+    logErrorToFile(`❌ Skipping ${key}: File is empty.`);
+    await appRedis.del([
+      `ingesting:${key}`,
+      `updated-products:${key}`,
+      `skipped-products:${key}`,
+      `failed-products:${key}`,
+    ]).catch(() => {});
+    throw new Error(`${key} is empty`);
+  }
+
+  try {
+    const reportPath = writeRejectedRowsReport(key, rejected);
+    const warningsReportPath = writeRowWarningsReport(key, warned);
+    const unknownManufacturers = validator ? validator.getUnknownManufacturers() : [];
+    setFileValidation(
+      key,
+      buildValidationSummary({ totalRows, rejected, warned, unknownManufacturers }, reportPath, warningsReportPath)
+    );
+    if (unknownManufacturers.length) {
+      logInfoToFile(`⚠️ ${key}: ${unknownManufacturers.length} unknown manufacturer(s): ${unknownManufacturers.join(", ")}`);
+    }
+
+    if (rejected.length) {
+      logInfoToFile(
+        `⚠️ ${key}: ${rejected.length} of ${totalRows} rows invalid - ` +
+        `not enqueued (report: ${reportPath})`
+      );
+    } else if (validator) {
+      logInfoToFile(`✅ ${key}: all ${totalRows} rows passed validation`);
+    }
+    if (warned.length) {
+      logInfoToFile(
+        `⚠️ ${key}: ${warned.length} of ${totalRows} rows had bad optional values - ` +
+        `dropped, rows enqueued (report: ${warningsReportPath})`
+      );
+    }
+  } catch (error) {
+    logErrorToFile(`❌ Writing validation report failed for ${key}: ${error.message}`, error.stack);
+  }
+
+  /**
+   * Row hashes: this file's side of the next delta run (worker.js makes
+   * them the vendor's baseline once the file completes).
+   */
+  try {
+    const rejectedKeys = [...seenRowKeys].filter((rowKey) => !rowHashes.has(rowKey));
+    writeRowHashes(key, { vendor, rows: rowHashes, rejectedKeys });
+
+    if (baseline) {
+      const disappeared = findDisappearedRows(baseline, seenRowKeys);
+      const reportPath = writeDisappearedRowsReport(key, disappeared, baseline.fileKey);
+      setFileDelta(key, {
+        baselineFileKey: baseline.fileKey,
+        changedRows: totalRows - rejected.length - unchangedRows,
+        unchangedRows,
+        disappearedRows: disappeared.length,
+        comparedAt: new Date().toISOString(),
+        reportPath,
+      });
+
+      logInfoToFile(
+        `🧮 ${key} vs ${baseline.fileKey}: ${totalRows - rejected.length - unchangedRows} new/changed, ` +
+        `${unchangedRows} unchanged (not enqueued), ${disappeared.length} disappeared` +
+        (reportPath ? ` (report: ${reportPath})` : ``)
+      );
+    }
+  } catch (error) {
+    logErrorToFile(`❌ Writing row hashes failed for ${key}: ${error.message}`, error.stack);
+  }
+
+  await finalizeFileTracking(key, totalRows);
+
+  // Check if we'd already processed everything before this run
+  if (resumeFromRow >= totalRows) {
+    logInfoToFile(`✅ All rows in ${key} already processed. Nothing to enqueue.`);
+    
+    // NEW: Mark as completed to stop repeated checks
+    markFileAsCompleted(key);
+    
+    return { status: ENQUEUE_RESULTS.ALREADY_PROCESSED, totalRows };
+  }
+
+  logUpdatesToFile(
+    `✅ Completed reading ${key}: ${totalRows} rows streamed into jobs`
+  );
+  return { status: ENQUEUE_RESULTS.ENQUEUED, totalRows };
 };
 
 // =============================================================================
@@ -933,9 +1346,9 @@ const processCSVFilesInS3LatestFolder = async (bucketName, batchSize) => {
       return;
     }
 
-    // Filter for CSV files only
+    // Filter for vendor files (CSV / TSV / XLSX)
     const csvFiles = listData.Contents.filter((file) =>
-      file.Key.toLowerCase().endsWith(".csv")
+      /\.(csv|tsv|tab|xlsx)$/i.test(file.Key) // every format src/formats reads
     );
 
     logInfoToFile(`Found ${csvFiles.length} CSV files in ${latestFolder}`);
@@ -975,16 +1388,20 @@ const processCSVFilesInS3LatestFolder = async (bucketName, batchSize) => {
 module.exports = {
   // Folder discovery
   getLatestFolderKey,
+  getNewestFileKey,
   
   // Main processing functions
   processCSVFilesInS3LatestFolder,
   processReadyCsvFilesFromMappings,
   readCSVAndEnqueueJobs,
+  ENQUEUE_RESULTS,
   
   // Utility functions (exported for testing)
   normalizeHeaderKey,
   getTotalRowsFromS3,
+  countCsvRowsInStream,
   checkExistingJobs,
   isFileFullyProcessed,
   initializeFileTracking,
+  finalizeFileTracking,
 };
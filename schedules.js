@@ -0,0 +1,396 @@
+/**
+ * =============================================================================
+ * FILE: schedules.js
+ * =============================================================================
+ *
+ * PURPOSE:
+ * Scheduled and recurring imports. Instead of pressing "Start Processing",
+ * a schedule enqueues a file on a cron expression - e.g.
+ * "every weekday 06:00 PT, take the newest file under vendor-x/ and run it
+ * in quantity mode".
+ *
+ * SCHEDULE ENTRY (csv-mappings.json → top-level `schedules` array):
+ *
+ *   { "id": "vendor-x-stock", "name": "Vendor X stock",
+ *     "cron": "0 6 * * 1-5", "timezone": "America/Los_Angeles",
+ *     "prefix": "vendor-x/",          ← newest file under it (S3), OR
+ *     "fileKey": "acme-stock.csv",    ← always this file (any source)
+ *     "updateMode": "quantity",       ← optional, else UPDATE_MODE
+ *     "dryRun": false, "priority": "high",   ← optional file flags (unset ones
+ *                                              are cleared on the file)
+ *     "enabled": true,
+ *     "lastRun": { "at": "...", "status": "enqueued", "fileKey": "...", "runId": "...", "message": "..." } }
+ *
+ * FLOW:
+ *   1) syncSchedule() keeps one BullMQ job scheduler per enabled schedule
+ *      on the schedule queue (`${QUEUE_NAME}-schedules`, see queue.js). The
+ *      mapping UI server syncs on every change, index.js syncs all on start.
+ *   2) On each cron tick BullMQ adds a job; index.js' schedule worker runs
+ *      runSchedule(): pick the file, create / update its file entry (the
+ *      schedule's flags, status "ready") and request a run for it
+ *      (run-control.js), which index.js' run worker executes.
+ *   3) The outcome is stored as `lastRun`; listSchedules() adds `nextRun`.
+ *
+ * WHICH FILE RUNS:
+ *   prefix  → the newest file under the prefix. A new file gets an entry
+ *             with the mapping of the prefix's most recent file. If the
+ *             newest file already completed (or was cancelled) the run is
+ *             skipped - there is no new file yet.
+ *   fileKey → the same file every time (e.g. an http / sftp feed that is
+ *             replaced in place). A completed run is cleared first, so the
+ *             file is processed again from row 0.
+ *   A file that is paused or awaiting mapping review is never started.
+ *
+ * =============================================================================
+ */
+
+const cronParser = require("cron-parser");
+const { Worker } = require("bullmq");
+const { scheduleQueue, SCHEDULE_QUEUE_NAME, bullmqConnection } = require("./queue");
+const { logInfoToFile, logErrorToFile } = require("./logger");
+const {
+  loadMappings,
+  saveMappings,
+  loadSchedules,
+  saveSchedule,
+  deleteSchedule,
+  setScheduleLastRun,
+} = require("./csv-mapping-store");
+const { getNewestFileKey } = require("./s3-helpers");
+const { clearFileRun } = require("./file-control");
+const { requestRun } = require("./run-control");
+const { JOB_PRIORITIES, UPDATE_MODES } = require("./job-manager");
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+// Timezone for schedules that don't name one
+const DEFAULT_SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || "UTC";
+
+// Job name of cron ticks vs. "Run now" from the UI
+const SCHEDULED_JOB_NAME = "scheduled-import";
+const MANUAL_JOB_NAME = "manual-import";
+
+// File statuses a schedule must not start
+const BLOCKED_STATUSES = ["paused", "review"];
+
+// File entry flags a schedule sets on its file (and clears when it doesn't)
+const SCHEDULE_FILE_FLAGS = ["updateMode", "dryRun", "priority"];
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+const slugify = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * @function getNextRun
+ * @param {Object} schedule - { cron, timezone }
+ * @param {Date} [from=new Date()]
+ * @returns {string} ISO timestamp of the next tick
+ * @throws {Error} on an invalid cron expression or timezone
+ */
+const getNextRun = (schedule, from = new Date()) =>
+  cronParser
+    .parseExpression(schedule.cron, { tz: schedule.timezone || DEFAULT_SCHEDULE_TIMEZONE, currentDate: from })
+    .next()
+    .toDate()
+    .toISOString();
+
+/**
+ * @function validateSchedule
+ * @description Checks and normalizes a schedule from the UI / API. A new
+ * schedule gets an id derived from its name.
+ * @param {Object} input
+ * @param {Object[]} [existing=loadSchedules()]
+ * @returns {Object} The schedule to store
+ * @throws {Error} describing the first problem found
+ */
+const validateSchedule = (input, existing = loadSchedules()) => {
+  const name = String(input?.name || "").trim();
+  if (!name) throw new Error("Schedule name is required");
+
+  const cron = String(input.cron || "").trim();
+  const timezone = String(input.timezone || DEFAULT_SCHEDULE_TIMEZONE).trim();
+  try {
+    getNextRun({ cron, timezone });
+  } catch (error) {
+    throw new Error(`Invalid cron expression / timezone "${cron}" (${timezone}): ${error.message}`);
+  }
+
+  const prefix = String(input.prefix || "").trim();
+  const fileKey = String(input.fileKey || "").trim();
+  if (Boolean(prefix) === Boolean(fileKey)) {
+    throw new Error("A schedule needs either a prefix or a fileKey");
+  }
+
+  if (input.updateMode && !UPDATE_MODES.includes(input.updateMode)) {
+    throw new Error(`updateMode must be one of: ${UPDATE_MODES.join(", ")}`);
+  }
+  if (input.priority && !JOB_PRIORITIES[input.priority]) {
+    throw new Error(`priority must be one of: ${Object.keys(JOB_PRIORITIES).join(", ")}`);
+  }
+
+  const current = input.id ? existing.find((s) => s.id === input.id) : null;
+  if (input.id && !current) throw new Error(`Schedule "${input.id}" not found`);
+
+  let id = current?.id || slugify(name) || "schedule";
+  for (let n = 2; !current && existing.some((s) => s.id === id); n++) {
+    id = `${slugify(name) || "schedule"}-${n}`;
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id,
+    name,
+    cron,
+    timezone,
+    ...(prefix ? { prefix } : { fileKey }),
+    ...(input.updateMode ? { updateMode: input.updateMode } : {}),
+    ...(input.dryRun === true ? { dryRun: true } : {}),
+    ...(input.priority ? { priority: input.priority } : {}),
+    enabled: input.enabled !== false,
+    createdAt: current?.createdAt || now,
+    updatedAt: now,
+    ...(current?.lastRun ? { lastRun: current.lastRun } : {}),
+  };
+};
+
+// =============================================================================
+// BULLMQ JOB SCHEDULERS
+// =============================================================================
+
+/**
+ * @function syncSchedule
+ * @description Creates / updates the schedule's BullMQ job scheduler, or
+ * removes it when the schedule is disabled.
+ * @param {Object} schedule
+ * @returns {Promise<void>}
+ */
+const syncSchedule = async (schedule) => {
+  if (!schedule.enabled) {
+    await scheduleQueue.removeJobScheduler(schedule.id);
+    return;
+  }
+  await scheduleQueue.upsertJobScheduler(
+    schedule.id,
+    { pattern: schedule.cron, tz: schedule.timezone || DEFAULT_SCHEDULE_TIMEZONE },
+    { name: SCHEDULED_JOB_NAME, data: { scheduleId: schedule.id } }
+  );
+};
+
+/**
+ * @function syncAllSchedules
+ * @description Makes the job schedulers match csv-mappings.json: upserts
+ * every enabled schedule and drops schedulers of deleted / disabled ones
+ * (e.g. after csv-mappings.json was edited by hand).
+ * @returns {Promise<number>} Number of active schedules
+ */
+const syncAllSchedules = async () => {
+  const schedules = loadSchedules();
+  const active = new Set(schedules.filter((s) => s.enabled).map((s) => s.id));
+
+  for (const scheduler of await scheduleQueue.getJobSchedulers()) {
+    if (!active.has(scheduler.key)) await scheduleQueue.removeJobScheduler(scheduler.key);
+  }
+  for (const schedule of schedules) {
+    if (active.has(schedule.id)) await syncSchedule(schedule);
+  }
+  return active.size;
+};
+
+// =============================================================================
+// API (mapping UI server)
+// =============================================================================
+
+/**
+ * @function listSchedules
+ * @returns {Promise<Object[]>} Schedules with `nextRun` (null when disabled).
+ */
+const listSchedules = async () => {
+  const schedulers = await scheduleQueue.getJobSchedulers().catch(() => []);
+  const nextById = new Map(schedulers.map((s) => [s.key, s.next]));
+
+  return loadSchedules().map((schedule) => {
+    if (!schedule.enabled) return { ...schedule, nextRun: null };
+    const next = nextById.get(schedule.id);
+    let nextRun = next ? new Date(next).toISOString() : null;
+    if (!nextRun) {
+      try {
+        nextRun = getNextRun(schedule);
+      } catch {
+        // Invalid entry edited in by hand - shown without a next run
+      }
+    }
+    return { ...schedule, nextRun };
+  });
+};
+
+/**
+ * @function upsertSchedule
+ * @param {Object} input - Schedule fields; with `id` an existing one is replaced.
+ * @returns {Promise<Object>} The saved schedule
+ */
+const upsertSchedule = async (input) => {
+  const schedule = validateSchedule(input);
+  saveSchedule(schedule);
+  await syncSchedule(schedule);
+  logInfoToFile(
+    `🗓️ Schedule "${schedule.name}" (${schedule.id}) saved: ${schedule.cron} ${schedule.timezone}` +
+      (schedule.enabled ? `` : ` (disabled)`)
+  );
+  return schedule;
+};
+
+/**
+ * @function removeSchedule
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+const removeSchedule = async (id) => {
+  if (!deleteSchedule(id)) throw new Error(`Schedule "${id}" not found`);
+  await scheduleQueue.removeJobScheduler(id);
+  logInfoToFile(`🗓️ Schedule ${id} deleted`);
+};
+
+/**
+ * @function triggerSchedule
+ * @description "Run now": queues a one-off run for index.js' schedule worker.
+ * @param {string} id
+ * @returns {Promise<{id:string, jobId:string}>}
+ */
+const triggerSchedule = async (id) => {
+  if (!loadSchedules().some((s) => s.id === id)) throw new Error(`Schedule "${id}" not found`);
+  const job = await scheduleQueue.add(MANUAL_JOB_NAME, { scheduleId: id, trigger: "manual" });
+  return { id, jobId: job.id };
+};
+
+// =============================================================================
+// RUNNING A SCHEDULE (index.js)
+// =============================================================================
+
+// The prefix's most recently touched file entry (mapping to copy)
+const latestEntryUnder = (files, prefix) =>
+  files
+    .filter((f) => f.fileKey.startsWith(prefix) && f.mapping)
+    .sort((a, b) =>
+      String(b.completedAt || b.updatedAt || b.createdAt || "").localeCompare(
+        String(a.completedAt || a.updatedAt || a.createdAt || "")
+      )
+    )[0] || null;
+
+/**
+ * @function runSchedule
+ * @description Picks the schedule's file, marks it ready with the
+ * schedule's flags and requests a run for it. Records the outcome as `lastRun`.
+ * @param {string} id
+ * @param {Object} options
+ * @param {string} options.bucketName - S3 bucket (prefix lookups)
+ * @param {string} [options.trigger="cron"] - "cron" | "manual"
+ * @returns {Promise<{status:string, fileKey:(string|null), message:string, runId?:string}>}
+ *   status "enqueued" | "skipped"
+ * @throws {Error} when the run fails (also recorded as lastRun "failed")
+ */
+const runSchedule = async (id, { bucketName, trigger = "cron" }) => {
+  const schedule = loadSchedules().find((s) => s.id === id);
+  if (!schedule) throw new Error(`Schedule "${id}" not found`);
+
+  const record = (status, fileKey, message, runId) => {
+    const lastRun = { at: new Date().toISOString(), status, fileKey, message, trigger, ...(runId ? { runId } : {}) };
+    setScheduleLastRun(id, lastRun);
+    return { status, fileKey, message, ...(runId ? { runId } : {}) };
+  };
+
+  try {
+    const fileKey = schedule.fileKey || (await getNewestFileKey(bucketName, schedule.prefix));
+    if (!fileKey) return record("skipped", null, `No file found under ${schedule.prefix}`);
+
+    const store = loadMappings();
+    let entry = store.files.find((f) => f.fileKey === fileKey);
+
+    if (entry && BLOCKED_STATUSES.includes(entry.status)) {
+      return record("skipped", fileKey, `File is ${entry.status}`);
+    }
+    if (entry && ["completed", "cancelled"].includes(entry.status)) {
+      if (schedule.prefix) return record("skipped", fileKey, `No new file (newest is ${entry.status})`);
+      await clearFileRun(fileKey);
+    }
+
+    if (!entry) {
+      const previous = schedule.prefix ? latestEntryUnder(store.files, schedule.prefix) : null;
+      entry = {
+        fileKey,
+        mapping: previous?.mapping || null,
+        createdAt: new Date().toISOString(),
+      };
+      store.files.push(entry);
+    }
+
+    entry.status = "ready";
+    entry.scheduleId = id;
+    // The schedule's flags replace the entry's - a flag it doesn't set is
+    // cleared, so e.g. a schedule switched from dry run to live runs live
+    SCHEDULE_FILE_FLAGS.forEach((flag) => {
+      if (schedule[flag] !== undefined) entry[flag] = schedule[flag];
+      else delete entry[flag];
+    });
+    entry.updatedAt = new Date().toISOString();
+    saveMappings(store);
+
+    logInfoToFile(`🗓️ Schedule "${schedule.name}" (${trigger}): enqueuing ${fileKey}`);
+    const { runId } = await requestRun({ fileKey, trigger: "schedule", scheduleId: id });
+
+    return record("enqueued", fileKey, `Enqueued ${fileKey} (run ${runId})`, runId);
+  } catch (error) {
+    logErrorToFile(`❌ Schedule "${schedule.name}" failed: ${error.message}`, error.stack);
+    record("failed", schedule.fileKey || null, error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function startScheduleWorker
+ * @description Runs schedule ticks in this process (index.js), one at a
+ * time. The files themselves are read by the run worker (run-control.js).
+ * @param {Object} options - { bucketName } for runSchedule()
+ * @returns {Promise<Worker>}
+ */
+const startScheduleWorker = async ({ bucketName }) => {
+  const active = await syncAllSchedules();
+
+  const worker = new Worker(
+    SCHEDULE_QUEUE_NAME,
+    (job) =>
+      runSchedule(job.data.scheduleId, {
+        bucketName,
+        trigger: job.data.trigger || "cron",
+      }),
+    { connection: bullmqConnection, concurrency: 1 }
+  );
+
+  worker.on("failed", (job, error) => {
+    logErrorToFile(`❌ Scheduled import ${job?.data?.scheduleId} failed: ${error.message}`);
+  });
+
+  logInfoToFile(`🗓️ Schedule worker started (${active} active schedule(s))`);
+  return worker;
+};
+
+module.exports = {
+  DEFAULT_SCHEDULE_TIMEZONE,
+  getNextRun,
+  validateSchedule,
+  syncSchedule,
+  syncAllSchedules,
+  listSchedules,
+  upsertSchedule,
+  removeSchedule,
+  triggerSchedule,
+  runSchedule,
+  startScheduleWorker,
+};
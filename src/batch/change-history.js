@@ -0,0 +1,221 @@
+/*
+================================================================================
+FILE: src/batch/change-history.js
+PURPOSE: Field-level change history so a processed file can be rolled back.
+
+HOW IT WORKS:
+- Right before executeBatchUpdate() sends products/batch, every queued update
+  is turned into a "rollback snapshot": the PRIOR Woo values of exactly the
+  fields that update is about to change (same shape as filterCurrentData()).
+- Snapshots are merged into:
+    ./batch_status/<fileKey no .csv>/change_history.json
+  keyed by product id. The FIRST value seen for a field wins, so a product
+  touched by several rows (or several runs of the same file) still rolls back
+  to its state before this file was ever applied.
+- buildRollbackUpdates() turns that file into a reverse products/batch payload
+  (see rollback-file.js for the command / endpoint that sends it).
+================================================================================
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { logErrorToFile, logInfoToFile } = require("../../logger");
+const { getFieldChanges, filterCurrentData } = require("./compare");
+
+/**
+* @typedef {Object} RollbackSnapshot
+* @property {number} id - Woo product id.
+* @property {string} [name] - Prior name (only if it was changed).
+* @property {string} [sku] - Prior SKU (only if it was changed).
+* @property {string} [description] - Prior description (only if it was changed).
+* @property {Array<{id:number}>} [categories] - Prior categories (only if changed).
+* @property {Array<{key:string, value:any}>} meta_data - Prior values of changed meta keys.
+*/
+
+/**
+* @typedef {Object} ChangeHistoryEntry
+* @property {string} partNumber - Part number of the first row that changed the product.
+* @property {number} row - 1-based CSV row of that first change.
+* @property {string} capturedAt - ISO timestamp of the first snapshot.
+* @property {RollbackSnapshot} previous - Values to restore on rollback.
+*/
+
+/**
+* @function getChangeHistoryPath
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @returns {string} Absolute path of the file's change_history.json.
+*/
+const getChangeHistoryPath = (fileKey) =>
+  path.join(
+    __dirname,
+    "../../batch_status",
+    fileKey.replace(/\.csv$/, ""),
+    "change_history.json"
+  );
+
+/**
+* @function buildRollbackSnapshot
+* @description Captures the current Woo values of every field `newData` would change.
+* Top-level fields Woo never returned (e.g. the helper `manufacturer` key in
+* quantity updates) are ignored, since Woo ignores them on write as well.
+* @param {Object} currentData - Full Woo product from getProductById().
+* @param {Object} newData - The update payload queued for this product.
+* @param {string} [updateMode] - "full" | "quantity" (default UPDATE_MODE).
+* @returns {RollbackSnapshot|null} null when nothing would change.
+*/
+const buildRollbackSnapshot = (currentData, newData, updateMode) => {
+  if (!currentData || !newData?.id) return null;
+
+  const changes = getFieldChanges(currentData, newData, updateMode);
+  if (changes.length === 0) return null;
+
+  const currentMeta = Array.isArray(currentData.meta_data) ? currentData.meta_data : [];
+  const snapshot = { id: newData.id, meta_data: [] };
+
+  changes.forEach(({ field }) => {
+    if (field.startsWith("meta_data.")) {
+      const key = field.slice("meta_data.".length);
+      const prior = currentMeta.find((m) => m && m.key === key);
+      // A key that didn't exist before is restored as an empty value
+      snapshot.meta_data.push({ key, value: prior ? prior.value : "" });
+    } else if (field === "meta_data") {
+      // Structure mismatch: keep every tracked meta value we know about
+      snapshot.meta_data.push(
+        ...filterCurrentData(currentData).meta_data.map(({ key, value }) => ({ key, value }))
+      );
+    } else if (field === "categories") {
+      snapshot.categories = (currentData.categories || []).map((c) => ({ id: c.id }));
+    } else if (Object.prototype.hasOwnProperty.call(currentData, field)) {
+      snapshot[field] = currentData[field] ?? "";
+    }
+  });
+
+  return snapshot;
+};
+
+/**
+* @function mergeSnapshot
+* @description Adds fields from `snapshot` that `previous` doesn't hold yet
+* (first-seen value wins). Mutates and returns `previous`.
+*/
+const mergeSnapshot = (previous, snapshot) => {
+  Object.keys(snapshot).forEach((field) => {
+    if (field === "meta_data") return;
+    if (!(field in previous)) previous[field] = snapshot[field];
+  });
+
+  previous.meta_data = previous.meta_data || [];
+  snapshot.meta_data.forEach((meta) => {
+    if (!previous.meta_data.some((m) => m.key === meta.key)) {
+      previous.meta_data.push(meta);
+    }
+  });
+
+  return previous;
+};
+
+/**
+* @function loadChangeHistory
+* @param {string} fileKey - Source CSV key.
+* @returns {{fileKey:string, products:Object<string, ChangeHistoryEntry>}|null}
+* null when the file has no history (never applied, or already rolled back).
+*/
+const loadChangeHistory = (fileKey) => {
+  const historyPath = getChangeHistoryPath(fileKey);
+  if (!fs.existsSync(historyPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(historyPath, "utf-8"));
+  } catch (err) {
+    logErrorToFile(`❌ Error reading change history file: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+* @function recordChangeHistory
+* @description Merges one batch worth of snapshots into change_history.json.
+* @param {string} fileKey - Source CSV key.
+* @param {Array<{row:number, partNumber:string, snapshot:RollbackSnapshot}>} entries
+* @effects Writes/creates: ./batch_status/<fileKey no .csv>/change_history.json
+* @failure Never throws; logs errors to file.
+*/
+const recordChangeHistory = (fileKey, entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) return;
+
+  try {
+    const historyPath = getChangeHistoryPath(fileKey);
+    const historyDir = path.dirname(historyPath);
+    if (!fs.existsSync(historyDir)) fs.mkdirSync(historyDir, { recursive: true });
+
+    const history = loadChangeHistory(fileKey) || { fileKey, products: {} };
+    const capturedAt = new Date().toISOString();
+
+    entries.forEach(({ row, partNumber, snapshot }) => {
+      if (!snapshot?.id) return;
+      const existing = history.products[snapshot.id];
+
+      if (existing) {
+        mergeSnapshot(existing.previous, snapshot);
+      } else {
+        history.products[snapshot.id] = { partNumber, row, capturedAt, previous: snapshot };
+      }
+    });
+
+    history.updatedAt = capturedAt;
+
+    fs.writeFileSync(historyPath, JSON.stringify(history, null, 2));
+    logInfoToFile(`✅ Saved ${entries.length} rollback snapshot(s) to ${historyPath}`);
+  } catch (err) {
+    logErrorToFile(`❌ Error writing change history file: ${err.message}`);
+  }
+};
+
+/**
+* @function buildRollbackUpdates
+* @description Turns a change history into products/batch `update` items.
+* @param {{products:Object<string, ChangeHistoryEntry>}|null} history
+* @returns {RollbackSnapshot[]}
+*/
+const buildRollbackUpdates = (history) => {
+  if (!history || !history.products) return [];
+
+  return Object.values(history.products)
+    .map((entry) => entry.previous)
+    .filter((previous) => previous && previous.id)
+    .map((previous) => {
+      const update = { ...previous };
+      // Woo rejects an empty meta_data array on some setups - just omit it
+      if (!update.meta_data || update.meta_data.length === 0) delete update.meta_data;
+      return update;
+    });
+};
+
+/**
+* @function archiveChangeHistory
+* @description Renames change_history.json after a successful rollback, so the
+* same snapshots can't be replayed twice by accident.
+* @param {string} fileKey - Source CSV key.
+* @returns {string|null} Path of the archived file.
+*/
+const archiveChangeHistory = (fileKey) => {
+  const historyPath = getChangeHistoryPath(fileKey);
+  if (!fs.existsSync(historyPath)) return null;
+
+  const archivedPath = historyPath.replace(
+    /\.json$/,
+    `.rolled-back-${new Date().toISOString().replace(/[:.]/g, "-")}.json`
+  );
+  fs.renameSync(historyPath, archivedPath);
+  logInfoToFile(`📦 Archived change history to ${archivedPath}`);
+  return archivedPath;
+};
+
+module.exports = {
+  getChangeHistoryPath,
+  buildRollbackSnapshot,
+  loadChangeHistory,
+  recordChangeHistory,
+  buildRollbackUpdates,
+  archiveChangeHistory,
+};
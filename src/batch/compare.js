@@ -32,6 +32,15 @@ THE FIX:
 
 const { logger, logInfoToFile, logErrorToFile } = require("../../logger");
 const { normalizeText, isCurrentMetaMissing, isMetaValueDifferent } = require("./text-utils");
+const { isPriceDifferent } = require("./price-utils");
+const { STOCK_FIELDS } = require("./stock-utils");
+const { TRACKED_META_KEYS: SCHEMA_TRACKED_META_KEYS } = require("./field-schema");
+
+/**
+ * Top-level price fields. Compared numerically ("12.50" equals "12.5"),
+ * never as text.
+ */
+const PRICE_FIELDS = ["regular_price", "sale_price"];
 
 /**
  * List of meta_data keys we track for comparison.
@@ -39,30 +48,10 @@ const { normalizeText, isCurrentMetaMissing, isMetaValueDifferent } = require(".
  * Only these fields will be included when comparing current vs new data.
  * This prevents false-positive updates from irrelevant meta keys that
  * WooCommerce might add (like internal tracking fields).
+ * 
+ * Derived from the fields marked `tracked` in field-schema.js.
  */
-const TRACKED_META_KEYS = [
-  "part_number",
-  "spq",
-  "manufacturer",
-  "image_url",
-  "datasheet_url",
-  "series_url",
-  "series",
-  "quantity",
-  "operating_temperature",
-  "voltage",
-  "package",
-  "supplier_device_package",
-  "mounting_type",
-  "short_description",
-  "detail_description",
-  "additional_key_information",
-  "reach_status",
-  "rohs_status",
-  "moisture_sensitivity_level",
-  "export_control_class_number",
-  "htsus_code",
-];
+const TRACKED_META_KEYS = SCHEMA_TRACKED_META_KEYS;
 
 /**
  * Reduces a WooCommerce product to only the fields relevant for comparison.
@@ -75,7 +64,7 @@ const TRACKED_META_KEYS = [
  * 
  * @example
  * const filtered = filterCurrentData(wooProduct);
- * // Only contains name, sku, description, and tracked meta_data
+ * // Only contains name, sku, description, prices, and tracked meta_data
  */
 const filterCurrentData = (product) => {
   // BUG FIX: Handle null/undefined product
@@ -85,6 +74,8 @@ const filterCurrentData = (product) => {
       name: "",
       sku: "",
       description: "",
+      regular_price: "",
+      sale_price: "",
       meta_data: [],
     };
   }
@@ -93,6 +84,8 @@ const filterCurrentData = (product) => {
     name: product.name || "",
     sku: product.sku || "",
     description: product.description || "",
+    regular_price: product.regular_price || "",
+    sale_price: product.sale_price || "",
     // BUG FIX: Safe array filtering with fallback
     meta_data: Array.isArray(product.meta_data)
       ? product.meta_data.filter((meta) => 
@@ -103,70 +96,57 @@ const filterCurrentData = (product) => {
 };
 
 /**
- * Determines if a WooCommerce product needs to be updated.
+ * Collects the individual field changes between current Woo data and a new payload.
  * 
- * Compares current product data against new CSV data, applying domain-specific
- * rules to avoid unnecessary updates.
+ * This is the machine-readable core of isUpdateNeeded(): every field that would
+ * trigger an update is returned as a { field, currentValue, newValue } entry.
+ * Meta fields are reported as "meta_data.<key>".
  * 
  * SPECIAL RULES:
  * - Digikey images: Skipped to avoid hotlinking issues
  * - S3 datasheets: Never replaced with non-S3 URLs
  * - Digikey datasheets: Skipped entirely
+ * - Prices: Compared numerically after currency normalization
+ * - Quantity mode: Only the quantity meta + native stock fields (if sent)
  * 
- * @param {Object} currentData - Reduced product from filterCurrentData()
+ * @param {Object} currentData - Current product (full Woo payload or filterCurrentData() output)
  * @param {Object} newData - Newly built update payload from createNewData()
- * @param {number} [_currentIndex] - Unused, kept for API compatibility
- * @param {number} [_total] - Unused, kept for API compatibility
- * @param {string} [partNumber] - Part number for logging
- * @param {string} [fileName] - File name for logging
- * @returns {boolean} True if update is needed, false otherwise
+ * @param {string} [updateMode] - "full" | "quantity" (the file's mode; default UPDATE_MODE)
+ * @returns {Array<{field:string, currentValue:any, newValue:any}>} Empty array when nothing changed
  * 
  * @example
- * if (isUpdateNeeded(currentProduct, newPayload, 0, 100, "ABC123", "products.csv")) {
- *   toUpdate.push(newPayload);
- * }
+ * getFieldChanges(currentProduct, newPayload);
+ * // [{ field: "meta_data.quantity", currentValue: "10", newValue: "25" }]
  */
-const isUpdateNeeded = (currentData, newData, _currentIndex, _total, partNumber, fileName) => {
-  // BUG FIX: Early validation of inputs
-  if (!currentData || typeof currentData !== 'object') {
-    logErrorToFile(
-      `[ isUpdateNeeded() ] - Invalid currentData for ${partNumber}: ${typeof currentData}`
-    );
-    // If we can't compare, assume update is needed to be safe
-    return true;
-  }
-
-  if (!newData || typeof newData !== 'object') {
-    logErrorToFile(
-      `[ isUpdateNeeded() ] - Invalid newData for ${partNumber}: ${typeof newData}`
-    );
-    // If we have nothing to update with, skip
-    return false;
-  }
+const getFieldChanges = (currentData, newData, updateMode = process.env.UPDATE_MODE || "full") => {
+  const changes = [];
 
-  const updateMode = process.env.UPDATE_MODE || "full";
-  const fieldsToUpdate = [];
-  logInfoToFile(`[ isUpdateNeeded() ] - Checking for updates for Part Number: ${partNumber} in ${fileName}`);
+  // BUG FIX: Safe access to meta_data arrays
+  const safeCurrentMeta = Array.isArray(currentData?.meta_data) ? currentData.meta_data : [];
+  const safeNewMeta = Array.isArray(newData?.meta_data) ? newData.meta_data : [];
 
   // Quantity-only short circuit
   if (updateMode === "quantity") {
-    // BUG FIX: Safe access to meta_data arrays
-    const currentMeta = Array.isArray(currentData.meta_data) ? currentData.meta_data : [];
-    const newMeta = Array.isArray(newData.meta_data) ? newData.meta_data : [];
-    
-    const curQ = currentMeta.find((m) => m && m.key === "quantity")?.value || "0";
-    const newQ = newMeta.find((m) => m && m.key === "quantity")?.value || "0";
-    
+    const curQ = safeCurrentMeta.find((m) => m && m.key === "quantity")?.value || "0";
+    const newQ = safeNewMeta.find((m) => m && m.key === "quantity")?.value || "0";
+
     if (curQ !== newQ) {
-      logInfoToFile(`[ isUpdateNeeded() ] - Quantity update needed for ${partNumber}: "${curQ}" → "${newQ}"`);
-      return true;
+      changes.push({ field: "meta_data.quantity", currentValue: curQ, newValue: newQ });
     }
-    logInfoToFile(`[ isUpdateNeeded() ] - No quantity update needed for ${partNumber}`);
-    return false;
+
+    // Native stock fields (only present when STOCK_MODE=native)
+    STOCK_FIELDS.forEach((field) => {
+      if (!Object.prototype.hasOwnProperty.call(newData || {}, field)) return;
+      const currentValue = currentData?.[field];
+      if (String(currentValue ?? "") !== String(newData[field])) {
+        changes.push({ field, currentValue: currentValue ?? "", newValue: newData[field] });
+      }
+    });
+    return changes;
   }
 
   // Full-field comparison
-  Object.keys(newData).forEach((key) => {
+  Object.keys(newData || {}).forEach((key) => {
     if (key === "id" || key === "part_number") return;
 
     let newValue = newData[key];
@@ -175,7 +155,7 @@ const isUpdateNeeded = (currentData, newData, _currentIndex, _total, partNumber,
     if (key === "meta_data") {
       // Structure or presence mismatch → update
       if (!Array.isArray(newValue) || !Array.isArray(currentValue)) {
-        fieldsToUpdate.push(key);
+        changes.push({ field: key, currentValue, newValue });
         return;
       }
 
@@ -213,18 +193,20 @@ const isUpdateNeeded = (currentData, newData, _currentIndex, _total, partNumber,
         // Missing entry → add it
         if (isCurrentMetaMissing(newMetaValue, currentMeta)) {
           logInfoToFile(`DEBUG: Key '${newMeta.key}' missing in current meta_data. Marking for update.`);
-          fieldsToUpdate.push(`meta_data.${newMeta.key}`);
+          changes.push({ field: `meta_data.${newMeta.key}`, currentValue: "", newValue: newMetaValue });
           return;
         }
 
         // Value differs after normalization → update
         if (isMetaValueDifferent(newMetaValue, currentMetaValue)) {
-          fieldsToUpdate.push(`meta_data.${newMeta.key}`);
-          logInfoToFile(
-            `[ isUpdateNeeded() ] - Update '${newMeta.key}'\nCurrent: '${currentMetaValue}'\nNew: '${newMetaValue}'\n`
-          );
+          changes.push({ field: `meta_data.${newMeta.key}`, currentValue: currentMetaValue, newValue: newMetaValue });
         }
       });
+    } else if (PRICE_FIELDS.includes(key)) {
+      // Prices: "$12.50" / "12,50" / "12.5" are all the same price
+      if (isPriceDifferent(newValue, currentValue)) {
+        changes.push({ field: key, currentValue: currentValue ?? "", newValue });
+      }
     } else {
       // Non-meta fields: normalize strings before compare
       if (typeof newValue === "string") {
@@ -232,15 +214,64 @@ const isUpdateNeeded = (currentData, newData, _currentIndex, _total, partNumber,
         currentValue = currentValue ? normalizeText(currentValue) : "";
       }
       if (currentValue === undefined || currentValue !== newValue) {
-        fieldsToUpdate.push(key);
-        logInfoToFile(
-          `[ isUpdateNeeded() ] - Update '${key}'\nCurrent: '${currentValue}'\nNew: '${newValue}'\n`
-        );
+        changes.push({ field: key, currentValue, newValue });
       }
     }
   });
 
-  if (fieldsToUpdate.length > 0) {
+  return changes;
+};
+
+/**
+ * Determines if a WooCommerce product needs to be updated.
+ * 
+ * Compares current product data against new CSV data, applying domain-specific
+ * rules to avoid unnecessary updates. The actual comparison lives in
+ * getFieldChanges(); this wrapper validates inputs and logs the outcome.
+ * 
+ * @param {Object} currentData - Reduced product from filterCurrentData()
+ * @param {Object} newData - Newly built update payload from createNewData()
+ * @param {number} [_currentIndex] - Unused, kept for API compatibility
+ * @param {number} [_total] - Unused, kept for API compatibility
+ * @param {string} [partNumber] - Part number for logging
+ * @param {string} [fileName] - File name for logging
+ * @param {string} [updateMode] - "full" | "quantity" (default UPDATE_MODE)
+ * @returns {boolean} True if update is needed, false otherwise
+ * 
+ * @example
+ * if (isUpdateNeeded(currentProduct, newPayload, 0, 100, "ABC123", "products.csv")) {
+ *   toUpdate.push(newPayload);
+ * }
+ */
+const isUpdateNeeded = (currentData, newData, _currentIndex, _total, partNumber, fileName, updateMode) => {
+  // BUG FIX: Early validation of inputs
+  if (!currentData || typeof currentData !== 'object') {
+    logErrorToFile(
+      `[ isUpdateNeeded() ] - Invalid currentData for ${partNumber}: ${typeof currentData}`
+    );
+    // If we can't compare, assume update is needed to be safe
+    return true;
+  }
+
+  if (!newData || typeof newData !== 'object') {
+    logErrorToFile(
+      `[ isUpdateNeeded() ] - Invalid newData for ${partNumber}: ${typeof newData}`
+    );
+    // If we have nothing to update with, skip
+    return false;
+  }
+
+  logInfoToFile(`[ isUpdateNeeded() ] - Checking for updates for Part Number: ${partNumber} in ${fileName}`);
+
+  const changes = getFieldChanges(currentData, newData, updateMode);
+
+  changes.forEach(({ field, currentValue, newValue }) => {
+    logInfoToFile(
+      `[ isUpdateNeeded() ] - Update '${field}'\nCurrent: '${currentValue}'\nNew: '${newValue}'\n`
+    );
+  });
+
+  if (changes.length > 0) {
     logInfoToFile(`[ isUpdateNeeded() ] - Update needed for ${partNumber} in ${fileName}`);
     return true;
   }
@@ -248,4 +279,4 @@ const isUpdateNeeded = (currentData, newData, _currentIndex, _total, partNumber,
   return false;
 };
 
-module.exports = { isUpdateNeeded, filterCurrentData };
+module.exports = { isUpdateNeeded, getFieldChanges, filterCurrentData };
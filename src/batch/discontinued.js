@@ -0,0 +1,348 @@
+/*
+================================================================================
+FILE: src/batch/discontinued.js
+PURPOSE: Find Woo products that disappeared from a vendor's full-catalog file
+and apply the discontinued policy to them.
+
+WHY:
+A part the vendor stopped listing kept showing on the site with the stock of
+the last file that still had it.
+
+WHEN:
+worker.js → checkAndHandleCompletion(), once per file, right after it is
+marked completed (so every row of the file has been applied first).
+
+WHAT COUNTS AS DISCONTINUED:
+Woo products whose `manufacturer` meta is one of the manufacturers in the
+file, but whose (part_number, manufacturer) is not a row of the file. The
+file's rows come from its row_hashes.json (see row-hashes.js); rejected rows
+count as seen - the vendor still lists them.
+
+POLICY (DISCONTINUED_POLICY, or per file entry "discontinuedPolicy"):
+  off            → nothing at all (default - the catalog scan isn't free)
+  report         → only write the report
+  zero_quantity  → quantity meta "0" (+ native stock fields, STOCK_MODE=native)
+  obsolete       → product_status meta "Obsolete"
+  draft          → product status "draft" (hidden from the shop)
+
+SAFETY:
+  - A manufacturer with more than DISCONTINUED_MAX_SHARE (default 0.2) of its
+    Woo products missing is only reported - that looks like a partial feed,
+    not a discontinuation.
+  - Dry-run files only report (the entry's dryRun flag, else DRY_RUN - see
+    isDryRunFile in csv-mapping-store.js).
+  - Every change is saved to change_history.json first, so rolling the file
+    back (rollback-file.js) also restores these products.
+
+REPORT:
+    ./batch_status/<fileKey no .csv>/discontinued_products.csv
+and a summary on the file entry in csv-mappings.json (`discontinued`).
+================================================================================
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("json2csv");
+
+const { logInfoToFile, logErrorToFile } = require("../../logger");
+const { wooApi } = require("../../woo-helpers");
+const { scheduleApiRequest } = require("../../job-manager");
+const { setFileDiscontinued, isDryRunFile } = require("../../csv-mapping-store");
+const { loadRowHashes } = require("./row-hashes");
+const { recordChangeHistory } = require("./change-history");
+const { parseBatchResponse } = require("./handlers");
+const { isNativeStockEnabled, deriveStockFields } = require("./stock-utils");
+
+const POLICIES = ["off", "report", "zero_quantity", "obsolete", "draft"];
+
+/** Products per catalog page / per products/batch call (Woo's maximum is 100). */
+const WOO_PAGE_SIZE = 100;
+
+/** Only the fields reconciliation needs - keeps catalog pages small. */
+const SCAN_FIELDS = "id,sku,status,stock_quantity,stock_status,manage_stock,backorders,meta_data";
+
+/**
+* @function getDiscontinuedPolicy
+* @param {Object|null} entry - File entry from csv-mappings.json.
+* @returns {string} One of POLICIES (unknown values fall back to "report").
+*/
+const getDiscontinuedPolicy = (entry) => {
+  const policy = String(entry?.discontinuedPolicy || process.env.DISCONTINUED_POLICY || "off").toLowerCase();
+  return POLICIES.includes(policy) ? policy : "report";
+};
+
+/**
+* @returns {number} Share (0..1) of a manufacturer's products that may be changed in one run.
+*/
+const getMaxShare = () => {
+  const share = parseFloat(process.env.DISCONTINUED_MAX_SHARE || "0.2");
+  return Number.isFinite(share) && share >= 0 ? share : 0.2;
+};
+
+const getMeta = (product, key) =>
+  String(product?.meta_data?.find((m) => m && m.key === key)?.value ?? "").trim();
+
+/**
+* @function getDiscontinuedReportPath
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @returns {string} Absolute path of the file's discontinued_products.csv.
+*/
+const getDiscontinuedReportPath = (fileKey) =>
+  path.join(
+    __dirname,
+    "../../batch_status",
+    fileKey.replace(/\.csv$/, ""),
+    "discontinued_products.csv"
+  );
+
+/**
+* @function findDiscontinuedProducts
+* @description Picks the products of the file's manufacturers that the file lacks.
+* @param {Object[]} products - Woo products (with meta_data).
+* @param {Object} file
+* @param {Set<string>} file.seenKeys - "part|manufacturer" of every row (lowercase).
+* @param {Set<string>} file.manufacturers - Manufacturers in the file (lowercase).
+* @returns {{missing:Object[], totals:Map<string, number>}} Missing products, and
+*   how many Woo products each of the file's manufacturers has.
+*/
+const findDiscontinuedProducts = (products, { seenKeys, manufacturers }) => {
+  const missing = [];
+  const totals = new Map();
+
+  products.forEach((product) => {
+    const manufacturer = getMeta(product, "manufacturer").toLowerCase();
+    const partNumber = getMeta(product, "part_number").toLowerCase();
+    if (!partNumber || !manufacturers.has(manufacturer)) return;
+
+    totals.set(manufacturer, (totals.get(manufacturer) || 0) + 1);
+    if (!seenKeys.has(`${partNumber}|${manufacturer}`)) missing.push(product);
+  });
+
+  return { missing, totals };
+};
+
+/**
+* @function buildDiscontinuedUpdate
+* @param {Object} product - Woo product.
+* @param {string} policy - zero_quantity | obsolete | draft
+* @returns {Object|null} products/batch update item, or null when the product
+*   is already in that state.
+*/
+const buildDiscontinuedUpdate = (product, policy) => {
+  if (policy === "draft") {
+    return product.status === "draft" ? null : { id: product.id, status: "draft" };
+  }
+
+  if (policy === "obsolete") {
+    return getMeta(product, "product_status") === "Obsolete"
+      ? null
+      : { id: product.id, meta_data: [{ key: "product_status", value: "Obsolete" }] };
+  }
+
+  if (policy === "zero_quantity") {
+    const stock = isNativeStockEnabled() ? deriveStockFields(0) : {};
+    const alreadyZero =
+      (getMeta(product, "quantity") || "0") === "0" &&
+      Object.keys(stock).every((field) => String(product[field] ?? "") === String(stock[field]));
+    return alreadyZero
+      ? null
+      : { id: product.id, ...stock, meta_data: [{ key: "quantity", value: "0" }] };
+  }
+
+  return null;
+};
+
+/**
+* @function buildRollbackEntry
+* @description Prior values of exactly what `update` changes (change-history.js shape).
+*/
+const buildRollbackEntry = (product, update) => {
+  const snapshot = { id: product.id, meta_data: [] };
+  Object.keys(update).forEach((field) => {
+    if (field === "id") return;
+    if (field === "meta_data") {
+      update.meta_data.forEach(({ key }) => snapshot.meta_data.push({ key, value: getMeta(product, key) }));
+    } else {
+      snapshot[field] = product[field] ?? "";
+    }
+  });
+  return { row: null, partNumber: getMeta(product, "part_number"), snapshot };
+};
+
+/**
+* @function forEachCatalogPage
+* @description Walks every Woo product, page by page (through the shared
+* limiter). Pages aren't kept, so the whole catalog is never in memory.
+* @param {string} fileKey - For job ids.
+* @param {function(Object[]):void} onPage
+* @returns {Promise<void>}
+*/
+const forEachCatalogPage = async (fileKey, onPage) => {
+  let totalPages = 1;
+
+  for (let page = 1; page <= totalPages; page++) {
+    const response = await scheduleApiRequest(
+      () => wooApi.get("products", { per_page: WOO_PAGE_SIZE, page, _fields: SCAN_FIELDS }),
+      { id: `discontinued_${fileKey}_page${page}` }
+    );
+    onPage(response.data || []);
+    totalPages = parseInt(response.headers?.["x-wp-totalpages"] || "1", 10) || 1;
+  }
+};
+
+/**
+* @function reconcileDiscontinuedProducts
+* @description End-of-file reconciliation for one completed file (see header).
+* @param {Object} file - File entry from csv-mappings.json.
+* @returns {Promise<Object|null>} Summary stored on the entry, or null when skipped.
+* @failure Never throws; logs errors to file.
+*/
+const reconcileDiscontinuedProducts = async (file) => {
+  const { fileKey } = file;
+  const configured = getDiscontinuedPolicy(file);
+  if (configured === "off") return null;
+
+  try {
+    const hashes = loadRowHashes(fileKey);
+    if (!hashes) {
+      logInfoToFile(`🗄️ ${fileKey}: no row hashes - skipping discontinued check`);
+      return null;
+    }
+
+    const policy = isDryRunFile(file) ? "report" : configured;
+    const rows = Object.entries(hashes.rows || {});
+    const seenKeys = new Set([...rows.map(([key]) => key), ...(hashes.rejectedKeys || [])]);
+    const manufacturers = new Set(
+      rows.map(([, row]) => String(row.manufacturer || "").toLowerCase()).filter(Boolean)
+    );
+    if (manufacturers.size === 0) {
+      logInfoToFile(`🗄️ ${fileKey}: no manufacturers in the file - skipping discontinued check`);
+      return null;
+    }
+
+    logInfoToFile(
+      `🗄️ ${fileKey}: checking the catalog for discontinued parts of ` +
+      `${manufacturers.size} manufacturer(s) (policy: ${policy})`
+    );
+    const missing = [];
+    const totals = new Map();
+    await forEachCatalogPage(fileKey, (products) => {
+      const page = findDiscontinuedProducts(products, { seenKeys, manufacturers });
+      missing.push(...page.missing);
+      page.totals.forEach((count, manufacturer) => totals.set(manufacturer, (totals.get(manufacturer) || 0) + count));
+    });
+
+    // A manufacturer missing too much of its catalog is held back (partial feed?)
+    const maxShare = getMaxShare();
+    const missingPerManufacturer = new Map();
+    missing.forEach((product) => {
+      const manufacturer = getMeta(product, "manufacturer").toLowerCase();
+      missingPerManufacturer.set(manufacturer, (missingPerManufacturer.get(manufacturer) || 0) + 1);
+    });
+    const held = new Set(
+      [...missingPerManufacturer].filter(([m, count]) => count / totals.get(m) > maxShare).map(([m]) => m)
+    );
+    held.forEach((manufacturer) => {
+      logErrorToFile(
+        `⚠️ ${fileKey}: ${missingPerManufacturer.get(manufacturer)} of ${totals.get(manufacturer)} ` +
+        `"${manufacturer}" products missing (> ${maxShare * 100}%) - only reported`
+      );
+    });
+
+    // Build the updates (report rows record what happened to each product)
+    const updates = [];
+    const rollbackEntries = [];
+    const reportRows = missing.map((product) => {
+      const manufacturer = getMeta(product, "manufacturer");
+      let action = "reported";
+      if (policy !== "report" && held.has(manufacturer.toLowerCase())) {
+        action = "held (partial feed?)";
+      } else if (policy !== "report") {
+        const update = buildDiscontinuedUpdate(product, policy);
+        action = update ? "updated" : "already applied";
+        if (update) {
+          updates.push(update);
+          rollbackEntries.push(buildRollbackEntry(product, update));
+        }
+      }
+      return {
+        id: product.id,
+        sku: product.sku,
+        part_number: getMeta(product, "part_number"),
+        manufacturer,
+        status: product.status,
+        action,
+      };
+    });
+
+    // Snapshots first, so a half-applied run can still be rolled back
+    recordChangeHistory(fileKey, rollbackEntries);
+    let applied = 0;
+    for (let i = 0; i < updates.length; i += WOO_PAGE_SIZE) {
+      const chunk = updates.slice(i, i + WOO_PAGE_SIZE);
+      try {
+        const response = await scheduleApiRequest(
+          () => wooApi.put("products/batch", { update: chunk }),
+          { id: `discontinued_${fileKey}_batch${i / WOO_PAGE_SIZE}` }
+        );
+        // Woo answers 200 with per-item errors - count confirmed items only
+        const { succeeded, failed } = parseBatchResponse(chunk, response.data);
+        applied += succeeded.length;
+        if (failed.length > 0) {
+          logErrorToFile(`❌ ${fileKey}: discontinued update failed for ${failed.length} of ${chunk.length} products`);
+          const failedById = new Map(failed.map((f) => [Number(f.id), f]));
+          reportRows.forEach((row) => {
+            const failure = failedById.get(Number(row.id));
+            if (failure) row.action = `failed: ${failure.code}: ${failure.message}`;
+          });
+        }
+      } catch (error) {
+        logErrorToFile(`❌ ${fileKey}: discontinued update failed for ${chunk.length} products: ${error.message}`);
+        const failedIds = new Set(chunk.map((u) => u.id));
+        reportRows.forEach((row) => {
+          if (failedIds.has(row.id)) row.action = `failed: ${error.message}`;
+        });
+      }
+    }
+
+    let reportPath = getDiscontinuedReportPath(fileKey);
+    if (reportRows.length > 0) {
+      fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+      fs.writeFileSync(
+        reportPath,
+        parse(reportRows, { fields: ["id", "sku", "part_number", "manufacturer", "status", "action"] })
+      );
+    } else {
+      if (fs.existsSync(reportPath)) fs.unlinkSync(reportPath); // stale report of an earlier run
+      reportPath = null;
+    }
+
+    const summary = {
+      policy,
+      missingProducts: missing.length,
+      updatedProducts: applied,
+      heldManufacturers: [...held],
+      reconciledAt: new Date().toISOString(),
+      reportPath,
+    };
+    setFileDiscontinued(fileKey, summary);
+
+    logInfoToFile(
+      `🗄️ ${fileKey}: ${missing.length} product(s) no longer in the feed, ` +
+      `${applied} updated (${policy})` + (reportPath ? ` (report: ${reportPath})` : ``)
+    );
+    return summary;
+  } catch (error) {
+    logErrorToFile(`❌ Discontinued check failed for ${fileKey}: ${error.message}`, error.stack);
+    return null;
+  }
+};
+
+module.exports = {
+  POLICIES,
+  getDiscontinuedPolicy,
+  getDiscontinuedReportPath,
+  findDiscontinuedProducts,
+  buildDiscontinuedUpdate,
+  reconcileDiscontinuedProducts,
+};
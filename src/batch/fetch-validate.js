@@ -8,6 +8,9 @@ NOTES:
 -   1) Tries to find the Woo productId for a CSV row.
 -   2) Fetches the existing Woo product payload by id.
 -   3) If productId cannot be found, records the row as "missing".
+- prefetchBatchProducts() resolves a whole batch up front (a few `include=` /
+  `sku=` requests instead of two per row); fetchProductData() uses its result
+  and only falls back to the per-row search for rows it didn't resolve.
 ================================================================================
 */
 
@@ -15,6 +18,8 @@ const { logErrorToFile, logInfoToFile } = require("../../logger");
 const {
   getProductById,
   getProductIdByPartNumber,
+  getProductsByPartNumbers,
+  lookupKey,
 } = require("../../woo-helpers");
 
 // Use the smart category resolver to get the leaf Woo slug
@@ -29,6 +34,55 @@ const { recordMissingProduct } = require("./io-status");
 // Smart manufacturer resolver: aliases + fuzzy + auto-append new
 const { resolveManufacturerSmart } = require("../../manufacturer-resolver");
 
+/**
+ * @function canonicalManufacturerOf
+ * @param {Object} item - One CSV row.
+ * @returns {{raw:string, canonical:string}} The row's manufacturer as written
+ *   and as resolved by resolveManufacturerSmart().
+ */
+function canonicalManufacturerOf(item) {
+  const raw = item.manufacturer || item.Manufacturer || "";
+  const resolved = resolveManufacturerSmart(raw);
+  return { raw, canonical: (resolved?.canonical || raw || "").trim() };
+}
+
+/**
+ * @function prefetchBatchProducts
+ * @description
+ *   Looks up every row of a batch in one go (see getProductsByPartNumbers in
+ *   woo-helpers.js). Called by processBatch() before its per-row loop.
+ *
+ * @param {Array<Object>} batch - CSV rows of one job.
+ * @param {number} startIndex - Row index of batch[0] (for job ids / logging).
+ * @param {string} fileKey
+ *
+ * @returns {Promise<Map<string, Object>>}
+ *   Full Woo product payloads keyed by lookupKey(part_number, manufacturer).
+ *   Pass it to fetchProductData(). Empty (never throws) if the lookup fails.
+ */
+async function prefetchBatchProducts(batch, startIndex, fileKey) {
+  const lookups = batch
+    .filter((item) => item?.part_number)
+    .map((item) => {
+      const { raw, canonical } = canonicalManufacturerOf(item);
+      return {
+        partNumber: item.part_number,
+        manufacturer: canonical,
+        rawManufacturer: raw,
+        sku: item.sku,
+      };
+    });
+
+  try {
+    return await getProductsByPartNumbers(lookups, fileKey, startIndex);
+  } catch (err) {
+    logErrorToFile(
+      `[prefetchBatchProducts] Batch lookup failed for ${fileKey} at row ${startIndex + 1}, using per-row search: ${err.message}`
+    );
+    return new Map();
+  }
+}
+
 /**
  * @function fetchProductData
  * @description
@@ -52,6 +106,9 @@ const { resolveManufacturerSmart } = require("../../manufacturer-resolver");
  * @param {string}  fileKey
  *   Identifier / filename for the CSV (e.g. "product-microcontrollers-03112025_part4.csv").
  *
+ * @param {Map<string, Object>} [prefetched]
+ *   Result of prefetchBatchProducts(). A hit skips both Woo calls.
+ *
  * @returns {Promise<{productId:number|null,currentData:object|null}>}
  *   - If everything is OK:
  *       { productId: 123, currentData: { ...Woo product payload... } }
@@ -66,18 +123,24 @@ async function fetchProductData(
   item,
   currentIndex,
   totalProductsInFile,
-  fileKey
+  fileKey,
+  prefetched
 ) {
   // STEP 1: Resolve manufacturer to a canonical name
-  const rawManufacturer = item.manufacturer || item.Manufacturer || "";
-  const manufacturerResolved = resolveManufacturerSmart(rawManufacturer);
-  const canonicalManufacturer =
-    manufacturerResolved?.canonical || rawManufacturer || "";
+  const { canonical: canonicalManufacturer } = canonicalManufacturerOf(item);
+
+  // STEP 1b: Already resolved by prefetchBatchProducts() → no requests at all
+  const prefetchedProduct = prefetched?.get(
+    lookupKey(item.part_number, canonicalManufacturer)
+  );
+  if (prefetchedProduct) {
+    return { productId: prefetchedProduct.id, currentData: prefetchedProduct };
+  }
 
   // STEP 2: Try to find the Woo productId using part_number + canonical manufacturer
   const productId = await getProductIdByPartNumber(
     item.part_number,
-    canonicalManufacturer.trim(),
+    canonicalManufacturer,
     currentIndex,
     totalProductsInFile,
     fileKey
@@ -213,4 +276,4 @@ function validateProductMatch(item, currentData, _productId, _fileKey) {
   return true;
 }
 
-module.exports = { fetchProductData, validateProductMatch };
+module.exports = { prefetchBatchProducts, fetchProductData, validateProductMatch };
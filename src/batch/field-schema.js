@@ -0,0 +1,362 @@
+/*
+================================================================================
+FILE: src/batch/field-schema.js
+================================================================================
+
+PURPOSE:
+The ONE declarative description of every product field we read from vendor
+CSVs. Everything that used to keep its own copy now derives from here:
+
+  - createNewData()        (src/batch/map-new-data.js)   → update flow
+  - buildMetaData()        (create-missing-products.js)  → create flow
+  - TRACKED_META_KEYS      (src/batch/compare.js)        → comparison
+  - MAPPING_TARGETS        (csv-mapping-store.js)        → mapping UI
+
+WHY?
+map-new-data.js and create-missing-products.js used to define separate
+FIELD_ALIASES tables AND separate header-cleaning rules, so the same column
+could land on different keys in the update and create flows (e.g. "MPN",
+"Brand" and "Qty" were only understood when creating products).
+
+FIELD DEFINITION:
+  key      Canonical row key (what a row looks like after canonicalizeRow())
+  label    Human-readable name (mapping UI)
+  group    UI grouping
+  type     "string" | "text" | "integer" | "price" | "url"
+  meta     meta_data key the value is written to (null = not a meta field)
+  top      true when written as a top-level Woo product field (sku, prices)
+  special  true when the flows build the value with custom code
+           (datasheet rules, additional_key_information, price breaks, ...)
+  tracked  true when the meta key is compared in isUpdateNeeded()
+  mappable false hides the field from the mapping UI (derived fields)
+  aliases  Normalized header names (see normalizeFieldKey) that mean this field
+
+HEADER NORMALIZATION (both flows):
+  trim → lowercase → every run of non [a-z0-9] becomes "_" → trim "_"
+    "Manufacturer Part Number*" → "manufacturer_part_number"
+    "Voltage - Input (Max)"     → "voltage_input_max"
+    "Package / Case"            → "package_case"
+
+================================================================================
+*/
+
+const { normalizePrice, isAmbiguousPrice } = require("./price-utils");
+
+/** @type {Array<Object>} See FIELD DEFINITION above. */
+const FIELD_SCHEMA = [
+  // ========== IDENTITY ==========
+  {
+    key: "part_number", label: "Part Number", group: "Identity", type: "string",
+    meta: "part_number", special: true, tracked: true, required: true,
+    aliases: ["manufacturer_part_number", "mfr_part_number", "mpn", "partnumber", "part_no", "part_num", "part", "pn"],
+  },
+  {
+    key: "manufacturer", label: "Manufacturer", group: "Identity", type: "string",
+    meta: "manufacturer", tracked: true,
+    aliases: ["mfr", "mfg", "brand", "vendor", "supplier", "make"],
+  },
+  {
+    key: "category", label: "Category", group: "Identity", type: "string",
+    meta: null,
+    aliases: ["cat", "product_category", "categorypath", "category_path", "categories", "prod_category"],
+  },
+  {
+    key: "sku", label: "SKU", group: "Identity", type: "string",
+    meta: null, top: true,
+    aliases: [],
+  },
+  {
+    key: "part_title", label: "Product Name", group: "Identity", type: "string",
+    meta: null,
+    aliases: ["product_name", "title", "name", "product_title"],
+  },
+
+  // ========== STOCK & PRICING ==========
+  {
+    key: "quantity", label: "Quantity", group: "Stock & Pricing", type: "integer",
+    meta: "quantity", tracked: true,
+    aliases: ["stock_quantity", "quantity_available", "qty", "stock", "available_qty", "avail_qty", "inventory", "in_stock", "qty_available"],
+  },
+  {
+    key: "manufacturer_lead_weeks", label: "Lead Time (weeks)", group: "Stock & Pricing", type: "string",
+    meta: "manufacturer_lead_weeks",
+    aliases: ["leadtime", "lead_time", "lead_weeks"],
+  },
+  {
+    key: "spq", label: "SPQ", group: "Stock & Pricing", type: "integer",
+    meta: "spq", tracked: true,
+    aliases: ["standard_package_qty", "standard_pack_qty", "min_qty"],
+  },
+  {
+    key: "regular_price", label: "Regular Price", group: "Stock & Pricing", type: "price",
+    meta: null, top: true,
+    aliases: ["price", "unit_price", "list_price"],
+  },
+  {
+    key: "sale_price", label: "Sale Price", group: "Stock & Pricing", type: "price",
+    meta: null, top: true,
+    aliases: ["special_price", "promo_price"],
+  },
+  {
+    key: "price_breaks", label: "Price Breaks", group: "Stock & Pricing", type: "text",
+    meta: "price_breaks", special: true, tracked: true, mappable: false,
+    aliases: [],
+  },
+
+  // ========== CONTENT ==========
+  {
+    key: "part_description", label: "Description", group: "Content", type: "text",
+    meta: null,
+    aliases: ["product_description", "description", "desc", "part_desc"],
+  },
+  {
+    key: "short_description", label: "Short Description", group: "Content", type: "text",
+    meta: "short_description", tracked: true,
+    aliases: ["short_product_description", "brief_description", "summary"],
+  },
+  {
+    key: "detail_description", label: "Detailed Description", group: "Content", type: "text",
+    meta: "detail_description", tracked: true,
+    aliases: ["detailed_product_description", "long_description", "full_description", "extended_description"],
+  },
+  {
+    key: "additional_info", label: "Additional Key Information", group: "Content", type: "text",
+    meta: "additional_key_information", special: true, tracked: true,
+    aliases: ["additional_key_information"],
+  },
+  {
+    key: "datasheet", label: "Datasheet URL", group: "Content", type: "url",
+    meta: "datasheet", mirrorMeta: "datasheet_url", special: true, tracked: true,
+    aliases: ["datasheet_url", "datasheeturl", "pdf_url", "spec_sheet", "specsheet", "spec_url", "documentation_url", "doc_url"],
+  },
+  {
+    key: "image_url", label: "Image URL", group: "Content", type: "url",
+    meta: "image_url", tracked: true,
+    aliases: ["image_attachment_url", "imageurl", "product_image", "image", "photo_url", "picture_url", "img_url", "thumbnail", "product_image_url"],
+  },
+  {
+    key: "series", label: "Series", group: "Content", type: "string",
+    meta: "series", tracked: true,
+    aliases: ["product_series", "product_line", "family"],
+  },
+  {
+    key: "series_url", label: "Series URL", group: "Content", type: "url",
+    meta: "series_url", tracked: true,
+    aliases: [],
+  },
+
+  // ========== SPECS ==========
+  {
+    key: "operating_temperature", label: "Operating Temperature", group: "Specs", type: "string",
+    meta: "operating_temperature", tracked: true,
+    aliases: ["temp_range", "temperature", "temp", "operating_temp", "op_temp", "temperature_range"],
+  },
+  {
+    key: "voltage", label: "Voltage", group: "Specs", type: "string",
+    meta: "voltage", tracked: true,
+    aliases: ["voltage_supply", "voltage_input_max", "voltage_input", "voltage_max", "operating_voltage", "supply_voltage", "input_voltage", "vcc", "v_supply"],
+  },
+  {
+    key: "package", label: "Package / Case", group: "Specs", type: "string",
+    meta: "package", tracked: true,
+    aliases: ["package_case", "case_package", "package_type", "pkg"],
+  },
+  {
+    key: "packaging", label: "Packaging", group: "Specs", type: "string",
+    meta: "packaging",
+    aliases: [],
+  },
+  {
+    key: "supplier_device_package", label: "Supplier Device Package", group: "Specs", type: "string",
+    meta: "supplier_device_package", tracked: true,
+    aliases: ["supplier_package"],
+  },
+  {
+    key: "mounting_type", label: "Mounting Type", group: "Specs", type: "string",
+    meta: "mounting_type", tracked: true,
+    aliases: ["mount_type", "mount", "mounting", "mounting_style"],
+  },
+  {
+    key: "termination_style", label: "Termination Style", group: "Specs", type: "string",
+    meta: null,
+    aliases: ["termination", "lead_style", "lead_type", "terminal_type"],
+  },
+  {
+    key: "dimensions", label: "Dimensions", group: "Specs", type: "string",
+    meta: "dimensions",
+    aliases: ["size_dimension", "size_dimensions", "size", "package_size", "dim", "dimension", "physical_dimensions", "case_size"],
+  },
+  {
+    key: "capacitance", label: "Capacitance", group: "Specs", type: "string",
+    meta: "capacitance",
+    aliases: ["capacitance_frequency", "cap_value", "cap"],
+  },
+
+  // ========== COMPLIANCE ==========
+  {
+    key: "rohs_status", label: "RoHS Status", group: "Compliance", type: "string",
+    meta: "rohs_status", tracked: true,
+    aliases: ["rohs_compliance", "rohs", "rohscompliant", "rohs_compliant", "rohsstatus", "rohs_certified"],
+  },
+  {
+    key: "reach_status", label: "REACH Status", group: "Compliance", type: "string",
+    meta: "reach_status", tracked: true,
+    aliases: ["reach_compliance", "reach", "reachstatus", "reach_compliant", "reachcompliant"],
+  },
+  {
+    key: "moisture_sensitivity_level", label: "Moisture Sensitivity Level", group: "Compliance", type: "string",
+    meta: "moisture_sensitivity_level", tracked: true,
+    aliases: ["msl", "moisturesensitivitylevel", "moisture_level"],
+  },
+  {
+    key: "export_control_class_number", label: "ECCN", group: "Compliance", type: "string",
+    meta: "export_control_class_number", tracked: true,
+    aliases: ["eccn", "eccn_code", "exportcontrolclassnumber", "export_class", "export_control"],
+  },
+  {
+    key: "htsus_code", label: "HTSUS Code", group: "Compliance", type: "string",
+    meta: "htsus_code", tracked: true,
+    aliases: ["hts_code", "hts", "htsuscode", "tariff_code", "harmonized_code", "hs_code", "customs_code"],
+  },
+];
+
+// =============================================================================
+// DERIVED LOOKUPS
+// =============================================================================
+
+/** key → field definition */
+const FIELDS_BY_KEY = FIELD_SCHEMA.reduce((acc, field) => {
+  acc[field.key] = field;
+  return acc;
+}, {});
+
+/**
+ * Normalized header → canonical key (every alias, plus each key itself).
+ */
+const FIELD_ALIASES = FIELD_SCHEMA.reduce((acc, field) => {
+  acc[field.key] = field.key;
+  field.aliases.forEach((alias) => {
+    acc[alias] = field.key;
+  });
+  return acc;
+}, {});
+
+/**
+ * meta_data keys compared in isUpdateNeeded() / filterCurrentData().
+ */
+const TRACKED_META_KEYS = FIELD_SCHEMA
+  .filter((field) => field.tracked && field.meta)
+  .flatMap((field) => [field.meta, field.mirrorMeta].filter(Boolean));
+
+/** Mapping target that drops a column entirely (not even added to additional_key_information). */
+const IGNORE_TARGET = "ignore";
+
+/** Prefix of a mapping target that writes a column straight to a (custom) meta_data key. */
+const META_TARGET_PREFIX = "meta:";
+
+/**
+ * Fields offered in the mapping UI ({ value, label, group }).
+ */
+const MAPPING_TARGETS = FIELD_SCHEMA
+  .filter((field) => field.mappable !== false)
+  .map(({ key, label, group }) => ({ value: key, label, group }));
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Shared header normalization rule (see HEADER NORMALIZATION above).
+ *
+ * @param {unknown} header
+ * @returns {string}
+ */
+const normalizeFieldKey = (header) =>
+  String(header ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+/**
+ * Canonical key for a raw or normalized header ("Mfr" → "manufacturer").
+ * Unknown headers come back normalized but otherwise unchanged.
+ *
+ * @param {string} header
+ * @returns {string}
+ */
+const resolveFieldKey = (header) => {
+  const normalized = normalizeFieldKey(header);
+  return FIELD_ALIASES[normalized] || normalized;
+};
+
+/**
+ * Rewrites a raw CSV row to canonical keys. When several columns resolve to
+ * the same key, the last non-empty one wins.
+ *
+ * @param {Object} rawRow
+ * @returns {Object}
+ */
+const canonicalizeRow = (rawRow) => {
+  const out = {};
+  Object.keys(rawRow || {}).forEach((header) => {
+    const key = resolveFieldKey(header);
+    if (!key) return;
+    const value = rawRow[header];
+    if (out[key] === undefined || (value !== "" && value !== null && value !== undefined)) {
+      out[key] = value;
+    }
+  });
+  return out;
+};
+
+/**
+ * Type/required check for one canonical field value.
+ *
+ * @param {string} key - Canonical field key
+ * @param {unknown} value
+ * @returns {string|null} Error message, or null when valid (unknown keys are always valid)
+ *
+ * @example
+ * validateFieldValue("quantity", "12.00") // null
+ * validateFieldValue("quantity", "1000+") // null
+ * validateFieldValue("quantity", "12a")   // 'Quantity: "12a" is not a whole number'
+ */
+const validateFieldValue = (key, value) => {
+  const field = FIELDS_BY_KEY[key];
+  if (!field) return null;
+
+  const text = String(value ?? "").trim();
+  if (!text) return field.required ? `${field.label} is required` : null;
+
+  switch (field.type) {
+    case "integer":
+      // Excel exports whole numbers as "12.00" / "5.0" - those are fine, and
+      // so are stock levels like "1000+" / ">500" (parseStockQuantity reads
+      // them as 1000 / 500)
+      return /^(?:[<>]=?\s*)?\d[\d,]*(\.0+)?\+?$/.test(text) ? null : `${field.label}: "${text}" is not a whole number`;
+    case "price":
+      if (isAmbiguousPrice(text)) {
+        return `${field.label}: "${text}" is ambiguous (thousands or decimals?) - write it as e.g. "1234.00" or "1,234.00"`;
+      }
+      return normalizePrice(text) !== "" ? null : `${field.label}: "${text}" is not a valid price`;
+    case "url":
+      return /^https?:\/\/\S+$/i.test(text) ? null : `${field.label}: "${text}" is not a URL`;
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  FIELD_SCHEMA,
+  FIELDS_BY_KEY,
+  FIELD_ALIASES,
+  TRACKED_META_KEYS,
+  MAPPING_TARGETS,
+  IGNORE_TARGET,
+  META_TARGET_PREFIX,
+  normalizeFieldKey,
+  resolveFieldKey,
+  canonicalizeRow,
+  validateFieldValue,
+};
@@ -10,27 +10,37 @@ WHY HERE?
 const { appRedis } = require("../../queue");
 const { wooApi } = require("../../woo-helpers");
 const { scheduleApiRequest } = require("../../job-manager");
+const { isTransientError, getErrorStatus } = require("../../adaptive-limiter");
 const { logErrorToFile, logInfoToFile } = require("../../logger");
 const { createUniqueJobId } = require("../../utils");
-const { isUpdateNeeded } = require("./compare");
+const { isUpdateNeeded, getFieldChanges } = require("./compare");
+const { STOCK_FIELDS } = require("./stock-utils");
+const { recordChangeHistory } = require("./change-history");
 
 /**
 * @function handleQuantityUpdate
-* @description Pushes a minimal update when quantity value actually changes.
+* @description Pushes a minimal update when the quantity meta (or, with
+* STOCK_MODE=native, any native stock field) actually changes.
 * @returns {boolean} true if we queued an update; false if skipped.
 */
 function handleQuantityUpdate(newData, currentData, toUpdate, productId, item) {
-  const currentQuantity = currentData.meta_data.find((m) => m.key === "quantity")?.value || "0";
   const newQuantity = newData.meta_data.find((m) => m.key === "quantity")?.value || "0";
 
-  if (currentQuantity === newQuantity) {
-    logInfoToFile(`🔎 Skipping ${item.part_number}, quantity unchanged: ${currentQuantity}`);
+  if (getFieldChanges(currentData, newData, "quantity").length === 0) {
+    logInfoToFile(`🔎 Skipping ${item.part_number}, stock unchanged: ${newQuantity}`);
     return false;
   }
 
+  // Native stock fields ride along only when createNewData() produced them
+  const stockFields = {};
+  STOCK_FIELDS.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(newData, field)) stockFields[field] = newData[field];
+  });
+
   toUpdate.push({
     id: productId,
     manufacturer: item.manufacturer,
+    ...stockFields,
     meta_data: [{ key: "quantity", value: String(newQuantity) }],
   });
 
@@ -42,7 +52,7 @@ function handleQuantityUpdate(newData, currentData, toUpdate, productId, item) {
 * @description Queues a full update (entire newData) only if comparison says so.
 */
 function handleFullUpdate(newData, currentData, toUpdate, productId, item, fileKey) {
-  if (!isUpdateNeeded(currentData, newData, undefined, undefined, item.part_number, fileKey)) {
+  if (!isUpdateNeeded(currentData, newData, undefined, undefined, item.part_number, fileKey, "full")) {
     logInfoToFile(`Skipping ${item.part_number} (no changes detected).`);
     return false;
   }
@@ -50,44 +60,164 @@ function handleFullUpdate(newData, currentData, toUpdate, productId, item, fileK
   return true;
 }
 
+/**
+* @typedef {Object} BatchItemFailure
+* @property {number} id - Woo product id.
+* @property {string} code - Woo error code ("woocommerce_rest_product_invalid_id",
+*   "http_500" for a request that failed as a whole, ...).
+* @property {string} message
+* @property {number|null} status - HTTP status Woo gave for the item, if any.
+*/
+
+/**
+* @typedef {Object} BatchUpdateResult
+* @property {number[]} updated - Ids Woo confirmed.
+* @property {BatchItemFailure[]} failed - Ids that still failed after retries.
+*/
+
+/**
+* Item statuses a retry can't fix (bad payload, unknown / forbidden product).
+*/
+const PERMANENT_ITEM_STATUSES = [400, 401, 403, 404, 409];
+
+/**
+* @function parseBatchResponse
+* @description Splits a products/batch response into confirmed and failed ids.
+* Woo answers 200 even when items fail: each entry of `update` is either the
+* saved product or `{ id, error: { code, message, data: { status } } }`.
+* @param {Array<{id:number}>} sent - The `update` items that were sent.
+* @param {Object} responseData - response.data of the batch call.
+* @returns {{succeeded:number[], failed:BatchItemFailure[]}}
+*/
+function parseBatchResponse(sent, responseData) {
+  const results = Array.isArray(responseData?.update) ? responseData.update : [];
+  const byId = new Map(results.filter((r) => r?.id).map((r) => [Number(r.id), r]));
+  const succeeded = [];
+  const failed = [];
+
+  sent.forEach((item, index) => {
+    // Woo answers in request order; an error entry may come back without an id
+    const result = byId.get(Number(item.id)) ||
+      (results.length === sent.length && !results[index]?.id ? results[index] : undefined);
+
+    if (!result) {
+      failed.push({ id: item.id, code: "missing_from_response", message: "Not in the products/batch response", status: null });
+    } else if (result.error) {
+      failed.push({
+        id: item.id,
+        code: result.error.code || "unknown_error",
+        message: result.error.message || "",
+        status: result.error.data?.status ?? null,
+      });
+    } else {
+      succeeded.push(item.id);
+    }
+  });
+
+  return { succeeded, failed };
+}
+
+/**
+* @function sendBatch
+* @description One products/batch call. If the request fails as a whole (not
+* a transient error - the limiter already retried those), the items are split
+* in halves and sent again, so one bad product can't sink the rest; a single
+* item that still fails is reported with code "http_<status>".
+* @throws {Error} on transient errors (429/5xx, dropped connections) - BullMQ retries the job.
+*/
+async function sendBatch(items, fileKey, attempt) {
+  try {
+    const jobId = createUniqueJobId(fileKey, "processBatch", 0, attempt);
+    const response = await scheduleApiRequest(
+      () => wooApi.put("products/batch", { update: items }),
+      { id: jobId }
+    );
+    return parseBatchResponse(items, response.data);
+  } catch (err) {
+    if (isTransientError(err)) throw new Error(`Batch update hit a transient error, job will be retried: ${err.message}`);
+
+    const status = getErrorStatus(err);
+    if (items.length === 1) {
+      return {
+        succeeded: [],
+        failed: [{ id: items[0].id, code: `http_${status ?? "error"}`, message: err.message, status }],
+      };
+    }
+
+    const middle = Math.ceil(items.length / 2);
+    logErrorToFile(
+      `Batch update of ${items.length} item(s) for file="${fileKey}" failed (${err.message}) - splitting into ${middle} + ${items.length - middle}`
+    );
+    const first = await sendBatch(items.slice(0, middle), fileKey, attempt);
+    const second = await sendBatch(items.slice(middle), fileKey, attempt);
+    return {
+      succeeded: [...first.succeeded, ...second.succeeded],
+      failed: [...first.failed, ...second.failed],
+    };
+  }
+}
+
 /**
 * @function executeBatchUpdate
-* @description Sends the collected `toUpdate` payload to Woo via bulk endpoint.
-* Retries with exponential backoff on errors.
+* @description Sends the collected `toUpdate` payload to Woo via bulk endpoint
+* and checks every item of the response (see parseBatchResponse).
+* Only the items that failed are retried, with exponential backoff; items
+* failing with a permanent status (PERMANENT_ITEM_STATUSES) are not retried.
 * @param {Array} toUpdate - The array of WooUpdate objects.
 * @param {string} fileKey - Used for Redis counters + job id.
-* @param {number} MAX_RETRIES - Max attempts before surfacing fatal error.
+* @param {number} MAX_RETRIES - Max attempts per item.
+* @param {Array} [snapshots] - Rollback snapshots for `toUpdate` (see change-history.js).
+* @returns {Promise<BatchUpdateResult>}
 * @effects
-* - Increments Redis key `updated-products:<fileKey>` by the number of
-* successfully updated items reported by Woo.
-* @throws {Error} when all retries fail.
+* - Writes the snapshots to change_history.json BEFORE anything is sent, so a
+* rollback is possible even if the request half-succeeds.
+* - Increments Redis `updated-products:<fileKey>` by the items Woo confirmed
+* and `failed-products:<fileKey>` by the items that failed for good.
+* @throws {Error} when a transient error outlives the limiter's retries. No
+* counter is touched then: BullMQ retries the job and re-sends everything
+* (updates are idempotent).
 */
-async function executeBatchUpdate(toUpdate, fileKey, MAX_RETRIES) {
+async function executeBatchUpdate(toUpdate, fileKey, MAX_RETRIES, snapshots = []) {
   if (toUpdate.length === 0) {
     logInfoToFile(`No valid products to update in this batch for ${fileKey}. Done.`);
-    return;
+    return { updated: [], failed: [] };
   }
 
-  let attempts = 0;
-  while (attempts < MAX_RETRIES) {
-    try {
-      const jobId = createUniqueJobId(fileKey, "processBatch", 0, attempts);
-      const response = await scheduleApiRequest(
-        () => wooApi.put("products/batch", { update: toUpdate }),
-        { id: jobId }
-      );
-
-      const updatedCount = response.data?.update?.length || 0;
-      await appRedis.incrBy(`updated-products:${fileKey}`, updatedCount);
-      return; // success
-    } catch (err) {
-      attempts++;
-      logErrorToFile(`Batch update attempt ${attempts} for file="${fileKey}" failed: ${err.message}`);
-      if (attempts >= MAX_RETRIES) throw new Error(`Batch update failed permanently after ${MAX_RETRIES} attempts.`);
-      // Exponential backoff: 2^attempts seconds
-      await new Promise((r) => setTimeout(r, Math.pow(2, attempts) * 1000));
+  recordChangeHistory(fileKey, snapshots);
+
+  const updated = [];
+  const failed = [];
+  let pending = toUpdate;
+  let retrying = [];
+
+  for (let attempt = 0; attempt < MAX_RETRIES && pending.length > 0; attempt++) {
+    if (attempt > 0) {
+      logInfoToFile(`Retrying ${pending.length} failed item(s) for file="${fileKey}" (attempt ${attempt + 1})`);
+      // Exponential backoff: 2^attempt seconds
+      await new Promise((r) => setTimeout(r, Math.pow(2, attempt) * 1000));
     }
+
+    const result = await sendBatch(pending, fileKey, attempt);
+    updated.push(...result.succeeded);
+
+    retrying = result.failed.filter((f) => !PERMANENT_ITEM_STATUSES.includes(f.status));
+    failed.push(...result.failed.filter((f) => PERMANENT_ITEM_STATUSES.includes(f.status)));
+
+    const retryIds = new Set(retrying.map((f) => f.id));
+    pending = pending.filter((item) => retryIds.has(item.id));
+  }
+  failed.push(...retrying); // out of attempts
+
+  if (updated.length > 0) await appRedis.incrBy(`updated-products:${fileKey}`, updated.length);
+  if (failed.length > 0) {
+    await appRedis.incrBy(`failed-products:${fileKey}`, failed.length);
+    logErrorToFile(
+      `Batch update for file="${fileKey}": ${failed.length}/${toUpdate.length} item(s) failed - ` +
+      failed.map((f) => `${f.id} (${f.code})`).join(", ")
+    );
   }
+
+  return { updated, failed };
 }
 
-module.exports = { handleQuantityUpdate, handleFullUpdate, executeBatchUpdate };
+module.exports = { handleQuantityUpdate, handleFullUpdate, parseBatchResponse, executeBatchUpdate };
@@ -11,6 +11,7 @@ WHY A SEPARATE FILE?
 const fs = require("fs");
 const path = require("path");
 const { logErrorToFile, logInfoToFile } = require("../../logger");
+const { getRunResultsPath } = require("../../run-history");
 
 /**
 * @typedef {Object} BatchStatus
@@ -74,6 +75,193 @@ const recordBatchStatus = (fileKey, updatedParts, skippedParts, failedParts) =>
   }
 };
 
+/**
+* @typedef {Object} DryRunChange
+* @property {number} row - 1-based CSV data row.
+* @property {number} productId - Woo product id that would be updated.
+* @property {string} partNumber - Part number from the CSV row.
+* @property {string} field - Changed field ("sku", "meta_data.quantity", ...).
+* @property {any} currentValue - Value currently stored in Woo.
+* @property {any} newValue - Value the CSV would write.
+*/
+
+// ./batch_status/<fileKey no .csv>/dry_run_diff.json
+const getDryRunDiffPath = (fileKey) =>
+  path.join(__dirname, "../../batch_status", fileKey.replace(/\.csv$/, ""), "dry_run_diff.json");
+
+/**
+* @function resetDryRunDiff
+* @description Removes the file's dry-run report before a fresh pass over the
+* file (readCSVAndEnqueueJobs), so the preview only shows this pass' changes.
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @failure Never throws; logs errors to file.
+*/
+const resetDryRunDiff = (fileKey) => {
+  try {
+    fs.rmSync(getDryRunDiffPath(fileKey), { force: true });
+  } catch (err) {
+    logErrorToFile(`❌ Error resetting dry-run diff file: ${err.message}`);
+  }
+};
+
+/**
+* @function recordDryRunDiff
+* @description Appends per-field changes found during a dry run to a JSON report
+* next to batch_status.json, so a vendor file can be reviewed before it is applied.
+* A row recorded again (job retry) replaces its earlier changes.
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @param {DryRunChange[]} changes - Changes collected for one batch.
+* @effects Writes/creates: ./batch_status/<fileKey no .csv>/dry_run_diff.json
+* @failure Never throws; logs errors to file.
+*/
+const recordDryRunDiff = (fileKey, changes) => {
+  if (!Array.isArray(changes) || changes.length === 0) return;
+
+  try {
+    const diffFilePath = getDryRunDiffPath(fileKey);
+    fs.mkdirSync(path.dirname(diffFilePath), { recursive: true });
+
+    /** @type {{fileKey:string, changes:DryRunChange[]}} */
+    let report = { fileKey, changes: [] };
+
+    // Merge with earlier batches of the same file
+    if (fs.existsSync(diffFilePath)) {
+      try {
+        report = JSON.parse(fs.readFileSync(diffFilePath, "utf-8"));
+      } catch (err) {
+        logErrorToFile(`❌ Error reading dry-run diff file: ${err.message}`);
+      }
+    }
+
+    const rows = new Set(changes.map(({ row }) => row));
+    report.changes = report.changes.filter(({ row }) => !rows.has(row)).concat(changes);
+    report.updatedAt = new Date().toISOString();
+
+    fs.writeFileSync(diffFilePath, JSON.stringify(report, null, 2));
+    logInfoToFile(`✅ Saved ${changes.length} dry-run change(s) to ${diffFilePath}`);
+  } catch (err) {
+    logErrorToFile(`❌ Error writing dry-run diff file: ${err.message}`);
+  }
+};
+
+/**
+* @typedef {Object} UpdateResult
+* @property {number} productId - Woo product id.
+* @property {number} row - 1-based CSV data row.
+* @property {string} partNumber - Part number from the CSV row.
+* @property {string} [code] - Woo error code (failed items only).
+* @property {string} [message] - Woo error message (failed items only).
+*/
+
+/**
+* @function recordUpdateResults
+* @description Records, per product id, whether Woo confirmed the update or
+* which error it returned (see executeBatchUpdate in handlers.js). A product
+* confirmed later (e.g. by a job retry) leaves the failed list.
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @param {{updated:UpdateResult[], failed:UpdateResult[]}} results - One batch.
+* @effects Writes/creates: ./batch_status/<fileKey no .csv>/update_results.json
+* @failure Never throws; logs errors to file.
+*/
+const recordUpdateResults = (fileKey, { updated = [], failed = [] }) => {
+  if (updated.length === 0 && failed.length === 0) return;
+
+  try {
+    const statusDir = path.join(
+      __dirname,
+      "../../batch_status",
+      fileKey.replace(/\.csv$/, "")
+    );
+
+    if (!fs.existsSync(statusDir)) fs.mkdirSync(statusDir, { recursive: true });
+
+    const resultsFilePath = path.join(statusDir, "update_results.json");
+
+    let report = { fileKey, updated: {}, failed: {} };
+
+    // Merge with earlier batches of the same file
+    if (fs.existsSync(resultsFilePath)) {
+      try {
+        report = JSON.parse(fs.readFileSync(resultsFilePath, "utf-8"));
+      } catch (err) {
+        logErrorToFile(`❌ Error reading update results file: ${err.message}`);
+      }
+    }
+
+    const at = new Date().toISOString();
+    updated.forEach(({ productId, row, partNumber }) => {
+      report.updated[productId] = { row, partNumber, at };
+      delete report.failed[productId];
+    });
+    failed.forEach(({ productId, row, partNumber, code, message }) => {
+      report.failed[productId] = { row, partNumber, code, message, at };
+    });
+    report.updatedAt = at;
+
+    fs.writeFileSync(resultsFilePath, JSON.stringify(report, null, 2));
+    logInfoToFile(
+      `✅ Saved update results (${updated.length} updated, ${failed.length} failed) to ${resultsFilePath}`
+    );
+  } catch (err) {
+    logErrorToFile(`❌ Error writing update results file: ${err.message}`);
+  }
+};
+
+/**
+* Outcome of one CSV row in a run (see RowOutcome).
+*/
+const ROW_OUTCOMES = {
+  UPDATED: "updated",
+  WOULD_UPDATE: "would_update", // dry run
+  UNCHANGED: "unchanged",
+  NOT_FOUND: "not_found",
+  MISMATCH: "mismatch",
+  REJECTED: "rejected", // failed validation, never enqueued
+  FAILED: "failed",
+};
+
+/**
+* @typedef {Object} RowOutcome
+* @property {number} row - 1-based CSV data row.
+* @property {string|null} partNumber - Part number from the CSV row.
+* @property {string|null} manufacturer - Manufacturer from the CSV row.
+* @property {number|null} productId - Woo product id, when one was matched.
+* @property {string} outcome - One of ROW_OUTCOMES.
+* @property {string[]} fieldsChanged - Fields written (or that would be, in a dry run).
+* @property {string|null} error - Why the row failed.
+*/
+
+/**
+* @function recordRowOutcomes
+* @description Appends one batch's row outcomes to the run's results, one JSON
+* line per row (appending keeps concurrent batches of a run from overwriting
+* each other). A row recorded again (job retry, dead-letter replay) replaces
+* its earlier outcome when the results are read (loadRunResults).
+* @param {string} runId - Run the batch belongs to (run-history.js).
+* @param {RowOutcome[]} outcomes
+* @effects Appends to: <RUN_HISTORY_DIR>/<runId>.rows.jsonl
+* @failure Never throws; logs errors to file.
+*/
+const recordRowOutcomes = (runId, outcomes) => {
+  if (!Array.isArray(outcomes) || outcomes.length === 0) return;
+
+  try {
+    const resultsFilePath = getRunResultsPath(runId);
+    if (!resultsFilePath) throw new Error(`invalid run id "${runId}"`);
+
+    fs.mkdirSync(path.dirname(resultsFilePath), { recursive: true });
+
+    const at = new Date().toISOString();
+    fs.appendFileSync(
+      resultsFilePath,
+      outcomes.map((outcome) => JSON.stringify({ ...outcome, at })).join("\n") + "\n"
+    );
+    logInfoToFile(`✅ Saved ${outcomes.length} row outcome(s) to ${resultsFilePath}`);
+  } catch (err) {
+    logErrorToFile(`❌ Error writing row outcomes of run ${runId}: ${err.message}`);
+  }
+};
+
 /**
  * @function recordMissingProduct
  * @description
@@ -166,4 +354,12 @@ const recordMissingProduct = (
   }
 };
 
-module.exports = { recordBatchStatus, recordMissingProduct };
+module.exports = {
+  ROW_OUTCOMES,
+  recordBatchStatus,
+  resetDryRunDiff,
+  recordDryRunDiff,
+  recordUpdateResults,
+  recordRowOutcomes,
+  recordMissingProduct,
+};
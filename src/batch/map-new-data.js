@@ -4,68 +4,96 @@ FILE: src/batch/map-new-data.js
 PURPOSE: Convert a CSV row into a WooCommerce "update" payload.
 SCOPE:
 - Header normalization
-- Known-field mapping (→ meta_data)
+- Per-file column mapping profile (csv-mappings.json → mapping.columns)
+- Known-field mapping (→ meta_data), driven by field-schema.js
 - Special rules (datasheet, image_url, etc.)
+- Pricing: regular/sale price + price-break tiers (see price-utils.js)
+- Native stock fields when STOCK_MODE=native (see stock-utils.js)
 - Fallback assembly of `additional_key_information`
 ================================================================================
 */
 
-const { normalizeText } = require("./text-utils");
-
-// Map raw normalized CSV headers -> canonical keys your code uses everywhere
-const FIELD_ALIASES = {
-  // Column 1/2 name variants
-  "manufacturer_part_number": "part_number",
-  "mfr_part_number": "part_number",
-
-  // Description variants (column 2 may be any of these)
-  "product_description": "part_description",
-  "short_product_description": "short_description",
-  "detailed_product_description": "detail_description",
-
-  // New or variant spec names
-  "stock_quantity": "quantity",          // ACF "quantity"
-  "quantity_available": "quantity",      // keep existing
-  "voltage": "voltage",                  // keep it canonical
-  "operating_temperature": "operating_temperature",
-  "supplier_device_package": "supplier_device_package",
-  "packaging": "packaging",              // new
-  "rohs_compliance": "rohs_status",
-  "reach_compliance": "reach_status",
-  "hts_code": "htsus_code",
-  "eccn": "export_control_class_number",
-  "moisture_sensitivity_level": "moisture_sensitivity_level",
-
-  // URL field variants (after asterisk removal)
-  "datasheet_url": "datasheet",
-  "image_attachment_url": "image_url",
-  "image_url": "image_url"
-};
+const { normalizePrice, extractPriceBreaks, serializePriceBreaks } = require("./price-utils");
+const { isNativeStockEnabled, deriveStockFields } = require("./stock-utils");
+const {
+  FIELD_SCHEMA,
+  FIELDS_BY_KEY,
+  FIELD_ALIASES,
+  IGNORE_TARGET,
+  META_TARGET_PREFIX,
+  normalizeFieldKey,
+  canonicalizeRow,
+} = require("./field-schema");
 
-// Apply aliases before mapping
-const applyAliases = (normalizedRow) => {
-  const out = {};
-  for (const [k, v] of Object.entries(normalizedRow)) {
-    const alias = FIELD_ALIASES[k] || k;
-    out[alias] = v;
-  }
-  return out;
-};
+// Header rule + aliases come from the shared field schema (field-schema.js),
+// so the update flow and create-missing-products.js agree on every column.
+const applyAliases = (normalizedRow) => canonicalizeRow(normalizedRow);
+
+/**
+* @function normalizeColumnKey
+* @description Header normalization rule shared by rows and mapping profiles
+* (e.g., "Voltage / Supply" → "voltage_supply", "Datasheet URL*" → "datasheet_url").
+*/
+const normalizeColumnKey = (key) => normalizeFieldKey(key);
 
 /**
 * @function normalizeCsvHeaders
 * @description Produces a case/space-insensitive row so upstream CSV idiosyncrasies
-* don't propagate (e.g., "Voltage / Supply" → "voltage___supply").
+* don't propagate (e.g., "Voltage / Supply" → "voltage_supply").
 */
 const normalizeCsvHeaders = (item) => {
   const out = {};
   Object.keys(item).forEach((key) => {
-    const normalizedKey = key.trim().toLowerCase().replace(/\s+/g, "_").replace(/[^a-z0-9_]/g, "");
-    out[normalizedKey] = item[key];
+    out[normalizeColumnKey(key)] = item[key];
   });
   return out;
 };
 
+/**
+* @function applyColumnMap
+* @description Applies a file's mapping profile (`mapping.columns`) to a
+* normalized row. Mapped columns win over FIELD_ALIASES; unmapped columns
+* still go through the aliases as before.
+* @param {Object} normalizedRow - Output of normalizeCsvHeaders().
+* @param {Object} [columns] - { "<vendor header>": "<target>" } where target is a
+* canonical row key, "meta:<key>" or "ignore".
+* @returns {{row:Object, mappedMeta:WooMeta[]}} The canonical row, plus meta
+* entries for "meta:<key>" targets (kept out of the row so they never land in
+* additional_key_information).
+*/
+const applyColumnMap = (normalizedRow, columns) => {
+  if (!columns || typeof columns !== "object") {
+    return { row: applyAliases(normalizedRow), mappedMeta: [] };
+  }
+
+  // Profile keys are raw vendor headers - normalize them like the row keys
+  const targets = {};
+  Object.entries(columns).forEach(([header, target]) => {
+    targets[normalizeColumnKey(header)] = target;
+  });
+
+  const unmapped = {};
+  const explicit = {};
+  const mappedMeta = [];
+
+  for (const [key, value] of Object.entries(normalizedRow)) {
+    const target = targets[key];
+
+    if (!target) {
+      unmapped[key] = value;
+    } else if (target === IGNORE_TARGET) {
+      continue;
+    } else if (target.startsWith(META_TARGET_PREFIX)) {
+      mappedMeta.push({ key: target.slice(META_TARGET_PREFIX.length), value: value ?? "" });
+    } else {
+      // Targets saved before a field was renamed still resolve via its aliases
+      explicit[FIELD_ALIASES[target] || target] = value;
+    }
+  }
+
+  return { row: { ...applyAliases(unmapped), ...explicit }, mappedMeta };
+};
+
 /**
 * @function formatAcfFieldName
 * @description Presentational helper to turn underscored keys into a readable label
@@ -84,26 +112,47 @@ const formatAcfFieldName = (name) =>
 * @property {string} part_number
 * @property {string} [sku]
 * @property {string} [description]
+* @property {string} [regular_price]
+* @property {string} [sale_price]
+* @property {boolean} [manage_stock]
+* @property {number} [stock_quantity]
+* @property {string} [backorders]
+* @property {string} [stock_status]
 * @property {WooMeta[]} meta_data
 */
 
 /**
+* Fields written as plain meta by the update flow, in schema order.
+* `fallbacks` are row keys used when the field's own column is missing.
+*/
+const META_FALLBACKS = {
+  detail_description: ["part_description"],
+  mounting_type: ["termination_style"],
+};
+const UPDATE_META_FIELDS = FIELD_SCHEMA.filter((field) => field.meta && !field.special);
+
 /**
 * @function createNewData
 * @description Builds the final Woo update object from a raw CSV row.
 * @param {Object} item - Raw CSV row.
 * @param {number} productId - Target Woo product ID.
 * @param {string} part_number - Fallback part number if not in row.
+* @param {Object} [options]
+* @param {Object} [options.columns] - The file's mapping profile (see applyColumnMap).
+* @param {string} [options.updateMode] - "full" | "quantity" (the file's mode; default UPDATE_MODE).
 * @returns {WooUpdate}
 * @behavior
-* - If UPDATE_MODE=quantity → returns only quantity meta.
-* - Else → maps known keys; adds datasheet (unless digikey), and composes
+* - If UPDATE_MODE=quantity (or options.updateMode) → returns only quantity meta.
+* - If STOCK_MODE=native → (both modes) also returns Woo's native stock fields,
+* derived from quantity + lead time; the quantity meta is kept in sync.
+* - Else → maps known keys; adds datasheet (unless digikey), pricing
+* (regular_price / sale_price / `price_breaks` meta), and composes
 * `additional_key_information` from leftover fields.
 */
-const createNewData = (item, productId, part_number) => {
-  const updateMode = process.env.UPDATE_MODE || "full";
+const createNewData = (item, productId, part_number, options = {}) => {
+  const updateMode = options.updateMode || process.env.UPDATE_MODE || "full";
   const normalizedCsvRow = normalizeCsvHeaders(item);
-  const row = applyAliases(normalizedCsvRow);
+  const { row, mappedMeta } = applyColumnMap(normalizedCsvRow, options.columns);
 
   const description =
   row.detail_description ||
@@ -111,63 +160,31 @@ const createNewData = (item, productId, part_number) => {
   row.part_description ||  // already mapped from product_description
   ""; 
 
+  // Native Woo stock (STOCK_MODE=native): empty object otherwise
+  const stockFields = isNativeStockEnabled()
+    ? deriveStockFields(row.quantity, row.manufacturer_lead_weeks)
+    : {};
+
   if (updateMode === "quantity") {
     return {
         id: productId,
         part_number: row.part_number || part_number,
         manufacturer: row.manufacturer || "",
+        ...stockFields,
         meta_data: [{
         key: "quantity",
-        value: row.quantity || row.quantity_available || "0"
+        value: row.quantity || "0"
         }],
     };
     }
 
-  // 1) Map CSV → meta_data known keys
-  const metaDataKeyMap = {
-    manufacturer: "manufacturer",
-    leadtime: "manufacturer_lead_weeks",
-    image_url: "image_url",
-    series: "series",
-
-    // Quantity – support both old and new
-    quantity_available: "quantity",
-    quantity: "quantity",
-
-    operating_temperature: "operating_temperature",
-
-    // Voltage – support both old and new
-    voltage___supply: "voltage",
-    voltage: "voltage",
-
-    // Packaging / package
-    package___case: "package",
-    packaging: "packaging",
-
-    supplier_device_package: "supplier_device_package",
-    mounting_type: "mounting_type",
-    short_description: "short_description",
-    part_description: "detail_description",
-
-    // Compliance / statuses – support both old and new
-    reachstatus: "reach_status",
-    reach_status: "reach_status",
-    rohsstatus: "rohs_status",
-    rohs_status: "rohs_status",
-
-    moisturesensitivitylevel: "moisture_sensitivity_level",
-    moisture_sensitivity_level: "moisture_sensitivity_level",
-
-    exportcontrolclassnumber: "export_control_class_number",
-    export_control_class_number: "export_control_class_number",
-
-    htsuscode: "htsus_code",
-    htsus_code: "htsus_code",
-    };
-
-  const productMetaData = Object.keys(metaDataKeyMap)
-    .filter((csvKey) => Object.prototype.hasOwnProperty.call(row, csvKey))
-    .map((csvKey) => ({ key: metaDataKeyMap[csvKey], value: row[csvKey] || "" }));
+  // 1) Map CSV → meta_data known keys (field-schema.js)
+  const productMetaData = [];
+  UPDATE_META_FIELDS.forEach((field) => {
+    const sourceKey = [field.key, ...(META_FALLBACKS[field.key] || [])]
+      .find((key) => Object.prototype.hasOwnProperty.call(row, key));
+    if (sourceKey) productMetaData.push({ key: field.meta, value: row[sourceKey] || "" });
+  });
 
   // 2) Datasheet special handling (skip digikey sources)
   if (Object.prototype.hasOwnProperty.call(row, "datasheet")) {
@@ -178,12 +195,41 @@ const createNewData = (item, productId, part_number) => {
     }
   }
 
-  // 3) additional_key_information: prefer existing field; otherwise compose
+  // 3) Pricing: currency-normalized prices + price-break tiers
+  //    - regular_price falls back to the qty-1 break when there's no price column
+  //    - an empty sale_price column clears a running sale
+  const { breaks: priceBreaks, keys: priceBreakKeys } = extractPriceBreaks(row);
+  const pricing = {};
+
+  const regularPrice =
+    normalizePrice(row.regular_price) ||
+    priceBreaks.find((tier) => tier.qty === 1)?.price ||
+    "";
+  if (regularPrice) pricing.regular_price = regularPrice;
+
+  if (Object.prototype.hasOwnProperty.call(row, "sale_price")) {
+    pricing.sale_price = normalizePrice(row.sale_price);
+  }
+
+  // Columns mapped to "meta:<key>" override whatever the key map produced
+  mappedMeta.forEach((meta) => {
+    const existing = productMetaData.findIndex((m) => m.key === meta.key);
+    if (existing >= 0) productMetaData.splice(existing, 1);
+    productMetaData.push(meta);
+  });
+
+  if (priceBreaks.length) {
+    productMetaData.push({ key: "price_breaks", value: serializePriceBreaks(priceBreaks) });
+  }
+
+  const pricingKeys = new Set(["regular_price", "sale_price", ...priceBreakKeys]);
+
+  // 4) additional_key_information: prefer existing field; otherwise compose
   let additionalInfo = row["additional_info"] || "";
   if (!additionalInfo) {
     Object.keys(row).forEach((key) => {
-      // Only include keys not already mapped and not explicitly excluded
-      if (!metaDataKeyMap[key] && key !== "datasheet" && key !== "part_number" && key !== "additional_info") {
+      // Only unknown columns (schema fields are mapped above) not explicitly excluded
+      if (!FIELDS_BY_KEY[key] && !pricingKeys.has(key)) {
         const value = row[key] || "";
         if (value !== "" && value !== "NaN") {
           const formattedKey = formatAcfFieldName(key);
@@ -202,14 +248,23 @@ const createNewData = (item, productId, part_number) => {
     });
   }
 
-  // 4) Final shape for bulk endpoint
+  // 5) Final shape for bulk endpoint
   return {
     id: productId,
     part_number: row.part_number || part_number,
     sku: row.sku || `${row.part_number}_${row.manufacturer}` || row.part_number,
     description: description,
+    ...pricing,
+    ...stockFields,
     meta_data: [...productMetaData, { key: "additional_key_information", value: additionalInfo || "" }],
   };
 };
 
-module.exports = { createNewData, normalizeCsvHeaders, formatAcfFieldName };
+module.exports = {
+  createNewData,
+  normalizeCsvHeaders,
+  normalizeColumnKey,
+  applyColumnMap,
+  formatAcfFieldName,
+  FIELD_ALIASES,
+};
@@ -0,0 +1,178 @@
+/*
+================================================================================
+FILE: src/batch/price-utils.js
+================================================================================
+
+PURPOSE:
+Currency normalization and price-break (tier) extraction for vendor feeds.
+
+WHY A SEPARATE FILE?
+- Distributor feeds format prices every possible way ("$1,234.50",
+  "1.234,50 €", "USD 0.0450", "0,45"). WooCommerce only accepts a plain
+  decimal string ("1234.5"), and comparisons must be numeric, not textual,
+  or every run would "update" 12.50 → 12.5.
+- Used by both createNewData() (updates) and create-missing-products.js (creates).
+
+DECIMAL SEPARATOR RULES:
+- Both "." and "," present → whichever comes LAST is the decimal separator
+    "$1,234.50" → 1234.5      "1.234,50 €" → 1234.5
+- Only "," present → decimal, unless it is thousands grouping
+  (several groups of exactly 3 digits and a non-zero leading group)
+    "0,45" → 0.45      "12,5" → 12.5      "1,234,567" → 1234567
+- Only "." present → decimal, unless there are several dots
+    "0.0450" → 0.045   "1.234.567" → 1234567
+- ONE separator followed by exactly 3 digits is AMBIGUOUS and not a price:
+    "1,234" is 1234 in a US feed but 1.234 in a European one, "1.234 €"
+    the other way round. Guessing would silently write a price 1000× off,
+    so these come back as "" and row validation rejects the row
+    (isAmbiguousPrice). "0,450" / "0.045" are fine - a leading zero can't
+    be a thousands group.
+
+PRICE BREAKS:
+Tier columns are recognised by a trailing break quantity, e.g.
+  "Price Break 10", "Price @ 100", "Unit Price 1000", "price_qty_1"
+and are returned as [{ qty, price }] sorted by qty.
+
+TEST IDEAS:
+- normalizePrice("$1,234.50") => "1234.5"
+- normalizePrice("1.234,50 €") => "1234.5"
+- normalizePrice("1,234") => "" (ambiguous)
+- isPriceDifferent("12.50", "12.5") => false
+
+================================================================================
+*/
+
+/**
+ * Max decimals kept for prices. Electronic components are often priced
+ * below one cent per unit, so 2 decimals would lose information.
+ */
+const PRICE_DECIMALS = 6;
+
+/**
+ * Matches a normalized column name that carries a price-break tier.
+ * Group 1 is the break quantity.
+ */
+const PRICE_BREAK_PATTERN =
+  /^(?:price_break|price_tier|break_price|unit_price|price)_*(?:at_*|qty_*)?(\d+)(?:_*(?:pcs|units|qty|plus))?$/;
+
+/**
+ * One "." or "," with a non-zero 1-3 digit group before it and exactly 3
+ * digits after it - thousands grouping or decimals, depending on the feed.
+ */
+const AMBIGUOUS_PRICE_PATTERN = /^[1-9]\d{0,2}[.,]\d{3}$/;
+
+/**
+ * True when a price string could be read two ways ("1,234", "1.234 €").
+ *
+ * @param {unknown} raw
+ * @returns {boolean}
+ */
+const isAmbiguousPrice = (raw) =>
+  typeof raw === "string" && AMBIGUOUS_PRICE_PATTERN.test(raw.trim().replace(/[^0-9.,-]/g, ""));
+
+/**
+ * Converts a vendor price string to the plain decimal string Woo expects.
+ *
+ * @param {unknown} raw - Price as found in the CSV ("$1,234.50", "1.234,50 €", 12.5 ...)
+ * @returns {string} Normalized price ("1234.5"), or "" when not a valid
+ *   (or ambiguous, see isAmbiguousPrice) price
+ *
+ * @example
+ * normalizePrice("$1,234.50")  // "1234.5"
+ * normalizePrice("1.234,50 €") // "1234.5"
+ * normalizePrice("N/A")        // ""
+ * normalizePrice("1,234")      // "" (1234 or 1.234?)
+ */
+const normalizePrice = (raw) => {
+  if (raw === null || raw === undefined) return "";
+  if (typeof raw === "number") {
+    return Number.isFinite(raw) && raw >= 0 ? String(parseFloat(raw.toFixed(PRICE_DECIMALS))) : "";
+  }
+
+  // Keep digits and separators only (drops currency symbols/codes and spaces)
+  let value = String(raw).trim().replace(/[^0-9.,-]/g, "");
+  if (!/\d/.test(value) || value.includes("-")) return "";
+  if (AMBIGUOUS_PRICE_PATTERN.test(value)) return "";
+
+  const lastDot = value.lastIndexOf(".");
+  const lastComma = value.lastIndexOf(",");
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: the last one is the decimal separator
+    value = lastComma > lastDot
+      ? value.replace(/\./g, "").replace(",", ".")
+      : value.replace(/,/g, "");
+  } else if (lastComma !== -1) {
+    const isThousands = /^[1-9]\d{0,2}(,\d{3})+$/.test(value);
+    value = isThousands ? value.replace(/,/g, "") : value.replace(",", ".");
+    if ((value.match(/,/g) || []).length > 0) return ""; // e.g. "1,2,3"
+  } else if ((value.match(/\./g) || []).length > 1) {
+    value = value.replace(/\./g, "");
+  }
+
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) return "";
+
+  return String(parseFloat(parsed.toFixed(PRICE_DECIMALS)));
+};
+
+/**
+ * Numeric inequality check for prices (both sides normalized first).
+ * "" vs "" is equal; "" vs a price is different.
+ *
+ * @param {unknown} newPrice
+ * @param {unknown} currentPrice
+ * @returns {boolean}
+ */
+const isPriceDifferent = (newPrice, currentPrice) =>
+  normalizePrice(newPrice) !== normalizePrice(currentPrice);
+
+/**
+ * Collects price-break tiers from a row whose keys are already normalized
+ * (lowercase, underscores).
+ *
+ * @param {Object} row - Normalized CSV row
+ * @returns {{breaks: Array<{qty:number, price:string}>, keys: string[]}}
+ *   `keys` lists the columns that were consumed, so callers can keep them
+ *   out of additional_key_information.
+ *
+ * @example
+ * extractPriceBreaks({ price_break_1: "$0.50", price_break_100: "$0.42" })
+ * // { breaks: [{ qty: 1, price: "0.5" }, { qty: 100, price: "0.42" }],
+ * //   keys: ["price_break_1", "price_break_100"] }
+ */
+const extractPriceBreaks = (row) => {
+  const breaks = [];
+  const keys = [];
+
+  Object.keys(row || {}).forEach((key) => {
+    const match = key.replace(/[^a-z0-9]+/g, "_").match(PRICE_BREAK_PATTERN);
+    if (!match) return;
+
+    keys.push(key);
+    const qty = parseInt(match[1], 10);
+    const price = normalizePrice(row[key]);
+    if (qty > 0 && price !== "") breaks.push({ qty, price });
+  });
+
+  breaks.sort((a, b) => a.qty - b.qty);
+  return { breaks, keys };
+};
+
+/**
+ * Serializes tiers for the `price_breaks` meta field. Stored as a JSON string
+ * so the value round-trips through Woo meta unchanged and compares as text.
+ *
+ * @param {Array<{qty:number, price:string}>} breaks
+ * @returns {string} "" when there are no tiers
+ */
+const serializePriceBreaks = (breaks) =>
+  Array.isArray(breaks) && breaks.length ? JSON.stringify(breaks) : "";
+
+module.exports = {
+  normalizePrice,
+  isAmbiguousPrice,
+  isPriceDifferent,
+  extractPriceBreaks,
+  serializePriceBreaks,
+};
@@ -12,17 +12,31 @@
  *   4. Sends bulk updates to WooCommerce
  * 
  * FLOW:
+ *   Before the loop:
+ *     0. Resolve all rows' Woo products at once (prefetchBatchProducts)
  *   For each row in batch:
- *     1. Fetch product from WooCommerce (by part_number + manufacturer)
+ *     1. Fetch product from WooCommerce (by part_number + manufacturer;
+ *        prefetched products need no request)
  *     2. Validate product identity
  *     3. Resolve category from vendor data
  *     4. Build update payload
  *     5. Compare with existing data
  *     6. Queue for update if changed
  *   After all rows:
- *     7. Send bulk update to WooCommerce
+ *     7. Send bulk update to WooCommerce (per-item results, failed items retried)
  *     8. Update Redis counters
  * 
+ * CHANGE HISTORY / ROLLBACK:
+ *   Before step 7, the prior Woo value of every field about to change is saved
+ *   to batch_status/<fileKey>/change_history.json. `node rollback-file.js
+ *   <fileKey>` (or POST /api/rollback/:fileKey) replays it as a reverse update.
+ * 
+ * DRY-RUN MODE:
+ *   When dry-run is enabled (DRY_RUN=true or options.dryRun), steps 1-6 run as
+ *   usual but nothing is written to WooCommerce: category creation (step E) and
+ *   the bulk update (step 7) are skipped, and every field that WOULD change is
+ *   written to batch_status/<fileKey>/dry_run_diff.json for review.
+ * 
  * BUG FIXES (2025):
  * 
  * BUG #4 - Missing Error Handling for Category Resolution:
@@ -50,7 +64,11 @@ const { appRedis } = require("../../queue");
 const { logInfoToFile, logErrorToFile } = require("../../logger");
 
 // Product lookup and validation
-const { fetchProductData, validateProductMatch } = require("./fetch-validate");
+const {
+  prefetchBatchProducts,
+  fetchProductData,
+  validateProductMatch,
+} = require("./fetch-validate");
 
 // Payload builder
 const { createNewData } = require("./map-new-data");
@@ -63,7 +81,25 @@ const {
 } = require("./handlers");
 
 // Status recording
-const { recordBatchStatus } = require("./io-status");
+const {
+  ROW_OUTCOMES,
+  recordBatchStatus,
+  recordDryRunDiff,
+  recordUpdateResults,
+  recordRowOutcomes,
+} = require("./io-status");
+
+// Field-level diff (used for dry-run reports)
+const { getFieldChanges } = require("./compare");
+
+// Rollback snapshots (prior values of changed fields)
+const { buildRollbackSnapshot } = require("./change-history");
+
+// Row keys of failed rows, so delta ingestion retries them (row-hashes.js)
+const { rowIdentity } = require("./row-hashes");
+
+// Job rows carry their own file index (rows dropped at ingestion leave gaps)
+const { getJobRowIndex, withoutJobRowIndex, getBatchEndIndex } = require("../../csv-mapping-store");
 
 // Category resolution (fuzzy matching)
 const { resolveCategory } = require("../../category-map");
@@ -174,9 +210,16 @@ function buildCategoryPath(resolvedCategory) {
  * This is the main orchestration function called by the worker for each job.
  * 
  * @param {Array<Object>} batch - Array of CSV row objects to process
- * @param {number} startIndex - Starting row index (for logging and tracking)
+ * @param {number} startIndex - Starting row index (for logging and tracking);
+ *   rows numbered startIndex + i unless they carry their own index
+ *   (JOB_ROW_INDEX_KEY, see csv-mapping-store.js)
  * @param {number} totalProductsInFile - Total rows in the CSV file
  * @param {string} fileKey - File identifier for logging and Redis counters
+ * @param {Object} [options] - Per-run options
+ * @param {boolean} [options.dryRun] - Preview only; defaults to DRY_RUN env var
+ * @param {Object} [options.columns] - Column mapping profile for createNewData()
+ * @param {string} [options.updateMode] - "full" | "quantity"; defaults to UPDATE_MODE env var
+ * @param {string} [options.runId] - Run whose results get each row's outcome (run-history.js)
  * @returns {Promise<void>}
  * 
  * @throws {Error} If batch is not an array (validation failure)
@@ -189,7 +232,7 @@ function buildCategoryPath(resolvedCategory) {
  *   "products.csv"
  * );
  */
-async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
+async function processBatch(batch, startIndex, totalProductsInFile, fileKey, options = {}) {
   // =========================================================================
   // CONFIGURATION
   // =========================================================================
@@ -198,15 +241,25 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
    * UPDATE_MODE determines what data we update:
    *   - "quantity": Only update stock quantity (faster, less API load)
    *   - "full": Update all fields (name, description, categories, etc.)
+   * A per-job mode (from the file's mapping entry) wins over the env var.
    */
-  const updateMode = process.env.UPDATE_MODE || "full";
+  const updateMode = options.updateMode || process.env.UPDATE_MODE || "full";
+
+  /**
+   * DRY RUN: Compute the diff but never write to WooCommerce.
+   * A per-job flag (from the file's mapping entry) wins over the env var.
+   */
+  const dryRun = typeof options.dryRun === "boolean"
+    ? options.dryRun
+    : process.env.DRY_RUN === "true";
 
   logInfoToFile(
     `processBatch() - Starting | ` +
     `startIndex=${startIndex} | ` +
     `batchSize=${batch.length} | ` +
     `fileKey=${fileKey} | ` +
-    `mode=${updateMode}`
+    `mode=${updateMode}` +
+    (dryRun ? ` | DRY RUN` : ``)
   );
 
   // =========================================================================
@@ -237,6 +290,12 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
   let skipCount = 0;
   let localFailCount = 0;
 
+  /**
+   * failedRowKeys: "part|manufacturer" of rows that failed, added to
+   * failed-rows:{fileKey} so they stay out of the delta baseline.
+   */
+  const failedRowKeys = [];
+
   /**
    * BUG #6 FIX: Status arrays for human-readable logging.
    * 
@@ -246,18 +305,67 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
    * SOLUTION:
    * We now flush these arrays periodically (every STATUS_FLUSH_INTERVAL rows)
    * and clear them to free memory.
+   * 
+   * Updated rows are reported after the bulk update, once Woo confirmed them.
    */
   let updatedParts = [];
   let skippedParts = [];
   let failedParts = [];
 
+  /**
+   * dryRunChanges: Per-field diff rows collected in dry-run mode.
+   * Written once per batch via recordDryRunDiff().
+   */
+  const dryRunChanges = [];
+
+  /**
+   * rollbackSnapshots: Prior values of every field we are about to change.
+   * Saved by executeBatchUpdate() right before products/batch is sent.
+   */
+  const rollbackSnapshots = [];
+
+  /**
+   * queuedRows: productId → the CSV rows behind its queued updates, in
+   * toUpdate order - two rows can resolve to the same product. Woo answers
+   * per sent item, so each occurrence of an id in the result takes the next
+   * row queued for it (see takeQueuedRow).
+   */
+  const queuedRows = new Map();
+  const allQueuedRows = () =>
+    [...queuedRows].flatMap(([productId, rows]) => rows.map((queued) => ({ productId, ...queued })));
+
+  /**
+   * rowOutcomes: One structured record per row (see RowOutcome in
+   * io-status.js), written to the run's results at the end of the batch.
+   * Queued rows get theirs once the bulk update answered.
+   */
+  const rowOutcomes = [];
+  const recordOutcome = (item, row, outcome, details = {}) =>
+    rowOutcomes.push({
+      row,
+      partNumber: item.part_number || null,
+      manufacturer: item.manufacturer || null,
+      productId: null,
+      outcome,
+      fieldsChanged: [],
+      error: null,
+      ...details,
+    });
+
+  /**
+   * prefetched: Woo products of the whole batch, looked up with a few
+   * include= / sku= requests instead of two requests per row. Rows it
+   * misses fall back to the per-row search inside fetchProductData().
+   */
+  const prefetched = await prefetchBatchProducts(batch, startIndex, fileKey);
+
   // =========================================================================
   // MAIN PROCESSING LOOP
   // =========================================================================
   
   for (let i = 0; i < batch.length; i++) {
-    const item = batch[i];
-    const currentIndex = startIndex + i; // Absolute row index in the CSV
+    const item = withoutJobRowIndex(batch[i]);
+    const currentIndex = getJobRowIndex(batch[i], startIndex, i); // Absolute row index in the CSV
 
     // -----------------------------------------------------------------------
     // Guard: Stop if we've exceeded the file size (shouldn't happen normally)
@@ -277,6 +385,7 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
       failedParts.push(
         `Row ${currentIndex + 1}: Missing part_number - skipped`
       );
+      recordOutcome(item, currentIndex + 1, ROW_OUTCOMES.FAILED, { error: "Missing part_number" });
       continue;
     }
 
@@ -289,7 +398,8 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
       // =====================================================================
       /**
        * fetchProductData does the following:
-       *   1. Looks up product by part_number + manufacturer
+       *   1. Looks up product by part_number + manufacturer (or takes it
+       *      from the batch prefetch)
        *   2. If found, fetches the full product data
        *   3. If NOT found, records as "missing product" for later creation
        * 
@@ -299,7 +409,8 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
         item,
         currentIndex,
         totalProductsInFile,
-        fileKey
+        fileKey,
+        prefetched
       );
 
       if (!productId || !currentData) {
@@ -309,6 +420,7 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
         skippedParts.push(
           `Row ${currentIndex + 1}: ${item.part_number} - product not found (saved to missing)`
         );
+        recordOutcome(item, currentIndex + 1, ROW_OUTCOMES.NOT_FOUND);
         continue;
       }
 
@@ -324,6 +436,7 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
         skippedParts.push(
           `Row ${currentIndex + 1}: ${item.part_number} - identity mismatch, skipped`
         );
+        recordOutcome(item, currentIndex + 1, ROW_OUTCOMES.MISMATCH, { productId });
         // Write status after validation failures
         recordBatchStatus(fileKey, updatedParts, skippedParts, failedParts);
         continue;
@@ -334,7 +447,8 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
       // =====================================================================
       /**
        * createNewData transforms CSV row into WooCommerce update format:
-       *   - Maps CSV columns to WooCommerce fields
+       *   - Maps CSV columns to WooCommerce fields (honoring the file's
+       *     column mapping profile, if any)
        *   - Handles meta_data fields
        *   - Cleans and normalizes values
        */
@@ -342,7 +456,7 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
         item,
         productId,
         item.part_number,
-        currentData
+        { columns: options.columns, updateMode }
       );
 
       // =====================================================================
@@ -400,7 +514,13 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
       // =====================================================================
       // STEP E: Apply resolved category to newData
       // =====================================================================
-      if (resolvedCategory) {
+      if (resolvedCategory && dryRun) {
+        // ensureCategoryHierarchy() may CREATE categories in Woo - not in a dry run
+        logInfoToFile(
+          `processBatch() - DRY RUN: would assign category "${buildCategoryPath(resolvedCategory)}" ` +
+          `to ${item.part_number}`
+        );
+      } else if (resolvedCategory) {
         try {
           
           logInfoToFile(
@@ -436,30 +556,80 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
       // =====================================================================
       // STEP F: Route by update mode and queue for update
       // =====================================================================
+      const queuedBefore = toUpdate.length;
+
+      // "updated" is only reported once Woo confirmed the item (see below)
+      let queuedNote = null;
+
       if (updateMode === "quantity") {
         // Quantity-only mode: Only update stock quantity
         if (handleQuantityUpdate(newData, currentData, toUpdate, productId, item)) {
-          updatedParts.push(
-            `Row ${currentIndex + 1}: ${item.part_number} - quantity updated`
-          );
+          queuedNote = "quantity updated";
         } else {
           skipCount++;
           skippedParts.push(
             `Row ${currentIndex + 1}: ${item.part_number} - quantity unchanged`
           );
+          recordOutcome(item, currentIndex + 1, ROW_OUTCOMES.UNCHANGED, { productId });
         }
       } else {
         // Full mode: Update all fields
         // Note: Passing fileKey for Bug #1 fix (was missing before)
         if (handleFullUpdate(newData, currentData, toUpdate, productId, item, fileKey)) {
-          updatedParts.push(
-            `Row ${currentIndex + 1}: ${item.part_number} - fully updated`
-          );
+          queuedNote = "fully updated";
         } else {
           skipCount++;
           skippedParts.push(
             `Row ${currentIndex + 1}: ${item.part_number} - no changes detected`
           );
+          recordOutcome(item, currentIndex + 1, ROW_OUTCOMES.UNCHANGED, { productId });
+        }
+      }
+
+      let queued = null;
+      if (queuedNote) {
+        queued = {
+          row: currentIndex + 1,
+          partNumber: item.part_number,
+          manufacturer: item.manufacturer || null,
+          rowKey: rowIdentity(item, options.columns)?.key,
+          note: queuedNote,
+          fieldsChanged: [],
+        };
+        if (!queuedRows.has(productId)) queuedRows.set(productId, []);
+        queuedRows.get(productId).push(queued);
+      }
+
+      // =====================================================================
+      // STEP G: Record what changes for this row
+      //   - every run: the changed fields (row outcome)
+      //   - dry run: per-field diff for review
+      //   - live run: rollback snapshot of the prior values
+      // =====================================================================
+      const changes = toUpdate.length > queuedBefore
+        ? getFieldChanges(currentData, toUpdate[toUpdate.length - 1], updateMode)
+        : [];
+      if (queued) queued.fieldsChanged = changes.map(({ field }) => field);
+
+      if (dryRun && toUpdate.length > queuedBefore) {
+        changes.forEach(({ field, currentValue, newValue }) => {
+          dryRunChanges.push({
+            row: currentIndex + 1,
+            productId,
+            partNumber: item.part_number,
+            field,
+            currentValue,
+            newValue,
+          });
+        });
+      } else if (toUpdate.length > queuedBefore) {
+        const snapshot = buildRollbackSnapshot(currentData, toUpdate[toUpdate.length - 1], updateMode);
+        if (snapshot) {
+          rollbackSnapshots.push({
+            row: currentIndex + 1,
+            partNumber: item.part_number,
+            snapshot,
+          });
         }
       }
 
@@ -468,9 +638,12 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
       // ERROR HANDLING: Unexpected errors during row processing
       // =====================================================================
       localFailCount++;
+      const failedKey = rowIdentity(item, options.columns)?.key;
+      if (failedKey) failedRowKeys.push(failedKey);
       failedParts.push(
         `Row ${currentIndex + 1}: ${item.part_number} - FAILED: ${err.message}`
       );
+      recordOutcome(item, currentIndex + 1, ROW_OUTCOMES.FAILED, { error: err.message });
       logErrorToFile(
         `processBatch() - Error processing ${item.part_number}: ${err.message}`,
         err.stack
@@ -537,6 +710,9 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
   if (localFailCount > 0) {
     await appRedis.incrBy(`failed-products:${fileKey}`, localFailCount);
   }
+  if (failedRowKeys.length > 0) {
+    await appRedis.sAdd(`failed-rows:${fileKey}`, failedRowKeys);
+  }
 
   // =========================================================================
   // SEND BULK UPDATE TO WOOCOMMERCE
@@ -546,14 +722,101 @@ async function processBatch(batch, startIndex, totalProductsInFile, fileKey) {
    * This is much faster than updating products one-by-one.
    * 
    * executeBatchUpdate handles:
-   *   - Retry logic for API failures
-   *   - Incrementing the updated-products counter in Redis
+   *   - Per-item results (Woo answers 200 with per-item errors)
+   *   - Retrying only the failed items (splitting the request if needed)
+   *   - Incrementing the updated-products / failed-products counters in Redis
+   * 
+   * Afterwards each queued row is reported as updated or failed (with Woo's
+   * error code), and failed rows are kept out of the delta baseline.
    */
-  await executeBatchUpdate(toUpdate, fileKey, MAX_RETRIES);
+  if (dryRun) {
+    /**
+     * DRY RUN: Save the diff instead of sending it.
+     * Rows that WOULD be updated still count toward `updated-products`, so
+     * completion detection (updated + skipped + failed >= total) keeps working.
+     */
+    recordDryRunDiff(fileKey, dryRunChanges);
+    if (toUpdate.length > 0) {
+      await appRedis.incrBy(`updated-products:${fileKey}`, toUpdate.length);
+    }
+    recordBatchStatus(
+      fileKey,
+      allQueuedRows().map(({ row, partNumber, note }) => `Row ${row}: ${partNumber} - ${note}`),
+      [],
+      []
+    );
+    allQueuedRows().forEach(({ row, partNumber, manufacturer, fieldsChanged, productId }) =>
+      recordOutcome({ part_number: partNumber, manufacturer }, row, ROW_OUTCOMES.WOULD_UPDATE, { productId, fieldsChanged })
+    );
+    logInfoToFile(
+      `processBatch() - DRY RUN: skipped bulk update of ${toUpdate.length} product(s), ` +
+      `${dryRunChanges.length} field change(s) recorded for ${fileKey}`
+    );
+  } else {
+    let updated;
+    let failed;
+    try {
+      ({ updated, failed } = await executeBatchUpdate(toUpdate, fileKey, MAX_RETRIES, rollbackSnapshots));
+    } catch (error) {
+      // The job fails (BullMQ retries it): its rows still get an outcome, a
+      // retry or the dead-letter queue records the final one
+      allQueuedRows().forEach(({ row, partNumber, manufacturer, fieldsChanged, productId }) =>
+        recordOutcome({ part_number: partNumber, manufacturer }, row, ROW_OUTCOMES.FAILED, {
+          productId,
+          fieldsChanged,
+          error: error.message,
+        })
+      );
+      if (options.runId) recordRowOutcomes(options.runId, rowOutcomes);
+      throw error;
+    }
+
+    // One result per sent item: the n-th occurrence of an id is the n-th row queued for it
+    const takenRows = new Map();
+    const takeQueuedRow = (productId) => {
+      const taken = takenRows.get(productId) || 0;
+      takenRows.set(productId, taken + 1);
+      return { productId, ...(queuedRows.get(productId) || [])[taken] };
+    };
+    const updatedRows = updated.map(takeQueuedRow);
+    const failedRows = failed.map(({ id, code, message }) => ({ ...takeQueuedRow(id), code, message }));
+
+    recordUpdateResults(fileKey, {
+      updated: updatedRows.map(({ rowKey, note, manufacturer, fieldsChanged, ...result }) => result),
+      failed: failedRows.map(({ rowKey, note, manufacturer, fieldsChanged, ...result }) => result),
+    });
+    recordBatchStatus(
+      fileKey,
+      updatedRows.map(({ row, partNumber, note }) => `Row ${row}: ${partNumber} - ${note}`),
+      [],
+      failedRows.map(({ row, partNumber, code, message }) =>
+        `Row ${row}: ${partNumber} - FAILED in WooCommerce (${code}): ${message}`
+      )
+    );
+
+    updatedRows.forEach(({ row, partNumber, manufacturer, productId, fieldsChanged }) =>
+      recordOutcome({ part_number: partNumber, manufacturer }, row, ROW_OUTCOMES.UPDATED, { productId, fieldsChanged })
+    );
+    failedRows.forEach(({ row, partNumber, manufacturer, productId, fieldsChanged, code, message }) =>
+      recordOutcome({ part_number: partNumber, manufacturer }, row, ROW_OUTCOMES.FAILED, {
+        productId,
+        fieldsChanged,
+        error: `${code}: ${message}`,
+      })
+    );
+
+    const failedUpdateKeys = failedRows.map(({ rowKey }) => rowKey).filter(Boolean);
+    if (failedUpdateKeys.length > 0) {
+      await appRedis.sAdd(`failed-rows:${fileKey}`, failedUpdateKeys);
+    }
+  }
+
+  // Structured per-row outcomes for the run's result report
+  if (options.runId) recordRowOutcomes(options.runId, rowOutcomes);
 
   logInfoToFile(
     `processBatch() - ✅ Completed | ` +
-    `Rows: ${startIndex}-${startIndex + batch.length - 1} | ` +
+    `Rows: ${startIndex}-${getBatchEndIndex(batch, startIndex) - 1} | ` +
     `Updates queued: ${toUpdate.length} | ` +
     `Skipped: ${skipCount} | ` +
     `Failed: ${localFailCount}`
@@ -0,0 +1,265 @@
+/*
+================================================================================
+FILE: src/batch/row-hashes.js
+================================================================================
+
+PURPOSE:
+Delta ingestion. Vendors resend their full catalog every month and most rows
+are identical to last month - yet every row costs two Woo API calls in
+fetchProductData(). With delta mode on, only rows that are new or changed
+since the vendor's last completed file are enqueued.
+
+HOW IT WORKS:
+  1. Every ingested file stores a content hash per row, keyed by
+     (part_number, manufacturer):
+         ./batch_status/<fileKey no .csv>/row_hashes.json
+     Rejected rows (row-validation.js) are left out - they never reached Woo.
+  2. When worker.js sees the file complete, its hashes become the vendor's
+     BASELINE (minus rows that failed in processBatch(), so those are sent
+     again next time):
+         ./batch_status/_baselines/<vendor>.json
+  3. In delta mode readCSVAndEnqueueJobs() skips rows whose hash matches the
+     baseline (they count as skipped-products) and reports baseline rows the
+     new file no longer contains:
+         ./batch_status/<fileKey no .csv>/disappeared_rows.csv
+
+VENDOR:
+The entry's `vendor` field, else the fileKey's top folder
+("vendor-x/2025-06/parts.csv" → "vendor-x"). Files in the bucket root are
+their own vendor (a re-upload under the same name is compared with the
+previous run of that name).
+
+ENABLING:
+Per file entry ("delta": true / false), default DELTA_INGESTION=true|false.
+Hashes are written either way, so a baseline exists once delta is switched on.
+
+NOTE: No logger import on purpose - callers log, like row-validation.js.
+
+================================================================================
+*/
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("json2csv");
+
+const { normalizeCsvHeaders, applyColumnMap } = require("./map-new-data");
+
+const BATCH_STATUS_DIR = path.join(__dirname, "../../batch_status");
+
+/**
+* @typedef {Object} RowIdentity
+* @property {string} key - "part|manufacturer", lowercased (same rule as the
+*   duplicate check in row-validation.js).
+* @property {string} part_number - As written in the file.
+* @property {string} manufacturer - As written in the file ("" if none).
+*/
+
+/**
+* @typedef {Object} RowHashes
+* @property {string} fileKey - File the hashes were read from.
+* @property {string} vendor - See getVendorKey().
+* @property {string} createdAt - When the file was ingested.
+* @property {string} [completedAt] - Set when promoted to the vendor baseline.
+* @property {Object<string, {hash:string, part_number:string, manufacturer:string}>} rows
+* @property {string[]} [rejectedKeys] - Keys of rejected rows: in the file, but unhashed.
+*/
+
+/**
+* @function isDeltaEnabled
+* @param {Object|null} entry - File entry from csv-mappings.json.
+* @returns {boolean} Whether only new / changed rows are enqueued.
+*/
+const isDeltaEnabled = (entry) =>
+  typeof entry?.delta === "boolean" ? entry.delta : process.env.DELTA_INGESTION === "true";
+
+/**
+* @function getVendorKey
+* @param {Object} entry - File entry (at least { fileKey }).
+* @returns {string} The vendor whose files are compared with each other.
+*
+* @example
+* getVendorKey({ fileKey: "vendor-x/2025-06/parts.csv" });      // "vendor-x"
+* getVendorKey({ fileKey: "parts.csv", vendor: "Acme" });         // "Acme"
+* getVendorKey({ fileKey: "parts.csv" });                         // "parts.csv"
+*/
+const getVendorKey = (entry) => {
+  if (entry?.vendor) return String(entry.vendor);
+  const fileKey = String(entry?.fileKey || "");
+  const [folder, ...rest] = fileKey.split("/");
+  return rest.length > 0 && folder ? folder : fileKey;
+};
+
+/**
+* @function rowIdentity
+* @description Part number + manufacturer of a job row, read the way
+* createNewData() reads them (identity mapping + column profile).
+* @param {Object} jobRow - Row as enqueued (see buildJobRow in csv-mapping-store.js).
+* @param {Object} [columns] - The file's mapping profile.
+* @returns {RowIdentity|null} null when the row has no part number.
+*/
+const rowIdentity = (jobRow, columns) => {
+  const { row } = applyColumnMap(normalizeCsvHeaders(jobRow), columns);
+  const partNumber = String(row.part_number ?? "").trim();
+  if (!partNumber) return null;
+
+  const manufacturer = String(row.manufacturer ?? "").trim();
+  return {
+    key: `${partNumber.toLowerCase()}|${manufacturer.toLowerCase()}`,
+    part_number: partNumber,
+    manufacturer,
+  };
+};
+
+/**
+* @function hashRow
+* @description Content hash of a job row. Column order and surrounding
+* whitespace don't matter; any changed value does.
+* @param {Object} jobRow
+* @returns {string} sha1 hex digest.
+*/
+const hashRow = (jobRow) => {
+  const entries = Object.keys(jobRow)
+    .sort()
+    .map((key) => [key, String(jobRow[key] ?? "").trim()]);
+  return crypto.createHash("sha1").update(JSON.stringify(entries)).digest("hex");
+};
+
+/**
+* @function getRowHashesPath
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @returns {string} Absolute path of the file's row_hashes.json.
+*/
+const getRowHashesPath = (fileKey) =>
+  path.join(BATCH_STATUS_DIR, fileKey.replace(/\.csv$/, ""), "row_hashes.json");
+
+/**
+* @function getDisappearedRowsPath
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @returns {string} Absolute path of the file's disappeared_rows.csv.
+*/
+const getDisappearedRowsPath = (fileKey) =>
+  path.join(BATCH_STATUS_DIR, fileKey.replace(/\.csv$/, ""), "disappeared_rows.csv");
+
+/**
+* @function getVendorBaselinePath
+* @param {string} vendor - See getVendorKey().
+* @returns {string} Absolute path of the vendor's baseline.
+*/
+const getVendorBaselinePath = (vendor) =>
+  path.join(BATCH_STATUS_DIR, "_baselines", `${vendor.replace(/\.csv$/, "")}.json`);
+
+const readJson = (filePath) => {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+};
+
+const writeJson = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+};
+
+/**
+* @function writeRowHashes
+* @param {string} fileKey
+* @param {Object} options
+* @param {string} options.vendor
+* @param {Map<string, {hash:string, part_number:string, manufacturer:string}>} options.rows
+* @param {string[]} [options.rejectedKeys] - Keys of rows that were rejected.
+* @returns {string} Path written.
+*/
+const writeRowHashes = (fileKey, { vendor, rows, rejectedKeys = [] }) => {
+  const filePath = getRowHashesPath(fileKey);
+  writeJson(filePath, {
+    fileKey,
+    vendor,
+    createdAt: new Date().toISOString(),
+    rows: Object.fromEntries(rows),
+    rejectedKeys,
+  });
+  return filePath;
+};
+
+/**
+* @function loadRowHashes
+* @param {string} fileKey
+* @returns {RowHashes|null} The hashes written when the file was ingested.
+*/
+const loadRowHashes = (fileKey) => readJson(getRowHashesPath(fileKey));
+
+/**
+* @function loadVendorBaseline
+* @param {string} vendor
+* @returns {RowHashes|null} The vendor's last completed file, or null if there is none.
+*/
+const loadVendorBaseline = (vendor) => readJson(getVendorBaselinePath(vendor));
+
+/**
+* @function promoteRowHashes
+* @description Makes a completed file's hashes its vendor's baseline.
+* @param {string} fileKey
+* @param {Object} [options]
+* @param {string[]} [options.excludeKeys] - Row keys that failed in Woo; left out
+*   so the next delta run sends them again.
+* @returns {RowHashes|null} The new baseline, or null if the file has no hashes.
+*/
+const promoteRowHashes = (fileKey, { excludeKeys = [] } = {}) => {
+  const hashes = readJson(getRowHashesPath(fileKey));
+  if (!hashes) return null;
+
+  excludeKeys.forEach((key) => delete hashes.rows[key]);
+  hashes.completedAt = new Date().toISOString();
+  writeJson(getVendorBaselinePath(hashes.vendor), hashes);
+  return hashes;
+};
+
+/**
+* @function findDisappearedRows
+* @param {RowHashes} baseline
+* @param {Set<string>} seenKeys - Row keys of every row in the new file.
+* @returns {Array<{part_number:string, manufacturer:string}>} Baseline rows the new file lacks.
+*/
+const findDisappearedRows = (baseline, seenKeys) =>
+  Object.entries(baseline?.rows || {})
+    .filter(([key]) => !seenKeys.has(key))
+    .map(([, { part_number, manufacturer }]) => ({ part_number, manufacturer }));
+
+/**
+* @function writeDisappearedRowsReport
+* @param {string} fileKey
+* @param {Array<{part_number:string, manufacturer:string}>} rows
+* @param {string} baselineFileKey - File the rows were last seen in.
+* @returns {string|null} Path written, or null when nothing disappeared
+*   (a stale report from an earlier run is removed).
+*/
+const writeDisappearedRowsReport = (fileKey, rows, baselineFileKey) => {
+  const filePath = getDisappearedRowsPath(fileKey);
+  if (!rows.length) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    return null;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const csv = parse(
+    rows.map((row) => ({ ...row, last_seen_in: baselineFileKey })),
+    { fields: ["part_number", "manufacturer", "last_seen_in"] }
+  );
+  fs.writeFileSync(filePath, csv);
+  return filePath;
+};
+
+module.exports = {
+  isDeltaEnabled,
+  getVendorKey,
+  rowIdentity,
+  hashRow,
+  getRowHashesPath,
+  getDisappearedRowsPath,
+  getVendorBaselinePath,
+  writeRowHashes,
+  loadRowHashes,
+  loadVendorBaseline,
+  promoteRowHashes,
+  findDisappearedRows,
+  writeDisappearedRowsReport,
+};
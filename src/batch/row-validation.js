@@ -0,0 +1,359 @@
+/*
+================================================================================
+FILE: src/batch/row-validation.js
+================================================================================
+
+PURPOSE:
+Validate CSV rows BEFORE they are enqueued, so bad rows are reported up front
+instead of being discovered one by one inside processBatch().
+
+CHECKS (per row, on the canonical row createNewData() would see):
+  - part_number present
+  - quantity is a whole number ("1000+" / ">500" too - see parseStockQuantity)
+  - regular_price / sale_price parse as prices - an ambiguous one like
+    "1,234" (thousands or decimals?) is rejected, see price-utils.js
+  - manufacturer is known (manufacturer-resolver.js, no auto-append)
+    → UNKNOWN_MANUFACTURER_POLICY=allow (default) only lists unknown ones as
+      a warning in the validation summary - workers add them on the fly
+      (resolveManufacturerSmart); =reject rejects their rows
+  - part_number + manufacturer not repeated within the file
+
+WARNINGS (optional spec fields - the row is still updated):
+  - datasheet / image_url are http(s) URLs
+  - rohs_status / reach_status use an allowed value
+    → override with ROHS_ALLOWED_VALUES / REACH_ALLOWED_VALUES (comma-separated)
+  A bad value is DROPPED from the job row (never sent, so the product keeps
+  its current one) and the row is listed in row_warnings.csv. One broken
+  image link shouldn't hold back a part's stock and price.
+
+UPDATE MODE:
+In quantity mode (the file's updateMode, else UPDATE_MODE) only quantity is
+written, so only the identity checks and quantity are run - a feed's bad
+datasheet links don't matter to a stock-only run.
+
+Empty optional values are always fine - only part_number is required.
+
+WHO USES IT:
+  - s3-helpers.js          → pre-pass in readCSVAndEnqueueJobs(); invalid rows
+                             are never enqueued and count as failed
+  - csv-mapping-server.js  → on upload / on demand, so the UI can show
+                             "N rows invalid" before processing starts
+
+REPORT:
+Rejected rows and rows with warnings are written (original columns + row
+number + reasons) to:
+    ./batch_status/<fileKey no .csv>/rejected_rows.csv
+    ./batch_status/<fileKey no .csv>/row_warnings.csv
+and the summary is stored on the file entry in csv-mappings.json
+(`validation: { totalRows, invalidRows, warningRows, unknownManufacturers,
+validatedAt, reportPath, warningsReportPath }`).
+
+NOTE: No logger import on purpose - this module is also loaded by the UI
+server, which must not open a Redis connection.
+
+================================================================================
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("json2csv");
+
+const { normalizeCsvHeaders, applyColumnMap } = require("./map-new-data");
+const { validateFieldValue } = require("./field-schema");
+const { matchKnownManufacturer } = require("../../manufacturer-resolver");
+const { buildJobRow, resolveIdentityColumns } = require("../../csv-mapping-store");
+
+/** Fields checked with the schema's type rules (see field-schema.js). */
+const VALIDATED_FIELDS = ["part_number", "quantity", "regular_price", "sale_price"];
+
+/** The only ones that matter in quantity mode. */
+const QUANTITY_MODE_FIELDS = ["part_number", "quantity"];
+
+/** Optional fields whose bad values are dropped with a warning instead. */
+const WARNED_FIELDS = ["datasheet", "image_url"];
+
+/**
+ * Compares status values case/punctuation-insensitively:
+ * "RoHS3 Compliant" → "rohs3 compliant", "N/A" → "n a"
+ */
+const normalizeStatusValue = (value) =>
+  String(value ?? "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+const parseAllowedList = (envValue, defaults) =>
+  new Set(
+    (envValue ? envValue.split(",") : defaults)
+      .map(normalizeStatusValue)
+      .filter(Boolean)
+  );
+
+const ROHS_ALLOWED_VALUES = parseAllowedList(process.env.ROHS_ALLOWED_VALUES, [
+  "compliant", "rohs compliant", "rohs3 compliant", "rohs 3 compliant", "rohs2 compliant",
+  "rohs compliant by exemption", "exempt", "non compliant", "not compliant", "rohs non compliant",
+  "yes", "no", "not applicable", "n a", "unknown", "vendor undefined",
+]);
+
+const REACH_ALLOWED_VALUES = parseAllowedList(process.env.REACH_ALLOWED_VALUES, [
+  "compliant", "reach compliant", "unaffected", "reach unaffected", "affected", "reach affected",
+  "non compliant", "not compliant", "yes", "no", "not applicable", "n a", "unknown", "vendor undefined",
+]);
+
+/**
+ * "allow" (default) or "reject" - whether rows whose manufacturer can't be
+ * matched to a known one are rejected. Allowed ones are still listed.
+ */
+const getUnknownManufacturerPolicy = () =>
+  (process.env.UNKNOWN_MANUFACTURER_POLICY || "allow").toLowerCase();
+
+/**
+* @function getRejectedRowsPath
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @returns {string} Absolute path of the file's rejected_rows.csv.
+*/
+const getRejectedRowsPath = (fileKey) =>
+  path.join(
+    __dirname,
+    "../../batch_status",
+    fileKey.replace(/\.csv$/, ""),
+    "rejected_rows.csv"
+  );
+
+/**
+* @function getRowWarningsPath
+* @param {string} fileKey - Source CSV key (e.g., 'vendor-x/file.csv').
+* @returns {string} Absolute path of the file's row_warnings.csv.
+*/
+const getRowWarningsPath = (fileKey) =>
+  path.join(path.dirname(getRejectedRowsPath(fileKey)), "row_warnings.csv");
+
+/**
+ * Removes every column of a job row that maps to the canonical `key`, so a
+ * dropped value can't come back through an alias.
+ */
+const dropMappedField = (jobRow, key, columns) => {
+  Object.keys(jobRow).forEach((header) => {
+    const { row } = applyColumnMap(normalizeCsvHeaders({ [header]: jobRow[header] }), columns);
+    if (Object.prototype.hasOwnProperty.call(row, key)) delete jobRow[header];
+  });
+};
+
+/**
+* @function createRowValidator
+* @description Returns a stateful validator for ONE file (it remembers the
+* part numbers it has seen, to flag duplicates).
+* @param {Object} [options]
+* @param {Object} [options.columns] - The file's mapping profile (see applyColumnMap).
+* @param {string} [options.updateMode] - "full" | "quantity"; defaults to UPDATE_MODE env var
+* @returns {{validate: function(Object, number): {errors:string[], warnings:string[]}, getUnknownManufacturers: function(): string[]}}
+*   validate(jobRow, rowNumber) → errors reject the row (empty when valid),
+*   warnings name the values that were dropped from `jobRow` (in place).
+*   `jobRow` is the row as enqueued (see buildJobRow in csv-mapping-store.js).
+*   getUnknownManufacturers() → unknown manufacturers seen so far (policy "allow").
+*
+* @example
+* const validator = createRowValidator();
+* validator.validate({ part_number: "", quantity: "ten", image_url: "n/a" }, 1);
+* // { errors: ["Part Number is required", 'Quantity: "ten" is not a whole number'],
+* //   warnings: ['Image URL: "n/a" is not a URL'] }
+*/
+const createRowValidator = ({ columns, updateMode } = {}) => {
+  const seen = new Map(); // "part|manufacturer" → first row number
+  const unknownManufacturers = new Set();
+  const rejectUnknownManufacturer = getUnknownManufacturerPolicy() === "reject";
+  const quantityOnly = (updateMode || process.env.UPDATE_MODE || "full") === "quantity";
+
+  const validate = (jobRow, rowNumber) => {
+    const { row } = applyColumnMap(normalizeCsvHeaders(jobRow), columns);
+    const errors = [];
+    const warnings = [];
+
+    (quantityOnly ? QUANTITY_MODE_FIELDS : VALIDATED_FIELDS).forEach((key) => {
+      const error = validateFieldValue(key, row[key]);
+      if (error) errors.push(error);
+    });
+
+    const manufacturer = String(row.manufacturer ?? "").trim();
+    if (manufacturer && !matchKnownManufacturer(manufacturer)) {
+      if (rejectUnknownManufacturer) errors.push(`Unknown manufacturer "${manufacturer}"`);
+      else unknownManufacturers.add(manufacturer);
+    }
+
+    if (!quantityOnly) {
+      const dropped = [];
+
+      WARNED_FIELDS.forEach((key) => {
+        const warning = validateFieldValue(key, row[key]);
+        if (warning) {
+          warnings.push(warning);
+          dropped.push(key);
+        }
+      });
+
+      const rohs = normalizeStatusValue(row.rohs_status);
+      if (rohs && !ROHS_ALLOWED_VALUES.has(rohs)) {
+        warnings.push(`RoHS status "${row.rohs_status}" is not an allowed value`);
+        dropped.push("rohs_status");
+      }
+
+      const reach = normalizeStatusValue(row.reach_status);
+      if (reach && !REACH_ALLOWED_VALUES.has(reach)) {
+        warnings.push(`REACH status "${row.reach_status}" is not an allowed value`);
+        dropped.push("reach_status");
+      }
+
+      dropped.forEach((key) => dropMappedField(jobRow, key, columns));
+    }
+
+    const partNumber = String(row.part_number ?? "").trim();
+    if (partNumber) {
+      const identityKey = `${partNumber.toLowerCase()}|${manufacturer.toLowerCase()}`;
+      if (seen.has(identityKey)) {
+        errors.push(`Duplicate part number "${partNumber}" (first seen in row ${seen.get(identityKey)})`);
+      } else {
+        seen.set(identityKey, rowNumber);
+      }
+    }
+
+    return { errors, warnings };
+  };
+
+  return { validate, getUnknownManufacturers: () => [...unknownManufacturers] };
+};
+
+/**
+* @function validateRows
+* @description Validates already-parsed CSV rows (keyed by the vendor's headers).
+* @param {Object[]} rawRows - Data rows in file order.
+* @param {Object|null} mapping - The file's mapping (identity columns + `columns` profile).
+* @param {Object} [options]
+* @param {string} [options.updateMode] - The file entry's updateMode (see createRowValidator).
+* @returns {{totalRows:number, rejected:Array<{row:number, errors:string[], data:Object}>,
+*   warned:Array<{row:number, warnings:string[], data:Object}>, unknownManufacturers:string[]}}
+*   `row` is the 1-based data row number, as used in processBatch() logs.
+*/
+const validateRows = (rawRows, mapping, { updateMode } = {}) => {
+  const identity = resolveIdentityColumns(mapping);
+  const validator = createRowValidator({ columns: mapping?.columns, updateMode });
+  const rejected = [];
+  const warned = [];
+
+  rawRows.forEach((rawRow, index) => {
+    const { errors, warnings } = validator.validate(buildJobRow(rawRow, identity), index + 1);
+    if (errors.length) rejected.push({ row: index + 1, errors, data: rawRow });
+    else if (warnings.length) warned.push({ row: index + 1, warnings, data: rawRow });
+  });
+
+  return { totalRows: rawRows.length, rejected, warned, unknownManufacturers: validator.getUnknownManufacturers() };
+};
+
+/**
+* @function buildRowsReportCsv
+* @param {Array<{row:number, reasons:string[], data:Object}>} entries
+* @param {string} reasonsLabel - Header of the reasons column ("Errors", "Warnings").
+* @returns {string} CSV with "Row", the reasons and then the original columns.
+*/
+const buildRowsReportCsv = (entries, reasonsLabel) => {
+  const columns = [];
+  entries.forEach(({ data }) => {
+    Object.keys(data || {}).forEach((key) => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const records = entries.map(({ row, reasons, data }) => ({
+    ...data,
+    __row: row,
+    __reasons: reasons.join("; "),
+  }));
+
+  return parse(records, {
+    fields: [
+      { label: "Row", value: "__row" },
+      { label: reasonsLabel, value: "__reasons" },
+      ...columns.map((key) => ({ label: key, value: (record) => record[key] ?? "" })),
+    ],
+  });
+};
+
+/**
+* @function buildRejectedRowsCsv
+* @param {Array<{row:number, errors:string[], data:Object}>} rejected
+* @returns {string} CSV with "Row", "Errors" and then the original columns.
+*/
+const buildRejectedRowsCsv = (rejected) =>
+  buildRowsReportCsv(rejected.map(({ row, errors, data }) => ({ row, reasons: errors, data })), "Errors");
+
+/**
+* @function buildRowWarningsCsv
+* @param {Array<{row:number, warnings:string[], data:Object}>} warned
+* @returns {string} CSV with "Row", "Warnings" and then the original columns.
+*/
+const buildRowWarningsCsv = (warned) =>
+  buildRowsReportCsv(warned.map(({ row, warnings, data }) => ({ row, reasons: warnings, data })), "Warnings");
+
+// Writes a report, or removes a stale one when there's nothing to report
+const writeRowsReport = (reportPath, entries, buildCsv) => {
+  if (!entries.length) {
+    if (fs.existsSync(reportPath)) fs.unlinkSync(reportPath);
+    return null;
+  }
+
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, buildCsv(entries), "utf-8");
+  return reportPath;
+};
+
+/**
+* @function writeRejectedRowsReport
+* @description Writes rejected_rows.csv, or removes a stale one when every row passed.
+* @param {string} fileKey
+* @param {Array<{row:number, errors:string[], data:Object}>} rejected
+* @returns {string|null} Report path, or null when there's nothing to report.
+*/
+const writeRejectedRowsReport = (fileKey, rejected) =>
+  writeRowsReport(getRejectedRowsPath(fileKey), rejected, buildRejectedRowsCsv);
+
+/**
+* @function writeRowWarningsReport
+* @description Writes row_warnings.csv, or removes a stale one when no value was dropped.
+* @param {string} fileKey
+* @param {Array<{row:number, warnings:string[], data:Object}>} warned
+* @returns {string|null} Report path, or null when there's nothing to report.
+*/
+const writeRowWarningsReport = (fileKey, warned) =>
+  writeRowsReport(getRowWarningsPath(fileKey), warned, buildRowWarningsCsv);
+
+/**
+* @function buildValidationSummary
+* @description Shape stored as `validation` on the csv-mappings.json file entry.
+* @param {{totalRows:number, rejected:Array, warned?:Array, unknownManufacturers?:string[]}} result - Output of validateRows().
+* @param {string|null} reportPath
+* @param {string|null} [warningsReportPath]
+*/
+const buildValidationSummary = (
+  { totalRows, rejected, warned = [], unknownManufacturers = [] },
+  reportPath,
+  warningsReportPath = null
+) => {
+  const relative = (reportFile) => (reportFile ? path.relative(path.join(__dirname, "../.."), reportFile) : null);
+  return {
+    totalRows,
+    invalidRows: rejected.length,
+    warningRows: warned.length,
+    unknownManufacturers,
+    validatedAt: new Date().toISOString(),
+    reportPath: relative(reportPath),
+    warningsReportPath: relative(warningsReportPath),
+  };
+};
+
+module.exports = {
+  getRejectedRowsPath,
+  getRowWarningsPath,
+  createRowValidator,
+  validateRows,
+  buildRejectedRowsCsv,
+  buildRowWarningsCsv,
+  writeRejectedRowsReport,
+  writeRowWarningsReport,
+  buildValidationSummary,
+};
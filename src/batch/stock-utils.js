@@ -0,0 +1,111 @@
+/*
+================================================================================
+FILE: src/batch/stock-utils.js
+================================================================================
+
+PURPOSE:
+Derive WooCommerce's NATIVE stock fields from vendor quantity + lead time.
+
+WHY?
+Historically we only wrote the `quantity` ACF meta, so Woo's own
+stock_quantity / manage_stock / stock_status never reflected vendor stock and
+the storefront couldn't hide out-of-stock parts.
+
+With STOCK_MODE=native every update also carries:
+  manage_stock   → true
+  stock_quantity → integer vendor quantity
+  backorders     → "notify" when the part has a lead time, else "no"
+  stock_status   → instock | onbackorder | outofstock
+
+NOTE: With manage_stock=true WooCommerce recalculates stock_status itself
+from stock_quantity + backorders; that's why `backorders` is sent too - it is
+what actually makes a zero-stock part with a lead time "onbackorder".
+We still send stock_status so the payload (and the dry-run diff) is explicit.
+
+The `quantity` meta is always written as before (backward compatibility).
+
+================================================================================
+*/
+
+/**
+ * Native Woo stock fields managed in STOCK_MODE=native.
+ * Used by getFieldChanges() to know what to compare in quantity mode.
+ */
+const STOCK_FIELDS = ["manage_stock", "stock_quantity", "backorders", "stock_status"];
+
+/**
+ * @returns {boolean} true when native stock fields should be written.
+ */
+const isNativeStockEnabled = () => (process.env.STOCK_MODE || "meta") === "native";
+
+/**
+ * Parses a vendor quantity ("2,500", " 40 pcs", "12.00", "") into a
+ * non-negative integer. Thousands separators are dropped, the decimal point
+ * is kept and fractions are floored.
+ *
+ * @param {unknown} raw
+ * @returns {number}
+ *
+ * @example
+ * parseStockQuantity("2,500") // 2500
+ * parseStockQuantity("12.00") // 12
+ * parseStockQuantity("N/A")   // 0
+ */
+const parseStockQuantity = (raw) => {
+  const match = String(raw ?? "").replace(/,/g, "").match(/-?\d+(\.\d+)?/);
+  const qty = match ? Math.floor(parseFloat(match[0])) : 0;
+  return Number.isFinite(qty) && qty > 0 ? qty : 0;
+};
+
+/**
+ * Parses a vendor lead time into weeks.
+ * Accepts plain numbers (weeks), ranges ("8-10" → 8) and day values ("14 days" → 2).
+ *
+ * @param {unknown} raw
+ * @returns {number} 0 when no usable lead time
+ */
+const parseLeadWeeks = (raw) => {
+  const text = String(raw ?? "").toLowerCase();
+  const match = text.match(/\d+(\.\d+)?/);
+  if (!match) return 0;
+
+  const value = parseFloat(match[0]);
+  if (!Number.isFinite(value) || value <= 0) return 0;
+
+  return text.includes("day") ? Math.ceil(value / 7) : value;
+};
+
+/**
+ * Builds the native stock fields for one product.
+ *
+ * @param {unknown} quantity - Vendor quantity (raw CSV value)
+ * @param {unknown} [leadTime] - Vendor lead time (raw CSV value)
+ * @returns {{manage_stock:boolean, stock_quantity:number, backorders:string, stock_status:string}}
+ *
+ * @example
+ * deriveStockFields("0", "12 weeks")
+ * // { manage_stock: true, stock_quantity: 0, backorders: "notify", stock_status: "onbackorder" }
+ */
+const deriveStockFields = (quantity, leadTime) => {
+  const stockQuantity = parseStockQuantity(quantity);
+  const hasLeadTime = parseLeadWeeks(leadTime) > 0;
+
+  let stockStatus = "outofstock";
+  if (stockQuantity > 0) stockStatus = "instock";
+  else if (hasLeadTime) stockStatus = "onbackorder";
+
+  return {
+    manage_stock: true,
+    stock_quantity: stockQuantity,
+    backorders: hasLeadTime ? "notify" : "no",
+    stock_status: stockStatus,
+  };
+};
+
+module.exports = {
+  STOCK_FIELDS,
+  isNativeStockEnabled,
+  parseStockQuantity,
+  parseLeadWeeks,
+  deriveStockFields,
+};
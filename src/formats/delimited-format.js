@@ -0,0 +1,111 @@
+/*
+================================================================================
+FILE: src/formats/delimited-format.js
+================================================================================
+
+PURPOSE:
+Delimited text files - comma CSV, semicolon CSV (European Excel exports) and
+TSV. All go through csv-parser, like ingestion always has; only the
+separator changes.
+
+CONFIG:
+  { "type": "csv" }                      → comma
+  { "type": "csv", "delimiter": ";" }    → semicolon
+  { "type": "tsv" }                      → tab
+  "encoding": "windows-1252"             → optional, detected when absent
+                                           (see encoding.js)
+
+================================================================================
+*/
+
+const { pipeline, Readable } = require("stream");
+const csvParser = require("csv-parser");
+
+const { decodeStream, decodeBuffer } = require("./encoding");
+
+/** Separators sniffDelimiter() chooses between. */
+const CANDIDATE_DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Guess the separator from the header line: whichever candidate appears
+ * most often outside quotes wins (ties → comma).
+ *
+ * @param {string} sample - Start of the file, decoded (the header line must be in it)
+ * @param {number} headerRow - 1-based header line
+ * @returns {string} "," | ";" | "\t"
+ */
+const sniffDelimiter = (sample, headerRow) => {
+  const lines = String(sample || "").split(/\r?\n/);
+  const headerLine = (lines[headerRow - 1] || lines.find((line) => line.trim()) || "")
+    .replace(/"[^"]*"/g, "");
+
+  let best = ",";
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const count = headerLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+/**
+ * @param {Object} format - { type, delimiter? }
+ * @returns {string} The separator for this format
+ */
+const getDelimiter = (format) => format.delimiter || (format.type === "tsv" ? "\t" : ",");
+
+/**
+ * Stream data rows as objects keyed by the (trimmed) header labels.
+ *
+ * @param {import("stream").Readable} bodyStream - File bytes
+ * @param {Object} format - { type, delimiter?, encoding? }
+ * @param {Object} options
+ * @param {number} options.headerRow - 1-based header line
+ * @param {function} [options.onEncoding] - Receives the detected { encoding, bom }
+ * @yields {Object} One row per data line
+ */
+async function* readDelimitedRows(bodyStream, format, { headerRow, onEncoding }) {
+  const parser = csvParser({
+    separator: getDelimiter(format),
+    skipLines: headerRow > 0 ? headerRow - 1 : 0,
+    mapHeaders: ({ header }) => header.trim(),
+  });
+
+  // Bytes → UTF-8 text (BOM stripped) → rows. Errors from the body (network,
+  // S3) destroy the parser, ending the loop below.
+  const text = Readable.from(decodeStream(bodyStream, { encoding: format.encoding, onDetect: onEncoding }));
+  pipeline(text, parser, () => {});
+
+  for await (const row of parser) {
+    yield row;
+  }
+}
+
+/**
+ * Read just the header labels.
+ *
+ * @param {Buffer|string} content - Whole file (or at least its first lines)
+ * @param {Object} format - { type, delimiter?, encoding? }
+ * @param {Object} options
+ * @param {number} options.headerRow - 1-based header line
+ * @returns {string[]}
+ */
+const readDelimitedHeaders = (content, format, { headerRow }) => {
+  const { parse } = require("csv-parse/sync");
+  const rows = parse(decodeBuffer(content, format.encoding).text, {
+    delimiter: getDelimiter(format),
+    to_line: headerRow,
+    relax_column_count: true,
+  });
+  return (rows[headerRow - 1] || []).map((h) => String(h).trim()).filter(Boolean);
+};
+
+module.exports = {
+  CANDIDATE_DELIMITERS,
+  sniffDelimiter,
+  readDelimitedRows,
+  readDelimitedHeaders,
+};
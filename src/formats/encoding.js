@@ -0,0 +1,172 @@
+/*
+================================================================================
+FILE: src/formats/encoding.js
+================================================================================
+
+PURPOSE:
+Character encodings of delimited vendor files (CSV / TSV). Everything after
+this module works on UTF-8 text without a BOM.
+
+WHY:
+  - A UTF-8 BOM leaked into the first header ("\uFEFFManufacturer Part Number*")
+  - Latin-1 / Windows-1252 exports garbled "°" and "µ" in values like
+    operating temperature, because they were decoded as UTF-8
+
+DETECTION (first ENCODING_SAMPLE_BYTES of the file):
+  1. BOM                    → utf-8 / utf-16le / utf-16be (BOM is stripped)
+  2. UTF-16 without a BOM   → every other byte is 0x00 (ASCII text)
+  3. Valid UTF-8            → utf-8 (plain ASCII lands here too)
+  4. Anything else          → CSV_FALLBACK_ENCODING (default windows-1252,
+                              a superset of Latin-1 for printable characters)
+
+A file entry can pin the encoding ("format": { "encoding": "windows-1252" });
+the upload endpoint stores the detected one there.
+
+================================================================================
+*/
+
+const iconv = require("iconv-lite");
+
+/** How much of the file detection looks at. */
+const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+  { bytes: [0xff, 0xfe], encoding: "utf-16le" },
+  { bytes: [0xfe, 0xff], encoding: "utf-16be" },
+];
+
+/**
+ * @returns {string} Encoding for files that aren't valid UTF-8
+ */
+const getFallbackEncoding = () => process.env.CSV_FALLBACK_ENCODING || "windows-1252";
+
+/**
+ * @param {Buffer} sample
+ * @param {number} parity - 0: even byte offsets, 1: odd
+ * @returns {number} Share (0..1) of NUL bytes at that parity
+ */
+const nulShare = (sample, parity) => {
+  let nul = 0;
+  let total = 0;
+  for (let i = parity; i < sample.length; i += 2) {
+    total++;
+    if (sample[i] === 0) nul++;
+  }
+  return total ? nul / total : 0;
+};
+
+/**
+ * @param {Buffer} sample
+ * @returns {boolean} The sample is valid UTF-8 (a sequence cut off at the end is fine)
+ */
+const isValidUtf8 = (sample) => {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Detect the encoding of a file from its first bytes.
+ *
+ * @param {Buffer} sample - Start of the file
+ * @returns {{encoding: string, bom: boolean}}
+ *
+ * @example
+ * detectEncoding(Buffer.from([0xef, 0xbb, 0xbf, 0x41]));  // { encoding: "utf-8", bom: true }
+ * detectEncoding(Buffer.from("25\xb0C", "latin1"));        // { encoding: "windows-1252", bom: false }
+ */
+const detectEncoding = (sample) => {
+  const head = Buffer.isBuffer(sample) ? sample : Buffer.from(sample || "");
+
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, i) => head[i] === byte));
+  if (bom) return { encoding: bom.encoding, bom: true };
+
+  if (head.length >= 4) {
+    if (nulShare(head, 1) > 0.3 && nulShare(head, 0) === 0) return { encoding: "utf-16le", bom: false };
+    if (nulShare(head, 0) > 0.3 && nulShare(head, 1) === 0) return { encoding: "utf-16be", bom: false };
+  }
+
+  return { encoding: isValidUtf8(head) ? "utf-8" : getFallbackEncoding(), bom: false };
+};
+
+/**
+ * @param {string} encoding
+ * @returns {boolean} iconv-lite can decode it
+ */
+const isSupportedEncoding = (encoding) => Boolean(encoding) && iconv.encodingExists(encoding);
+
+/**
+ * Decode a whole file to UTF-8 text, BOM stripped.
+ *
+ * @param {Buffer|string} content
+ * @param {string} [encoding] - Detected when omitted
+ * @returns {{text: string, encoding: string}}
+ */
+const decodeBuffer = (content, encoding) => {
+  if (typeof content === "string") {
+    return { text: content.replace(/^\uFEFF/, ""), encoding: encoding || "utf-8" };
+  }
+  const resolved = encoding || detectEncoding(content.subarray(0, ENCODING_SAMPLE_BYTES)).encoding;
+  return { text: iconv.decode(content, resolved), encoding: resolved };
+};
+
+/**
+ * Decode a byte stream to UTF-8 text chunks, BOM stripped. The encoding is
+ * detected from the first ENCODING_SAMPLE_BYTES unless one is given.
+ *
+ * @param {AsyncIterable<Buffer|string>} bodyStream - File bytes
+ * @param {Object} [options]
+ * @param {string} [options.encoding] - Pinned encoding (skips detection)
+ * @param {function({encoding:string, bom:boolean}):void} [options.onDetect] - Called once, before the first chunk
+ * @yields {string}
+ */
+async function* decodeStream(bodyStream, { encoding, onDetect } = {}) {
+  let decoder = null;
+  let pending = [];
+  let pendingBytes = 0;
+
+  const startDecoding = (sample) => {
+    const detected = encoding ? { encoding, bom: detectEncoding(sample).bom } : detectEncoding(sample);
+    if (onDetect) onDetect(detected);
+    decoder = iconv.getDecoder(detected.encoding); // strips the BOM itself
+    return decoder.write(sample);
+  };
+
+  for await (const chunk of bodyStream) {
+    const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+
+    if (decoder) {
+      const text = decoder.write(bytes);
+      if (text) yield text;
+      continue;
+    }
+
+    pending.push(bytes);
+    pendingBytes += bytes.length;
+    if (pendingBytes >= ENCODING_SAMPLE_BYTES) {
+      const text = startDecoding(Buffer.concat(pending));
+      pending = [];
+      if (text) yield text;
+    }
+  }
+
+  if (!decoder) {
+    const text = startDecoding(Buffer.concat(pending));
+    if (text) yield text;
+  }
+
+  const tail = decoder.end();
+  if (tail) yield tail;
+}
+
+module.exports = {
+  ENCODING_SAMPLE_BYTES,
+  detectEncoding,
+  isSupportedEncoding,
+  decodeBuffer,
+  decodeStream,
+};
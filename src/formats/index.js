@@ -0,0 +1,180 @@
+/*
+================================================================================
+FILE: src/formats/index.js
+================================================================================
+
+PURPOSE:
+Vendor file formats. Whatever the vendor sends, ingestion (s3-helpers.js)
+and the UI server get the same thing back: row objects keyed by the
+vendor's header labels, exactly as csv-parser produced for CSV files.
+
+FORMAT TYPES:
+  csv    → comma or semicolon delimited ("delimiter": ";")
+  tsv    → tab delimited
+  xlsx   → Excel workbook ("sheet": name or 1-based position)
+
+CHOOSING A FORMAT (per file entry in csv-mappings.json):
+
+  { "fileKey": "acme/stock.xlsx", "format": { "type": "xlsx", "sheet": "Stock" } }
+  { "fileKey": "eu-vendor.csv",   "format": { "type": "csv", "delimiter": ";" } }
+
+The upload endpoint detects the format (extension + delimiter sniffing on
+the header line + character encoding, see encoding.js) and stores it on the
+entry. Entries without `format` fall back to the fileKey's extension, so
+existing CSV entries read as before (their encoding is detected on read).
+
+  { "fileKey": "old-erp.csv", "format": { "type": "csv", "encoding": "windows-1252" } }
+
+NOTE: No logger import on purpose - the UI server uses this module too.
+
+================================================================================
+*/
+
+const path = require("path");
+const { Readable } = require("stream");
+
+const {
+  CANDIDATE_DELIMITERS,
+  sniffDelimiter,
+  readDelimitedRows,
+  readDelimitedHeaders,
+} = require("./delimited-format");
+const { readXlsxRows, readXlsxLayout } = require("./xlsx-format");
+const { detectEncoding, decodeBuffer, isSupportedEncoding, ENCODING_SAMPLE_BYTES } = require("./encoding");
+
+const FORMAT_TYPES = ["csv", "tsv", "xlsx"];
+
+/** Extension → format type (anything else is read as CSV). */
+const EXTENSION_TYPES = {
+  ".xlsx": "xlsx",
+  ".tsv": "tsv",
+  ".tab": "tsv",
+};
+
+const CONTENT_TYPES = {
+  csv: "text/csv",
+  tsv: "text/tab-separated-values",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+/**
+ * @returns {number} 1-based header row (CSV_HEADER_ROW, default 10 - same as ingestion)
+ */
+const getHeaderRow = () => Number(process.env.CSV_HEADER_ROW || "10");
+
+/**
+ * Detect a file's format from its name and (for delimited text) its content:
+ * character encoding, then the separator on the header line.
+ *
+ * @param {string} fileKey - File name or key
+ * @param {Buffer|string} [sample] - File content; enables delimiter (and, for a
+ *   Buffer, encoding) detection
+ * @returns {Object} Format config ({ type, delimiter?, encoding? })
+ */
+const detectFormat = (fileKey, sample) => {
+  const type = EXTENSION_TYPES[path.extname(String(fileKey || "")).toLowerCase()] || "csv";
+  if (type === "xlsx" || sample === undefined) return { type };
+
+  // A string sample is already text - there is no encoding to record
+  const head = Buffer.isBuffer(sample) ? sample.subarray(0, ENCODING_SAMPLE_BYTES) : null;
+  const encoding = head ? { encoding: detectEncoding(head).encoding } : {};
+  if (type === "tsv") return { type, ...encoding };
+
+  const text = head ? decodeBuffer(head, encoding.encoding).text : sample;
+  const delimiter = sniffDelimiter(text, getHeaderRow());
+  return delimiter === "," ? { type, ...encoding } : { type, delimiter, ...encoding };
+};
+
+/**
+ * Normalizes an entry's `format` ("tsv" shorthand or { type, ... }).
+ *
+ * @param {Object|null} entry - File entry from csv-mappings.json
+ * @returns {Object} Format config with a lowercase `type`
+ * @throws {Error} Unknown format type, unsupported delimiter or encoding
+ */
+const resolveFormatConfig = (entry) => {
+  const raw = entry?.format;
+  const config = typeof raw === "string" ? { type: raw } : { ...(raw || {}) };
+  config.type = String(config.type || detectFormat(entry?.fileKey).type).toLowerCase();
+
+  if (!FORMAT_TYPES.includes(config.type)) {
+    throw new Error(
+      `Unknown file format "${config.type}" for ${entry?.fileKey} ` +
+      `(expected one of: ${FORMAT_TYPES.join(", ")})`
+    );
+  }
+  if (config.delimiter !== undefined && !CANDIDATE_DELIMITERS.includes(config.delimiter)) {
+    throw new Error(`Unsupported delimiter ${JSON.stringify(config.delimiter)} for ${entry?.fileKey}`);
+  }
+  if (config.encoding !== undefined && !isSupportedEncoding(config.encoding)) {
+    throw new Error(`Unsupported encoding ${JSON.stringify(config.encoding)} for ${entry?.fileKey}`);
+  }
+  return config;
+};
+
+/**
+ * Stream a file's data rows.
+ *
+ * @param {import("stream").Readable} bodyStream - File bytes (from a source)
+ * @param {Object} format - From resolveFormatConfig()
+ * @param {Object} [options]
+ * @param {number} [options.headerRow] - Defaults to CSV_HEADER_ROW
+ * @param {function} [options.onEncoding] - Receives the detected { encoding, bom }
+ *   (delimited files only - workbooks are always Unicode)
+ * @returns {AsyncGenerator<Object>} Rows keyed by header label
+ *
+ * @example
+ * for await (const row of readRows(await source.createReadStream(), format)) { ... }
+ */
+const readRows = (bodyStream, format, { headerRow = getHeaderRow(), onEncoding } = {}) =>
+  format.type === "xlsx"
+    ? readXlsxRows(bodyStream, format, { headerRow })
+    : readDelimitedRows(bodyStream, format, { headerRow, onEncoding });
+
+/**
+ * Read every data row of an in-memory file (UI server: upload / re-validate).
+ *
+ * @param {Buffer} content - Whole file
+ * @param {Object} format - From resolveFormatConfig()
+ * @returns {Promise<Object[]>}
+ */
+const readAllRows = async (content, format) => {
+  const rows = [];
+  for await (const row of readRows(Readable.from([content]), format)) {
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Header labels (and, for workbooks, the sheet names) of an in-memory file.
+ *
+ * @param {Buffer} content - Whole file
+ * @param {Object} format - From resolveFormatConfig()
+ * @returns {Promise<{headers: string[], sheets?: string[]}>}
+ */
+const readLayout = async (content, format) => {
+  const headerRow = getHeaderRow();
+  if (format.type === "xlsx") {
+    return readXlsxLayout(Readable.from([content]), format, { headerRow });
+  }
+  return { headers: readDelimitedHeaders(content, format, { headerRow }) };
+};
+
+/**
+ * @param {Object} format - From resolveFormatConfig()
+ * @returns {string} MIME type for the S3 upload
+ */
+const getContentType = (format) => CONTENT_TYPES[format.type] || CONTENT_TYPES.csv;
+
+module.exports = {
+  FORMAT_TYPES,
+  DELIMITERS: CANDIDATE_DELIMITERS,
+  detectFormat,
+  detectEncoding,
+  resolveFormatConfig,
+  readRows,
+  readAllRows,
+  readLayout,
+  getContentType,
+};
@@ -0,0 +1,144 @@
+/*
+================================================================================
+FILE: src/formats/xlsx-format.js
+================================================================================
+
+PURPOSE:
+Excel workbooks (.xlsx). Read with exceljs' streaming WorkbookReader, so a
+large workbook is never loaded whole - rows are yielded as they are parsed,
+exactly like CSV rows.
+
+CONFIG:
+  { "type": "xlsx" }                     → first sheet
+  { "type": "xlsx", "sheet": "Stock" }   → sheet by name
+  { "type": "xlsx", "sheet": 2 }         → sheet by 1-based position
+
+The header row is CSV_HEADER_ROW of the chosen sheet, as for CSV files.
+Cell values are turned into the text a CSV export would contain (formula →
+result, rich text → plain text, hyperlink → its text, date → ISO string).
+
+================================================================================
+*/
+
+const ExcelJS = require("exceljs");
+
+const READER_OPTIONS = {
+  sharedStrings: "cache",
+  hyperlinks: "ignore",
+  styles: "cache", // needed to tell dates from plain numbers
+  worksheets: "emit",
+  entries: "ignore",
+};
+
+/**
+ * @param {*} value - exceljs cell value
+ * @returns {string}
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+    if ("result" in value) return cellText(value.result);
+    if ("text" in value) return cellText(value.text);
+    return "";
+  }
+  return String(value);
+};
+
+/**
+ * @param {Object} row - exceljs Row (values are 1-based and may be sparse)
+ * @returns {string[]}
+ */
+const rowCells = (row) => Array.from((row.values || []).slice(1), cellText);
+
+/**
+ * @param {string} name - Worksheet name
+ * @param {number} index - 0-based position in the workbook
+ * @param {string|number} [sheet] - Configured sheet (name or 1-based position)
+ */
+const isSelectedSheet = (name, index, sheet) => {
+  if (sheet === undefined || sheet === null || sheet === "") return index === 0;
+  if (typeof sheet === "number" || /^\d+$/.test(String(sheet))) return index === Number(sheet) - 1;
+  return name === sheet;
+};
+
+/**
+ * Stream data rows of the selected sheet as objects keyed by its headers.
+ *
+ * @param {import("stream").Readable} bodyStream - Workbook bytes
+ * @param {Object} format - { type: "xlsx", sheet? }
+ * @param {Object} options
+ * @param {number} options.headerRow - 1-based header row
+ * @yields {Object} One row per non-empty data row
+ * @throws {Error} The sheet doesn't exist
+ */
+async function* readXlsxRows(bodyStream, format, { headerRow }) {
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(bodyStream, READER_OPTIONS);
+  const sheetNames = [];
+  let found = false;
+
+  for await (const worksheet of reader) {
+    const selected = !found && isSelectedSheet(worksheet.name, sheetNames.length, format.sheet);
+    sheetNames.push(worksheet.name);
+    found = found || selected;
+    let headers = null;
+
+    // Every sheet's rows must be read for the workbook stream to advance
+    for await (const row of worksheet) {
+      if (!selected || row.number < headerRow) continue;
+
+      const cells = rowCells(row);
+      if (row.number === headerRow) {
+        headers = cells.map((label) => label.trim());
+        continue;
+      }
+      if (!headers || cells.every((cell) => cell.trim() === "")) continue;
+
+      const record = {};
+      headers.forEach((label, i) => {
+        if (label) record[label] = cells[i] ?? "";
+      });
+      yield record;
+    }
+  }
+
+  if (!found) {
+    throw new Error(
+      `Sheet "${format.sheet}" not found (sheets: ${sheetNames.join(", ") || "none"})`
+    );
+  }
+}
+
+/**
+ * Read the sheet names and the selected sheet's header labels.
+ *
+ * @param {import("stream").Readable} bodyStream - Workbook bytes
+ * @param {Object} format - { type: "xlsx", sheet? }
+ * @param {Object} options
+ * @param {number} options.headerRow - 1-based header row
+ * @returns {Promise<{sheets: string[], headers: string[]}>}
+ */
+const readXlsxLayout = async (bodyStream, format, { headerRow }) => {
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(bodyStream, READER_OPTIONS);
+  const sheets = [];
+  let headers = [];
+
+  for await (const worksheet of reader) {
+    const selected = isSelectedSheet(worksheet.name, sheets.length, format.sheet);
+    sheets.push(worksheet.name);
+
+    for await (const row of worksheet) {
+      if (selected && row.number === headerRow) {
+        headers = rowCells(row).map((label) => label.trim()).filter(Boolean);
+      }
+    }
+  }
+
+  return { sheets, headers };
+};
+
+module.exports = {
+  readXlsxRows,
+  readXlsxLayout,
+};
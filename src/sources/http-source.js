@@ -0,0 +1,70 @@
+/*
+================================================================================
+FILE: src/sources/http-source.js
+================================================================================
+
+PURPOSE:
+HTTPS CSV source - for vendors that publish their feed at a URL.
+
+CONFIG:
+  { "type": "http", "url": "https://feeds.vendor.com/stock.csv",
+    "headers": { "Accept": "text/csv" } }
+
+  url           → required, must be https:// (set "allowInsecure": true to
+                  accept plain http://, e.g. for a local test server)
+  headers       → optional request headers (no secrets - use tokenEnv)
+  tokenEnv      → optional name of an .env variable holding a bearer token
+
+Timeout: HTTP_SOURCE_TIMEOUT_MS (default 300000, same as the S3 client).
+
+================================================================================
+*/
+
+const axios = require("axios");
+
+/**
+ * @param {Object} config - Source config (see above)
+ * @param {Object} context
+ * @param {string} context.fileKey
+ */
+const createHttpSource = (config, { fileKey }) => {
+  const url = String(config.url || "");
+
+  if (!/^https:\/\//i.test(url) && !(config.allowInsecure && /^http:\/\//i.test(url))) {
+    throw new Error(`HTTP source for ${fileKey}: "url" must be an https:// URL`);
+  }
+
+  const headers = { ...(config.headers || {}) };
+  if (config.tokenEnv) {
+    const token = process.env[config.tokenEnv];
+    if (!token) throw new Error(`HTTP source for ${fileKey}: ${config.tokenEnv} is not set`);
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const timeout = Number(process.env.HTTP_SOURCE_TIMEOUT_MS || "300000");
+
+  return {
+    type: "http",
+    describe: () => url,
+    readText: async () => {
+      const response = await axios.get(url, {
+        headers,
+        responseType: "text",
+        // Keep the raw text - never let axios JSON-parse a feed
+        transformResponse: [(data) => data],
+        timeout,
+      });
+      return String(response.data ?? "");
+    },
+    readBuffer: async () => {
+      const response = await axios.get(url, { headers, responseType: "arraybuffer", timeout });
+      return Buffer.from(response.data);
+    },
+    createReadStream: async () => {
+      const response = await axios.get(url, { headers, responseType: "stream", timeout });
+      return response.data;
+    },
+  };
+};
+
+module.exports = { createHttpSource };
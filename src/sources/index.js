@@ -0,0 +1,113 @@
+/*
+================================================================================
+FILE: src/sources/index.js
+================================================================================
+
+PURPOSE:
+Pluggable CSV sources. Ingestion (s3-helpers.js) no longer talks to S3
+directly - it asks createSource() for the file entry's source and streams
+the CSV from it (createReadStream); the UI server reads small files whole
+(readText).
+
+SOURCE TYPES:
+  s3     → GetObjectCommand (default; same bucket/key as before)
+  local  → a file on disk (dev and tests without AWS)
+  sftp   → a vendor SFTP drop folder
+  http   → an HTTPS URL
+
+SELECTING A SOURCE (per file entry in csv-mappings.json):
+
+  { "fileKey": "vendor-x/parts.csv", "status": "ready",
+    "source": { "type": "local", "path": "./csv-files/vendor-x/parts.csv" } }
+
+  { "fileKey": "acme-stock.csv", "status": "ready",
+    "source": { "type": "http", "url": "https://feeds.acme.com/stock.csv" } }
+
+  { "fileKey": "digi/parts.csv", "status": "ready",
+    "source": { "type": "sftp", "host": "sftp.vendor.com", "path": "/outbox/parts.csv" } }
+
+Entries without `source` use CSV_SOURCE (default "s3") with the fileKey,
+so existing entries behave exactly as before.
+
+SECRETS:
+Credentials never go in csv-mappings.json - they come from .env
+(SFTP_PASSWORD / SFTP_PRIVATE_KEY_PATH). See each adapter for its options.
+
+NOTE: No logger import on purpose - the UI server uses this module too.
+
+================================================================================
+*/
+
+const { createS3Source } = require("./s3-source");
+const { createLocalSource } = require("./local-source");
+const { createHttpSource } = require("./http-source");
+const { createSftpSource } = require("./sftp-source");
+
+/**
+ * type → adapter factory. Each factory returns
+ * { type, describe(), readText(), readBuffer(), createReadStream() } -
+ * readBuffer() for the UI server's whole-file reads (binary-safe, e.g.
+ * .xlsx), createReadStream() for single-pass ingestion.
+ */
+const SOURCE_FACTORIES = {
+  s3: createS3Source,
+  local: createLocalSource,
+  http: createHttpSource,
+  https: createHttpSource,
+  sftp: createSftpSource,
+};
+
+/**
+ * @returns {string} Source type for entries without a `source` (CSV_SOURCE, default "s3").
+ */
+const getDefaultSourceType = () => (process.env.CSV_SOURCE || "s3").toLowerCase();
+
+/**
+ * Normalizes an entry's `source` ("local" shorthand or { type, ... }).
+ *
+ * @param {Object|null} entry - File entry from csv-mappings.json
+ * @returns {Object} Source config with a lowercase `type`
+ */
+const resolveSourceConfig = (entry) => {
+  const raw = entry?.source;
+  const config = typeof raw === "string" ? { type: raw } : { ...(raw || {}) };
+  config.type = String(config.type || getDefaultSourceType()).toLowerCase();
+  return config;
+};
+
+/**
+ * Builds the source adapter for one file entry.
+ *
+ * @param {Object|null} entry - File entry ({ fileKey, source? })
+ * @param {Object} [context]
+ * @param {string} [context.bucketName] - Default S3 bucket (s3 sources)
+ * @param {Object} [context.s3Client] - Shared S3Client (s3 sources)
+ * @returns {{type:string, describe:function():string, readText:function():Promise<string>,
+ *   readBuffer:function():Promise<Buffer>,
+ *   createReadStream:function():Promise<import("stream").Readable>}}
+ * @throws {Error} Unknown source type or invalid config
+ *
+ * @example
+ * const source = createSource({ fileKey: "a.csv", source: "local" });
+ * const csvText = await source.readText();
+ */
+const createSource = (entry, context = {}) => {
+  const config = resolveSourceConfig(entry);
+  const factory = SOURCE_FACTORIES[config.type];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown CSV source type "${config.type}" for ${entry?.fileKey} ` +
+      `(expected one of: ${Object.keys(SOURCE_FACTORIES).join(", ")})`
+    );
+  }
+
+  return factory(config, { fileKey: entry?.fileKey, ...context });
+};
+
+module.exports = {
+  SOURCE_TYPES: Object.keys(SOURCE_FACTORIES),
+  getDefaultSourceType,
+  resolveSourceConfig,
+  createSource,
+};
@@ -0,0 +1,57 @@
+/*
+================================================================================
+FILE: src/sources/local-source.js
+================================================================================
+
+PURPOSE:
+Local-filesystem CSV source, for development and tests without AWS.
+
+CONFIG:
+  { "type": "local", "path": "./csv-files/vendor-x/parts.csv" }
+  { "type": "local", "dir": "/data/drop" }      → <dir>/<fileKey>
+  { "type": "local" }                           → <LOCAL_SOURCE_DIR>/<fileKey>
+
+Relative paths are resolved from the project root. When the path is built
+from the fileKey, it must stay inside the directory (no "../" escapes).
+
+================================================================================
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const PROJECT_ROOT = path.join(__dirname, "../..");
+
+/**
+ * @param {Object} config - Source config (see above)
+ * @param {Object} context
+ * @param {string} context.fileKey
+ */
+const createLocalSource = (config, { fileKey }) => {
+  let filePath;
+
+  if (config.path) {
+    filePath = path.resolve(PROJECT_ROOT, config.path);
+  } else {
+    const dir = path.resolve(PROJECT_ROOT, config.dir || process.env.LOCAL_SOURCE_DIR || "csv-files");
+    filePath = path.resolve(dir, fileKey || "");
+
+    if (!filePath.startsWith(dir + path.sep)) {
+      throw new Error(`Local source for ${fileKey}: path escapes ${dir}`);
+    }
+  }
+
+  return {
+    type: "local",
+    describe: () => filePath,
+    readText: async () => fs.promises.readFile(filePath, "utf-8"),
+    readBuffer: async () => fs.promises.readFile(filePath),
+    createReadStream: async () => {
+      // Fail here (not mid-pipeline) when the file is missing
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+  };
+};
+
+module.exports = { createLocalSource };
@@ -0,0 +1,52 @@
+/*
+================================================================================
+FILE: src/sources/s3-source.js
+================================================================================
+
+PURPOSE:
+S3 CSV source - the original (and default) ingestion path.
+
+CONFIG:
+  { "type": "s3", "bucket": "optional-other-bucket", "key": "optional/other-key.csv" }
+
+  bucket → defaults to the run's bucket (S3_BUCKET_NAME / S3_BUCKET_NAME_TEST)
+  key    → defaults to the entry's fileKey
+
+================================================================================
+*/
+
+const { GetObjectCommand } = require("@aws-sdk/client-s3");
+
+/**
+ * @param {Object} config - Source config (see above)
+ * @param {Object} context
+ * @param {string} context.fileKey
+ * @param {string} [context.bucketName]
+ * @param {Object} context.s3Client - S3Client instance (shared with the caller)
+ */
+const createS3Source = (config, { fileKey, bucketName, s3Client }) => {
+  const bucket = config.bucket || bucketName;
+  const key = config.key || fileKey;
+
+  if (!bucket) throw new Error(`S3 source for ${fileKey}: no bucket configured`);
+  if (!s3Client) throw new Error(`S3 source for ${fileKey}: no S3 client available`);
+
+  return {
+    type: "s3",
+    describe: () => `s3://${bucket}/${key}`,
+    readText: async () => {
+      const data = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return data.Body.transformToString();
+    },
+    readBuffer: async () => {
+      const data = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await data.Body.transformToByteArray());
+    },
+    createReadStream: async () => {
+      const data = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return data.Body; // Node Readable - piped straight into the CSV parser
+    },
+  };
+};
+
+module.exports = { createS3Source };
@@ -0,0 +1,84 @@
+/*
+================================================================================
+FILE: src/sources/sftp-source.js
+================================================================================
+
+PURPOSE:
+SFTP CSV source - reads a file from a vendor's SFTP drop folder.
+
+CONFIG:
+  { "type": "sftp", "host": "sftp.vendor.com", "port": 22,
+    "username": "feeds", "path": "/outbox/parts.csv" }
+
+  host / port / username → default to SFTP_HOST / SFTP_PORT (22) / SFTP_USERNAME
+  path                   → remote file; defaults to <dir or SFTP_SOURCE_DIR>/<fileKey>
+
+Credentials come from .env only:
+  SFTP_PASSWORD          → password auth, or
+  SFTP_PRIVATE_KEY_PATH  → key auth (SFTP_PASSPHRASE if the key is encrypted)
+
+================================================================================
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @param {Object} config - Source config (see above)
+ * @param {Object} context
+ * @param {string} context.fileKey
+ */
+const createSftpSource = (config, { fileKey }) => {
+  const host = config.host || process.env.SFTP_HOST;
+  const port = Number(config.port || process.env.SFTP_PORT || "22");
+  const username = config.username || process.env.SFTP_USERNAME;
+  const remotePath =
+    config.path || path.posix.join(config.dir || process.env.SFTP_SOURCE_DIR || "/", fileKey || "");
+
+  if (!host || !username) {
+    throw new Error(`SFTP source for ${fileKey}: host and username are required`);
+  }
+
+  const connectOptions = { host, port, username };
+  if (process.env.SFTP_PRIVATE_KEY_PATH) {
+    connectOptions.privateKey = fs.readFileSync(process.env.SFTP_PRIVATE_KEY_PATH);
+    if (process.env.SFTP_PASSPHRASE) connectOptions.passphrase = process.env.SFTP_PASSPHRASE;
+  } else {
+    connectOptions.password = process.env.SFTP_PASSWORD;
+  }
+
+  // Loaded on use: only SFTP entries need the SSH stack
+  const connect = async () => {
+    const SftpClient = require("ssh2-sftp-client");
+    const client = new SftpClient();
+    await client.connect(connectOptions);
+    return client;
+  };
+
+  const readBuffer = async () => {
+    const client = await connect();
+    try {
+      return await client.get(remotePath);
+    } finally {
+      await client.end().catch(() => {});
+    }
+  };
+
+  return {
+    type: "sftp",
+    describe: () => `sftp://${username}@${host}:${port}${remotePath}`,
+    readText: async () => (await readBuffer()).toString("utf-8"),
+    readBuffer,
+    createReadStream: async () => {
+      const client = await connect();
+      const stream = client.createReadStream(remotePath);
+      // The connection lives as long as the stream
+      const close = () => client.end().catch(() => {});
+      stream.once("close", close);
+      stream.once("error", close);
+      return stream;
+    },
+  };
+};
+
+module.exports = { createSftpSource };
@@ -10,6 +10,9 @@
  * KEY FUNCTIONS:
  * - getProductById: Fetch a product by its WooCommerce ID
  * - getProductIdByPartNumber: Find a product by part_number + manufacturer
+ * - getProductsByPartNumbers: Resolve a whole batch of rows in a few requests
+ * - lookupCatalogIndex: Exact (part_number, manufacturer) → id from the local
+ *   catalog index (built by catalog-index.js), tried before any search
  * 
  * BUG #5 FIX (2025):
  * The pagination in getProductIdByPartNumber was limited to maxPages * perPage
@@ -43,9 +46,15 @@ const { appRedis } = require("./queue");
 // The limiter is CRITICAL for preventing 429/504 errors from WooCommerce
 const { scheduleApiRequest, limiter } = require("./job-manager");
 
+// Which errors the limiter retries, and how long Woo asked us to wait
+const { isTransientError, getRetryAfterMs } = require("./adaptive-limiter");
+
 // Utility for creating unique job IDs
 const { createUniqueJobId } = require("./utils");
 
+// Same manufacturer normalization as the resolver's exact match
+const { normalizeForCompare } = require("./manufacturer-resolver");
+
 // =============================================================================
 // RATE LIMITING CONFIGURATION
 // =============================================================================
@@ -57,8 +66,8 @@ const { createUniqueJobId } = require("./utils");
  * we use exponential backoff to wait before retrying.
  * 
  * The limiter (Bottleneck) from job-manager.js handles:
- *   - maxConcurrent: 2 (only 2 requests at a time)
- *   - minTime: 1000ms (minimum 1 second between requests)
+ *   - maxConcurrent / minTime, tuned at runtime by adaptive-limiter.js
+ *     (starts at 2 requests at a time, 1 second apart)
  * 
  * This listener adds additional retry logic for specific error types.
  */
@@ -82,15 +91,18 @@ limiter.on("failed", async (error, jobInfo) => {
    *   - ECONNRESET: Connection was reset (network issue)
    *   - socket hang up: Connection closed unexpectedly
    *   - 502: Bad Gateway (server overload)
+   *   - 503: Service Unavailable
    *   - 504: Gateway Timeout (request took too long)
    *   - 429: Too Many Requests (rate limited)
    *   - 499: Client Closed Request (nginx-specific)
    */
-  const retryableErrors = /(ECONNRESET|socket hang up|502|504|429|499)/i;
-  
-  if (retryCount < 5 && retryableErrors.test(error.message)) {
-    // Exponential backoff: 2s, 4s, 8s, 16s, 32s
-    const retryDelay = 1000 * Math.pow(2, retryCount + 1);
+  if (retryCount < 5 && isTransientError(error)) {
+    // Exponential backoff: 2s, 4s, 8s, 16s, 32s - or longer if Woo sent a
+    // Retry-After (the adaptive limiter also pauses every worker until then)
+    const retryDelay = Math.max(
+      1000 * Math.pow(2, retryCount + 1),
+      getRetryAfterMs(error) || 0
+    );
     
     logInfoToFile(
       `Bottleneck: Scheduling retry in ${retryDelay / 1000}s for job ${jobId}`
@@ -177,6 +189,59 @@ logInfoToFile(`WooCommerce API initialized for ${executionMode} mode: ${wooConfi
  */
 const retriedProducts = new Set();
 
+// =============================================================================
+// CATALOG INDEX
+// =============================================================================
+
+/**
+ * Redis keys of the local catalog index (see catalog-index.js):
+ *   catalog-index:products   hash  "part|manufacturer" → product id
+ *   catalog-index:ids        hash  product id → "part|manufacturer" (for updates)
+ *   catalog-index:synced-at  ISO time the last sync started (next modified_after)
+ *   catalog-index:built-at   ISO time the last full rebuild started
+ */
+const CATALOG_INDEX_KEYS = {
+  products: "catalog-index:products",
+  ids: "catalog-index:ids",
+  syncedAt: "catalog-index:synced-at",
+  builtAt: "catalog-index:built-at",
+  lock: "catalog-index:lock",
+};
+
+/**
+ * Index field of a part number + CANONICAL manufacturer. Part numbers are
+ * compared exactly, apart from case and whitespace ("LM317" never matches
+ * "LM317T", unlike the search API).
+ *
+ * @param {string} partNumber
+ * @param {string} manufacturer - Canonical name (resolveManufacturerSmart)
+ * @returns {string} e.g. "lm317|texas instruments"
+ */
+const catalogIndexField = (partNumber, manufacturer) =>
+  `${String(partNumber ?? "").toLowerCase().replace(/\s+/g, "")}|${normalizeForCompare(manufacturer)}`;
+
+/**
+ * Look a part up in the catalog index.
+ *
+ * @param {string} partNumber
+ * @param {string} manufacturer - Canonical name
+ * @returns {Promise<number|null>} Product id, or null if not indexed (or the
+ *   index was never built / Redis is unavailable).
+ */
+const lookupCatalogIndex = async (partNumber, manufacturer) => {
+  try {
+    const value = await appRedis.hGet(
+      CATALOG_INDEX_KEYS.products,
+      catalogIndexField(partNumber, manufacturer)
+    );
+    const id = parseInt(value, 10);
+    return !isNaN(id) && id > 0 ? id : null;
+  } catch (error) {
+    logErrorToFile(`lookupCatalogIndex() - ⚠️ Index unavailable: ${error.message}`);
+    return null;
+  }
+};
+
 // =============================================================================
 // API FUNCTIONS
 // =============================================================================
@@ -257,7 +322,8 @@ const getProductById = async (productId, fileKey, currentIndex) => {
  * 
  * HOW IT WORKS:
  * 1. Check Redis cache first (fast path)
- * 2. If not cached, search WooCommerce API by part_number
+ *    1b. Then the local catalog index (exact match, see catalog-index.js)
+ * 2. If not cached/indexed, search WooCommerce API by part_number
  * 3. For each result, check if manufacturer matches
  * 4. If found, cache in Redis and return the product ID
  * 5. If not found after checking ALL results, return null
@@ -388,6 +454,23 @@ const getProductIdByPartNumber = async (
     );
   }
 
+  // =========================================================================
+  // STEP 1b: CHECK THE LOCAL CATALOG INDEX
+  // =========================================================================
+  /**
+   * Exact (part_number, manufacturer) match from catalog-index.js - no
+   * fuzzy full-text search. Only parts the index doesn't know (new since the
+   * last sync, or the index isn't built) fall through to the search API.
+   */
+  const indexedProductId = await lookupCatalogIndex(partNumber, manufacturer);
+  if (indexedProductId) {
+    logInfoToFile(
+      `getProductIdByPartNumber() - 🗂️ INDEX HIT: Product ID ${indexedProductId} ` +
+      `for Part: ${partNumber} | Manufacturer: ${manufacturer}`
+    );
+    return indexedProductId;
+  }
+
   // =========================================================================
   // STEP 2: SEARCH WOOCOMMERCE API WITH PAGINATION
   // =========================================================================
@@ -579,6 +662,184 @@ const getProductIdByPartNumber = async (
   return null;
 };
 
+// =============================================================================
+// BATCH LOOKUP
+// =============================================================================
+
+/**
+ * How many rows share one `sku=` request. Each row contributes up to four
+ * candidate SKUs, so 25 rows stay within WooCommerce's per_page limit of 100.
+ */
+const LOOKUP_CHUNK_SIZE = 25;
+
+/**
+ * Key used to match a CSV row with a Woo product: "part|manufacturer",
+ * lowercased and trimmed on both sides.
+ */
+const lookupKey = (partNumber, manufacturer) =>
+  `${String(partNumber ?? "").trim().toLowerCase()}|${String(manufacturer ?? "").trim().toLowerCase()}`;
+
+/**
+ * Same identity rule as validateProductMatch(): part_number meta (falling back
+ * to the product name) + manufacturer meta.
+ */
+const productLookupKey = (product) => {
+  const meta = (key) =>
+    product.meta_data?.find((m) => m.key?.toLowerCase() === key)?.value;
+  return lookupKey(meta("part_number") || product.name, meta("manufacturer"));
+};
+
+/**
+ * Every SKU a row's product may have been created with: the row's own sku
+ * column, `${part}_${manufacturer}` (createNewData) with the raw and the
+ * canonical manufacturer, and the bare part number (create-missing-products).
+ */
+const candidateSkus = ({ partNumber, manufacturer, rawManufacturer, sku }) =>
+  [sku, `${partNumber}_${rawManufacturer}`, `${partNumber}_${manufacturer}`, partNumber]
+    .map((value) => String(value ?? "").trim())
+    .filter((value) => value && !value.endsWith("_"));
+
+/**
+ * Fetch one list page (`include=` or `sku=`) through the limiter.
+ * Errors are logged and yield []: rows left unresolved fall back to the
+ * per-row lookup, which has its own retries.
+ */
+const fetchProductList = async (params, fileKey, startIndex, label) => {
+  try {
+    const response = await scheduleApiRequest(
+      () => wooApi.get("products", { ...params, per_page: 100 }),
+      {
+        id: createUniqueJobId(fileKey, `getProductsByPartNumbers_${label}`, startIndex, 0),
+        context: {
+          file: "woo-helpers.js",
+          functionName: "getProductsByPartNumbers",
+          part: label,
+        },
+      }
+    );
+    return response.data || [];
+  } catch (error) {
+    logErrorToFile(
+      `getProductsByPartNumbers() - ⚠️ ${label} lookup failed, falling back to per-row search: ${error.message}`
+    );
+    return [];
+  }
+};
+
+/**
+ * =============================================================================
+ * Resolve every row of a batch to its full WooCommerce product at once.
+ * =============================================================================
+ *
+ * getProductIdByPartNumber() + getProductById() cost at least two rate-limited
+ * requests per row. This does the whole batch in a handful:
+ *
+ * 1. Redis cache (same keys as getProductIdByPartNumber) and the catalog index
+ *    → one `include=` request for all known ids.
+ * 2. Rows not cached (or whose cached product no longer matches) → one `sku=`
+ *    request per LOOKUP_CHUNK_SIZE rows, with every candidate SKU of each row.
+ * 3. Products are matched on part_number + manufacturer meta, never on the SKU
+ *    alone, and newly found ids are cached for 24 hours.
+ *
+ * Rows missing from the result were not found this way (e.g. their SKU follows
+ * none of the known patterns); callers fall back to getProductIdByPartNumber().
+ *
+ * @param {Array<{partNumber:string, manufacturer:string, rawManufacturer?:string, sku?:string}>} lookups
+ *   One per row; `manufacturer` is the canonical name (see fetch-validate.js).
+ * @param {string} fileKey - File identifier for logging and job ids
+ * @param {number} startIndex - First row of the batch, for job ids
+ * @returns {Promise<Map<string, Object>>} lookupKey(partNumber, manufacturer) → Woo product
+ *
+ * @example
+ * const products = await getProductsByPartNumbers(
+ *   [{ partNumber: "STM32F103C8T6", manufacturer: "STMicroelectronics" }],
+ *   "microcontrollers.csv",
+ *   0
+ * );
+ * products.get(lookupKey("STM32F103C8T6", "STMicroelectronics")); // { id, meta_data, ... }
+ */
+const getProductsByPartNumbers = async (lookups, fileKey, startIndex = 0) => {
+  const found = new Map();
+
+  // Unique rows only - a file may list the same part twice
+  const pending = new Map();
+  for (const lookup of lookups) {
+    if (!lookup?.partNumber) continue;
+    const key = lookupKey(lookup.partNumber, lookup.manufacturer);
+    if (!pending.has(key)) pending.set(key, lookup);
+  }
+  if (pending.size === 0) return found;
+
+  const cacheKeyOf = ({ partNumber, manufacturer }) =>
+    `productId:${partNumber}:${String(manufacturer ?? "").trim().toLowerCase()}`;
+
+  const accept = (products) => {
+    for (const product of products) {
+      const key = productLookupKey(product);
+      if (pending.has(key) && !found.has(key)) found.set(key, product);
+    }
+  };
+
+  // =========================================================================
+  // STEP 1: CACHED / INDEXED IDS → include=
+  // =========================================================================
+  let cachedIds = [];
+  try {
+    const entries = [...pending.values()];
+    const cached = await appRedis.mGet(entries.map(cacheKeyOf));
+    const indexed = await appRedis.hmGet(
+      CATALOG_INDEX_KEYS.products,
+      entries.map((lookup) => catalogIndexField(lookup.partNumber, lookup.manufacturer))
+    );
+    cachedIds = entries
+      .map((_, i) => parseInt(cached[i] || indexed[i], 10))
+      .filter((id) => !isNaN(id) && id > 0);
+  } catch (cacheError) {
+    logInfoToFile(
+      `getProductsByPartNumbers() - Cache unavailable, querying API: ${cacheError.message}`
+    );
+  }
+
+  for (let i = 0; i < cachedIds.length; i += 100) {
+    const ids = [...new Set(cachedIds.slice(i, i + 100))];
+    accept(await fetchProductList({ include: ids.join(",") }, fileKey, startIndex, "include"));
+  }
+
+  // =========================================================================
+  // STEP 2: EVERYTHING ELSE → sku=
+  // =========================================================================
+  const fromCache = new Set(found.keys());
+  const uncached = [...pending.values()].filter(
+    (lookup) => !found.has(lookupKey(lookup.partNumber, lookup.manufacturer))
+  );
+
+  for (let i = 0; i < uncached.length; i += LOOKUP_CHUNK_SIZE) {
+    const skus = [...new Set(uncached.slice(i, i + LOOKUP_CHUNK_SIZE).flatMap(candidateSkus))];
+    if (skus.length === 0) continue;
+    accept(await fetchProductList({ sku: skus.join(",") }, fileKey, startIndex, "sku"));
+  }
+
+  // =========================================================================
+  // STEP 3: CACHE NEW MATCHES (TTL: 24 hours)
+  // =========================================================================
+  try {
+    await Promise.all(
+      [...found]
+        .filter(([key]) => !fromCache.has(key))
+        .map(([key, product]) => appRedis.set(cacheKeyOf(pending.get(key)), product.id, { EX: 86400 }))
+    );
+  } catch (cacheError) {
+    logErrorToFile(`getProductsByPartNumbers() - ⚠️ Failed to cache: ${cacheError.message}`);
+  }
+
+  logInfoToFile(
+    `getProductsByPartNumbers() - 📦 Resolved ${found.size}/${pending.size} rows ` +
+    `(${cachedIds.length} cached/indexed ids) for ${fileKey} starting at row ${startIndex + 1}`
+  );
+
+  return found;
+};
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -587,5 +848,10 @@ module.exports = {
   wooApi,
   getProductById,
   getProductIdByPartNumber,
+  getProductsByPartNumbers,
+  lookupKey,
+  CATALOG_INDEX_KEYS,
+  catalogIndexField,
+  lookupCatalogIndex,
   retriedProducts,
-};
\ No newline at end of file
+};
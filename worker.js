@@ -18,7 +18,8 @@
  * When all files finish processing, the worker automatically:
  * 1. Marks completed files in csv-mappings.json
  * 2. Checks for new "ready" files
- * 3. Restarts woo-update-app to pick them up
+ * 3. Requests a run for them (run-control.js) - index.js enqueues them
+ *    in-process, no woo-update-app restart
  * 
  * CONCURRENCY:
  * Multiple workers can run simultaneously (controlled by CONCURRENCY env var).
@@ -57,18 +58,17 @@
 require("dotenv").config();
 
 // Node.js built-ins for auto-pickup feature
-const { exec } = require("child_process");
 const path = require("path");
 const fs = require("fs");
 
 // BullMQ Worker class for processing queue jobs
-const { Worker } = require("bullmq");
+const { Worker, DelayedError } = require("bullmq");
 
 // Custom logging utilities
 const { logErrorToFile, logInfoToFile } = require("./logger");
 
 // Redis client for cleanup on shutdown
-const { appRedis } = require("./queue");
+const { appRedis, FAST_LANE_QUEUE_NAME } = require("./queue");
 
 // Main batch processing function
 const { processBatch } = require("./src/batch/process-batch");
@@ -79,6 +79,36 @@ const {
   saveCheckpointAtomic,       // Atomic save to prevent race conditions
 } = require("./checkpoint");
 
+// Delta ingestion: completed files become their vendor's baseline
+const { promoteRowHashes } = require("./src/batch/row-hashes");
+const { isDryRunFile, getBatchEndIndex } = require("./csv-mapping-store");
+
+// End-of-file reconciliation: parts missing from a vendor's full catalog
+const { reconcileDiscontinuedProducts } = require("./src/batch/discontinued");
+
+// Local (part_number, manufacturer) → product id index used before any search
+const { syncCatalogIndex } = require("./catalog-index");
+
+// Jobs that exhausted their retries are kept (with their rows) for replay
+const { moveToDeadLetter, isFinalAttempt } = require("./dead-letter");
+
+// Per-file pause / cancel (set from the mapping UI)
+const {
+  FILE_CONTROL,
+  FILE_PAUSE_RECHECK_MS,
+  FILE_SLOT_RETRY_MS,
+  getFileControl,
+  getFileMaxActiveJobs,
+  acquireFileSlot,
+  releaseFileSlot,
+} = require("./file-control");
+
+// Asks index.js to enqueue ready files (replaces restarting it through PM2)
+const { requestRun } = require("./run-control");
+
+// Persistent run records (counts survive a Redis flush / the next run)
+const { RUN_STATUSES, finishRunRecord } = require("./run-history");
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
@@ -96,6 +126,13 @@ const {
  */
 const concurrency = parseInt(process.env.CONCURRENCY) || 2;
 
+/**
+ * FAST_LANE_CONCURRENCY: Jobs the fast lane worker (quantity-only files,
+ * see job-manager.js) runs at once - on top of CONCURRENCY, so they never
+ * wait for a slot behind a big file.
+ */
+const fastLaneConcurrency = parseInt(process.env.FAST_LANE_CONCURRENCY) || 1;
+
 /**
  * BATCH_SIZE: Number of rows per batch job.
  * This should match what's used in s3-helpers.js when creating jobs.
@@ -112,11 +149,11 @@ logInfoToFile(`🚀 Worker starting with concurrency=${concurrency}, batchSize=$
 // =============================================================================
 
 /**
- * Cooldown tracking to prevent restart spam.
- * We don't want to restart woo-update-app multiple times in quick succession.
+ * Auto-pickup requests share one deduplication id: while a pickup run is
+ * still waiting / running, asking again returns that run instead of
+ * queueing another one.
  */
-let lastRestartTime = 0;
-const RESTART_COOLDOWN_MS = 30000; // 30 seconds between restarts
+const PICKUP_DEDUPE_ID = "auto-pickup";
 
 /**
  * Track which files we've already marked as completed to avoid duplicate work.
@@ -173,21 +210,55 @@ function saveMappingsFile(data) {
 /**
  * Mark a file as completed in csv-mappings.json.
  * @param {string} fileKey - The file key to mark as completed
+ * @returns {Object|null} The file entry if it was marked just now
  */
 function markFileAsCompletedInMappings(fileKey) {
-  if (markedCompleted.has(fileKey)) {
-    return; // Already marked
-  }
-  
   const mappings = loadMappingsFile();
   const file = mappings.files.find(f => f.fileKey === fileKey);
   
+  // Once per run - a later run of the same file (new runId) completes again
+  const markKey = `${fileKey}@${file?.runId || ""}`;
+  if (markedCompleted.has(markKey)) {
+    return null; // Already marked
+  }
+  
   if (file && file.status !== "completed") {
     file.status = "completed";
     file.completedAt = new Date().toISOString();
     saveMappingsFile(mappings);
-    markedCompleted.add(fileKey);
+    markedCompleted.add(markKey);
     logInfoToFile(`📋 Marked ${fileKey} as completed in csv-mappings.json`);
+    return file;
+  }
+  return null;
+}
+
+/**
+ * Make a completed file's row hashes its vendor's delta baseline
+ * (see src/batch/row-hashes.js).
+ * 
+ * Rows that failed in processBatch() (failed-rows:{fileKey}) are left out,
+ * so the next delta run sends them again. A dry run (the entry's flag, or
+ * DRY_RUN when it has none) never becomes the baseline - nothing was
+ * written to WooCommerce.
+ * 
+ * @param {Object} file - File entry from csv-mappings.json
+ */
+async function promoteDeltaBaseline(file) {
+  if (isDryRunFile(file)) return;
+
+  try {
+    const failedKeys = await appRedis.sMembers(`failed-rows:${file.fileKey}`);
+    const baseline = promoteRowHashes(file.fileKey, { excludeKeys: failedKeys });
+    if (baseline) {
+      logInfoToFile(
+        `🧮 ${file.fileKey} is now the delta baseline for ${baseline.vendor} ` +
+        `(${Object.keys(baseline.rows).length} rows, ${failedKeys.length} failed rows left out)`
+      );
+    }
+    await appRedis.del(`failed-rows:${file.fileKey}`);
+  } catch (error) {
+    logErrorToFile(`Error promoting delta baseline for ${file.fileKey}: ${error.message}`);
   }
 }
 
@@ -210,19 +281,10 @@ function getReadyFilesCount() {
 }
 
 /**
- * Restart woo-update-app to pick up new ready files.
- * Includes cooldown to prevent restart spam.
+ * Ask index.js to enqueue the ready files (see run-control.js).
+ * Deduplicated, so the per-job and periodic checks can't pile up requests.
  */
-function triggerMainAppRestart() {
-  const now = Date.now();
-  
-  // Check cooldown
-  if (now - lastRestartTime < RESTART_COOLDOWN_MS) {
-    const remaining = Math.ceil((RESTART_COOLDOWN_MS - (now - lastRestartTime)) / 1000);
-    logInfoToFile(`⏳ Restart cooldown active, ${remaining}s remaining`);
-    return;
-  }
-  
+async function requestPickupRun() {
   const readyCount = getReadyFilesCount();
   
   if (readyCount === 0) {
@@ -230,17 +292,28 @@ function triggerMainAppRestart() {
     return;
   }
   
-  lastRestartTime = now;
-  
-  logInfoToFile(`🔄 Found ${readyCount} ready file(s). Restarting woo-update-app to pick them up...`);
-  
-  exec("pm2 restart woo-update-app", { timeout: 10000 }, (error, stdout, stderr) => {
-    if (error) {
-      logErrorToFile(`Failed to restart woo-update-app: ${error.message}`);
-    } else {
-      logInfoToFile("✅ woo-update-app restarted successfully - will pick up next file");
+  try {
+    const { runId, deduplicated } = await requestRun({ trigger: "worker", dedupeId: PICKUP_DEDUPE_ID });
+    if (!deduplicated) {
+      logInfoToFile(`🔄 Found ${readyCount} ready file(s). Requested run ${runId} to pick them up`);
     }
-  });
+  } catch (error) {
+    logErrorToFile(`Failed to request a pickup run: ${error.message}`);
+  }
+}
+
+/**
+ * Close a file's run record with its final counts.
+ * @param {string} runId - The file entry's current run
+ * @param {Object} stats - From getFileCompletionStatus()
+ */
+async function completeRunRecord(runId, stats) {
+  try {
+    const { totalRows, updated, skipped, failed } = stats;
+    await finishRunRecord(runId, RUN_STATUSES.COMPLETED, { counts: { totalRows, updated, skipped, failed } });
+  } catch (error) {
+    logErrorToFile(`Error completing run record ${runId}: ${error.message}`);
+  }
 }
 
 /**
@@ -273,27 +346,68 @@ async function getFileCompletionStatus(fileKey) {
   }
 }
 
+/**
+ * Files whose CSV is still being streamed by s3-helpers.js.
+ * 
+ * While a file carries `ingesting:{fileKey}` its total-rows key doesn't
+ * exist yet, so it must count as "in progress" - not as "nothing tracked".
+ * 
+ * @returns {Promise<string[]>} File keys still being read
+ */
+async function getIngestingFileKeys() {
+  const keys = await appRedis.keys("ingesting:*");
+  return keys.map((key) => key.replace(/^ingesting:/, ""));
+}
+
+/**
+ * Total data rows for a job's file.
+ * 
+ * Jobs are enqueued while the CSV is still streaming, so they usually carry
+ * no totalProductsInFile. The total is read from total-rows:{fileKey}, which
+ * s3-helpers.js writes when the stream ends.
+ * 
+ * @param {string} fileKey
+ * @param {number} [totalFromJob] - totalProductsInFile from older jobs
+ * @returns {Promise<number|null>} Total rows, or null while still streaming
+ */
+async function resolveTotalRows(fileKey, totalFromJob) {
+  if (Number.isInteger(totalFromJob) && totalFromJob > 0) return totalFromJob;
+
+  const totalRows = parseInt((await appRedis.get(`total-rows:${fileKey}`)) || "0", 10);
+  return totalRows > 0 ? totalRows : null;
+}
+
 /**
  * Check all currently tracked files and handle completion.
  * - Marks completed files in csv-mappings.json
- * - Triggers restart if there are new ready files
+ * - Requests a pickup run if there are new ready files
  */
 async function checkAndHandleCompletion() {
   try {
     // Get all file keys being tracked in Redis
     const fileKeys = await appRedis.keys("total-rows:*");
     
+    // A file that is still streaming is in progress - never request a
+    // pickup run (or announce "all complete") underneath it
+    const ingesting = await getIngestingFileKeys();
+    if (ingesting.length > 0 && completionCheckCounter % 50 === 0) {
+      logInfoToFile(`📥 Still reading: ${ingesting.join(", ")}`);
+    }
+    
     if (fileKeys.length === 0) {
+      if (ingesting.length > 0) return;
+
       // No files being tracked - check if there are ready files to start
       if (hasReadyFiles()) {
         logInfoToFile("📊 No files in progress but found ready files");
-        triggerMainAppRestart();
+        await requestPickupRun();
       }
       return;
     }
     
-    let allComplete = true;
+    let allComplete = ingesting.length === 0;
     const completedFileKeys = [];
+    const completedStats = new Map();
     
     for (const key of fileKeys) {
       const fileKey = key.replace(/^total-rows:/, "");
@@ -301,6 +415,7 @@ async function checkAndHandleCompletion() {
       
       if (complete) {
         completedFileKeys.push(fileKey);
+        completedStats.set(fileKey, stats);
         logInfoToFile(
           `✅ File ${fileKey} complete: ${stats.updated} updated, ` +
           `${stats.skipped} skipped, ${stats.failed} failed`
@@ -316,9 +431,16 @@ async function checkAndHandleCompletion() {
       }
     }
     
-    // Mark completed files in csv-mappings.json
+    // Mark completed files in csv-mappings.json, close their run records,
+    // advance delta baselines and handle products the file no longer lists
+    // (DISCONTINUED_POLICY)
     for (const fileKey of completedFileKeys) {
-      markFileAsCompletedInMappings(fileKey);
+      const file = markFileAsCompletedInMappings(fileKey);
+      if (file) {
+        if (file.runId) await completeRunRecord(file.runId, completedStats.get(fileKey));
+        await promoteDeltaBaseline(file);
+        await reconcileDiscontinuedProducts(file);
+      }
     }
     
     // If all tracked files are complete, check for new ready files
@@ -328,7 +450,7 @@ async function checkAndHandleCompletion() {
       // Small delay to let things settle before checking for more work
       setTimeout(() => {
         if (hasReadyFiles()) {
-          triggerMainAppRestart();
+          requestPickupRun();
         } else {
           logInfoToFile("✅ All processing complete. No more files in queue.");
         }
@@ -344,225 +466,282 @@ async function checkAndHandleCompletion() {
 // =============================================================================
 
 /**
- * BullMQ Worker instance.
- * 
- * This worker listens to the "batchQueue" and processes jobs as they arrive.
- * The worker function is called for each job with the job object.
+ * Job processor - shared by both lanes (batchQueue and the fast lane).
+ * Called for each job with the job object.
  */
-const batchWorker = new Worker(
-  // Queue name - must match the queue name used when adding jobs
-  "batchQueue",
-  
-  // Job processor function - called for each job
-  async (job) => {
-    try {
-      // =========================================================================
-      // STEP 1: Extract job data
-      // =========================================================================
-      /**
-       * Job data structure (set in s3-helpers.js):
-       * {
-       *   batch: Array<Object>,        // Array of CSV row objects
-       *   fileKey: string,             // S3 key or filename
-       *   totalProductsInFile: number, // Total rows in the CSV
-       *   startIndex: number,          // ⭐ Starting row index for this batch
-       *   batchSize: number,           // Number of rows in this batch
-       * }
-       */
-      const { 
-        batch, 
-        fileKey, 
-        totalProductsInFile, 
-        startIndex  // ⭐ RACE CONDITION FIX: Use this instead of reading checkpoint
-      } = job.data;
-
-      // =========================================================================
-      // STEP 2: Validate job data
-      // =========================================================================
-      
-      // Validate fileKey
-      if (!fileKey || typeof fileKey !== "string") {
-        logErrorToFile(`❌ Job ${job.id}: Missing or invalid fileKey`);
-        throw new Error("Invalid job data: Missing fileKey");
-      }
+const processBatchJob = async (job, token) => {
+  // =========================================================================
+  // STEP 0: Per-file pause / cancel / active job cap (file-control.js)
+  // =========================================================================
+  /**
+   * Checked before the try block: parking a job is not a failure.
+   *   - paused    → move the job to "delayed" and look again later
+   *                 (DelayedError tells BullMQ no attempt was used)
+   *   - cancelled → drop the job without touching WooCommerce
+   *   - at cap    → the file already runs maxActiveJobs jobs: park the
+   *                 job briefly so other files' jobs get the worker
+   */
+  const controlledFileKey = job.data?.fileKey;
+  const control = controlledFileKey ? await getFileControl(controlledFileKey) : null;
+  if (control === FILE_CONTROL.CANCELLED) {
+    logInfoToFile(`⏹️ Job ${job.id}: ${controlledFileKey} was cancelled - dropping job`);
+    return;
+  }
+  if (control === FILE_CONTROL.PAUSED) {
+    await job.moveToDelayed(Date.now() + FILE_PAUSE_RECHECK_MS, token);
+    throw new DelayedError();
+  }
 
-      // Validate totalProductsInFile
-      if (!totalProductsInFile || isNaN(totalProductsInFile)) {
-        logErrorToFile(`❌ Job ${job.id}: Missing or invalid totalProductsInFile`);
-        throw new Error("Invalid job data: Missing totalProductsInFile");
-      }
+  const maxActiveJobs = controlledFileKey ? getFileMaxActiveJobs(controlledFileKey) : 0;
+  if (!(await acquireFileSlot(controlledFileKey, job.id, maxActiveJobs))) {
+    await job.moveToDelayed(Date.now() + FILE_SLOT_RETRY_MS, token);
+    throw new DelayedError();
+  }
 
-      // Validate batch array
-      if (!Array.isArray(batch) || batch.length === 0) {
-        logErrorToFile(`❌ Job ${job.id}: Missing or empty batch array`);
-        throw new Error("Invalid job data: Missing or empty batch");
-      }
+  try {
+    // =========================================================================
+    // STEP 1: Extract job data
+    // =========================================================================
+    /**
+     * Job data structure (set in s3-helpers.js):
+     * {
+     *   batch: Array<Object>,        // Array of CSV row objects
+     *   fileKey: string,             // S3 key or filename
+     *   totalProductsInFile: number|null, // Total rows (null: still streaming)
+     *   startIndex: number,          // ⭐ Starting row index for this batch
+     *   batchSize: number,           // Number of rows in this batch
+     *   dryRun?: boolean,            // Preview only (no Woo writes)
+     *   columns?: Object,            // Column mapping profile for createNewData()
+     *   updateMode?: string,         // "full" | "quantity" (else UPDATE_MODE)
+     *   runId?: string,              // Run the row outcomes are recorded for
+     * }
+     */
+    const { 
+      batch, 
+      fileKey, 
+      totalProductsInFile, 
+      startIndex,  // ⭐ RACE CONDITION FIX: Use this instead of reading checkpoint
+      dryRun,
+      columns,
+      updateMode,
+      runId,
+    } = job.data;
+
+    // =========================================================================
+    // STEP 2: Validate job data
+    // =========================================================================
+    
+    // Validate fileKey
+    if (!fileKey || typeof fileKey !== "string") {
+      logErrorToFile(`❌ Job ${job.id}: Missing or invalid fileKey`);
+      throw new Error("Invalid job data: Missing fileKey");
+    }
 
-      // =========================================================================
-      // STEP 3: Determine starting row index
-      // =========================================================================
-      /**
-       * ⭐ RACE CONDITION FIX
-       * 
-       * OLD CODE (buggy):
-       *   let lastProcessedRow = getLastProcessedRow(fileKey);
-       *   // Multiple workers could get the same value!
-       * 
-       * NEW CODE (fixed):
-       *   Use startIndex from job.data, which was set at job creation time.
-       *   Each job has a unique startIndex, so no overlap is possible.
-       * 
-       * BACKWARD COMPATIBILITY:
-       *   If startIndex is missing (old jobs), fall back to reading checkpoint.
-       *   This shouldn't happen for new jobs but handles edge cases.
-       */
-      let batchStartIndex;
-      
-      if (typeof startIndex === "number" && startIndex >= 0) {
-        // ✅ New behavior: use startIndex from job data
-        batchStartIndex = startIndex;
-        logInfoToFile(
-          `🚀 Job ${job.id}: Using startIndex from job data: ${batchStartIndex}`
-        );
-      } else {
-        // ⚠️ Fallback for old jobs without startIndex
-        // This maintains backward compatibility but may have race conditions
-        logInfoToFile(
-          `⚠️ Job ${job.id}: No startIndex in job data, falling back to checkpoint`
-        );
-        batchStartIndex = getLastProcessedRow(fileKey);
-        logInfoToFile(
-          `📌 Job ${job.id}: Retrieved lastProcessedRow=${batchStartIndex} from checkpoint`
-        );
-      }
+    // Resolve the file's total rows
+    // (null while s3-helpers.js is still streaming the CSV)
+    const totalRows = await resolveTotalRows(fileKey, totalProductsInFile);
 
-      // =========================================================================
-      // STEP 4: Log job start
-      // =========================================================================
-      
+    // Validate batch array
+    if (!Array.isArray(batch) || batch.length === 0) {
+      logErrorToFile(`❌ Job ${job.id}: Missing or empty batch array`);
+      throw new Error("Invalid job data: Missing or empty batch");
+    }
+
+    // =========================================================================
+    // STEP 3: Determine starting row index
+    // =========================================================================
+    /**
+     * ⭐ RACE CONDITION FIX
+     * 
+     * OLD CODE (buggy):
+     *   let lastProcessedRow = getLastProcessedRow(fileKey);
+     *   // Multiple workers could get the same value!
+     * 
+     * NEW CODE (fixed):
+     *   Use startIndex from job.data, which was set at job creation time.
+     *   Each job has a unique startIndex, so no overlap is possible.
+     * 
+     * BACKWARD COMPATIBILITY:
+     *   If startIndex is missing (old jobs), fall back to reading checkpoint.
+     *   This shouldn't happen for new jobs but handles edge cases.
+     */
+    let batchStartIndex;
+    
+    if (typeof startIndex === "number" && startIndex >= 0) {
+      // ✅ New behavior: use startIndex from job data
+      batchStartIndex = startIndex;
       logInfoToFile(
-        `🚀 Processing job: ${job.id} | ` +
-        `File: ${fileKey} | ` +
-        `Rows: ${batchStartIndex}-${batchStartIndex + batch.length - 1} | ` +
-        `Batch size: ${batch.length}`
+        `🚀 Job ${job.id}: Using startIndex from job data: ${batchStartIndex}`
       );
-
-      // =========================================================================
-      // STEP 5: Process the batch
-      // =========================================================================
-      /**
-       * processBatch() does the actual work:
-       *   - For each row in the batch:
-       *     - Find the matching product in WooCommerce
-       *     - Compare current vs new data
-       *     - Update if needed, skip if no changes
-       *   - Bulk update to WooCommerce API
-       *   - Update Redis counters (updated, skipped, failed)
-       * 
-       * Parameters:
-       *   - batch: Array of CSV row objects
-       *   - batchStartIndex: Starting row number (for logging and tracking)
-       *   - totalProductsInFile: Total rows (for progress calculation)
-       *   - fileKey: File identifier (for logging and counters)
-       */
-      await processBatch(batch, batchStartIndex, totalProductsInFile, fileKey);
-      
-      logInfoToFile(`✅ Job ${job.id}: processBatch() completed`);
-
-      // =========================================================================
-      // STEP 6: Calculate ending row index
-      // =========================================================================
-      /**
-       * The ending row is startIndex + number of rows processed.
-       * 
-       * Example:
-       *   startIndex = 100
-       *   batch.length = 20
-       *   batchEndIndex = 120 (we've processed rows 100-119)
-       * 
-       * Note: batchEndIndex is EXCLUSIVE (the next batch starts here)
-       */
-      const batchEndIndex = batchStartIndex + batch.length;
-
-      // Ensure we don't exceed total rows (edge case for last batch)
-      const safeEndIndex = Math.min(batchEndIndex, totalProductsInFile);
-
-      // =========================================================================
-      // STEP 7: Save checkpoint (atomic to prevent race conditions)
-      // =========================================================================
-      /**
-       * ⭐ RACE CONDITION FIX
-       * 
-       * OLD CODE (buggy):
-       *   await saveCheckpoint(fileKey, batchEndIndex, totalProductsInFile);
-       *   // If Worker B (processing later rows) finishes before Worker A,
-       *   // Worker A would overwrite with a LOWER value!
-       * 
-       * NEW CODE (fixed):
-       *   await saveCheckpointAtomic(fileKey, batchEndIndex, totalProductsInFile);
-       *   // Only updates if batchEndIndex is HIGHER than current value.
-       *   // Slower workers can't overwrite faster workers' progress.
-       * 
-       * Example:
-       *   Worker A processes rows 100-120, takes 10 seconds
-       *   Worker B processes rows 120-140, takes 5 seconds
-       *   
-       *   Without atomic save:
-       *     Worker B finishes → saves 140
-       *     Worker A finishes → saves 120 (OVERWRITES to lower value!)
-       *   
-       *   With atomic save:
-       *     Worker B finishes → saves 140
-       *     Worker A finishes → tries 120, but 140 > 120, SKIPPED ✅
-       */
-      await saveCheckpointAtomic(fileKey, safeEndIndex, totalProductsInFile);
-
-      // =========================================================================
-      // STEP 8: Log completion
-      // =========================================================================
-      
+    } else {
+      // ⚠️ Fallback for old jobs without startIndex
+      // This maintains backward compatibility but may have race conditions
       logInfoToFile(
-        `✅ Job ${job.id} completed successfully | ` +
-        `Processed rows ${batchStartIndex}-${safeEndIndex - 1} | ` +
-        `File: ${fileKey}`
+        `⚠️ Job ${job.id}: No startIndex in job data, falling back to checkpoint`
       );
-
-    } catch (error) {
-      // =========================================================================
-      // ERROR HANDLING
-      // =========================================================================
-      /**
-       * If any error occurs during processing:
-       *   1. Log the error
-       *   2. Re-throw to trigger BullMQ's retry mechanism
-       * 
-       * BullMQ will retry failed jobs based on the settings in job-manager.js:
-       *   - attempts: 5 (try up to 5 times)
-       *   - backoff: exponential (wait longer between each retry)
-       */
-      logErrorToFile(
-        `❌ Job ${job.id} failed: ${error.message}`,
-        error.stack
+      batchStartIndex = getLastProcessedRow(fileKey);
+      logInfoToFile(
+        `📌 Job ${job.id}: Retrieved lastProcessedRow=${batchStartIndex} from checkpoint`
       );
-      
-      // Re-throw to trigger BullMQ retry
-      throw error;
     }
-  },
-  
-  // Worker configuration options
-  {
-    // Redis connection settings
-    connection: {
-      host: process.env.REDIS_HOST || "127.0.0.1",
-      port: parseInt(process.env.REDIS_PORT) || 6379,
-    },
+
+    // =========================================================================
+    // STEP 4: Log job start
+    // =========================================================================
+    
+    logInfoToFile(
+      `🚀 Processing job: ${job.id} | ` +
+      `File: ${fileKey} | ` +
+      `Rows: ${batchStartIndex}-${getBatchEndIndex(batch, batchStartIndex) - 1} | ` +
+      `Batch size: ${batch.length}`
+    );
+
+    // =========================================================================
+    // STEP 5: Process the batch
+    // =========================================================================
+    /**
+     * processBatch() does the actual work:
+     *   - For each row in the batch:
+     *     - Find the matching product in WooCommerce
+     *     - Compare current vs new data
+     *     - Update if needed, skip if no changes
+     *   - Bulk update to WooCommerce API
+     *   - Update Redis counters (updated, skipped, failed)
+     * 
+     * Parameters:
+     *   - batch: Array of CSV row objects
+     *   - batchStartIndex: Starting row number (for logging and tracking)
+     *   - totalRows: Total rows (for progress calculation; Infinity while
+     *     the file is still streaming - no end-of-file guard yet)
+     *   - fileKey: File identifier (for logging and counters)
+     *   - dryRun: Preview only, falls back to DRY_RUN env var when unset
+     *   - columns: The file's column mapping profile (may be undefined)
+     *   - updateMode: The file's update mode, falls back to UPDATE_MODE
+     *   - runId: The run whose results get each row's outcome
+     */
+    await processBatch(batch, batchStartIndex, totalRows ?? Infinity, fileKey, { dryRun, columns, updateMode, runId });
     
-    // How many jobs this worker processes in parallel
-    concurrency: concurrency,
+    logInfoToFile(`✅ Job ${job.id}: processBatch() completed`);
+
+    // =========================================================================
+    // STEP 6: Calculate ending row index
+    // =========================================================================
+    /**
+     * The ending row is the last row's index + 1 - startIndex + number of
+     * rows processed, unless ingestion dropped rows inside the job (job rows
+     * carry their own index, see getBatchEndIndex).
+     * 
+     * Example:
+     *   startIndex = 100
+     *   batch.length = 20
+     *   batchEndIndex = 120 (we've processed rows 100-119)
+     * 
+     * Note: batchEndIndex is EXCLUSIVE (the next batch starts here)
+     */
+    const batchEndIndex = getBatchEndIndex(batch, batchStartIndex);
+
+    // Ensure we don't exceed total rows (edge case for last batch)
+    const safeEndIndex = totalRows === null ? batchEndIndex : Math.min(batchEndIndex, totalRows);
+
+    // =========================================================================
+    // STEP 7: Save checkpoint (atomic to prevent race conditions)
+    // =========================================================================
+    /**
+     * ⭐ RACE CONDITION FIX
+     * 
+     * OLD CODE (buggy):
+     *   await saveCheckpoint(fileKey, batchEndIndex, totalProductsInFile);
+     *   // If Worker B (processing later rows) finishes before Worker A,
+     *   // Worker A would overwrite with a LOWER value!
+     * 
+     * NEW CODE (fixed):
+     *   await saveCheckpointAtomic(fileKey, batchEndIndex, totalProductsInFile);
+     *   // Only updates if batchEndIndex is HIGHER than current value.
+     *   // Slower workers can't overwrite faster workers' progress.
+     * 
+     * Example:
+     *   Worker A processes rows 100-120, takes 10 seconds
+     *   Worker B processes rows 120-140, takes 5 seconds
+     *   
+     *   Without atomic save:
+     *     Worker B finishes → saves 140
+     *     Worker A finishes → saves 120 (OVERWRITES to lower value!)
+     *   
+     *   With atomic save:
+     *     Worker B finishes → saves 140
+     *     Worker A finishes → tries 120, but 140 > 120, SKIPPED ✅
+     */
+    // totalRows is null while streaming - the checkpoint then records
+    // remainingRows as unknown instead of 0
+    await saveCheckpointAtomic(fileKey, safeEndIndex, totalRows);
+
+    // =========================================================================
+    // STEP 8: Log completion
+    // =========================================================================
+    
+    logInfoToFile(
+      `✅ Job ${job.id} completed successfully | ` +
+      `Processed rows ${batchStartIndex}-${safeEndIndex - 1} | ` +
+      `File: ${fileKey}`
+    );
+
+  } catch (error) {
+    // =========================================================================
+    // ERROR HANDLING
+    // =========================================================================
+    /**
+     * If any error occurs during processing:
+     *   1. Log the error
+     *   2. Re-throw to trigger BullMQ's retry mechanism
+     * 
+     * BullMQ will retry failed jobs based on the settings in job-manager.js:
+     *   - attempts: 5 (try up to 5 times)
+     *   - backoff: exponential (wait longer between each retry)
+     */
+    logErrorToFile(
+      `❌ Job ${job.id} failed: ${error.message}`,
+      error.stack
+    );
+    
+    // Re-throw to trigger BullMQ retry
+    throw error;
+  } finally {
+    if (maxActiveJobs) {
+      await releaseFileSlot(controlledFileKey, job.id).catch((error) =>
+        logErrorToFile(`⚠️ Job ${job.id}: could not release file slot: ${error.message}`)
+      );
+    }
   }
+};
+
+// Redis connection settings (both lanes)
+const workerConnection = {
+  host: process.env.REDIS_HOST || "127.0.0.1",
+  port: parseInt(process.env.REDIS_PORT) || 6379,
+};
+
+/**
+ * BullMQ Worker instances.
+ * 
+ * batchWorker listens to the "batchQueue" (every file, by priority - see
+ * addBatchJob in job-manager.js); fastLaneWorker to the quantity-only lane.
+ */
+const batchWorker = new Worker(
+  // Queue name - must match the queue name used when adding jobs
+  "batchQueue",
+  processBatchJob,
+  // How many jobs this worker processes in parallel
+  { connection: workerConnection, concurrency: concurrency }
+);
+
+const fastLaneWorker = new Worker(
+  FAST_LANE_QUEUE_NAME,
+  processBatchJob,
+  { connection: workerConnection, concurrency: fastLaneConcurrency }
 );
 
+const workers = [batchWorker, fastLaneWorker];
+
 // =============================================================================
 // EVENT HANDLERS
 // =============================================================================
@@ -572,9 +751,9 @@ const batchWorker = new Worker(
  * Logged for debugging and monitoring.
  * 
  * NEW: After each job completes, periodically check if all files are done.
- * If so, automatically restart to pick up any new ready files.
+ * If so, automatically request a run to pick up any new ready files.
  */
-batchWorker.on("completed", async (job) => {
+const onJobCompleted = async (job) => {
   logInfoToFile(`✅ Job ${job.id} marked as completed by BullMQ`);
   
   // Increment counter and check completion periodically
@@ -590,26 +769,42 @@ batchWorker.on("completed", async (job) => {
       }
     });
   }
-});
+};
 
 /**
- * Handle job failure (after all retries exhausted).
+ * Handle job failure.
  * 
- * This fires when a job has failed all retry attempts.
- * At this point, the job is moved to the "failed" state in the queue.
+ * BullMQ fires this after EVERY failed attempt. Once the last attempt has
+ * failed, the job (error, attempt count and rows) is copied to the
+ * dead-letter queue - see dead-letter.js - where it can be inspected,
+ * edited and replayed from the mapping UI.
  */
-batchWorker.on("failed", (job, err) => {
+const onJobFailed = async (job, err) => {
+  if (!isFinalAttempt(job)) return;
+
   logErrorToFile(
     `⚠️ Job ${job.id} failed permanently after all retry attempts: ${err.message}`
   );
-});
+
+  try {
+    await moveToDeadLetter(job, err);
+  } catch (error) {
+    logErrorToFile(`❌ Could not dead-letter job ${job.id}: ${error.message}`, error.stack);
+  }
+};
 
 /**
  * Handle worker errors.
  * These are errors in the worker itself, not job-specific errors.
  */
-batchWorker.on("error", (error) => {
+const onWorkerError = (error) => {
   logErrorToFile(`❌ Worker error: ${error.message}`, error.stack);
+};
+
+workers.forEach((worker) => {
+  worker.on("completed", onJobCompleted);
+  worker.on("failed", onJobFailed);
+  worker.on("error", onWorkerError);
 });
 
 // =============================================================================
@@ -640,6 +835,13 @@ const checkAllFilesProcessed = async () => {
       logInfoToFile("📊 No files being tracked in Redis - waiting for work");
       return false;  // Keep running, don't shutdown
     }
+
+    // A file still being streamed has no final total yet - not done
+    const ingesting = await getIngestingFileKeys();
+    if (ingesting.length > 0) {
+      logInfoToFile(`📥 Still reading: ${ingesting.join(", ")}`);
+      return false;
+    }
     
     for (const key of fileKeys) {
       // Extract the fileKey from the Redis key pattern
@@ -689,6 +891,33 @@ const completionCheckInterval = setInterval(async () => {
   }
 }, 60000); // Check every 60 seconds
 
+// =============================================================================
+// CATALOG INDEX SYNC
+// =============================================================================
+
+/**
+ * CATALOG_INDEX_SYNC_MINUTES: How often to bring the catalog index
+ * (catalog-index.js) up to date. Runs once at startup, then on this interval.
+ * 0 / unset = off (lookups then use the search API, as before).
+ *
+ * With several workers, the Redis lock lets only one of them sync at a time.
+ */
+const catalogIndexSyncMinutes = parseFloat(process.env.CATALOG_INDEX_SYNC_MINUTES) || 0;
+
+const runCatalogIndexSync = async () => {
+  try {
+    await syncCatalogIndex();
+  } catch (error) {
+    logErrorToFile(`Error in catalog index sync: ${error.message}`);
+  }
+};
+
+const catalogIndexInterval = catalogIndexSyncMinutes > 0
+  ? setInterval(runCatalogIndexSync, catalogIndexSyncMinutes * 60000)
+  : null;
+
+if (catalogIndexInterval) runCatalogIndexSync();
+
 // =============================================================================
 // GRACEFUL SHUTDOWN
 // =============================================================================
@@ -707,6 +936,7 @@ const gracefulShutdown = async () => {
   
   // Clear the periodic check interval
   clearInterval(completionCheckInterval);
+  if (catalogIndexInterval) clearInterval(catalogIndexInterval);
 
   try {
     // Check if there's still work in progress
@@ -718,9 +948,9 @@ const gracefulShutdown = async () => {
       );
     }
 
-    // Close the worker (stops accepting new jobs, waits for current to finish)
-    await batchWorker.close();
-    logInfoToFile("✅ Worker closed");
+    // Close the workers (stop accepting new jobs, wait for current to finish)
+    await Promise.all(workers.map((worker) => worker.close()));
+    logInfoToFile("✅ Workers closed");
 
     // Disconnect from Redis
     await appRedis.quit();
@@ -779,7 +1009,7 @@ process.on("unhandledRejection", (reason, promise) => {
 
 logInfoToFile(
   `🚀 Worker started with AUTO-PICKUP enabled | ` +
-  `Concurrency: ${concurrency} | ` +
+  `Concurrency: ${concurrency} (+${fastLaneConcurrency} fast lane) | ` +
   `Check interval: every ${COMPLETION_CHECK_INTERVAL} jobs + 60s periodic | ` +
   `Redis: ${process.env.REDIS_HOST || "127.0.0.1"}:${process.env.REDIS_PORT || 6379}`
 );
\ No newline at end of file